@@ -1,5 +1,6 @@
 import babel from '@rollup/plugin-babel';
 import commonjs from '@rollup/plugin-commonjs';
+import json from '@rollup/plugin-json';
 import external from 'rollup-plugin-peer-deps-external';
 import postcss from 'rollup-plugin-postcss';
 import resolve from '@rollup/plugin-node-resolve';
@@ -31,8 +32,9 @@ export default {
             exclude: 'node_modules/**',
             babelHelpers: 'runtime'
         }),
+        json(),
         resolve(),
         commonjs()
     ],
-    external: ['fs', 'path', 'os', 'electron']
+    external: ['fs', 'path', 'os', 'child_process', 'events', 'crypto', 'electron']
 };
@@ -0,0 +1,160 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const SchemaValidator = require('./SchemaValidator');
+
+/**
+ * Error codes for actions that cannot be invoked
+ */
+const DISPATCH_ERRORS = {
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    UNKNOWN_TRIGGER: 'UNKNOWN_TRIGGER',
+    INVALID_PARAMS: 'INVALID_PARAMS',
+    NOT_AVAILABLE: 'NOT_AVAILABLE'
+};
+
+/**
+ * ActionDispatcher - A plugin's actions and triggers, for other plugins and automations
+ *
+ * Actions are invoked by id; their params are checked against the action's
+ * JSON schema before the handler runs. Triggers are raised by the plugin
+ * and delivered to every subscriber, and to the renderer through
+ * context.sendToRenderer. A subscriber that throws does not stop the others.
+ */
+class ActionDispatcher {
+    /**
+     * @param {Object} context - Allow2Automate plugin context
+     */
+    constructor(context = {}) {
+        this.context = context;
+        this.actions = new Map();
+        this.triggers = new Map();
+        this.subscribers = new Map();
+    }
+
+    /**
+     * @param {string} id - Action ID, as in the package.json manifest
+     * @param {Object} definition - { name, description, params (JSON schema), handler (async params => result) }
+     */
+    defineAction(id, definition) {
+        this.actions.set(id, { id, ...definition });
+    }
+
+    /**
+     * @param {string} id - Trigger ID, as in the package.json manifest
+     * @param {Object} definition - { name, description, payload (JSON schema) }
+     */
+    defineTrigger(id, definition) {
+        this.triggers.set(id, { id, ...definition });
+        this.subscribers.set(id, this.subscribers.get(id) || new Set());
+    }
+
+    /**
+     * Run an action
+     * @param {string} id - Action ID
+     * @param {Object} params - Action params
+     * @returns {Promise<*>} What the action's handler returns
+     * @throws {Error} With code UNKNOWN_ACTION, INVALID_PARAMS (and errors) or NOT_AVAILABLE
+     */
+    async invoke(id, params = {}) {
+        const action = this.actions.get(id);
+        if (!action) {
+            throw ActionDispatcher.error(DISPATCH_ERRORS.UNKNOWN_ACTION, `Unknown action: ${id}`);
+        }
+
+        const errors = SchemaValidator.validate(action.params, params, 'params');
+        if (errors.length > 0) {
+            const error = ActionDispatcher.error(DISPATCH_ERRORS.INVALID_PARAMS, `Invalid params for ${id}: ${errors.join('; ')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        if (!action.handler) {
+            throw ActionDispatcher.error(DISPATCH_ERRORS.NOT_AVAILABLE, `Action ${id} is not available`);
+        }
+
+        return action.handler(params);
+    }
+
+    /**
+     * Listen for a trigger
+     * @param {string} id - Trigger ID
+     * @param {Function} listener - (payload, triggerId) => void
+     * @returns {Function} Call to stop listening
+     * @throws {Error} With code UNKNOWN_TRIGGER
+     */
+    subscribe(id, listener) {
+        if (!this.triggers.has(id)) {
+            throw ActionDispatcher.error(DISPATCH_ERRORS.UNKNOWN_TRIGGER, `Unknown trigger: ${id}`);
+        }
+
+        this.subscribers.get(id).add(listener);
+        return () => this.subscribers.get(id).delete(listener);
+    }
+
+    /**
+     * Raise a trigger
+     * A payload that does not match the trigger's schema is still delivered, with a warning.
+     * @param {string} id - Trigger ID
+     * @param {Object} payload - Trigger payload
+     * @param {Object} options - { renderer } false to not send it to the renderer
+     */
+    raise(id, payload, options = {}) {
+        const trigger = this.triggers.get(id);
+        if (!trigger) {
+            console.error(`[ActionDispatcher] Raised unknown trigger ${id}`);
+            return;
+        }
+
+        const errors = SchemaValidator.validate(trigger.payload, payload, 'payload');
+        if (errors.length > 0) {
+            console.warn(`[ActionDispatcher] ${id} payload does not match its schema: ${errors.join('; ')}`);
+        }
+
+        for (const listener of this.subscribers.get(id)) {
+            try {
+                listener(payload, id);
+            } catch (error) {
+                console.error(`[ActionDispatcher] Error in ${id} subscriber:`, error);
+            }
+        }
+
+        if (options.renderer !== false && this.context.sendToRenderer) {
+            this.context.sendToRenderer(id, payload);
+        }
+    }
+
+    /**
+     * The actions and triggers, without handlers
+     * @returns {Object} { actions: [{ id, name, description, params }], triggers: [{ id, name, description, payload }] }
+     */
+    describe() {
+        return {
+            actions: [...this.actions.values()].map(({ id, name, description, params }) => ({ id, name, description, params })),
+            triggers: [...this.triggers.values()].map(({ id, name, description, payload }) => ({ id, name, description, payload }))
+        };
+    }
+
+    static error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = ActionDispatcher;
+module.exports.DISPATCH_ERRORS = DISPATCH_ERRORS;
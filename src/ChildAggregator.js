@@ -0,0 +1,156 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * ChildAggregator - Treat all of a child's devices as one
+ *
+ * A child with several devices (a desktop and a Steam Deck, say) has one
+ * Allow2 quota. Policy updates for the child are serialized and fanned out
+ * to every device at once, rolling back if any device rejects them, so the
+ * devices never disagree about whether Steam is allowed. Usage is claimed
+ * per child, so time on devices used at the same time only counts once.
+ */
+class ChildAggregator {
+    /**
+     * @param {Object} options - { claimed, retention } claimed restores persisted state
+     */
+    constructor(options = {}) {
+        this.claimed = options.claimed || {};   // childId -> [[startedAt, endedAt], ...] sorted, disjoint
+        this.retention = options.retention || 7 * DAY;
+        this.queues = new Map();
+    }
+
+    /**
+     * Run a task for a child after the child's earlier tasks have finished
+     * @param {string} childId - Child ID
+     * @param {Function} task - async task()
+     * @returns {Promise} Result of the task
+     */
+    run(childId, task) {
+        const previous = this.queues.get(childId) || Promise.resolve();
+        const result = previous.then(task);
+        const tail = result.catch(() => {});
+
+        this.queues.set(childId, tail);
+        tail.then(() => {
+            if (this.queues.get(childId) === tail) {
+                this.queues.delete(childId);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Claim a period of a child's usage
+     * @param {string} childId - Child ID
+     * @param {number} startedAt - Start of the period
+     * @param {number} endedAt - End of the period
+     * @param {number} now - Current time, for pruning old claims
+     * @returns {Array} The parts not claimed before, as { startedAt, endedAt, duration }
+     */
+    claimUsage(childId, startedAt, endedAt, now = Date.now()) {
+        const claimed = (this.claimed[childId] || []).filter(([, end]) => end > now - this.retention);
+        const unclaimed = [];
+        let cursor = startedAt;
+
+        for (const [start, end] of claimed) {
+            if (cursor >= endedAt) {
+                break;
+            }
+            if (end <= cursor) {
+                continue;
+            }
+            if (start > cursor) {
+                unclaimed.push({ startedAt: cursor, endedAt: Math.min(start, endedAt) });
+            }
+            cursor = Math.max(cursor, end);
+        }
+
+        if (cursor < endedAt) {
+            unclaimed.push({ startedAt: cursor, endedAt });
+        }
+
+        this.claimed[childId] = ChildAggregator.merge([...claimed, [startedAt, endedAt]]);
+
+        return unclaimed.map(period => ({ ...period, duration: period.endedAt - period.startedAt }));
+    }
+
+    /**
+     * Forget a child's claims (e.g. when the child is removed)
+     */
+    forget(childId) {
+        delete this.claimed[childId];
+    }
+
+    /**
+     * Claimed usage for persisting in plugin state
+     */
+    toJSON() {
+        return this.claimed;
+    }
+
+    /**
+     * Apply operations all at once; if any fails, revert the ones that succeeded
+     * @param {Array} operations - Operations to apply
+     * @param {Function} apply - async apply(operation)
+     * @param {Function} revert - async revert(operation)
+     * @throws {Error} The first failure, with .operation and .revertErrors
+     */
+    static async fanOut(operations, apply, revert) {
+        const results = await Promise.allSettled(operations.map(operation => apply(operation)));
+        const failedIndex = results.findIndex(result => result.status === 'rejected');
+
+        if (failedIndex === -1) {
+            return;
+        }
+
+        const applied = operations.filter((operation, index) => results[index].status === 'fulfilled');
+        const reverted = await Promise.allSettled(applied.map(operation => revert(operation)));
+
+        const error = results[failedIndex].reason instanceof Error
+            ? results[failedIndex].reason
+            : new Error(String(results[failedIndex].reason));
+        error.operation = operations[failedIndex];
+        error.revertErrors = reverted.filter(result => result.status === 'rejected').map(result => result.reason);
+        throw error;
+    }
+
+    /**
+     * Merge overlapping or touching intervals
+     * @param {Array} intervals - [[start, end], ...]
+     * @returns {Array} Sorted, disjoint intervals
+     */
+    static merge(intervals) {
+        const merged = [];
+
+        for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        }
+
+        return merged;
+    }
+}
+
+module.exports = ChildAggregator;
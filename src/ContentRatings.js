@@ -0,0 +1,242 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+/**
+ * Age rating systems in appinfo.vdf common.ratings, with the age each rating is for
+ */
+const RATING_SYSTEMS = {
+    pegi: { label: 'PEGI', ages: { '3': 3, '7': 7, '12': 12, '16': 16, '18': 18 } },
+    esrb: { label: 'ESRB', ages: { ec: 3, e: 6, e10: 10, t: 13, m: 17, ao: 18 } },
+    usk: { label: 'USK', ages: { '0': 0, '6': 6, '12': 12, '16': 16, '18': 18 } },
+    oflc: { label: 'ACB', ages: { g: 0, pg: 8, m: 15, ma15: 15, r18: 18, rc: 18 } },
+    cero: { label: 'CERO', ages: { a: 0, b: 12, c: 15, d: 17, z: 18 } }
+};
+
+/**
+ * Steam's content descriptor IDs (appinfo.vdf common.content_descriptors)
+ */
+const CONTENT_DESCRIPTORS = {
+    1: 'Some Nudity or Sexual Content',
+    2: 'Frequent Violence or Gore',
+    3: 'Adult Only Sexual Content',
+    4: 'Frequent Nudity or Sexual Content',
+    5: 'General Mature Content'
+};
+
+/**
+ * What happens to games without the rating information a rule needs
+ */
+const UNRATED_VERDICTS = {
+    ALLOW: 'allow',     // Follow the game's verdict as if it passed
+    BLOCK: 'block'      // Block it
+};
+
+/**
+ * ContentRatings - Age rating and content descriptor rules per child
+ *
+ * A rule is { system, maxRating, blockedDescriptors, unrated }: games rated
+ * above maxRating in the rule's rating system, or carrying any of the
+ * blocked Steam content descriptors, are blocked for the child. A game
+ * without a rating in the rule's system is compared by its highest rating
+ * in the others. Games with no rating information the rule can use follow
+ * unrated.
+ *
+ * Ratings come from Steam's appinfo.vdf cache (see fromAppInfo) and are kept
+ * per app ID, so they are still known when the cache no longer lists a game.
+ */
+class ContentRatings {
+    /**
+     * @param {Object} options - { rules: childId -> rule, ratings: appId -> rating }
+     */
+    constructor(options = {}) {
+        this.rules = {};
+        this.ratings = options.ratings || {};
+
+        for (const [childId, rule] of Object.entries(options.rules || {})) {
+            this.rules[childId] = ContentRatings.validateRule(rule);
+        }
+    }
+
+    /**
+     * Set or remove (rule: null) a child's rule
+     * @throws {Error} If the rule is invalid
+     */
+    setRule(childId, rule) {
+        if (rule) {
+            this.rules[childId] = ContentRatings.validateRule(rule);
+        } else {
+            delete this.rules[childId];
+        }
+    }
+
+    /**
+     * Record ratings read from appinfo.vdf
+     * @param {Object} ratings - appId -> rating, as fromAppInfo
+     * @returns {Array} App IDs whose rating changed
+     */
+    setRatings(ratings) {
+        const changed = [];
+        for (const [appId, rating] of Object.entries(ratings)) {
+            if (JSON.stringify(this.ratings[appId]) !== JSON.stringify(rating)) {
+                this.ratings[appId] = rating;
+                changed.push(appId);
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Whether a child's rule blocks a game, and why
+     * @returns {Object} { blocked, unrated, reasons } - reasons are shown to the parent
+     */
+    evaluate(childId, appId) {
+        const rule = childId ? this.rules[childId] : null;
+        if (!rule) {
+            return { blocked: false, unrated: false, reasons: [] };
+        }
+
+        const rating = this.ratings[appId];
+        const reasons = [];
+        let unrated = !rating;
+
+        if (rating) {
+            const blockedDescriptors = rating.descriptors.filter(id => rule.blockedDescriptors.includes(id));
+            for (const id of blockedDescriptors) {
+                reasons.push(`Content: ${CONTENT_DESCRIPTORS[id]}`);
+            }
+
+            if (rule.maxRating) {
+                const maxAge = RATING_SYSTEMS[rule.system].ages[rule.maxRating];
+                const rated = ContentRatings.ratedAge(rating, rule.system);
+
+                if (!rated) {
+                    unrated = true;
+                } else if (rated.age > maxAge) {
+                    reasons.push(`Rated ${RATING_SYSTEMS[rated.system].label} ${rated.rating.toUpperCase()}, ` +
+                        `above ${RATING_SYSTEMS[rule.system].label} ${rule.maxRating.toUpperCase()}`);
+                }
+            }
+        }
+
+        if (unrated && reasons.length === 0 && rule.unrated === UNRATED_VERDICTS.BLOCK) {
+            reasons.push(rating ? `No ${RATING_SYSTEMS[rule.system].label} or other age rating` : 'No rating information');
+        }
+
+        return { blocked: reasons.length > 0, unrated, reasons };
+    }
+
+    /**
+     * Check a rule and return a normalized copy
+     * @throws {Error} If the system, rating, a descriptor or the unrated verdict is invalid
+     */
+    static validateRule(rule) {
+        const system = (rule.system || 'pegi').toLowerCase();
+        if (!RATING_SYSTEMS[system]) {
+            throw new Error(`Unknown rating system: ${rule.system}`);
+        }
+
+        const maxRating = rule.maxRating ? ContentRatings.normalizeRating(rule.maxRating) : null;
+        if (maxRating && !(maxRating in RATING_SYSTEMS[system].ages)) {
+            throw new Error(`Unknown ${RATING_SYSTEMS[system].label} rating: ${rule.maxRating}`);
+        }
+
+        const blockedDescriptors = [...new Set(rule.blockedDescriptors || [])].sort((a, b) => a - b);
+        for (const id of blockedDescriptors) {
+            if (!CONTENT_DESCRIPTORS[id]) {
+                throw new Error(`Unknown content descriptor: ${id}`);
+            }
+        }
+
+        const unrated = rule.unrated || UNRATED_VERDICTS.ALLOW;
+        if (!Object.values(UNRATED_VERDICTS).includes(unrated)) {
+            throw new Error(`unrated must be ${Object.values(UNRATED_VERDICTS).join(' or ')}`);
+        }
+
+        return { system, maxRating, blockedDescriptors, unrated };
+    }
+
+    /**
+     * Read a game's ratings and content descriptors from its appinfo.vdf entry
+     * @param {Object} entry - Entry from SteamBinaryVDFReader.readAppInfo
+     * @returns {Object} { ratings: { system -> { rating, age, descriptors } }, descriptors: [id] }
+     */
+    static fromAppInfo(entry) {
+        const common = (entry.data || entry).common || {};
+
+        const ratings = {};
+        for (const [key, value] of Object.entries(common.ratings || {})) {
+            const rating = typeof value === 'object' ? value.rating : value;
+            if (rating === undefined || rating === null || rating === '') {
+                continue;
+            }
+
+            const system = key.toLowerCase();
+            ratings[system] = {
+                rating: ContentRatings.normalizeRating(rating),
+                age: ContentRatings.ageFor(system, rating),
+                descriptors: typeof value.descriptors === 'string'
+                    ? value.descriptors.split(/[\n,;]/).map(descriptor => descriptor.trim()).filter(Boolean)
+                    : []
+            };
+        }
+
+        const descriptors = [...new Set(Object.values(common.content_descriptors || {}).map(Number))]
+            .filter(id => Number.isInteger(id))
+            .sort((a, b) => a - b);
+
+        return { ratings, descriptors };
+    }
+
+    /**
+     * The age a rating is for
+     * @returns {number|null} Age, or null for unknown systems and ratings
+     */
+    static ageFor(system, rating) {
+        const ages = RATING_SYSTEMS[system]?.ages;
+        const age = ages ? ages[ContentRatings.normalizeRating(rating)] : undefined;
+        return age === undefined ? null : age;
+    }
+
+    /**
+     * The rating to compare with a ceiling: the one in the ceiling's system,
+     * otherwise the highest in another system
+     * @returns {Object|null} { system, rating, age }, or null if no rating has a known age
+     */
+    static ratedAge(rating, system) {
+        const own = rating.ratings[system];
+        if (own && own.age !== null) {
+            return { system, rating: own.rating, age: own.age };
+        }
+
+        return Object.entries(rating.ratings)
+            .filter(([, other]) => other.age !== null)
+            .map(([otherSystem, other]) => ({ system: otherSystem, rating: other.rating, age: other.age }))
+            .sort((a, b) => b.age - a.age)[0] || null;
+    }
+
+    /**
+     * 'MA 15+' -> 'ma15', 'PEGI 12' -> '12'
+     */
+    static normalizeRating(rating) {
+        return String(rating).toLowerCase().replace(/^(pegi|esrb|usk|acb|cero)\s*/, '').replace(/[^a-z0-9]/g, '');
+    }
+}
+
+module.exports = ContentRatings;
+module.exports.RATING_SYSTEMS = RATING_SYSTEMS;
+module.exports.CONTENT_DESCRIPTORS = CONTENT_DESCRIPTORS;
+module.exports.UNRATED_VERDICTS = UNRATED_VERDICTS;
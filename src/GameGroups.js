@@ -0,0 +1,223 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+/**
+ * What a group does to its games (the values of SteamMonitor's GAME_VERDICTS)
+ */
+const GROUP_VERDICTS = {
+    ALLOW: 'allow',     // Allowed regardless of quota
+    BLOCK: 'block',     // Blocked
+    QUOTA: 'quota'      // No rule of its own; the games follow the child's quota
+};
+
+const MINUTE = 60000;
+const MAX_NAME_LENGTH = 60;
+const MAX_DAILY_MINUTES = 24 * 60;
+
+/**
+ * GameGroups - Games the parent sets rules for together, e.g. "Educational" or "Competitive"
+ *
+ * A group is { id, name, appIds, verdict, dailyMinutes, collection }. Its
+ * verdict applies to games that have no verdict of their own; for a game in
+ * several groups, block wins over allow. dailyMinutes caps a child's time
+ * across the group's games each day, whatever the verdict: once it is used
+ * up the games are blocked for the child until the next day.
+ *
+ * A group can follow a Steam library collection (collection is
+ * { steamId3, id }); syncCollections keeps its games in line with it.
+ */
+class GameGroups {
+    /**
+     * @param {Object} options - { groups: id -> group, now }
+     */
+    constructor(options = {}) {
+        this.groups = options.groups || {};
+        this.now = options.now || Date.now;
+        this.sequence = 0;
+    }
+
+    /**
+     * Add a group
+     * @param {Object} group - { name, appIds, verdict, dailyMinutes, collection }
+     * @returns {Object} The group, with its id
+     * @throws {Error} If the group is invalid
+     */
+    create(group) {
+        const created = {
+            id: `group-${this.now().toString(36)}-${(this.sequence++).toString(36)}`,
+            ...GameGroups.validateGroup(group)
+        };
+
+        this.groups[created.id] = created;
+        return created;
+    }
+
+    /**
+     * Change a group's name, games, verdict or daily minutes
+     * @returns {Object} The group
+     * @throws {Error} If the group does not exist or the changes are invalid
+     */
+    update(id, changes) {
+        const group = this.groups[id];
+        if (!group) {
+            throw new Error(`Unknown game group: ${id}`);
+        }
+
+        this.groups[id] = { id, ...GameGroups.validateGroup({ ...group, ...changes }) };
+        return this.groups[id];
+    }
+
+    /**
+     * @returns {boolean} Whether the group existed
+     */
+    remove(id) {
+        const existed = id in this.groups;
+        delete this.groups[id];
+        return existed;
+    }
+
+    /**
+     * Groups by name
+     */
+    list() {
+        return Object.values(this.groups).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Groups a game is in
+     */
+    groupsFor(appId) {
+        return this.list().filter(group => group.appIds.includes(String(appId)));
+    }
+
+    /**
+     * Time used today across a group's games
+     * @param {Object} usage - appId -> ms played today
+     */
+    usedBy(group, usage) {
+        return group.appIds.reduce((total, appId) => total + (usage[appId] || 0), 0);
+    }
+
+    /**
+     * Groups whose daily minutes are used up
+     * @param {Object} usage - appId -> ms played today
+     */
+    getExhausted(usage) {
+        return this.list().filter(group => group.dailyMinutes && this.usedBy(group, usage) >= group.dailyMinutes * MINUTE);
+    }
+
+    /**
+     * What a game's groups say about it for a child
+     * @param {string} appId - App ID
+     * @param {Object} usage - appId -> ms the child played today
+     * @returns {Object} { verdict, reasons } - verdict is allow, block or null if no group has a rule
+     */
+    evaluate(appId, usage = {}) {
+        const groups = this.groupsFor(appId);
+        const reasons = [];
+
+        for (const group of groups) {
+            if (group.verdict === GROUP_VERDICTS.BLOCK) {
+                reasons.push(`In "${group.name}", which is blocked`);
+            } else if (group.dailyMinutes && this.usedBy(group, usage) >= group.dailyMinutes * MINUTE) {
+                reasons.push(`Daily ${group.dailyMinutes} minutes of "${group.name}" used up`);
+            }
+        }
+
+        if (reasons.length > 0) {
+            return { verdict: GROUP_VERDICTS.BLOCK, reasons };
+        }
+        if (groups.some(group => group.verdict === GROUP_VERDICTS.ALLOW)) {
+            return { verdict: GROUP_VERDICTS.ALLOW, reasons };
+        }
+        return { verdict: null, reasons };
+    }
+
+    /**
+     * Update the games of groups that follow a collection
+     * @param {Array} collections - [{ steamId3, id, name, appIds }]
+     * @returns {Array} IDs of the groups whose games changed
+     */
+    syncCollections(collections) {
+        const changed = [];
+
+        for (const group of Object.values(this.groups)) {
+            if (!group.collection) {
+                continue;
+            }
+
+            const collection = collections.find(candidate =>
+                candidate.steamId3 === group.collection.steamId3 && candidate.id === group.collection.id);
+            if (!collection) {
+                continue;
+            }
+
+            const appIds = [...new Set(collection.appIds.map(String))];
+            if (appIds.join(',') !== group.appIds.join(',')) {
+                group.appIds = appIds;
+                changed.push(group.id);
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Check a group and return a normalized copy (without its id)
+     * @throws {Error} If the name, games, verdict, daily minutes or collection are invalid
+     */
+    static validateGroup(group) {
+        const name = typeof group.name === 'string' ? group.name.trim() : '';
+        if (!name) {
+            throw new Error('Game group needs a name');
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new Error(`Game group names are at most ${MAX_NAME_LENGTH} characters`);
+        }
+
+        const appIds = group.appIds || [];
+        if (!Array.isArray(appIds) || appIds.some(appId => !/^\d+$/.test(String(appId)))) {
+            throw new Error('appIds must be a list of app IDs');
+        }
+
+        const verdict = group.verdict || GROUP_VERDICTS.QUOTA;
+        if (!Object.values(GROUP_VERDICTS).includes(verdict)) {
+            throw new Error(`Invalid verdict: ${verdict}`);
+        }
+
+        const dailyMinutes = group.dailyMinutes ?? null;
+        if (dailyMinutes !== null && (!Number.isInteger(dailyMinutes) || dailyMinutes < 1 || dailyMinutes > MAX_DAILY_MINUTES)) {
+            throw new Error(`dailyMinutes must be a whole number from 1 to ${MAX_DAILY_MINUTES}`);
+        }
+
+        const collection = group.collection || null;
+        if (collection && (typeof collection.steamId3 !== 'string' || typeof collection.id !== 'string')) {
+            throw new Error('collection must be { steamId3, id }');
+        }
+
+        return {
+            name,
+            appIds: [...new Set(appIds.map(String))],
+            verdict,
+            dailyMinutes,
+            collection: collection && { steamId3: collection.steamId3, id: collection.id }
+        };
+    }
+}
+
+module.exports = GameGroups;
+module.exports.GROUP_VERDICTS = GROUP_VERDICTS;
@@ -0,0 +1,202 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+/**
+ * How a process was matched to a game, most reliable first
+ */
+const MATCH_METHODS = {
+    ENVIRONMENT: 'environment',     // SteamAppId / SteamGameId set by Steam for the game
+    REAPER: 'reaper',               // Steam's reaper launcher: reaper SteamLaunch AppId=620 -- ...
+    COMPATDATA: 'compatdata',       // Proton prefix: steamapps/compatdata/<appid>/pfx/...
+    INSTALL_DIR: 'install-dir',     // Executable under steamapps/common/<installdir>
+    SHORTCUT: 'shortcut'            // Executable of a non-Steam shortcut
+};
+
+// SteamGameId type (bits 24-31) used for non-Steam shortcuts
+const GAME_ID_TYPE_SHORTCUT = 2;
+
+/**
+ * GameIdentifier - Map processes reported by agents to Steam app IDs
+ *
+ * Agents report a process name and, where they can, its executable path,
+ * command line and environment. Native games run from their install
+ * directory; Proton games run as Wine processes whose paths point into the
+ * install directory (as Z:\...) or the app's compatdata prefix; every game
+ * Steam launches gets SteamAppId/SteamGameId in its environment, and on
+ * Linux is started through reaper with an AppId= argument.
+ */
+class GameIdentifier {
+    constructor(games = [], shortcuts = []) {
+        this.setGames(games);
+        this.setShortcuts(shortcuts);
+    }
+
+    /**
+     * @param {Array} games - Installed games ({ appId, name, installDir })
+     */
+    setGames(games) {
+        this.gamesById = new Map();
+        this.gamesByInstallDir = new Map();
+
+        for (const game of games) {
+            this.gamesById.set(String(game.appId), game);
+            if (game.installDir) {
+                this.gamesByInstallDir.set(game.installDir.toLowerCase(), game);
+            }
+        }
+    }
+
+    /**
+     * @param {Array} shortcuts - Non-Steam shortcuts ({ appId, appName, exe })
+     */
+    setShortcuts(shortcuts) {
+        this.shortcutsById = new Map();
+        this.shortcutsByExe = new Map();
+
+        for (const shortcut of shortcuts) {
+            this.shortcutsById.set(String(shortcut.appId), shortcut);
+            if (shortcut.exe) {
+                this.shortcutsByExe.set(GameIdentifier.normalizePath(shortcut.exe), shortcut);
+            }
+        }
+    }
+
+    /**
+     * Identify the game a process belongs to
+     * @param {Object} processInfo - Agent report: { processName, processPath | executablePath,
+     *                               commandLine (string or array), environment | env }
+     * @returns {Object|null} { appId, gameName, method, nonSteam } or null if not a known game
+     */
+    identify(processInfo) {
+        const environment = processInfo.environment || processInfo.env || {};
+        const commandLine = Array.isArray(processInfo.commandLine)
+            ? processInfo.commandLine.join(' ')
+            : processInfo.commandLine || '';
+        const executablePath = processInfo.processPath || processInfo.executablePath || '';
+
+        const fromEnvironment = this.fromGameId(environment.SteamGameId) || this.fromAppId(environment.SteamAppId);
+        if (fromEnvironment) {
+            return this.describe(fromEnvironment.appId, MATCH_METHODS.ENVIRONMENT, fromEnvironment.nonSteam);
+        }
+
+        const reaper = /\bAppId=(\d+)/i.exec(commandLine);
+        if (reaper && reaper[1] !== '0') {
+            return this.describe(reaper[1], MATCH_METHODS.REAPER);
+        }
+
+        for (const candidate of [executablePath, commandLine]) {
+            const normalized = GameIdentifier.normalizePath(candidate);
+            if (!normalized) {
+                continue;
+            }
+
+            const compatdata = /\/steamapps\/compatdata\/(\d+)\//.exec(normalized);
+            if (compatdata) {
+                return this.describe(compatdata[1], MATCH_METHODS.COMPATDATA);
+            }
+
+            const installDir = /\/steamapps\/common\/([^/]+)/.exec(normalized);
+            if (installDir && this.gamesByInstallDir.has(installDir[1])) {
+                return this.describe(this.gamesByInstallDir.get(installDir[1]).appId, MATCH_METHODS.INSTALL_DIR);
+            }
+        }
+
+        const shortcut = this.findShortcut(executablePath, commandLine);
+        if (shortcut) {
+            return this.describe(shortcut.appId, MATCH_METHODS.SHORTCUT, true);
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode SteamGameId: Steam apps carry the app ID in the low 24 bits,
+     * shortcuts carry their 32-bit app ID in the high bits
+     */
+    fromGameId(gameId) {
+        if (!/^\d+$/.test(String(gameId || '')) || String(gameId) === '0') {
+            return null;
+        }
+
+        const value = BigInt(gameId);
+        if (value <= 0xffffffn) {
+            return { appId: value.toString(), nonSteam: false };
+        }
+
+        if (Number((value >> 24n) & 0xffn) === GAME_ID_TYPE_SHORTCUT) {
+            return { appId: (value >> 32n).toString(), nonSteam: true };
+        }
+
+        return { appId: (value & 0xffffffn).toString(), nonSteam: false };
+    }
+
+    fromAppId(appId) {
+        if (!/^\d+$/.test(String(appId || '')) || String(appId) === '0') {
+            return null;
+        }
+        return { appId: String(appId), nonSteam: this.shortcutsById.has(String(appId)) };
+    }
+
+    findShortcut(executablePath, commandLine) {
+        const normalizedPath = GameIdentifier.normalizePath(executablePath);
+        if (normalizedPath && this.shortcutsByExe.has(normalizedPath)) {
+            return this.shortcutsByExe.get(normalizedPath);
+        }
+
+        // Wine reports Windows paths; compare the end of the path
+        const normalizedCommand = GameIdentifier.normalizePath(commandLine);
+        for (const [exe, shortcut] of this.shortcutsByExe) {
+            if ((normalizedPath && normalizedPath.endsWith(exe.replace(/^[a-z]:/, ''))) ||
+                (normalizedCommand && normalizedCommand.includes(exe))) {
+                return shortcut;
+            }
+        }
+
+        return null;
+    }
+
+    describe(appId, method, nonSteam = false) {
+        const game = this.gamesById.get(appId);
+        const shortcut = this.shortcutsById.get(appId);
+
+        return {
+            appId,
+            gameName: game?.name || shortcut?.appName || null,
+            method,
+            nonSteam: nonSteam || (!game && !!shortcut)
+        };
+    }
+
+    /**
+     * Lower case, forward slashes, no quotes or Wine drive prefix for Unix paths (Z:/home/...)
+     */
+    static normalizePath(value) {
+        if (!value) {
+            return '';
+        }
+
+        return String(value)
+            .replace(/"/g, '')
+            .replace(/\\/g, '/')
+            .replace(/^z:(?=\/)/i, '')
+            .replace(/\/{2,}/g, '/')
+            .toLowerCase();
+    }
+}
+
+module.exports = GameIdentifier;
+module.exports.MATCH_METHODS = MATCH_METHODS;
@@ -0,0 +1,279 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Where an override request is in its life
+ */
+const OVERRIDE_STATUS = {
+    PENDING: 'pending',     // Waiting for the parent
+    APPROVED: 'approved',   // Extra time granted
+    DENIED: 'denied'        // Turned down by the parent
+};
+
+/**
+ * Who posted an override request
+ */
+const OVERRIDE_SOURCES = {
+    AGENT: 'agent',         // The child asked on their device
+    PLUGIN: 'plugin'        // Posted to the plugin, by the UI, another plugin or an automation
+};
+
+const MINUTE = 60000;
+const DEFAULT_MAX_MINUTES = 240;
+const MAX_REASON_LENGTH = 200;
+
+// Decided requests kept for the overrides panel; the violation log keeps them all
+const MAX_DECIDED = 100;
+
+/**
+ * OverrideManager - Children's requests for extra Steam time and the overrides granted
+ *
+ * A child asks for extra minutes; the request waits until the parent
+ * approves or denies it. A child has at most one pending request: asking
+ * again returns the one already waiting. Approving grants an override that
+ * allows Steam until it expires, whatever the quota and schedule say.
+ * Approving while an override is running adds the minutes to it.
+ *
+ * Requests and overrides live in plugin state ({ requests, active }), so
+ * overrides survive a restart. A timer expires each override when it ends.
+ *
+ * Emits 'requested' (request), 'approved' (request, override),
+ * 'denied' (request), 'ended' (childId, override, reason) with reason
+ * 'expired' or 'revoked', and 'change' (childId) whenever the child's
+ * override starts, is extended or ends.
+ */
+class OverrideManager extends EventEmitter {
+    /**
+     * @param {Object} options - { overrides, maxMinutes, maxWait, now } maxWait caps the
+     *                           timer so clock changes and sleep are picked up
+     */
+    constructor(options = {}) {
+        super();
+        this.overrides = options.overrides || {};
+        this.overrides.requests = this.overrides.requests || [];
+        this.overrides.active = this.overrides.active || {};
+        this.maxMinutes = options.maxMinutes || DEFAULT_MAX_MINUTES;
+        this.maxWait = options.maxWait || 60 * MINUTE;
+        this.now = options.now || Date.now;
+        this.sequence = 0;
+        this.timer = null;
+    }
+
+    /**
+     * A child asks for extra time
+     * @param {Object} request - { childId, agentId, minutes, reason, source }
+     * @returns {Object} The new request, or the child's request already waiting
+     * @throws {Error} If the child or minutes are invalid
+     */
+    request(request) {
+        if (typeof request.childId !== 'string' || !request.childId) {
+            throw new Error('Override request needs a child');
+        }
+        OverrideManager.validateMinutes(request.minutes, this.maxMinutes);
+
+        const pending = this.overrides.requests.find(existing =>
+            existing.childId === request.childId && existing.status === OVERRIDE_STATUS.PENDING);
+        if (pending) {
+            return pending;
+        }
+
+        const requestedAt = this.now();
+        const created = {
+            id: `${requestedAt.toString(36)}-${(this.sequence++).toString(36)}`,
+            childId: request.childId,
+            agentId: request.agentId || null,
+            minutes: request.minutes,
+            reason: typeof request.reason === 'string' ? request.reason.trim().slice(0, MAX_REASON_LENGTH) : null,
+            source: Object.values(OVERRIDE_SOURCES).includes(request.source) ? request.source : OVERRIDE_SOURCES.PLUGIN,
+            status: OVERRIDE_STATUS.PENDING,
+            requestedAt
+        };
+
+        this.overrides.requests.unshift(created);
+        this.emit('requested', created);
+        return created;
+    }
+
+    /**
+     * Grant a pending request
+     * @param {string} requestId - Request ID
+     * @param {Object} options - { minutes, note } minutes defaults to what the child asked for
+     * @returns {Object} The override: { childId, requestId, minutes, grantedAt, until }
+     * @throws {Error} If the request is not pending or the minutes are invalid
+     */
+    approve(requestId, options = {}) {
+        const request = this.getPending(requestId);
+        const minutes = options.minutes === undefined ? request.minutes : options.minutes;
+        OverrideManager.validateMinutes(minutes, this.maxMinutes);
+
+        const now = this.now();
+        const running = this.getActive(request.childId, now);
+        const override = {
+            childId: request.childId,
+            requestId: request.id,
+            minutes: (running ? running.minutes : 0) + minutes,
+            grantedAt: running ? running.grantedAt : now,
+            until: (running ? running.until : now) + minutes * MINUTE
+        };
+        this.overrides.active[request.childId] = override;
+
+        this.decide(request, OVERRIDE_STATUS.APPROVED, { ...options, grantedMinutes: minutes, until: override.until });
+        this.emit('approved', request, override);
+        this.emit('change', request.childId);
+
+        if (this.timer) {
+            this.check();
+        }
+        return override;
+    }
+
+    /**
+     * Turn down a pending request
+     * @param {string} requestId - Request ID
+     * @param {Object} options - { note }
+     * @returns {Object} The request
+     * @throws {Error} If the request is not pending
+     */
+    deny(requestId, options = {}) {
+        const request = this.getPending(requestId);
+
+        this.decide(request, OVERRIDE_STATUS.DENIED, options);
+        this.emit('denied', request);
+        return request;
+    }
+
+    /**
+     * End a child's override before it expires
+     * @returns {boolean} Whether the child had one
+     */
+    revoke(childId) {
+        const override = this.getActive(childId);
+        if (!override) {
+            return false;
+        }
+
+        this.end(childId, 'revoked');
+        return true;
+    }
+
+    /**
+     * The child's override, if it is still running
+     * @returns {Object|null} { childId, requestId, minutes, grantedAt, until }
+     */
+    getActive(childId, now = this.now()) {
+        const override = this.overrides.active[childId];
+        return override && override.until > now ? override : null;
+    }
+
+    /**
+     * Requests, newest first
+     * @param {Object} filters - { childId, status }
+     */
+    list(filters = {}) {
+        return this.overrides.requests.filter(request =>
+            (!filters.childId || request.childId === filters.childId) &&
+            (!filters.status || request.status === filters.status));
+    }
+
+    /**
+     * Expire overrides now and keep expiring them as they end
+     */
+    start() {
+        this.stop();
+        this.check();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * End overrides that have run out and arm the timer for the next one
+     */
+    check(now = this.now()) {
+        let next = now + this.maxWait;
+
+        for (const [childId, override] of Object.entries(this.overrides.active)) {
+            if (override.until <= now) {
+                this.end(childId, 'expired');
+            } else if (override.until < next) {
+                next = override.until;
+            }
+        }
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => this.check(), next - now);
+    }
+
+    /**
+     * @throws {Error} If the request does not exist or was already decided
+     */
+    getPending(requestId) {
+        const request = this.overrides.requests.find(existing => existing.id === requestId);
+        if (!request) {
+            throw new Error(`Unknown override request: ${requestId}`);
+        }
+        if (request.status !== OVERRIDE_STATUS.PENDING) {
+            throw new Error(`Override request ${requestId} was already ${request.status}`);
+        }
+        return request;
+    }
+
+    decide(request, status, details) {
+        request.status = status;
+        request.decidedAt = this.now();
+        request.note = typeof details.note === 'string' ? details.note.trim().slice(0, MAX_REASON_LENGTH) : null;
+        if (status === OVERRIDE_STATUS.APPROVED) {
+            request.grantedMinutes = details.grantedMinutes;
+            request.until = details.until;
+        }
+
+        // Pending requests are always kept
+        let decided = 0;
+        this.overrides.requests = this.overrides.requests.filter(existing =>
+            existing.status === OVERRIDE_STATUS.PENDING || ++decided <= MAX_DECIDED);
+    }
+
+    end(childId, reason) {
+        const override = this.overrides.active[childId];
+        delete this.overrides.active[childId];
+
+        this.emit('ended', childId, override, reason);
+        this.emit('change', childId);
+    }
+
+    /**
+     * @throws {Error} If minutes is not a whole number from 1 to max
+     */
+    static validateMinutes(minutes, max = DEFAULT_MAX_MINUTES) {
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > max) {
+            throw new Error(`minutes must be a whole number from 1 to ${max}`);
+        }
+    }
+}
+
+module.exports = OverrideManager;
+module.exports.OVERRIDE_STATUS = OVERRIDE_STATUS;
+module.exports.OVERRIDE_SOURCES = OVERRIDE_SOURCES;
+module.exports.DEFAULT_MAX_MINUTES = DEFAULT_MAX_MINUTES;
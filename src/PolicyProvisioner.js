@@ -0,0 +1,248 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const crypto = require('crypto');
+
+const PLUGIN_NAME = '@allow2/allow2automate-steam';
+
+/**
+ * What provisioning did with a policy
+ */
+const PROVISION_ACTIONS = {
+    CREATED: 'created',
+    UPDATED: 'updated',         // Definition changed: version bumped, allowed left as it was
+    UNCHANGED: 'unchanged',
+    REPLACED: 'replaced'        // Duplicates removed and the policy created once
+};
+
+// Runtime state, not part of a policy's definition
+const RUNTIME_FIELDS = ['allowed', 'allowedUntil'];
+const VERSION_FIELDS = ['policyVersion', 'definitionHash'];
+
+/**
+ * PolicyProvisioner - Idempotently bring an agent's policies in line with their definitions
+ *
+ * Looks up the policies an agent already has and only creates the missing
+ * ones. A policy whose definition changed is updated with a bumped
+ * metadata.policyVersion, without touching whether it is allowed, so a
+ * plugin restart never blocks a child who still has quota.
+ *
+ * Agent services that cannot list policies get each policy created, or
+ * updated if the agent already has it, as nothing can be compared.
+ */
+class PolicyProvisioner {
+    /**
+     * @param {Object} agentService - Agent service with createPolicy, updatePolicy, deletePolicy and optionally listPolicies
+     */
+    constructor(agentService) {
+        this.agentService = agentService;
+    }
+
+    /**
+     * Provision an agent's policies
+     * @param {string} agentId - Agent ID
+     * @param {Array} policies - Policy definitions (allowed is only used for new policies)
+     * @returns {Promise<Object>} { policies: processName -> { action, version, allowed }, removed: [processName] }
+     *          allowed is the agent's current value for policies that already existed (null if it cannot be listed)
+     */
+    async provision(agentId, policies) {
+        const existing = await this.listExisting(agentId);
+        const result = { policies: {}, removed: [] };
+
+        if (!existing) {
+            for (const policy of policies) {
+                result.policies[policy.processName] = await this.writePolicy(agentId, policy);
+            }
+            return result;
+        }
+
+        for (const policy of policies) {
+            result.policies[policy.processName] = await this.provisionMatches(agentId, policy, existing.get(policy.processName) || []);
+            existing.delete(policy.processName);
+        }
+
+        // Policies of this plugin that have no definition any more; other plugins' policies are left alone
+        for (const [processName, matches] of existing) {
+            if (matches.some(policy => policy.metadata?.plugin === PLUGIN_NAME)) {
+                await this.agentService.deletePolicy(agentId, processName);
+                result.removed.push(processName);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Provision a single policy, leaving the agent's other policies alone
+     * @returns {Promise<Object>} { action, version, allowed }
+     */
+    async provisionPolicy(agentId, policy) {
+        const existing = await this.listExisting(agentId);
+        if (!existing) {
+            return this.writePolicy(agentId, policy);
+        }
+        return this.provisionMatches(agentId, policy, existing.get(policy.processName) || []);
+    }
+
+    /**
+     * @returns {Promise<Map|null>} processName -> policies the agent has under that name,
+     *          or null if the agent service cannot list policies
+     */
+    async listExisting(agentId) {
+        if (typeof this.agentService.listPolicies !== 'function') {
+            return null;
+        }
+
+        const existing = new Map();
+
+        for (const policy of await this.agentService.listPolicies(agentId) || []) {
+            const matches = existing.get(policy.processName) || [];
+            matches.push(policy);
+            existing.set(policy.processName, matches);
+        }
+
+        return existing;
+    }
+
+    /**
+     * This plugin's policies on an agent
+     * @returns {Promise<Map|null>} processName -> policy, or null if the agent service cannot list policies
+     */
+    async listOwn(agentId) {
+        const existing = await this.listExisting(agentId);
+        if (!existing) {
+            return null;
+        }
+
+        const own = new Map();
+        for (const [processName, matches] of existing) {
+            const policy = matches.find(match => match.metadata?.plugin === PLUGIN_NAME);
+            if (policy) {
+                own.set(processName, policy);
+            }
+        }
+        return own;
+    }
+
+    /**
+     * Bring one policy in line with its definition
+     * @param {Array} matches - Policies the agent has under the policy's process name, of any plugin;
+     *                          only this plugin's are compared, updated or collapsed
+     */
+    async provisionMatches(agentId, policy, matches) {
+        const definitionHash = PolicyProvisioner.hashDefinition(policy);
+        const own = matches.filter(match => match.metadata?.plugin === PLUGIN_NAME);
+        const current = own[0];
+        const currentVersion = Number(current?.metadata?.policyVersion) || 0;
+
+        if (!current) {
+            await this.agentService.createPolicy(agentId, this.withVersion(policy, 1, definitionHash));
+            return { action: PROVISION_ACTIONS.CREATED, version: 1, allowed: policy.allowed };
+        }
+
+        const allowed = current.allowed ?? policy.allowed;
+
+        if (own.length > 1) {
+            // Earlier versions created a new copy on every start; keep one, as it was allowed.
+            // Agents delete by process name, so other plugins' policies under it are put back.
+            await this.agentService.deletePolicy(agentId, policy.processName);
+            for (const other of matches.filter(match => !own.includes(match))) {
+                await this.agentService.createPolicy(agentId, other);
+            }
+            await this.agentService.createPolicy(agentId, this.withVersion({ ...policy, allowed }, currentVersion + 1, definitionHash));
+            return { action: PROVISION_ACTIONS.REPLACED, version: currentVersion + 1, allowed };
+        }
+
+        if (current.metadata?.definitionHash !== definitionHash) {
+            const update = this.withVersion(policy, currentVersion + 1, definitionHash);
+            for (const field of RUNTIME_FIELDS) {
+                delete update[field];
+            }
+
+            await this.agentService.updatePolicy(agentId, update);
+            return { action: PROVISION_ACTIONS.UPDATED, version: currentVersion + 1, allowed };
+        }
+
+        return { action: PROVISION_ACTIONS.UNCHANGED, version: currentVersion, allowed };
+    }
+
+    /**
+     * Create a policy without knowing what the agent has, updating it instead if the agent already has it
+     * @returns {Promise<Object>} { action, version, allowed } allowed is null for an update, as the agent's value is not known
+     */
+    async writePolicy(agentId, policy) {
+        const definitionHash = PolicyProvisioner.hashDefinition(policy);
+
+        try {
+            await this.agentService.createPolicy(agentId, this.withVersion(policy, 1, definitionHash));
+            return { action: PROVISION_ACTIONS.CREATED, version: 1, allowed: policy.allowed };
+        } catch (error) {
+            const update = this.withVersion(policy, 1, definitionHash);
+            for (const field of RUNTIME_FIELDS) {
+                delete update[field];
+            }
+
+            await this.agentService.updatePolicy(agentId, update);
+            return { action: PROVISION_ACTIONS.UPDATED, version: 1, allowed: null };
+        }
+    }
+
+    withVersion(policy, policyVersion, definitionHash) {
+        return {
+            ...policy,
+            metadata: { ...policy.metadata, policyVersion, definitionHash }
+        };
+    }
+
+    /**
+     * Hash everything about a policy except its runtime state and version
+     * @returns {string} Hex digest
+     */
+    static hashDefinition(policy) {
+        const definition = { ...policy, metadata: { ...policy.metadata } };
+        for (const field of RUNTIME_FIELDS) {
+            delete definition[field];
+        }
+        for (const field of VERSION_FIELDS) {
+            delete definition.metadata[field];
+        }
+
+        return crypto.createHash('sha256').update(PolicyProvisioner.stableStringify(definition)).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * JSON with object keys sorted, so equal definitions hash the same
+     */
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => PolicyProvisioner.stableStringify(item === undefined ? null : item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${PolicyProvisioner.stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+
+        return JSON.stringify(value);
+    }
+}
+
+module.exports = PolicyProvisioner;
+module.exports.PROVISION_ACTIONS = PROVISION_ACTIONS;
@@ -0,0 +1,302 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const EventEmitter = require('events');
+const PolicyProvisioner = require('./PolicyProvisioner');
+
+/**
+ * Sync states of a queued agent
+ */
+const SYNC_STATUS = {
+    PENDING: 'pending',     // Waiting for the agent or for the next retry
+    FAILED: 'failed'        // Gave up retrying; retried again when the agent reconnects
+};
+
+/**
+ * PolicyReconciler - Persistent queue of policy updates agents have not applied yet
+ *
+ * Stores the desired policy state per agent ({ processName -> update }) and
+ * retries applying it with exponential backoff until the agent has it.
+ * Agents that are offline are waited for without using up attempts. The
+ * queue lives in plugin state, so it survives a restart. Agents that can
+ * list their policies are converged against what they actually hold, so a
+ * policy changed or deleted on the agent is repaired too.
+ *
+ * Emits 'change' (agentId) whenever an entry is added, retried or removed.
+ */
+class PolicyReconciler extends EventEmitter {
+    /**
+     * @param {Object} options - { queue, apply, isOnline, getPolicies, baseDelay, maxDelay, maxAttempts }
+     *   apply(agentId, desired, policies) converges the agent, throwing if it cannot;
+     *   isOnline(agentId) resolves false for agents that cannot be reached now;
+     *   getPolicies(agentId) resolves a Map of processName -> the policy the agent holds,
+     *   or null if it cannot list them (apply is then called without policies)
+     */
+    constructor(options = {}) {
+        super();
+        this.queue = options.queue || {};
+        this.apply = options.apply;
+        this.isOnline = options.isOnline || (async () => true);
+        this.getPolicies = options.getPolicies || null;
+        this.baseDelay = options.baseDelay || 5000;
+        this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+        this.maxAttempts = options.maxAttempts || 10;
+        this.running = new Set();
+        this.started = false;
+        this.timer = null;
+    }
+
+    /**
+     * Start retrying queued entries
+     */
+    start() {
+        this.started = true;
+        this.schedule();
+    }
+
+    stop() {
+        this.started = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Record the policy state an agent should have
+     * @param {string} agentId - Agent ID
+     * @param {Array} updates - Policy updates, each with a processName
+     * @param {string} reason - Why the agent is not in sync (shown in the UI)
+     */
+    setDesired(agentId, updates, reason = null, now = Date.now()) {
+        const entry = this.queue[agentId] || { desired: {}, createdAt: now };
+
+        for (const update of updates) {
+            entry.desired[update.processName] = { ...entry.desired[update.processName], ...update };
+        }
+
+        entry.revision = (entry.revision || 0) + 1;
+        entry.status = SYNC_STATUS.PENDING;
+        entry.attempts = 0;
+        entry.lastError = reason || entry.lastError || null;
+        entry.nextAttemptAt = now + this.baseDelay;
+        entry.updatedAt = now;
+
+        this.queue[agentId] = entry;
+        this.emit('change', agentId);
+        this.schedule();
+    }
+
+    /**
+     * The agent has the given policies: drop them from its desired state
+     * @param {string} agentId - Agent ID
+     * @param {Array} processNames - Policies the agent has applied (all when omitted)
+     */
+    resolve(agentId, processNames = null) {
+        const entry = this.queue[agentId];
+        if (!entry) {
+            return;
+        }
+
+        for (const processName of processNames || Object.keys(entry.desired)) {
+            delete entry.desired[processName];
+        }
+
+        if (Object.keys(entry.desired).length === 0) {
+            delete this.queue[agentId];
+        }
+
+        this.emit('change', agentId);
+        this.schedule();
+    }
+
+    /**
+     * Forget an agent's queued state (e.g. the agent was removed)
+     */
+    remove(agentId) {
+        if (this.queue[agentId]) {
+            delete this.queue[agentId];
+            this.emit('change', agentId);
+            this.schedule();
+        }
+    }
+
+    /**
+     * Converge an agent now, e.g. when it reconnects; resets the backoff
+     * @returns {Promise<boolean>} Whether the agent is in sync
+     */
+    async reconcile(agentId, now = Date.now()) {
+        const entry = this.queue[agentId];
+        if (!entry) {
+            return true;
+        }
+
+        if (this.running.has(agentId)) {
+            return false;
+        }
+
+        if (entry.status === SYNC_STATUS.FAILED) {
+            entry.status = SYNC_STATUS.PENDING;
+            entry.attempts = 0;
+        }
+
+        const revision = entry.revision;
+        this.running.add(agentId);
+        try {
+            if (!(await this.isOnline(agentId))) {
+                // Waiting for an offline agent does not use up attempts
+                entry.offline = true;
+                entry.lastError = 'Agent offline';
+                entry.nextAttemptAt = now + this.maxDelay;
+                return false;
+            }
+
+            entry.offline = false;
+
+            const policies = this.getPolicies ? await this.getPolicies(agentId) : null;
+            if (policies) {
+                await this.apply(agentId, { ...entry.desired }, policies);
+            } else {
+                await this.apply(agentId, { ...entry.desired });
+            }
+
+            // New desired state may have been queued while applying
+            if (this.queue[agentId] === entry && entry.revision === revision) {
+                delete this.queue[agentId];
+            }
+            return true;
+        } catch (error) {
+            entry.attempts++;
+            entry.lastError = error.message;
+            entry.lastAttemptAt = now;
+
+            if (entry.attempts >= this.maxAttempts) {
+                entry.status = SYNC_STATUS.FAILED;
+                entry.nextAttemptAt = null;
+                console.error(`[PolicyReconciler] Giving up on ${agentId} after ${entry.attempts} attempts:`, error.message);
+            } else {
+                entry.nextAttemptAt = now + this.getDelay(entry.attempts);
+            }
+            return false;
+        } finally {
+            this.running.delete(agentId);
+            this.emit('change', agentId);
+            this.schedule();
+        }
+    }
+
+    /**
+     * An agent reported in: converge it now if it was waiting for the agent
+     * Agents that are online but rejecting updates stay on their backoff.
+     */
+    agentSeen(agentId) {
+        const entry = this.queue[agentId];
+        if (entry && entry.status === SYNC_STATUS.PENDING && entry.offline !== false && !this.running.has(agentId)) {
+            this.reconcile(agentId).catch(error => {
+                console.error(`[PolicyReconciler] Error reconciling ${agentId}:`, error);
+            });
+        }
+    }
+
+    /**
+     * Reconcile every entry that is due
+     */
+    async reconcileDue(now = Date.now()) {
+        const due = Object.entries(this.queue)
+            .filter(([, entry]) => entry.status === SYNC_STATUS.PENDING && entry.nextAttemptAt <= now)
+            .map(([agentId]) => agentId);
+
+        for (const agentId of due) {
+            await this.reconcile(agentId, now);
+        }
+    }
+
+    /**
+     * Backoff before the next attempt: baseDelay doubled per attempt, capped at maxDelay
+     */
+    getDelay(attempts) {
+        return Math.min(this.maxDelay, this.baseDelay * 2 ** attempts);
+    }
+
+    /**
+     * Whether a policy an agent holds already has every field of an update
+     * @param {Object|undefined} policy - The agent's policy, undefined if it has none
+     * @param {Object} update - Policy update; metadata is compared field by field
+     */
+    static isApplied(policy, update) {
+        if (!policy) {
+            return false;
+        }
+
+        const same = (a, b) => PolicyProvisioner.stableStringify(a ?? null) === PolicyProvisioner.stableStringify(b ?? null);
+        return Object.entries(update).every(([key, value]) => key === 'metadata'
+            ? Object.entries(value || {}).every(([field, fieldValue]) => same(policy.metadata?.[field], fieldValue))
+            : same(policy[key], value));
+    }
+
+    /**
+     * Entries for display, most recently changed first
+     * @returns {Array} Array of { agentId, status, attempts, lastError, nextAttemptAt, policies }
+     */
+    list() {
+        return Object.entries(this.queue)
+            .map(([agentId, entry]) => ({
+                agentId,
+                status: entry.status,
+                attempts: entry.attempts,
+                lastError: entry.lastError,
+                nextAttemptAt: entry.nextAttemptAt,
+                createdAt: entry.createdAt,
+                updatedAt: entry.updatedAt,
+                policies: Object.values(entry.desired)
+            }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Arm the timer for the earliest pending retry
+     */
+    schedule() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (!this.started) {
+            return;
+        }
+
+        const times = Object.values(this.queue)
+            .filter(entry => entry.status === SYNC_STATUS.PENDING && entry.nextAttemptAt)
+            .map(entry => entry.nextAttemptAt);
+
+        if (times.length === 0) {
+            return;
+        }
+
+        const delay = Math.max(0, Math.min(...times) - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.reconcileDue().catch(error => {
+                console.error('[PolicyReconciler] Error reconciling agents:', error);
+            });
+        }, Math.min(delay, this.maxDelay));
+    }
+}
+
+module.exports = PolicyReconciler;
+module.exports.SYNC_STATUS = SYNC_STATUS;
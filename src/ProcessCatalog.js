@@ -0,0 +1,285 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const BUILTIN_CATALOG = require('./steam-processes.json');
+
+/**
+ * How a catalog rule matches a process
+ */
+const MATCH_TYPES = {
+    EXACT: 'exact',                         // Process name (or executable file name) equals the value
+    CASE_INSENSITIVE: 'case-insensitive',   // As exact, ignoring case
+    PATH_GLOB: 'path-glob',                 // Executable path matches a glob (* within a directory, ** across)
+    ARGUMENT: 'argument'                    // Any command line argument matches a glob
+};
+
+/**
+ * What a catalog entry is
+ */
+const PROCESS_ROLES = {
+    CLIENT: 'client',       // The Steam client itself
+    HELPER: 'helper',       // Processes the client runs (web helper, overlay, reaper)
+    SESSION: 'session'      // Sessions Steam runs in (Steam Deck Game Mode); identified, never blocked
+};
+
+const PLATFORMS = ['win32', 'darwin', 'linux'];
+const DEFAULT_PLATFORM = 'win32';
+
+/**
+ * ProcessCatalog - The processes that make up Steam on each platform
+ *
+ * Built-in entries come from steam-processes.json, which carries a version
+ * so agents get updated policies when it changes; parents can add their
+ * own entries, which are checked first. An entry matches a process when
+ * any of its rules does. Entries with a processName (and enforce not
+ * false) make up the Steam client policy's process list.
+ */
+class ProcessCatalog {
+    /**
+     * @param {Array} customEntries - Entries added by the parent
+     * @param {Object} catalog - Built-in catalog ({ version, entries })
+     */
+    constructor(customEntries = [], catalog = BUILTIN_CATALOG) {
+        this.catalog = catalog;
+        this.setCustomEntries(customEntries);
+    }
+
+    get version() {
+        return this.catalog.version;
+    }
+
+    /**
+     * @param {Array} entries - Entries added by the parent
+     */
+    setCustomEntries(entries) {
+        this.customEntries = (entries || []).map(entry => ({ ...entry, custom: true }));
+    }
+
+    /**
+     * Entries for a platform, custom entries first
+     * @param {string} platform - Agent platform (unknown platforms use win32)
+     */
+    getEntries(platform = null) {
+        const entries = [...this.customEntries, ...this.catalog.entries];
+        if (!platform) {
+            return entries;
+        }
+
+        const resolved = PLATFORMS.includes(platform) ? platform : DEFAULT_PLATFORM;
+        return entries.filter(entry => !entry.platforms || entry.platforms.includes(resolved));
+    }
+
+    /**
+     * Entries that are blocked along with the Steam client
+     */
+    getEnforcedEntries(platform) {
+        return this.getEntries(platform).filter(entry => entry.enforce !== false && entry.role !== PROCESS_ROLES.SESSION);
+    }
+
+    /**
+     * Process names for the Steam client policy, the built-in client first
+     * @returns {Array} Unique process names
+     */
+    getProcessNames(platform) {
+        const entries = this.getEnforcedEntries(platform);
+        const main = entries.find(entry => !entry.custom && entry.role === PROCESS_ROLES.CLIENT && entry.processName);
+        const names = entries.filter(entry => entry.processName).map(entry => entry.processName);
+
+        return [...new Set(main ? [main.processName, ...names] : names)];
+    }
+
+    /**
+     * Match rules for the Steam client policy, for agents that match on more than the name
+     * @returns {Array} Array of { id, type, value }
+     */
+    getRules(platform) {
+        const rules = [];
+        for (const entry of this.getEnforcedEntries(platform)) {
+            for (const rule of entry.match) {
+                rules.push({ id: entry.id, type: rule.type, value: rule.value });
+            }
+        }
+        return rules;
+    }
+
+    /**
+     * Find the entry a reported process belongs to
+     * @param {Object} processInfo - Agent report: { processName, processPath | executablePath,
+     *                               commandLine (string or array) | args }
+     * @param {string} platform - Agent platform
+     * @returns {Object|null} Matching entry
+     */
+    match(processInfo, platform) {
+        const target = ProcessCatalog.describeProcess(processInfo);
+        if (!target.name && !target.path && target.args.length === 0) {
+            return null;
+        }
+
+        return this.getEntries(platform).find(entry =>
+            entry.match.some(rule => ProcessCatalog.matchRule(rule, target, platform))
+        ) || null;
+    }
+
+    /**
+     * @returns {Object} { name, path, args } with paths using forward slashes
+     */
+    static describeProcess(processInfo) {
+        const args = Array.isArray(processInfo.args)
+            ? processInfo.args
+            : Array.isArray(processInfo.commandLine)
+                ? processInfo.commandLine
+                : ProcessCatalog.splitCommandLine(processInfo.commandLine);
+
+        const path = ProcessCatalog.normalizePath(processInfo.processPath || processInfo.executablePath || args[0] || '');
+
+        return {
+            name: processInfo.processName || '',
+            path,
+            fileName: path.split('/').pop(),
+            args: args.map(arg => ProcessCatalog.normalizePath(arg))
+        };
+    }
+
+    static matchRule(rule, target, platform) {
+        switch (rule.type) {
+            case MATCH_TYPES.EXACT:
+                return target.name === rule.value || target.fileName === rule.value;
+            case MATCH_TYPES.CASE_INSENSITIVE: {
+                const value = rule.value.toLowerCase();
+                return target.name.toLowerCase() === value || target.fileName.toLowerCase() === value;
+            }
+            case MATCH_TYPES.PATH_GLOB:
+                return Boolean(target.path) && ProcessCatalog.globToRegExp(rule.value, platform === 'win32').test(target.path);
+            case MATCH_TYPES.ARGUMENT: {
+                const pattern = ProcessCatalog.globToRegExp(rule.value);
+                return target.args.some(arg => pattern.test(arg));
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check an entry a parent wants to add
+     * @returns {Object} The entry, normalized
+     * @throws {Error} If the entry is not valid
+     */
+    static validateEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error('Process entry is required');
+        }
+
+        const label = String(entry.label || '').trim();
+        if (!label) {
+            throw new Error('Process entry needs a label');
+        }
+
+        const platforms = entry.platforms || PLATFORMS;
+        if (!Array.isArray(platforms) || platforms.length === 0 || platforms.some(platform => !PLATFORMS.includes(platform))) {
+            throw new Error(`Platforms must be some of: ${PLATFORMS.join(', ')}`);
+        }
+
+        const role = entry.role || PROCESS_ROLES.CLIENT;
+        if (!Object.values(PROCESS_ROLES).includes(role)) {
+            throw new Error(`Unknown process role: ${role}`);
+        }
+
+        if (!Array.isArray(entry.match) || entry.match.length === 0) {
+            throw new Error('Process entry needs at least one match rule');
+        }
+
+        const match = entry.match.map(rule => {
+            if (!Object.values(MATCH_TYPES).includes(rule?.type)) {
+                throw new Error(`Unknown match type: ${rule?.type}`);
+            }
+            const value = String(rule.value || '').trim();
+            if (!value) {
+                throw new Error('Match rules need a value');
+            }
+            return { type: rule.type, value };
+        });
+
+        // Name rules give the agent a process name to block; glob and argument rules only identify
+        const nameRule = match.find(rule => rule.type === MATCH_TYPES.EXACT || rule.type === MATCH_TYPES.CASE_INSENSITIVE);
+        const processName = entry.processName || nameRule?.value;
+
+        return {
+            id: entry.id,
+            label,
+            platforms,
+            role,
+            ...(processName ? { processName } : {}),
+            ...(entry.enforce === false ? { enforce: false } : {}),
+            match
+        };
+    }
+
+    /**
+     * Convert a glob to a regular expression matching the whole string
+     * * matches within a path segment, ** across segments, ? one character
+     */
+    static globToRegExp(glob, ignoreCase = false) {
+        let source = '';
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+
+            if (char === '*' && glob[i + 1] === '*') {
+                i++;
+                if (glob[i + 1] === '/') {
+                    i++;
+                    source += '(?:.*/)?';
+                } else {
+                    source += '.*';
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+    }
+
+    /**
+     * Split a command line into arguments, honouring double quotes
+     */
+    static splitCommandLine(commandLine) {
+        if (!commandLine) {
+            return [];
+        }
+
+        const args = [];
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(commandLine)) !== null) {
+            args.push(match[1] ?? match[2]);
+        }
+        return args;
+    }
+
+    static normalizePath(value) {
+        return String(value).replace(/"/g, '').replace(/\\/g, '/');
+    }
+}
+
+module.exports = ProcessCatalog;
+module.exports.MATCH_TYPES = MATCH_TYPES;
+module.exports.PROCESS_ROLES = PROCESS_ROLES;
@@ -0,0 +1,358 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Schedule window types
+ */
+const WINDOW_TYPES = {
+    ALLOW: 'allow',     // On days with allow windows, Steam is only allowed inside them
+    BLOCK: 'block'      // Steam is never allowed inside a block window
+};
+
+const MINUTE = 60000;
+
+// How far ahead to look for the next change
+const LOOKAHEAD_DAYS = 8;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = {};
+
+/**
+ * Scheduler - Time-of-day schedule windows per child
+ *
+ * A schedule is { timezone, windows: [{ type, days, start, end }] } where
+ * days are 0 (Sunday) to 6, and start/end are local 'HH:MM' times. A window
+ * whose end is not after its start runs overnight into the next day.
+ *
+ * Windows are evaluated on the wall clock of the schedule's timezone, so
+ * they follow DST changes. The scheduler arms a timer for the next change
+ * of any child and emits 'change' (childId, allowed) when it happens.
+ */
+class Scheduler extends EventEmitter {
+    /**
+     * @param {Object} options - { schedules, maxWait } maxWait caps the timer so
+     *                           clock changes and sleep are picked up
+     */
+    constructor(options = {}) {
+        super();
+        this.schedules = {};
+        this.lastAllowed = {};
+        this.maxWait = options.maxWait || 60 * MINUTE;
+        this.timer = null;
+
+        for (const [childId, schedule] of Object.entries(options.schedules || {})) {
+            this.schedules[childId] = Scheduler.validate(schedule);
+        }
+    }
+
+    /**
+     * Set or replace a child's schedule
+     * @param {string} childId - Allow2 child ID
+     * @param {Object|null} schedule - Schedule, or null to remove it
+     * @throws {Error} If the schedule is invalid
+     */
+    setSchedule(childId, schedule) {
+        if (schedule) {
+            const validated = Scheduler.validate(schedule);
+
+            // Without a schedule the child was allowed, so a new schedule that blocks now is a change
+            if (!(childId in this.lastAllowed)) {
+                this.lastAllowed[childId] = true;
+            }
+            this.schedules[childId] = validated;
+        } else {
+            delete this.schedules[childId];
+        }
+
+        if (this.timer) {
+            this.check();
+        }
+    }
+
+    /**
+     * Whether the child's schedule allows Steam at a given time
+     * Children without a schedule are always allowed.
+     */
+    isAllowed(childId, now = Date.now()) {
+        const schedule = this.schedules[childId];
+        if (!schedule) {
+            return true;
+        }
+
+        const local = Scheduler.localTime(now, schedule.timezone);
+        const yesterday = (local.weekday + 6) % 7;
+        let restricted = false;
+        let inAllowWindow = false;
+
+        for (const window of schedule.windows) {
+            const start = Scheduler.parseTime(window.start);
+            const end = Scheduler.parseTime(window.end);
+            const overnight = end <= start;
+
+            const active = overnight
+                ? (window.days.includes(local.weekday) && local.minutes >= start) ||
+                  (window.days.includes(yesterday) && local.minutes < end)
+                : window.days.includes(local.weekday) && local.minutes >= start && local.minutes < end;
+
+            if (window.type === WINDOW_TYPES.BLOCK) {
+                if (active) {
+                    return false;
+                }
+            } else {
+                restricted = restricted || window.days.includes(local.weekday);
+                inAllowWindow = inAllowWindow || active;
+            }
+        }
+
+        return !restricted || inAllowWindow;
+    }
+
+    /**
+     * When the child's schedule next changes from allowed to blocked or back
+     * @returns {number|null} Timestamp, or null if nothing changes within LOOKAHEAD_DAYS
+     */
+    nextChange(childId, now = Date.now()) {
+        const schedule = this.schedules[childId];
+        if (!schedule) {
+            return null;
+        }
+
+        const current = this.isAllowed(childId, now);
+        const candidates = Scheduler.getBoundaries(schedule, now)
+            .filter(timestamp => timestamp > now)
+            .sort((a, b) => a - b);
+
+        return candidates.find(timestamp => this.isAllowed(childId, timestamp) !== current) || null;
+    }
+
+    /**
+     * Evaluate every schedule now and keep re-evaluating at each change
+     */
+    start() {
+        this.stop();
+        this.check();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Emit changes since the last check and arm the timer for the next one
+     */
+    check(now = Date.now()) {
+        let next = now + this.maxWait;
+
+        for (const childId of Object.keys(this.schedules)) {
+            const allowed = this.isAllowed(childId, now);
+            if (childId in this.lastAllowed && this.lastAllowed[childId] !== allowed) {
+                this.emit('change', childId, allowed);
+            }
+            this.lastAllowed[childId] = allowed;
+
+            const change = this.nextChange(childId, now);
+            if (change && change < next) {
+                next = change;
+            }
+        }
+
+        // A removed schedule allows Steam again
+        for (const childId of Object.keys(this.lastAllowed)) {
+            if (!this.schedules[childId]) {
+                if (!this.lastAllowed[childId]) {
+                    this.emit('change', childId, true);
+                }
+                delete this.lastAllowed[childId];
+            }
+        }
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => this.check(), next - now);
+    }
+
+    toJSON() {
+        return this.schedules;
+    }
+
+    /**
+     * Check a schedule and return a normalized copy
+     * @throws {Error} If the timezone, a day or a time is invalid
+     */
+    static validate(schedule) {
+        const timezone = schedule.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        try {
+            Scheduler.getFormatter(timezone);
+        } catch (error) {
+            throw new Error(`Invalid timezone: ${timezone}`);
+        }
+
+        const windows = (schedule.windows || []).map((window, index) => {
+            if (!Object.values(WINDOW_TYPES).includes(window.type)) {
+                throw new Error(`Window ${index + 1}: invalid type ${window.type}`);
+            }
+
+            const days = [...new Set(window.days || [])].sort();
+            if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+                throw new Error(`Window ${index + 1}: days must be 0 (Sunday) to 6`);
+            }
+
+            const start = Scheduler.parseTime(window.start);
+            const end = Scheduler.parseTime(window.end);
+            if (start === null || end === null || start === 1440) {
+                throw new Error(`Window ${index + 1}: times must be HH:MM`);
+            }
+            if (start === end) {
+                throw new Error(`Window ${index + 1}: start and end are the same`);
+            }
+
+            return { ...window, days };
+        });
+
+        return { timezone, windows };
+    }
+
+    /**
+     * @param {string} time - 'HH:MM', '24:00' allowed as an end time
+     * @returns {number|null} Minutes since midnight
+     */
+    static parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+        if (!match) {
+            return null;
+        }
+
+        const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+        return parseInt(match[2], 10) < 60 && minutes <= 1440 ? minutes : null;
+    }
+
+    /**
+     * Wall clock time in a timezone
+     * @returns {Object} { year, month, day, weekday, minutes }
+     */
+    static localTime(timestamp, timeZone) {
+        const parts = {};
+        for (const part of Scheduler.getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+            parts[part.type] = part.value;
+        }
+
+        return {
+            year: parseInt(parts.year, 10),
+            month: parseInt(parts.month, 10),
+            day: parseInt(parts.day, 10),
+            weekday: WEEKDAYS[parts.weekday],
+            minutes: parseInt(parts.hour, 10) % 24 * 60 + parseInt(parts.minute, 10),
+            seconds: parseInt(parts.second, 10)
+        };
+    }
+
+    /**
+     * Offset of a timezone from UTC at a given time, in ms
+     */
+    static getOffset(timestamp, timeZone) {
+        const local = Scheduler.localTime(timestamp, timeZone);
+        const wallClock = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes, local.seconds);
+        return wallClock - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    /**
+     * Instants at which a schedule may change: window starts and ends, local
+     * midnights and DST transitions, from yesterday (overnight windows) for LOOKAHEAD_DAYS
+     */
+    static getBoundaries(schedule, now) {
+        const { timezone } = schedule;
+        const today = Scheduler.localTime(now, timezone);
+        const boundaries = [];
+
+        // Walk local dates from today; Date.UTC normalizes month and year rollover
+        const toInstant = (dayOffset, minutes) => {
+            const wallClock = Date.UTC(today.year, today.month - 1, today.day + dayOffset, 0, minutes);
+            const guess = wallClock - Scheduler.getOffset(wallClock, timezone);
+            return wallClock - Scheduler.getOffset(guess, timezone);
+        };
+
+        for (let dayOffset = -1; dayOffset <= LOOKAHEAD_DAYS; dayOffset++) {
+            const weekday = (today.weekday + dayOffset + 7) % 7;
+            const midnight = toInstant(dayOffset, 0);
+            const nextMidnight = toInstant(dayOffset + 1, 0);
+            boundaries.push(midnight);
+
+            // Times skipped by a DST change start at the transition itself
+            if (Scheduler.getOffset(midnight, timezone) !== Scheduler.getOffset(nextMidnight, timezone)) {
+                boundaries.push(Scheduler.findTransition(midnight, nextMidnight, timezone));
+            }
+
+            for (const window of schedule.windows) {
+                if (!window.days.includes(weekday)) {
+                    continue;
+                }
+
+                const start = Scheduler.parseTime(window.start);
+                const end = Scheduler.parseTime(window.end);
+                boundaries.push(toInstant(dayOffset, start));
+                boundaries.push(end <= start ? toInstant(dayOffset + 1, end) : toInstant(dayOffset, end));
+            }
+        }
+
+        return boundaries;
+    }
+
+    /**
+     * Binary search for the minute a timezone's offset changes
+     */
+    static findTransition(from, to, timeZone) {
+        const offset = Scheduler.getOffset(from, timeZone);
+
+        while (to - from > MINUTE) {
+            const middle = from + Math.floor((to - from) / 2 / MINUTE) * MINUTE;
+            if (Scheduler.getOffset(middle, timeZone) === offset) {
+                from = middle;
+            } else {
+                to = middle;
+            }
+        }
+
+        return to;
+    }
+
+    static getFormatter(timeZone) {
+        if (!formatters[timeZone]) {
+            formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                weekday: 'short',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        return formatters[timeZone];
+    }
+}
+
+module.exports = Scheduler;
+module.exports.WINDOW_TYPES = WINDOW_TYPES;
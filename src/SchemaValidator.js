@@ -0,0 +1,128 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+/**
+ * SchemaValidator - Check values against a JSON schema
+ *
+ * Supports the keywords the plugin's action and trigger schemas use:
+ * type (one or a list; integer included), enum, minimum, maximum,
+ * minLength, maxLength, pattern, properties, required,
+ * additionalProperties (false or a schema), items, minItems and maxItems.
+ * Other keywords are ignored.
+ */
+class SchemaValidator {
+    /**
+     * @param {Object} schema - JSON schema
+     * @param {*} value - Value to check
+     * @param {string} at - Name of the value in error messages
+     * @returns {Array} Error messages, empty when the value is valid
+     */
+    static validate(schema, value, at = 'value') {
+        if (!schema) {
+            return [];
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => SchemaValidator.isType(value, type))) {
+                return [`${at} must be ${types.join(' or ')}`];
+            }
+        }
+
+        const errors = [];
+
+        if (schema.enum && !schema.enum.some(option => option === value)) {
+            errors.push(`${at} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${at} must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${at} must be at most ${schema.maximum}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${at} must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${at} must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${at} must match ${schema.pattern}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${at} must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${at} must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...SchemaValidator.validate(schema.items, item, `${at}[${index}]`)));
+            }
+        }
+
+        if (SchemaValidator.isType(value, 'object')) {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push(`${at}.${key} is required`);
+                }
+            }
+
+            const properties = schema.properties || {};
+            for (const [key, propertyValue] of Object.entries(value)) {
+                if (propertyValue === undefined) {
+                    continue;
+                }
+                if (properties[key]) {
+                    errors.push(...SchemaValidator.validate(properties[key], propertyValue, `${at}.${key}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${at}.${key} is not allowed`);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...SchemaValidator.validate(schema.additionalProperties, propertyValue, `${at}.${key}`));
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === type;
+        }
+    }
+}
+
+module.exports = SchemaValidator;
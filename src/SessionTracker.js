@@ -0,0 +1,209 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const EventEmitter = require('events');
+
+// Session key for "anything Steam-related is running" on an agent
+const ANY_APP = '*';
+
+/**
+ * SessionTracker - Turns process observations from agents into usage sessions
+ *
+ * Observations are paired into sessions per agent and per app. The Steam
+ * client and a game run as separate, overlapping sessions, while an extra
+ * ANY_APP session per agent covers the union of everything so total gaming
+ * time is never double counted.
+ *
+ * Agents report running processes every checkInterval. A session whose
+ * last observation is older than staleAfter is closed at that observation:
+ * time the agent was offline or restarting is not counted unless later
+ * observations show the process kept running.
+ *
+ * Time of sessions still running can be taken as it accrues (takeUnreported);
+ * each session keeps a reportedUntil watermark so no time is handed out twice.
+ *
+ * Emits 'sessionClosed' (session) for every completed session.
+ */
+class SessionTracker extends EventEmitter {
+    /**
+     * @param {Object} options - { staleAfter, openSessions } openSessions restores persisted state
+     */
+    constructor(options = {}) {
+        super();
+        this.staleAfter = options.staleAfter || 90000;
+        this.openSessions = options.openSessions || {};
+        this.lastClosed = {};
+    }
+
+    /**
+     * Record that a process is running
+     * @param {Object} observation - { agentId, appId, processName, childId, timestamp }
+     *                               appId is 'steam' for the client itself
+     */
+    observe({ agentId, appId, processName, childId = null, timestamp = Date.now() }) {
+        this.observeKey(agentId, appId, processName, childId, timestamp);
+        this.observeKey(agentId, ANY_APP, `${appId}:${processName}`, childId, timestamp);
+    }
+
+    /**
+     * Record that a process has exited
+     * @param {Object} observation - { agentId, appId, processName, timestamp }
+     */
+    stop({ agentId, appId, processName, timestamp = Date.now() }) {
+        this.stopKey(agentId, appId, processName, timestamp);
+        this.stopKey(agentId, ANY_APP, `${appId}:${processName}`, timestamp);
+    }
+
+    /**
+     * Close every open session of an agent at its last observation
+     * Used when the agent disconnects or restarts (its process list starts over).
+     * @param {string} agentId - Agent ID
+     * @param {string} reason - Why the sessions were closed
+     */
+    closeAgent(agentId, reason = 'disconnected') {
+        for (const key of Object.keys(this.openSessions)) {
+            const session = this.openSessions[key];
+            if (session.agentId === agentId) {
+                this.close(key, session.lastSeenAt, reason);
+            }
+        }
+    }
+
+    /**
+     * Close sessions that have not been observed for staleAfter
+     * @param {number} now - Current time
+     */
+    expireStale(now = Date.now()) {
+        for (const key of Object.keys(this.openSessions)) {
+            const session = this.openSessions[key];
+            if (now - session.lastSeenAt > this.staleAfter) {
+                this.close(key, session.lastSeenAt, 'stale');
+            }
+        }
+    }
+
+    /**
+     * Take the time open sessions have run since it was last taken, up to their last observation
+     * The closed session's reportedUntil tells where its untaken time starts.
+     * @param {number} minDuration - Leave sessions with less untaken time than this for later
+     * @returns {Array} Array of { agentId, appId, childId, startedAt, endedAt, duration }
+     */
+    takeUnreported(minDuration = 0) {
+        const periods = [];
+
+        for (const session of Object.values(this.openSessions)) {
+            const startedAt = session.reportedUntil ?? session.startedAt;
+            const duration = session.lastSeenAt - startedAt;
+            if (duration > 0 && duration >= minDuration) {
+                periods.push({
+                    agentId: session.agentId,
+                    appId: session.appId,
+                    childId: session.childId,
+                    startedAt,
+                    endedAt: session.lastSeenAt,
+                    duration
+                });
+                session.reportedUntil = session.lastSeenAt;
+            }
+        }
+
+        return periods;
+    }
+
+    /**
+     * Open sessions for persisting in plugin state
+     */
+    toJSON() {
+        return this.openSessions;
+    }
+
+    observeKey(agentId, appId, processName, childId, timestamp) {
+        const key = `${agentId}:${appId}`;
+        let session = this.openSessions[key];
+
+        // Late observations (e.g. buffered while offline) that are already covered
+        if (session && timestamp < session.lastSeenAt) {
+            return;
+        }
+
+        if (session && timestamp - session.lastSeenAt > this.staleAfter) {
+            this.close(key, session.lastSeenAt, 'stale');
+            session = null;
+        }
+
+        if (!session) {
+            // Bridge a gap the agent could not report on if the process evidently kept running
+            const previous = this.lastClosed[key];
+            const resumesPrevious = previous && previous.reason !== 'stopped' &&
+                timestamp >= previous.endedAt && timestamp - previous.endedAt <= this.staleAfter;
+
+            session = {
+                agentId,
+                appId,
+                childId,
+                startedAt: resumesPrevious ? previous.endedAt : timestamp,
+                lastSeenAt: timestamp,
+                reportedUntil: resumesPrevious ? previous.endedAt : timestamp,
+                processes: []
+            };
+            this.openSessions[key] = session;
+        }
+
+        session.lastSeenAt = timestamp;
+        session.childId = childId || session.childId;
+        if (!session.processes.includes(processName)) {
+            session.processes.push(processName);
+        }
+    }
+
+    stopKey(agentId, appId, processName, timestamp) {
+        const key = `${agentId}:${appId}`;
+        const session = this.openSessions[key];
+        if (!session) {
+            return;
+        }
+
+        session.processes = session.processes.filter(name => name !== processName);
+
+        // The client and its helpers share a session until the last one exits
+        if (session.processes.length === 0) {
+            this.close(key, Math.max(timestamp, session.lastSeenAt), 'stopped');
+        }
+    }
+
+    close(key, endedAt, reason) {
+        const session = this.openSessions[key];
+        delete this.openSessions[key];
+
+        const closed = {
+            agentId: session.agentId,
+            appId: session.appId,
+            childId: session.childId,
+            startedAt: session.startedAt,
+            endedAt,
+            duration: Math.max(0, endedAt - session.startedAt),
+            reportedUntil: Math.min(session.reportedUntil ?? session.startedAt, endedAt),
+            reason
+        };
+
+        this.lastClosed[key] = closed;
+        this.emit('sessionClosed', closed);
+    }
+}
+
+module.exports = SessionTracker;
+module.exports.ANY_APP = ANY_APP;
@@ -0,0 +1,167 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const ActionDispatcher = require('./ActionDispatcher');
+const { DEFAULT_MAX_MINUTES } = require('./OverrideManager');
+const { api: MANIFEST } = require('../package.json').allow2automate;
+
+const AGENT_ID = { type: 'string', minLength: 1 };
+
+const SETTINGS = {
+    type: 'object',
+    properties: {
+        checkInterval: { type: 'integer', minimum: 1000 },
+        killOnViolation: { type: 'boolean' },
+        notifyParent: { type: 'boolean' },
+        warningMinutes: { type: 'integer', minimum: 0 },
+        finalWarningMinutes: { type: 'integer', minimum: 0 },
+        gracePeriodSeconds: { type: 'integer', minimum: 0 },
+        violationRetentionDays: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+};
+
+/**
+ * Params of the actions in the package.json manifest
+ */
+const ACTION_PARAMS = {
+    enableSteamMonitoring: {
+        type: 'object',
+        properties: {
+            agentId: AGENT_ID       // One agent; all agents if left out
+        },
+        additionalProperties: false
+    },
+    updateSteamPolicy: {
+        type: 'object',
+        properties: {
+            agentId: AGENT_ID,      // One agent; all agents if left out
+            refreshInventory: { type: 'boolean' },
+            settings: SETTINGS
+        },
+        additionalProperties: false
+    },
+    getSteamStatus: {
+        type: 'object',
+        additionalProperties: false
+    },
+    requestSteamOverride: {
+        type: 'object',
+        required: ['childId', 'minutes'],
+        properties: {
+            childId: { type: 'string', minLength: 1 },
+            agentId: AGENT_ID,      // Device the child asked on, if any
+            minutes: { type: 'integer', minimum: 1, maximum: DEFAULT_MAX_MINUTES },
+            reason: { type: 'string', maxLength: 200 }
+        },
+        additionalProperties: false
+    }
+};
+
+/**
+ * Payloads of the triggers in the package.json manifest
+ */
+const TRIGGER_PAYLOADS = {
+    steamViolation: {
+        type: 'object',
+        required: ['stage', 'timestamp'],
+        properties: {
+            id: { type: 'string' },
+            agentId: { type: ['string', 'null'] },
+            childId: { type: ['string', 'null'] },
+            appId: { type: ['string', 'null'] },
+            gameName: { type: 'string' },
+            stage: { type: 'string' },
+            action: { type: 'string' },
+            reasons: { type: 'array', items: { type: 'string' } },
+            timestamp: { type: 'integer' }
+        }
+    },
+    steamDetected: {
+        type: 'object',
+        required: ['agentId', 'processName', 'timestamp'],
+        properties: {
+            agentId: { type: 'string' },
+            processName: { type: 'string' },
+            catalogEntry: { type: 'string' },
+            timestamp: { type: 'integer' }
+        }
+    },
+    steamTamper: {
+        type: 'object',
+        required: ['tamperType', 'severity', 'message', 'timestamp'],
+        properties: {
+            tamperType: {
+                type: 'string',
+                enum: ['renamedBinary', 'portableCopy', 'heartbeatGap', 'familyViewDisabled', 'parentalRollback']
+            },
+            severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+            agentId: { type: ['string', 'null'] },
+            childId: { type: ['string', 'null'] },
+            message: { type: 'string' },
+            timestamp: { type: 'integer' }
+        }
+    }
+};
+
+/**
+ * Join the manifest's actions or triggers with their schemas
+ * @param {Array} entries - [{ id, name, description }]
+ * @param {Object} schemas - id -> JSON schema
+ * @param {string} key - params | payload
+ * @returns {Object} id -> { name, description, [key] }
+ */
+function withSchemas(entries, schemas, key) {
+    const definitions = {};
+    for (const { id, name, description } of entries) {
+        if (!schemas[id]) {
+            throw new Error(`${id} in the manifest has no ${key} schema`);
+        }
+        definitions[id] = { name, description, [key]: schemas[id] };
+    }
+    return definitions;
+}
+
+const ACTIONS = withSchemas(MANIFEST.actions, ACTION_PARAMS, 'params');
+const TRIGGERS = withSchemas(MANIFEST.triggers, TRIGGER_PAYLOADS, 'payload');
+
+/**
+ * SteamApi - The Steam plugin's actions and triggers
+ *
+ * Defines what the package.json manifest declares on an ActionDispatcher,
+ * with the schemas above; the plugin supplies a handler for each action.
+ */
+class SteamApi extends ActionDispatcher {
+    /**
+     * @param {Object} context - Allow2Automate plugin context
+     * @param {Object} handlers - actionId -> async (params) => result
+     */
+    constructor(context, handlers = {}) {
+        super(context);
+
+        for (const [id, definition] of Object.entries(ACTIONS)) {
+            this.defineAction(id, { ...definition, handler: handlers[id] });
+        }
+        for (const [id, definition] of Object.entries(TRIGGERS)) {
+            this.defineTrigger(id, definition);
+        }
+    }
+}
+
+module.exports = SteamApi;
+module.exports.ACTIONS = ACTIONS;
+module.exports.TRIGGERS = TRIGGERS;
@@ -0,0 +1,299 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+/**
+ * Binary VDF type tags
+ */
+const TYPES = {
+    MAP: 0x00,
+    STRING: 0x01,
+    INT32: 0x02,
+    FLOAT32: 0x03,
+    POINTER: 0x04,
+    WIDESTRING: 0x05,
+    COLOR: 0x06,
+    UINT64: 0x07,
+    END: 0x08,
+    INT64: 0x0A,
+    END_ALT: 0x0B
+};
+
+/**
+ * appinfo.vdf header magic numbers
+ */
+const APPINFO_MAGIC = {
+    V27: 0x07564427,
+    V28: 0x07564428,    // Adds a binary SHA-1 of the key-value data to each entry
+    V29: 0x07564429     // Keys are stored in a string table at the end of the file
+};
+
+/**
+ * SteamBinaryVDFReader - Decode Steam's binary VDF format
+ * Used by shortcuts.vdf (non-Steam games) and appcache/appinfo.vdf (app metadata)
+ */
+class SteamBinaryVDFReader {
+    /**
+     * @param {Buffer} buffer - Binary VDF content
+     * @param {Object} options - { stringTable } keys are int32 indices into this table when set
+     */
+    constructor(buffer, options = {}) {
+        this.buffer = buffer;
+        this.offset = 0;
+        this.stringTable = options.stringTable || null;
+    }
+
+    /**
+     * Read a complete binary VDF document
+     * @returns {Object} Decoded key-values
+     */
+    readDocument() {
+        return this.readMap();
+    }
+
+    /**
+     * Read key-value pairs until an end tag or the end of the buffer
+     * @returns {Object} Decoded map
+     */
+    readMap() {
+        const result = {};
+
+        while (this.offset < this.buffer.length) {
+            const type = this.readUInt8();
+            if (type === TYPES.END || type === TYPES.END_ALT) {
+                break;
+            }
+
+            const key = this.readKey();
+            result[key] = this.readValue(type, key);
+        }
+
+        return result;
+    }
+
+    /**
+     * Read a value of the given type
+     */
+    readValue(type, key) {
+        switch (type) {
+            case TYPES.MAP:
+                return this.readMap();
+            case TYPES.STRING:
+                return this.readString();
+            case TYPES.INT32:
+            case TYPES.POINTER:
+            case TYPES.COLOR:
+                return this.readInt32();
+            case TYPES.FLOAT32:
+                return this.readFloat32();
+            case TYPES.WIDESTRING:
+                return this.readWideString();
+            case TYPES.UINT64:
+                return this.readUInt64();
+            case TYPES.INT64:
+                return this.readInt64();
+            default:
+                throw new Error(`Unknown binary VDF type 0x${type.toString(16)} for key "${key}" at offset ${this.offset - 1}`);
+        }
+    }
+
+    /**
+     * Read a key, either inline or via the string table
+     */
+    readKey() {
+        if (this.stringTable) {
+            const index = this.readInt32();
+            if (index < 0 || index >= this.stringTable.length) {
+                throw new Error(`String table index ${index} out of range`);
+            }
+            return this.stringTable[index];
+        }
+
+        return this.readString();
+    }
+
+    readUInt8() {
+        this.ensureAvailable(1);
+        const value = this.buffer.readUInt8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    readInt32() {
+        this.ensureAvailable(4);
+        const value = this.buffer.readInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readUInt32() {
+        this.ensureAvailable(4);
+        const value = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readFloat32() {
+        this.ensureAvailable(4);
+        const value = this.buffer.readFloatLE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    /**
+     * 64-bit values are returned as decimal strings to avoid losing precision
+     */
+    readUInt64() {
+        this.ensureAvailable(8);
+        const low = this.buffer.readUInt32LE(this.offset);
+        const high = this.buffer.readUInt32LE(this.offset + 4);
+        this.offset += 8;
+        return ((BigInt(high) << BigInt(32)) | BigInt(low)).toString();
+    }
+
+    readInt64() {
+        this.ensureAvailable(8);
+        const low = this.buffer.readUInt32LE(this.offset);
+        const high = this.buffer.readInt32LE(this.offset + 4);
+        this.offset += 8;
+        return ((BigInt(high) << BigInt(32)) + BigInt(low)).toString();
+    }
+
+    /**
+     * Read a null-terminated UTF-8 string
+     */
+    readString() {
+        const end = this.buffer.indexOf(0, this.offset);
+        if (end === -1) {
+            throw new Error(`Unterminated string at offset ${this.offset}`);
+        }
+
+        const value = this.buffer.toString('utf8', this.offset, end);
+        this.offset = end + 1;
+        return value;
+    }
+
+    /**
+     * Read a null-terminated UTF-16LE string
+     */
+    readWideString() {
+        let end = this.offset;
+        while (end + 1 < this.buffer.length && (this.buffer[end] !== 0 || this.buffer[end + 1] !== 0)) {
+            end += 2;
+        }
+        if (end + 1 >= this.buffer.length) {
+            throw new Error(`Unterminated wide string at offset ${this.offset}`);
+        }
+
+        const value = this.buffer.toString('utf16le', this.offset, end);
+        this.offset = end + 2;
+        return value;
+    }
+
+    ensureAvailable(length) {
+        if (this.offset + length > this.buffer.length) {
+            throw new Error(`Unexpected end of binary VDF at offset ${this.offset}`);
+        }
+    }
+
+    /**
+     * Decode appcache/appinfo.vdf
+     * @param {Buffer} buffer - File content
+     * @param {Object} options - { appIds } only decode these apps (others are skipped unread)
+     * @returns {Object} { version, universe, apps: { appId -> { appId, infoState, lastUpdated, changeNumber, data } } }
+     */
+    static readAppInfo(buffer, options = {}) {
+        const header = new SteamBinaryVDFReader(buffer);
+        const magic = header.readUInt32();
+        const universe = header.readUInt32();
+
+        if (!Object.values(APPINFO_MAGIC).includes(magic)) {
+            throw new Error(`Unsupported appinfo.vdf version 0x${magic.toString(16)}`);
+        }
+
+        let stringTable = null;
+        if (magic === APPINFO_MAGIC.V29) {
+            const tableOffset = Number(header.readInt64());
+            stringTable = SteamBinaryVDFReader.readStringTable(buffer, tableOffset);
+        }
+
+        const wanted = options.appIds ? new Set(options.appIds.map(String)) : null;
+        const apps = {};
+        const reader = new SteamBinaryVDFReader(buffer, { stringTable });
+        reader.offset = header.offset;
+
+        while (reader.offset < buffer.length) {
+            const appId = reader.readUInt32();
+            if (appId === 0) {
+                break;
+            }
+
+            const size = reader.readUInt32();
+            const entryEnd = reader.offset + size;
+
+            if (wanted && !wanted.has(String(appId))) {
+                reader.offset = entryEnd;
+                continue;
+            }
+
+            const infoState = reader.readUInt32();
+            const lastUpdated = reader.readUInt32();
+            reader.readUInt64();                    // PICS token
+            reader.offset += 20;                    // SHA-1 of the text key-values
+            const changeNumber = reader.readUInt32();
+            if (magic !== APPINFO_MAGIC.V27) {
+                reader.offset += 20;                // SHA-1 of the binary key-values
+            }
+
+            const data = reader.readMap();
+            apps[appId] = {
+                appId: String(appId),
+                infoState,
+                lastUpdated,
+                changeNumber,
+                data: data.appinfo || data
+            };
+
+            reader.offset = entryEnd;
+        }
+
+        return {
+            version: magic & 0xff,
+            universe,
+            apps
+        };
+    }
+
+    /**
+     * Read the appinfo.vdf v29 key string table
+     */
+    static readStringTable(buffer, tableOffset) {
+        const reader = new SteamBinaryVDFReader(buffer);
+        reader.offset = tableOffset;
+
+        const count = reader.readUInt32();
+        const strings = new Array(count);
+        for (let i = 0; i < count; i++) {
+            strings[i] = reader.readString();
+        }
+
+        return strings;
+    }
+}
+
+module.exports = SteamBinaryVDFReader;
+module.exports.TYPES = TYPES;
+module.exports.APPINFO_MAGIC = APPINFO_MAGIC;
@@ -0,0 +1,248 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SteamFileWatcher - Managed watching of Steam's files
+ *
+ * Watches directories rather than files: Steam saves by writing a temporary
+ * file and renaming it over the original, which silently detaches a watcher
+ * on the file itself. Bursts of events for a file are debounced into one
+ * callback. A directory that is deleted (or not there yet) is polled for and
+ * re-watched when it appears, and its files are rescanned so changes made
+ * in the meantime are reported.
+ */
+class SteamFileWatcher {
+    /**
+     * @param {Object} options - { debounce, pollInterval } in ms
+     */
+    constructor(options = {}) {
+        this.debounce = options.debounce ?? 500;
+        this.pollInterval = options.pollInterval ?? 5000;
+        this.entries = new Set();
+        this.pollTimer = null;
+    }
+
+    /**
+     * Watch the files in a directory
+     * @param {string} dirPath - Directory to watch
+     * @param {Function} matcher - matcher(fileName) selects the files to report
+     * @param {Function} callback - callback(filePath, exists) after a debounced change
+     * @returns {Object} Handle with close()
+     */
+    watch(dirPath, matcher, callback) {
+        const entry = {
+            dirPath,
+            matcher,
+            callback,
+            watcher: null,
+            timers: new Map(),
+            files: this.snapshot(dirPath, matcher)
+        };
+
+        this.entries.add(entry);
+        this.attach(entry);
+
+        return {
+            close: () => this.unwatch(entry)
+        };
+    }
+
+    /**
+     * Stop all watchers and pending callbacks
+     */
+    close() {
+        for (const entry of this.entries) {
+            this.unwatch(entry);
+        }
+
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    unwatch(entry) {
+        this.detach(entry);
+        this.entries.delete(entry);
+
+        for (const timer of entry.timers.values()) {
+            clearTimeout(timer);
+        }
+        entry.timers.clear();
+    }
+
+    attach(entry) {
+        try {
+            entry.watcher = fs.watch(entry.dirPath, (eventType, fileName) => {
+                // Some platforms do not report the file name
+                if (!fileName) {
+                    this.schedule(entry, null);
+                } else if (entry.matcher(fileName.toString())) {
+                    this.schedule(entry, fileName.toString());
+                } else if (eventType === 'rename' && !fs.existsSync(entry.dirPath)) {
+                    this.schedule(entry, null);
+                }
+            });
+
+            entry.watcher.on('error', (error) => {
+                console.warn(`[SteamFileWatcher] Lost watch on ${entry.dirPath}:`, error.message);
+                this.lose(entry);
+            });
+        } catch (error) {
+            // Directory does not exist (yet)
+            entry.watcher = null;
+            this.startPolling();
+        }
+    }
+
+    detach(entry) {
+        if (entry.watcher) {
+            entry.watcher.close();
+            entry.watcher = null;
+        }
+    }
+
+    /**
+     * The directory went away: report its files as deleted and wait for it to come back
+     */
+    lose(entry) {
+        this.detach(entry);
+        this.rescan(entry);
+        this.startPolling();
+    }
+
+    startPolling() {
+        if (this.pollTimer) {
+            return;
+        }
+
+        this.pollTimer = setInterval(() => {
+            let waiting = false;
+
+            for (const entry of this.entries) {
+                if (entry.watcher) {
+                    continue;
+                }
+
+                if (fs.existsSync(entry.dirPath)) {
+                    this.attach(entry);
+                    this.rescan(entry);
+                }
+                waiting = waiting || !entry.watcher;
+            }
+
+            if (!waiting) {
+                clearInterval(this.pollTimer);
+                this.pollTimer = null;
+            }
+        }, this.pollInterval);
+    }
+
+    /**
+     * Debounce a change to one file, or a rescan of the directory (fileName null)
+     */
+    schedule(entry, fileName) {
+        const key = fileName || '*';
+
+        clearTimeout(entry.timers.get(key));
+        entry.timers.set(key, setTimeout(() => {
+            entry.timers.delete(key);
+            this.flush(entry, fileName);
+        }, this.debounce));
+    }
+
+    flush(entry, fileName) {
+        if (fileName) {
+            const filePath = path.join(entry.dirPath, fileName);
+            const exists = fs.existsSync(filePath);
+
+            if (exists) {
+                entry.files.set(fileName, this.getMtime(filePath));
+            } else {
+                entry.files.delete(fileName);
+            }
+            this.notify(entry, filePath, exists);
+        }
+
+        if (!fs.existsSync(entry.dirPath)) {
+            this.lose(entry);
+        } else if (!fileName) {
+            this.rescan(entry);
+        }
+    }
+
+    /**
+     * Compare the directory with the last known files and report the differences
+     */
+    rescan(entry) {
+        const current = this.snapshot(entry.dirPath, entry.matcher);
+
+        for (const [fileName, mtime] of current) {
+            if (entry.files.get(fileName) !== mtime) {
+                this.notify(entry, path.join(entry.dirPath, fileName), true);
+            }
+        }
+
+        for (const fileName of entry.files.keys()) {
+            if (!current.has(fileName)) {
+                this.notify(entry, path.join(entry.dirPath, fileName), false);
+            }
+        }
+
+        entry.files = current;
+    }
+
+    notify(entry, filePath, exists) {
+        try {
+            entry.callback(filePath, exists);
+        } catch (error) {
+            console.error('[SteamFileWatcher] Error in watch callback:', error);
+        }
+    }
+
+    /**
+     * @returns {Map} fileName -> mtime of the matching files in a directory
+     */
+    snapshot(dirPath, matcher) {
+        const files = new Map();
+
+        try {
+            for (const fileName of fs.readdirSync(dirPath)) {
+                if (matcher(fileName)) {
+                    files.set(fileName, this.getMtime(path.join(dirPath, fileName)));
+                }
+            }
+        } catch (error) {
+            // Missing directory: no files
+        }
+
+        return files;
+    }
+
+    getMtime(filePath) {
+        try {
+            return fs.statSync(filePath).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = SteamFileWatcher;
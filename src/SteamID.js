@@ -0,0 +1,70 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+// SteamID64 of account ID 0 for an individual account in the public universe
+const STEAMID64_BASE = BigInt('76561197960265728');
+
+/**
+ * SteamID - Convert between Steam account identifier formats
+ *
+ * - SteamID64: 76561198012345678 (loginusers.vdf, Web API)
+ * - SteamID3:  [U:1:52079950]     (community, logs)
+ * - Account ID: 52079950          (userdata/<accountId> directory names)
+ */
+class SteamID {
+    /**
+     * @param {string|number} steamId64 - SteamID64
+     * @returns {string} Account ID
+     */
+    static toAccountId(steamId64) {
+        const id = BigInt(String(steamId64));
+        if (id < STEAMID64_BASE) {
+            throw new Error(`Invalid SteamID64: ${steamId64}`);
+        }
+        return (id - STEAMID64_BASE).toString();
+    }
+
+    /**
+     * @param {string|number} accountId - Account ID
+     * @returns {string} SteamID64
+     */
+    static fromAccountId(accountId) {
+        if (!/^\d+$/.test(String(accountId))) {
+            throw new Error(`Invalid account ID: ${accountId}`);
+        }
+        return (BigInt(String(accountId)) + STEAMID64_BASE).toString();
+    }
+
+    /**
+     * @param {string|number} steamId64 - SteamID64
+     * @returns {string} SteamID3, e.g. [U:1:52079950]
+     */
+    static toSteamId3(steamId64) {
+        return `[U:1:${SteamID.toAccountId(steamId64)}]`;
+    }
+
+    /**
+     * @param {string} steamId3 - SteamID3 ([U:1:N]) or a bare account ID
+     * @returns {string} SteamID64
+     */
+    static fromSteamId3(steamId3) {
+        const match = /^\[?U:1:(\d+)\]?$/.exec(String(steamId3).trim());
+        return SteamID.fromAccountId(match ? match[1] : String(steamId3).trim());
+    }
+}
+
+module.exports = SteamID;
@@ -0,0 +1,306 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Where a candidate install was found, with how much that alone says about it
+ */
+const INSTALL_SOURCES = {
+    REGISTRY: 'registry',                   // HKCU\Software\Valve\Steam SteamPath
+    REGISTRY_INSTALL_PATH: 'registry-install-path', // HKLM\SOFTWARE\(WOW6432Node\)Valve\Steam InstallPath
+    STEAM_ROOT_LINK: 'steam-root-link',     // ~/.steam/root, maintained by the Steam client
+    STEAM_LINK: 'steam-link',               // ~/.steam/steam
+    XDG_DATA: 'xdg-data',                   // ~/.local/share/Steam
+    FLATPAK: 'flatpak',                     // ~/.var/app/com.valvesoftware.Steam/...
+    SNAP: 'snap',                           // ~/snap/steam/common/...
+    MACOS_DEFAULT: 'macos-default',         // ~/Library/Application Support/Steam
+    WINDOWS_DEFAULT: 'windows-default'      // Program Files (x86)\Steam
+};
+
+const SOURCE_PRIORS = {
+    [INSTALL_SOURCES.REGISTRY]: 0.4,
+    [INSTALL_SOURCES.REGISTRY_INSTALL_PATH]: 0.35,
+    [INSTALL_SOURCES.STEAM_ROOT_LINK]: 0.4,
+    [INSTALL_SOURCES.STEAM_LINK]: 0.35,
+    [INSTALL_SOURCES.XDG_DATA]: 0.3,
+    [INSTALL_SOURCES.FLATPAK]: 0.3,
+    [INSTALL_SOURCES.SNAP]: 0.3,
+    [INSTALL_SOURCES.MACOS_DEFAULT]: 0.4,
+    [INSTALL_SOURCES.WINDOWS_DEFAULT]: 0.25
+};
+
+// What a directory holding a real install contains
+const MARKER_WEIGHTS = {
+    config: 0.15,       // config/
+    steamapps: 0.15,    // steamapps/
+    loginUsers: 0.15,   // config/loginusers.vdf: someone has signed in
+    userdata: 0.1,      // userdata/
+    client: 0.05        // The client itself (steam.sh, Steam.exe, Steam.AppBundle)
+};
+
+// Each further source that leads to the same directory
+const CORROBORATION_BONUS = 0.05;
+
+const CLIENT_FILES = {
+    win32: ['Steam.exe', 'steam.exe'],
+    darwin: ['Steam.AppBundle'],
+    linux: ['steam.sh', 'ubuntu12_32']
+};
+
+/**
+ * SteamInstallLocator - Find every Steam install on a machine
+ *
+ * Works through the places Steam can live on each platform: the registry
+ * (as queried by the agent) and Program Files on Windows, the ~/.steam
+ * links, the XDG data directory and the Flatpak and Snap sandboxes on
+ * Linux, and Application Support on macOS. Paths that lead to the same
+ * directory are merged, and each install is scored on where it was found
+ * and what it contains.
+ */
+class SteamInstallLocator {
+    /**
+     * @param {Object} options - { platform, homeDir, env, registry, pathModule }
+     *   registry is the agent's registry query result: `reg query` output,
+     *   a .reg export, or an object of value names ({ SteamPath });
+     *   pathModule joins paths for the machine being searched (defaults to path)
+     */
+    constructor(options = {}) {
+        this.platform = options.platform || os.platform();
+        this.homeDir = options.homeDir || os.homedir();
+        this.env = options.env || process.env;
+        this.registry = SteamInstallLocator.parseRegistry(options.registry);
+        this.path = options.pathModule || path;
+    }
+
+    /**
+     * Find the installs that exist on this machine, most likely first
+     * @returns {Array} Array of { root, realPath, source, sources, variant, confidence, markers }
+     */
+    locate() {
+        const candidates = this.getCandidates().map(candidate => ({ ...candidate, realPath: this.resolve(candidate.root) }));
+        return this.rank(candidates, root => this.inspect(root));
+    }
+
+    /**
+     * Merge candidates that lead to the same directory and score them
+     * Used with the results of looking on another machine, such as an agent.
+     * @param {Array} candidates - getCandidates() entries with realPath (null when missing)
+     * @param {Function} inspect - (realPath) -> markers, as inspect()
+     * @returns {Array} Installs, most likely first
+     */
+    rank(candidates, inspect) {
+        const installs = new Map();
+
+        for (const candidate of candidates) {
+            const realPath = candidate.realPath;
+            if (!realPath) {
+                continue;
+            }
+
+            const existing = installs.get(realPath);
+            if (existing) {
+                existing.sources.push(candidate.source);
+                continue;
+            }
+
+            installs.set(realPath, { ...candidate, realPath, sources: [candidate.source] });
+        }
+
+        return [...installs.values()]
+            .map(install => {
+                const markers = inspect(install.realPath);
+                return { ...install, markers, confidence: this.score(install.sources, markers) };
+            })
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Places to look on this platform, in order
+     * @returns {Array} Array of { root, source, variant }
+     */
+    getCandidates() {
+        const home = this.homeDir;
+
+        if (this.platform === 'win32') {
+            const candidates = [];
+            if (this.registry.SteamPath) {
+                candidates.push({ root: this.registry.SteamPath, source: INSTALL_SOURCES.REGISTRY, variant: 'native' });
+            }
+            if (this.registry.InstallPath) {
+                candidates.push({ root: this.registry.InstallPath, source: INSTALL_SOURCES.REGISTRY_INSTALL_PATH, variant: 'native' });
+            }
+
+            const programFiles = this.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)';
+            candidates.push({ root: this.path.join(programFiles, 'Steam'), source: INSTALL_SOURCES.WINDOWS_DEFAULT, variant: 'native' });
+            return candidates;
+        }
+
+        if (this.platform === 'darwin') {
+            return [{
+                root: this.path.join(home, 'Library', 'Application Support', 'Steam'),
+                source: INSTALL_SOURCES.MACOS_DEFAULT,
+                variant: 'native'
+            }];
+        }
+
+        const flatpakHome = this.path.join(home, '.var', 'app', 'com.valvesoftware.Steam');
+        const snapHome = this.path.join(home, 'snap', 'steam', 'common');
+
+        return [
+            { root: this.path.join(home, '.steam', 'root'), source: INSTALL_SOURCES.STEAM_ROOT_LINK, variant: 'native' },
+            { root: this.path.join(home, '.steam', 'steam'), source: INSTALL_SOURCES.STEAM_LINK, variant: 'native' },
+            { root: this.path.join(this.env.XDG_DATA_HOME || this.path.join(home, '.local', 'share'), 'Steam'), source: INSTALL_SOURCES.XDG_DATA, variant: 'native' },
+            { root: this.path.join(flatpakHome, '.local', 'share', 'Steam'), source: INSTALL_SOURCES.FLATPAK, variant: 'flatpak' },
+            { root: this.path.join(flatpakHome, '.steam', 'steam'), source: INSTALL_SOURCES.FLATPAK, variant: 'flatpak' },
+            { root: this.path.join(snapHome, '.local', 'share', 'Steam'), source: INSTALL_SOURCES.SNAP, variant: 'snap' },
+            { root: this.path.join(snapHome, '.steam', 'steam'), source: INSTALL_SOURCES.SNAP, variant: 'snap' }
+        ];
+    }
+
+    /**
+     * The directory a candidate leads to, following symlinks
+     * @returns {string|null} Real path, or null if it is not a directory
+     */
+    resolve(root) {
+        try {
+            // The native call also gives Windows paths their real case, so differently cased candidates merge
+            const realPath = fs.realpathSync.native(root);
+            return fs.statSync(realPath).isDirectory() ? realPath : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Which parts of an install a directory on this machine has
+     */
+    inspect(root) {
+        const markers = {};
+        for (const [marker, paths] of Object.entries(this.getMarkerPaths(root))) {
+            markers[marker] = paths.some(markerPath => fs.existsSync(markerPath));
+        }
+        return markers;
+    }
+
+    /**
+     * The paths to look for in an install; a marker is present when any of its paths exists
+     * @returns {Object} marker -> [path]
+     */
+    getMarkerPaths(root) {
+        const join = (...segments) => this.path.join(root, ...segments);
+
+        return {
+            config: [join('config')],
+            steamapps: [join('steamapps')],
+            loginUsers: [join('config', 'loginusers.vdf')],
+            userdata: [join('userdata')],
+            client: (CLIENT_FILES[this.platform] || CLIENT_FILES.linux).map(file => join(file))
+        };
+    }
+
+    /**
+     * Confidence from 0 to 1: the best source's prior, corroborating sources and markers found
+     */
+    score(sources, markers) {
+        const prior = Math.max(...sources.map(source => SOURCE_PRIORS[source] || 0));
+        const corroboration = (new Set(sources).size - 1) * CORROBORATION_BONUS;
+        const evidence = Object.entries(MARKER_WEIGHTS)
+            .filter(([marker]) => markers[marker])
+            .reduce((total, [, weight]) => total + weight, 0);
+
+        return Math.round(Math.min(1, prior + corroboration + evidence) * 100) / 100;
+    }
+
+    /**
+     * The path Steam would be installed at if nothing else is found
+     */
+    getDefaultRoot() {
+        const candidates = this.getCandidates();
+        const fallback = this.platform === 'linux'
+            ? candidates.find(candidate => candidate.source === INSTALL_SOURCES.STEAM_LINK)
+            : candidates[candidates.length - 1];
+        return fallback.root;
+    }
+
+    /**
+     * The paths the plugin uses within an install
+     * @param {string} root - Install directory
+     * @param {Object} pathModule - path, path.win32 or path.posix for the machine it is on
+     * @returns {Object} { root, config, userdata, steamapps, libraryfolders }
+     */
+    static pathsForRoot(root, pathModule = path) {
+        const steamapps = pathModule.join(root, 'steamapps');
+        return {
+            root,
+            config: pathModule.join(root, 'config'),
+            userdata: pathModule.join(root, 'userdata'),
+            steamapps,
+            libraryfolders: pathModule.join(steamapps, 'libraryfolders.vdf')
+        };
+    }
+
+    /**
+     * Read value names from a registry query result
+     * Accepts `reg query` output, a .reg export, or an object (nested by key or flat)
+     * @returns {Object} Value name -> data, e.g. { SteamPath: 'c:/program files (x86)/steam' }
+     */
+    static parseRegistry(result) {
+        const values = {};
+
+        if (!result) {
+            return values;
+        }
+
+        if (typeof result === 'object') {
+            for (const [name, value] of Object.entries(result)) {
+                if (value && typeof value === 'object') {
+                    Object.assign(values, SteamInstallLocator.parseRegistry(value));
+                } else if (value !== undefined && value !== null) {
+                    values[name] = String(value);
+                }
+            }
+            return values;
+        }
+
+        for (const line of String(result).replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            // .reg export: "SteamPath"="c:\\program files (x86)\\steam"
+            const exported = /^\s*"((?:[^"\\]|\\.)*)"\s*=\s*"((?:[^"\\]|\\.)*)"\s*$/.exec(line);
+            if (exported) {
+                values[SteamInstallLocator.unescapeRegString(exported[1])] = SteamInstallLocator.unescapeRegString(exported[2]);
+                continue;
+            }
+
+            // reg query: "    SteamPath    REG_SZ    c:/program files (x86)/steam"
+            const queried = /^\s+(.+?)\s+REG_[A-Z_]+\s+(.*?)\s*$/.exec(line);
+            if (queried) {
+                values[queried[1]] = queried[2];
+            }
+        }
+
+        return values;
+    }
+
+    static unescapeRegString(value) {
+        return value.replace(/\\(.)/g, '$1');
+    }
+}
+
+module.exports = SteamInstallLocator;
+module.exports.INSTALL_SOURCES = INSTALL_SOURCES;
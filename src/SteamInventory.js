@@ -0,0 +1,437 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const path = require('path');
+const SteamVDFParser = require('./SteamVDFParser');
+const SteamInstallLocator = require('./SteamInstallLocator');
+const SteamID = require('./SteamID');
+
+/**
+ * Requests the inventory sends to an agent through agentService.request(agentId, method, params)
+ */
+const AGENT_REQUESTS = {
+    SYSTEM_INFO: 'system.info',         // -> { platform, homeDir, env }
+    REGISTRY_QUERY: 'registry.query',   // { queries: [{ key, value }] } -> `reg query` output (Windows)
+    STAT: 'fs.stat',                    // { paths } -> { path -> { exists, type, realPath, size, mode } }
+    READ_FILES: 'fs.readFiles',         // { paths, encoding } -> { path -> content | null }
+    LIST: 'fs.list'                     // { paths, depth } -> { path -> [{ path, name, type, size, mode }] | null }
+};
+
+const REGISTRY_QUERIES = [
+    { key: 'HKCU\\Software\\Valve\\Steam', value: 'SteamPath' },
+    { key: 'HKLM\\SOFTWARE\\WOW6432Node\\Valve\\Steam', value: 'InstallPath' }
+];
+
+// How deep game install directories are listed when looking for the game's executable
+const GAME_SCAN_DEPTH = 3;
+
+const DEFAULT_MAX_AGE = 60 * 60 * 1000;  // 1 hour
+
+/**
+ * SteamInventory - What Steam looks like on each agent device
+ *
+ * Asks an agent for its platform and home directory, finds its Steam
+ * installs (SteamInstallLocator), then has it read the files the plugin
+ * needs: loginusers.vdf, libraryfolders.vdf, the appmanifests of every
+ * library, and each account's localconfig.vdf, shortcuts.vdf and cloud
+ * storage (for library collections). Parsing
+ * happens here with SteamVDFParser, so agents only list and read files.
+ *
+ * Inventories are cached per agent for maxAge and refreshed on demand.
+ */
+class SteamInventory {
+    /**
+     * @param {Object} agentService - Agent service with request(agentId, method, params)
+     * @param {Object} options - { parser, maxAge }
+     */
+    constructor(agentService, options = {}) {
+        this.agentService = agentService;
+        this.parser = options.parser || new SteamVDFParser();
+        this.maxAge = options.maxAge ?? DEFAULT_MAX_AGE;
+        this.cache = new Map();
+        this.pending = new Map();
+    }
+
+    /**
+     * Get an agent's inventory, collecting it if it is not cached or too old
+     * @param {string} agentId - Agent ID
+     * @param {Object} options - { refresh } to collect it again regardless
+     * @returns {Promise<Object>} Inventory
+     */
+    async get(agentId, options = {}) {
+        const cached = this.cache.get(agentId);
+        if (cached && !options.refresh && Date.now() - cached.collectedAt < this.maxAge) {
+            return cached;
+        }
+
+        // Concurrent callers share one collection
+        if (this.pending.has(agentId)) {
+            return this.pending.get(agentId);
+        }
+
+        const collecting = this.collect(agentId)
+            .then(inventory => {
+                this.cache.set(agentId, inventory);
+                return inventory;
+            })
+            .finally(() => this.pending.delete(agentId));
+
+        this.pending.set(agentId, collecting);
+        return collecting;
+    }
+
+    /**
+     * Cached inventory without asking the agent
+     * @returns {Object|null} Inventory or null
+     */
+    peek(agentId) {
+        return this.cache.get(agentId) || null;
+    }
+
+    /**
+     * Every cached inventory, without asking the agents
+     * @returns {Array} Inventories
+     */
+    peekAll() {
+        return [...this.cache.values()];
+    }
+
+    invalidate(agentId) {
+        this.cache.delete(agentId);
+    }
+
+    /**
+     * Collect an agent's inventory
+     * @returns {Promise<Object>} { agentId, platform, homeDir, installed, installs, paths,
+     *                              libraries, games, accounts, shortcuts, collectedAt }
+     */
+    async collect(agentId) {
+        const info = await this.request(agentId, AGENT_REQUESTS.SYSTEM_INFO);
+        const platform = info.platform || 'win32';
+        const pathModule = platform === 'win32' ? path.win32 : path.posix;
+
+        const inventory = {
+            agentId,
+            platform,
+            homeDir: info.homeDir,
+            installed: false,
+            installs: [],
+            paths: null,
+            libraries: [],
+            games: [],
+            accounts: [],
+            shortcuts: [],
+            collections: [],
+            collectedAt: Date.now()
+        };
+
+        inventory.installs = await this.locateInstalls(agentId, info, pathModule);
+
+        const install = inventory.installs.find(candidate => candidate.markers.config);
+        if (!install) {
+            return inventory;
+        }
+
+        inventory.installed = true;
+        inventory.paths = SteamInstallLocator.pathsForRoot(install.realPath, pathModule);
+        inventory.libraries = await this.collectLibraries(agentId, inventory.paths, pathModule);
+        inventory.games = await this.collectGames(agentId, inventory.libraries, pathModule);
+
+        const { accounts, shortcuts, collections } = await this.collectAccounts(agentId, inventory.paths, pathModule);
+        inventory.accounts = accounts;
+        inventory.shortcuts = shortcuts;
+        inventory.collections = collections;
+
+        console.log(`[SteamInventory] Agent ${agentId}: ${inventory.games.length} games, ${accounts.length} accounts at ${install.realPath}`);
+        return inventory;
+    }
+
+    /**
+     * Find the agent's Steam installs, most likely first
+     */
+    async locateInstalls(agentId, info, pathModule) {
+        let registry = null;
+        if (info.platform === 'win32') {
+            try {
+                registry = await this.request(agentId, AGENT_REQUESTS.REGISTRY_QUERY, { queries: REGISTRY_QUERIES });
+            } catch (error) {
+                console.warn(`[SteamInventory] Registry query failed on ${agentId}:`, error.message);
+            }
+        }
+
+        const locator = new SteamInstallLocator({
+            platform: info.platform,
+            homeDir: info.homeDir,
+            env: info.env || {},
+            registry,
+            pathModule
+        });
+
+        const candidates = locator.getCandidates();
+        const stats = await this.request(agentId, AGENT_REQUESTS.STAT, { paths: candidates.map(candidate => candidate.root) });
+        const resolved = candidates.map(candidate => {
+            const stat = stats[candidate.root];
+            return { ...candidate, realPath: stat?.type === 'directory' ? stat.realPath || candidate.root : null };
+        });
+
+        const markerPaths = new Map();
+        for (const { realPath } of resolved) {
+            if (realPath && !markerPaths.has(realPath)) {
+                markerPaths.set(realPath, locator.getMarkerPaths(realPath));
+            }
+        }
+
+        const allMarkerPaths = [...markerPaths.values()].flatMap(markers => Object.values(markers).flat());
+        const markerStats = allMarkerPaths.length > 0
+            ? await this.request(agentId, AGENT_REQUESTS.STAT, { paths: allMarkerPaths })
+            : {};
+
+        return locator.rank(resolved, (realPath) => {
+            const markers = {};
+            for (const [marker, paths] of Object.entries(markerPaths.get(realPath))) {
+                markers[marker] = paths.some(markerPath => markerStats[markerPath]?.exists === true);
+            }
+            return markers;
+        });
+    }
+
+    /**
+     * Libraries from libraryfolders.vdf, always including the install itself
+     */
+    async collectLibraries(agentId, paths, pathModule) {
+        const files = await this.readFiles(agentId, [paths.libraryfolders]);
+        const config = this.parseText(files[paths.libraryfolders], paths.libraryfolders);
+        const libraries = config ? this.parser.extractLibraryFolders(config, pathModule) : [];
+
+        const normalise = value => {
+            const trimmed = pathModule.normalize(value).replace(/[\\/]+$/, '');
+            return pathModule === path.win32 ? trimmed.toLowerCase() : trimmed;
+        };
+        if (!libraries.some(library => normalise(library.path) === normalise(paths.root))) {
+            libraries.unshift({ path: paths.root, label: '', steamapps: paths.steamapps, apps: [] });
+        }
+
+        return libraries;
+    }
+
+    /**
+     * Installed games from every library's appmanifests, with the files of each install directory
+     */
+    async collectGames(agentId, libraries, pathModule) {
+        const listings = await this.list(agentId, libraries.map(library => library.steamapps), 0);
+
+        const manifests = [];
+        for (const library of libraries) {
+            for (const entry of listings[library.steamapps] || []) {
+                if (entry.type === 'file' && /^appmanifest_\d+\.acf$/.test(entry.name)) {
+                    manifests.push({ steamapps: library.steamapps, path: entry.path || pathModule.join(library.steamapps, entry.name) });
+                }
+            }
+        }
+
+        const files = await this.readFiles(agentId, manifests.map(manifest => manifest.path));
+        const games = [];
+        const seen = new Set();
+
+        for (const manifest of manifests) {
+            const data = this.parseText(files[manifest.path], manifest.path);
+            const game = data && this.parser.extractGame(data, manifest.steamapps, pathModule);
+
+            // A game being moved between libraries can briefly appear in both
+            if (game && !seen.has(game.appId)) {
+                seen.add(game.appId);
+                games.push(game);
+            }
+        }
+
+        const gameFiles = await this.list(agentId, games.map(game => game.installPath), GAME_SCAN_DEPTH);
+        for (const game of games) {
+            game.files = gameFiles[game.installPath] || null;
+        }
+
+        return games;
+    }
+
+    /**
+     * Accounts from loginusers.vdf and userdata/, and their non-Steam shortcuts and library collections
+     */
+    async collectAccounts(agentId, paths, pathModule) {
+        const loginUsersPath = pathModule.join(paths.config, 'loginusers.vdf');
+        const [files, listings] = await Promise.all([
+            this.readFiles(agentId, [loginUsersPath]),
+            this.list(agentId, [paths.userdata], 0)
+        ]);
+
+        const loginUsersConfig = this.parseText(files[loginUsersPath], loginUsersPath);
+        const loginUsers = loginUsersConfig ? this.parser.extractLoginUsers(loginUsersConfig) : [];
+        const accountIds = (listings[paths.userdata] || [])
+            .filter(entry => entry.type === 'directory' && /^\d+$/.test(entry.name))
+            .map(entry => entry.name);
+
+        const accounts = SteamInventory.buildAccounts(this.parser, loginUsers, accountIds, () => null);
+
+        const configPath = (account, file) => pathModule.join(paths.userdata, account.accountId, 'config', file);
+        const cloudStoragePath = (account) => pathModule.join(configPath(account, 'cloudstorage'), 'cloud-storage-namespace-1.json');
+        const [localConfigs, shortcutFiles, cloudStorageFiles] = await Promise.all([
+            this.readFiles(agentId, accounts.map(account => configPath(account, 'localconfig.vdf'))),
+            this.readFiles(agentId, accounts.map(account => configPath(account, 'shortcuts.vdf')), 'base64'),
+            this.readFiles(agentId, accounts.map(cloudStoragePath))
+        ]);
+
+        const shortcuts = [];
+        const collections = [];
+        for (const account of accounts) {
+            const localConfigPath = configPath(account, 'localconfig.vdf');
+            const localConfig = this.parseText(localConfigs[localConfigPath], localConfigPath);
+            SteamInventory.applyLocalConfig(this.parser, account, localConfig);
+
+            try {
+                for (const collection of this.parser.extractCollections(cloudStorageFiles[cloudStoragePath(account)] || null, localConfig)) {
+                    collections.push({ ...collection, steamId3: account.accountId });
+                }
+            } catch (error) {
+                console.error(`[SteamInventory] Error reading collections of ${account.accountId} from ${agentId}:`, error.message);
+            }
+
+            const shortcutsPath = configPath(account, 'shortcuts.vdf');
+            if (shortcutFiles[shortcutsPath]) {
+                try {
+                    const data = this.parser.parseBinaryContent(Buffer.from(shortcutFiles[shortcutsPath], 'base64'));
+                    for (const shortcut of this.parser.extractShortcuts(data)) {
+                        shortcuts.push({ ...shortcut, steamId3: account.accountId });
+                    }
+                } catch (error) {
+                    console.error(`[SteamInventory] Error parsing ${shortcutsPath} from ${agentId}:`, error.message);
+                }
+            }
+        }
+
+        return { accounts, shortcuts, collections };
+    }
+
+    async request(agentId, method, params = {}) {
+        if (!this.agentService || typeof this.agentService.request !== 'function') {
+            throw new Error('Agent service does not support requests');
+        }
+
+        const result = await this.agentService.request(agentId, method, params);
+        if (result === undefined || result === null) {
+            throw new Error(`Agent ${agentId} returned no result for ${method}`);
+        }
+        return result;
+    }
+
+    async readFiles(agentId, paths, encoding = 'utf8') {
+        if (paths.length === 0) {
+            return {};
+        }
+        return this.request(agentId, AGENT_REQUESTS.READ_FILES, { paths, encoding });
+    }
+
+    async list(agentId, paths, depth) {
+        if (paths.length === 0) {
+            return {};
+        }
+        return this.request(agentId, AGENT_REQUESTS.LIST, { paths, depth });
+    }
+
+    /**
+     * Parse a text VDF file an agent returned
+     * @returns {Object|null} Parsed data, or null if the file is missing or does not parse
+     */
+    parseText(content, filePath) {
+        if (typeof content !== 'string') {
+            return null;
+        }
+
+        try {
+            return this.parser.parseContent(content);
+        } catch (error) {
+            console.error(`[SteamInventory] Error parsing ${filePath}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Combine loginusers.vdf with the userdata/ account directories
+     * Most recently signed in first.
+     * @param {SteamVDFParser} parser - Parser
+     * @param {Array} loginUsers - Accounts from loginusers.vdf
+     * @param {Array} accountIds - Account IDs with a userdata/ directory
+     * @param {Function} getLocalConfig - (accountId) -> parsed localconfig.vdf or null
+     * @returns {Array} Array of { steamId64, steamId3, accountId, accountName, personaName,
+     *                  mostRecent, timestamp, familyView }
+     */
+    static buildAccounts(parser, loginUsers, accountIds, getLocalConfig) {
+        const accounts = new Map();
+
+        for (const user of loginUsers) {
+            try {
+                accounts.set(SteamID.toAccountId(user.steamId64), {
+                    ...user,
+                    steamId3: SteamID.toSteamId3(user.steamId64),
+                    accountId: SteamID.toAccountId(user.steamId64)
+                });
+            } catch (error) {
+                console.warn('[SteamInventory] Skipping invalid SteamID in loginusers.vdf:', user.steamId64);
+            }
+        }
+
+        // Accounts that used this install but are no longer remembered by the login screen
+        for (const accountId of accountIds) {
+            if (!accounts.has(accountId)) {
+                const steamId64 = SteamID.fromAccountId(accountId);
+                accounts.set(accountId, {
+                    steamId64,
+                    steamId3: SteamID.toSteamId3(steamId64),
+                    accountId,
+                    accountName: '',
+                    personaName: '',
+                    mostRecent: false,
+                    timestamp: 0
+                });
+            }
+        }
+
+        for (const account of accounts.values()) {
+            let localConfig = null;
+            try {
+                localConfig = getLocalConfig(account.accountId);
+            } catch (error) {
+                console.error(`[SteamInventory] Error reading localconfig.vdf for ${account.accountId}:`, error.message);
+            }
+            SteamInventory.applyLocalConfig(parser, account, localConfig);
+        }
+
+        return Array.from(accounts.values())
+            .sort((a, b) => (b.mostRecent - a.mostRecent) || (b.timestamp - a.timestamp));
+    }
+
+    /**
+     * Fill in an account's PersonaName and Family View settings from its localconfig.vdf
+     */
+    static applyLocalConfig(parser, account, localConfig) {
+        account.familyView = account.familyView || null;
+        if (localConfig) {
+            account.personaName = parser.extractPersonaName(localConfig) || account.personaName;
+            account.familyView = parser.extractParentalSettings(localConfig);
+        }
+    }
+}
+
+module.exports = SteamInventory;
+module.exports.AGENT_REQUESTS = AGENT_REQUESTS;
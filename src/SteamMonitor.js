@@ -18,58 +18,100 @@
 const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const EventEmitter = require('events');
+const { execFileSync } = require('child_process');
+const SteamVDFParser = require('./SteamVDFParser');
+const SteamFileWatcher = require('./SteamFileWatcher');
+const GameIdentifier = require('./GameIdentifier');
+const ProcessCatalog = require('./ProcessCatalog');
+const SteamInstallLocator = require('./SteamInstallLocator');
+const SteamInventory = require('./SteamInventory');
+
+/**
+ * Per-game verdicts a parent can assign
+ */
+const GAME_VERDICTS = {
+    ALLOW: 'allow',     // Always allowed, regardless of quota
+    BLOCK: 'block',     // Always blocked
+    QUOTA: 'quota'      // Allowed while the child has Allow2 quota
+};
+
+/**
+ * Stages an agent works through when quota runs out
+ */
+const VIOLATION_STAGES = {
+    WARNING: 'warning',               // First warning, warningMinutes before the end
+    FINAL_WARNING: 'final-warning',   // Last warning, finalWarningMinutes before the end
+    GRACE: 'grace',                   // Quota is used up, time to save before the kill
+    KILL: 'kill',                     // Process killed
+    EXPIRED: 'expired'                // Quota is used up, notify only (killOnViolation off)
+};
+
+const DEFAULT_WARNING_MINUTES = 5;
+const DEFAULT_FINAL_WARNING_MINUTES = 1;
+const DEFAULT_GRACE_PERIOD_SECONDS = 60;
+
+// Executables shipped alongside games that are never the game itself
+const IGNORED_EXECUTABLES = [
+    /^unitycrashhandler/i,
+    /^crashreport/i,
+    /^vc_?redist/i,
+    /^dxsetup/i,
+    /^dotnetfx/i,
+    /^unins\d*/i,
+    /^setup$/i,
+    /^easyanticheat/i,
+    /^be(service|launcher)/i
+];
 
 /**
  * SteamMonitor - Handles Steam-specific monitoring logic
+ *
+ * While watching (startWatching) emits:
+ * - 'gameInstalled' / 'gameUninstalled' (game)
+ * - 'librariesChanged' (libraries)
+ * - 'accountAdded' / 'accountRemoved' / 'activeAccountChanged' (account)
+ * - 'parentalChanged' (account, previousFamilyView)
  */
-class SteamMonitor {
+class SteamMonitor extends EventEmitter {
     constructor(context, agentService) {
+        super();
         this.context = context;
         this.agentService = agentService;
+        this.parser = new SteamVDFParser();
+        this.inventory = new SteamInventory(agentService, { parser: this.parser });
+        this.installedGames = [];
+        this.shortcuts = [];
+        this.gameIdentifier = new GameIdentifier();
+        this.agentIdentifiers = new Map();
+        this.processCatalog = new ProcessCatalog();
+        this.accounts = [];
+        this.fileWatcher = null;
+        this.userConfigWatches = new Map();
+        this.libraryWatches = new Map();
         this.steamPaths = this.detectSteamPaths();
     }
 
     /**
-     * Detect Steam installation paths based on platform
+     * Detect Steam installation paths, using the most likely install found
+     * Every install found is kept in this.installs.
      */
     detectSteamPaths() {
-        const platform = os.platform();
-        const paths = {
-            config: null,
-            userdata: null,
-            steamapps: null
-        };
+        let paths = { root: null, config: null, userdata: null, steamapps: null, libraryfolders: null };
+        this.installs = [];
 
         try {
-            if (platform === 'win32') {
-                // Windows
-                const programFiles = process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)';
-                const steamBase = path.join(programFiles, 'Steam');
-                paths.config = path.join(steamBase, 'config');
-                paths.userdata = path.join(steamBase, 'userdata');
-                paths.steamapps = path.join(steamBase, 'steamapps');
-            } else if (platform === 'darwin') {
-                // macOS
-                const homeDir = os.homedir();
-                const steamBase = path.join(homeDir, 'Library', 'Application Support', 'Steam');
-                paths.config = path.join(steamBase, 'config');
-                paths.userdata = path.join(steamBase, 'userdata');
-                paths.steamapps = path.join(steamBase, 'steamapps');
-            } else if (platform === 'linux') {
-                // Linux
-                const homeDir = os.homedir();
-                const steamBase = path.join(homeDir, '.steam', 'steam');
-                paths.config = path.join(steamBase, 'config');
-                paths.userdata = path.join(steamBase, 'userdata');
-                paths.steamapps = path.join(steamBase, 'steamapps');
-            }
-
-            // Validate paths exist
-            if (paths.config && fs.existsSync(paths.config)) {
-                console.log('[SteamMonitor] Steam installation detected:', paths.config);
+            const locator = new SteamInstallLocator({ registry: this.readLocalRegistry() });
+            this.installs = locator.locate();
+
+            const [install] = this.installs;
+            if (install && install.markers.config) {
+                paths = SteamInstallLocator.pathsForRoot(install.realPath);
+                console.log(`[SteamMonitor] Steam installation detected (${install.source}, confidence ${install.confidence}):`, paths.root);
             } else {
+                // Keep the default location so the file watcher picks up Steam being installed
+                paths = { ...SteamInstallLocator.pathsForRoot(install ? install.realPath : locator.getDefaultRoot()), config: null };
                 console.warn('[SteamMonitor] Steam installation not found at expected location');
-                paths.config = null;
             }
         } catch (error) {
             console.error('[SteamMonitor] Error detecting Steam paths:', error);
@@ -79,42 +121,473 @@ class SteamMonitor {
     }
 
     /**
-     * Get Steam process names for current platform
+     * Find the Steam installs on a machine, most likely first
+     * @param {Object} options - { platform, homeDir, env, registry }; registry is the agent's
+     *                           query of HKCU\Software\Valve\Steam (or a .reg export)
+     * @returns {Array} Array of { root, realPath, source, sources, variant, confidence, markers }
      */
-    getProcessNames() {
-        const platform = os.platform();
+    discoverInstalls(options = {}) {
+        return new SteamInstallLocator(options).locate();
+    }
 
-        const processNames = {
-            win32: ['Steam.exe', 'steamwebhelper.exe', 'gameoverlayui.exe'],
-            darwin: ['steam_osx', 'Steam.app', 'steamwebhelper'],
-            linux: ['steam', 'steamwebhelper', 'reaper']
-        };
+    /**
+     * Query Steam's registry keys on this machine
+     * @returns {string|null} `reg query` output, or null when not on Windows or not installed
+     */
+    readLocalRegistry() {
+        if (os.platform() !== 'win32') {
+            return null;
+        }
 
-        return processNames[platform] || processNames.win32;
+        const output = [];
+        for (const [key, value] of [
+            ['HKCU\\Software\\Valve\\Steam', 'SteamPath'],
+            ['HKLM\\SOFTWARE\\WOW6432Node\\Valve\\Steam', 'InstallPath']
+        ]) {
+            try {
+                output.push(execFileSync('reg', ['query', key, '/v', value], { encoding: 'utf8' }));
+            } catch (error) {
+                // reg exits with status 1 when the key or value does not exist
+            }
+        }
+
+        return output.join('\n') || null;
+    }
+
+    /**
+     * Get Steam process names for a platform, from the process catalog
+     * @param {string} platform - Agent platform (defaults to the current platform)
+     */
+    getProcessNames(platform = os.platform()) {
+        return this.processCatalog.getProcessNames(platform);
+    }
+
+    /**
+     * Find the process catalog entry a reported process belongs to
+     * @param {Object} processInfo - { processName, processPath, commandLine }
+     * @param {string} platform - Agent platform
+     * @returns {Object|null} Catalog entry, or null if the process is not part of Steam
+     */
+    matchSteamProcess(processInfo, platform = os.platform()) {
+        return this.processCatalog.match(processInfo, platform);
+    }
+
+    /**
+     * Replace the process entries added by the parent
+     * @param {Array} entries - Custom process catalog entries
+     */
+    setCustomProcesses(entries) {
+        this.processCatalog.setCustomEntries(entries);
     }
 
     /**
      * Get main Steam process name for platform
      */
-    getMainProcessName() {
-        const processNames = this.getProcessNames();
+    getMainProcessName(platform) {
+        const processNames = this.getProcessNames(platform);
         return processNames[0];
     }
 
     /**
-     * Check if Steam is installed on agent
+     * Get every Steam library on this install
+     * Reads steamapps/libraryfolders.vdf and always includes the default library
+     * @returns {Array} Array of { path, label, steamapps, apps }
+     */
+    getLibraries() {
+        const libraries = [];
+
+        if (this.steamPaths.libraryfolders && fs.existsSync(this.steamPaths.libraryfolders)) {
+            libraries.push(...this.parser.getLibraryFolders(this.steamPaths.libraryfolders));
+        }
+
+        if (this.steamPaths.root && !libraries.some(library => this.isSamePath(library.path, this.steamPaths.root))) {
+            libraries.unshift({
+                path: this.steamPaths.root,
+                label: '',
+                steamapps: this.steamPaths.steamapps,
+                apps: []
+            });
+        }
+
+        return libraries;
+    }
+
+    /**
+     * Compare two library paths, ignoring case on Windows and trailing separators
+     */
+    isSamePath(a, b) {
+        const normalise = (value) => {
+            const resolved = path.resolve(value).replace(/[\\/]+$/, '');
+            return os.platform() === 'win32' ? resolved.toLowerCase() : resolved;
+        };
+        return normalise(a) === normalise(b);
+    }
+
+    /**
+     * Refresh the list of installed games from the appmanifest files in every library
+     * @returns {Array} Installed games
+     */
+    refreshInstalledGames() {
+        const steamappsPaths = this.getLibraries()
+            .map(library => library.steamapps)
+            .filter(steamapps => steamapps && fs.existsSync(steamapps));
+
+        this.installedGames = this.parser.getInstalledGames(steamappsPaths);
+        this.gameIdentifier.setGames(this.installedGames);
+        return this.installedGames;
+    }
+
+    /**
+     * Resolve the executable a game runs as under steamapps/common/<installdir>
+     * Looks through the install directory (a few levels deep) and ranks the
+     * candidates, preferring names that resemble the game and larger binaries.
+     * @param {Object} game - Installed game from getInstalledGames(), or from an agent
+     *                        inventory with its install directory listed in game.files
+     * @param {string} platform - Agent platform
+     * @returns {Object|null} { processName, executablePath, alternatives } or null if none found
+     */
+    resolveGameExecutable(game, platform = os.platform()) {
+        const files = game.files || this.listGameFiles(game.installPath, platform);
+        if (!files) {
+            return null;
+        }
+
+        const candidates = [];
+        for (const file of files) {
+            // Bundles are candidates themselves; what they contain is not
+            if (platform === 'darwin' && /\.app[\\/]/.test(file.path.slice(game.installPath.length))) {
+                continue;
+            }
+
+            if (platform === 'darwin' && file.type === 'directory' && file.name.endsWith('.app')) {
+                // macOS games run as the bundle's executable, named after the bundle
+                candidates.push({ processName: file.name.slice(0, -4), executablePath: file.path, size: 0 });
+            } else if (file.type === 'file' && this.isGameExecutable(file.name, platform, file.mode)) {
+                candidates.push({ processName: file.name, executablePath: file.path, size: file.size || 0 });
+            }
+        }
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const normalise = value => (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const gameNames = [normalise(game.installDir), normalise(game.name)].filter(Boolean);
+        const similarity = (candidate) => {
+            const base = normalise(candidate.processName.replace(/\.(exe|x86_64|x86|sh)$/i, ''));
+            return gameNames.some(name => name.includes(base) || base.includes(name)) ? 1 : 0;
+        };
+
+        candidates.sort((a, b) => (similarity(b) - similarity(a)) || (b.size - a.size));
+
+        const [best, ...rest] = candidates;
+        return {
+            processName: best.processName,
+            executablePath: best.executablePath,
+            alternatives: rest.map(candidate => candidate.processName)
+        };
+    }
+
+    /**
+     * List a game install directory on this machine, as agents answer fs.list
+     * @returns {Array|null} Array of { path, name, type, size, mode }, or null if it does not exist
+     */
+    listGameFiles(installPath, platform = os.platform()) {
+        if (!installPath || !fs.existsSync(installPath)) {
+            return null;
+        }
+
+        const files = [];
+        const scan = (dir, depth) => {
+            let entries;
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+
+                if (entry.isDirectory()) {
+                    files.push({ path: fullPath, name: entry.name, type: 'directory' });
+                    if (depth < 3 && !(platform === 'darwin' && entry.name.endsWith('.app'))) {
+                        scan(fullPath, depth + 1);
+                    }
+                } else if (entry.isFile()) {
+                    try {
+                        const stats = fs.statSync(fullPath);
+                        files.push({ path: fullPath, name: entry.name, type: 'file', size: stats.size, mode: stats.mode });
+                    } catch (error) {
+                        // Removed while listing
+                    }
+                }
+            }
+        };
+
+        scan(installPath, 0);
+        return files;
+    }
+
+    /**
+     * Whether a file inside a game install directory looks like the game binary
+     * @param {string} fileName - File name
+     * @param {string} platform - Agent platform
+     * @param {number} mode - File mode, for the executable bits outside Windows
+     */
+    isGameExecutable(fileName, platform, mode) {
+        if (IGNORED_EXECUTABLES.some(pattern => pattern.test(fileName))) {
+            return false;
+        }
+
+        if (platform === 'win32') {
+            return /\.exe$/i.test(fileName);
+        }
+
+        if (/\.(so|dylib|dll|txt|json|cfg|ini|pak|dat)(\.|$)/i.test(fileName)) {
+            return false;
+        }
+
+        return typeof mode === 'number' && (mode & 0o111) !== 0;
+    }
+
+    /**
+     * Generate the agent policies for a platform:
+     * the Steam client policy followed by one policy per installed game
+     * and per non-Steam shortcut
+     * @param {string} platform - Agent platform
+     * @param {Object} gameVerdicts - appId -> GAME_VERDICTS value (defaults to quota)
+     * @param {Object} options - Plugin settings: { checkInterval, killOnViolation,
+     *                             warningMinutes, finalWarningMinutes, gracePeriodSeconds }
+     * @param {Object} inventory - The agent's inventory; without one, the games and
+     *                             shortcuts found on this machine are used
+     * @returns {Array} Policies ready for agentService.createPolicy()
+     */
+    generatePolicies(platform = 'win32', gameVerdicts = {}, options = {}, inventory = null) {
+        const { checkInterval = 30000 } = options;
+        const processNames = this.getProcessNames(platform);
+
+        const policies = [{
+            processName: processNames[0],
+            processAlternatives: processNames,
+            processRules: this.processCatalog.getRules(platform),
+            allowed: false,  // Default block, updated by quota check
+            checkInterval,
+            actions: {
+                onDetected: 'check-quota',
+                ...this.getViolationActions('Steam', options)
+            },
+            metadata: {
+                plugin: '@allow2/allow2automate-steam',
+                category: 'gaming',
+                platform: platform,
+                catalogVersion: this.processCatalog.version
+            }
+        }];
+
+        const games = inventory ? inventory.games : this.installedGames;
+        const shortcuts = inventory ? inventory.shortcuts : this.shortcuts;
+
+        // Agents key policies by process name, so two policies cannot share one
+        const claimed = new Map([[policies[0].processName.toLowerCase(), policies[0]]]);
+        const claim = (policy) => {
+            const other = claimed.get(policy.processName.toLowerCase());
+            if (other) {
+                this.reportPolicyConflict(policy, other.metadata);
+                return false;
+            }
+            claimed.set(policy.processName.toLowerCase(), policy);
+            return true;
+        };
+
+        for (const game of games) {
+            const policy = this.generateGamePolicy(game, platform, gameVerdicts, options);
+            if (policy && claim(policy)) {
+                policies.push(policy);
+            }
+        }
+
+        const seenShortcuts = new Set();
+        for (const shortcut of shortcuts) {
+            // The same shortcut can be added by several Steam users
+            if (!shortcut.exe || seenShortcuts.has(shortcut.appId)) {
+                continue;
+            }
+            seenShortcuts.add(shortcut.appId);
+
+            const verdict = gameVerdicts[shortcut.appId] || GAME_VERDICTS.QUOTA;
+
+            const policy = {
+                processName: this.getShortcutProcessName(shortcut),
+                processPath: shortcut.exe,
+                processArguments: shortcut.launchOptions || undefined,
+                allowed: verdict === GAME_VERDICTS.ALLOW,
+                checkInterval,
+                actions: {
+                    onDetected: verdict === GAME_VERDICTS.QUOTA ? 'check-quota' : 'enforce',
+                    ...this.getViolationActions(shortcut.appName, options)
+                },
+                metadata: {
+                    plugin: '@allow2/allow2automate-steam',
+                    category: 'gaming',
+                    platform: platform,
+                    appId: shortcut.appId,
+                    gameName: shortcut.appName,
+                    nonSteam: true,
+                    verdict
+                }
+            };
+            if (claim(policy)) {
+                policies.push(policy);
+            }
+        }
+
+        return policies;
+    }
+
+    /**
+     * Report a game left without a policy because another policy has its process name
+     * @param {Object} policy - The game's policy
+     * @param {Object} other - { appId, gameName } of the policy holding the name; none for Steam itself
+     */
+    reportPolicyConflict(policy, other = {}) {
+        const conflict = {
+            processName: policy.processName,
+            appId: policy.metadata.appId,
+            gameName: policy.metadata.gameName,
+            conflictsWith: { appId: other.appId || null, gameName: other.gameName || 'Steam' }
+        };
+
+        console.warn(`[SteamMonitor] ${conflict.gameName} (${conflict.appId}) runs as ${conflict.processName}, ` +
+            `like ${conflict.conflictsWith.gameName}; it gets no policy of its own`);
+        this.emit('policyConflict', conflict);
+    }
+
+    /**
+     * Generate the agent policy for one installed game
+     * @returns {Object|null} Policy, or null if the game's executable cannot be found
+     */
+    generateGamePolicy(game, platform = 'win32', gameVerdicts = {}, options = {}) {
+        const { checkInterval = 30000 } = options;
+        const executable = this.resolveGameExecutable(game, platform);
+        if (!executable) {
+            return null;
+        }
+
+        const verdict = gameVerdicts[game.appId] || GAME_VERDICTS.QUOTA;
+
+        return {
+            processName: executable.processName,
+            processPath: executable.executablePath,
+            processAlternatives: executable.alternatives,
+            allowed: verdict === GAME_VERDICTS.ALLOW,
+            checkInterval,
+            actions: {
+                onDetected: verdict === GAME_VERDICTS.QUOTA ? 'check-quota' : 'enforce',
+                ...this.getViolationActions(game.name, options)
+            },
+            metadata: {
+                plugin: '@allow2/allow2automate-steam',
+                category: 'gaming',
+                platform: platform,
+                appId: game.appId,
+                gameName: game.name,
+                verdict
+            }
+        };
+    }
+
+    /**
+     * Build the violation actions for a policy: warnings before the quota runs
+     * out, then (when killing) a grace period before the process is killed.
+     * Agents run the stages in order and report each one as a violation event
+     * carrying its stage name.
+     * @param {string} appName - Name shown in the warnings
+     * @param {Object} options - { killOnViolation, warningMinutes, finalWarningMinutes, gracePeriodSeconds }
+     * @returns {Object} { onViolation, stages }
+     */
+    getViolationActions(appName, options = {}) {
+        const {
+            killOnViolation = true,
+            warningMinutes = DEFAULT_WARNING_MINUTES,
+            finalWarningMinutes = DEFAULT_FINAL_WARNING_MINUTES,
+            gracePeriodSeconds = DEFAULT_GRACE_PERIOD_SECONDS
+        } = options;
+        const name = appName || 'Steam';
+        const minutes = (count) => count === 1 ? '1 minute' : `${count} minutes`;
+        const stages = [];
+
+        // Warnings count down to the moment the quota runs out; a threshold of 0 disables it
+        if (warningMinutes > 0 && warningMinutes > finalWarningMinutes) {
+            stages.push({
+                stage: VIOLATION_STAGES.WARNING,
+                action: 'notify',
+                before: warningMinutes * 60000,
+                message: `${name} will close in ${minutes(warningMinutes)}. Time to save your game.`
+            });
+        }
+
+        if (finalWarningMinutes > 0) {
+            stages.push({
+                stage: VIOLATION_STAGES.FINAL_WARNING,
+                action: 'notify',
+                before: finalWarningMinutes * 60000,
+                message: `${name} will close in ${minutes(finalWarningMinutes)}. Save your game now.`
+            });
+        }
+
+        if (!killOnViolation) {
+            stages.push({
+                stage: VIOLATION_STAGES.EXPIRED,
+                action: 'notify-only',
+                after: 0,
+                message: `Time is up for ${name}.`
+            });
+            return { onViolation: 'notify-only', stages };
+        }
+
+        if (gracePeriodSeconds > 0) {
+            stages.push({
+                stage: VIOLATION_STAGES.GRACE,
+                action: 'notify',
+                after: 0,
+                duration: gracePeriodSeconds * 1000,
+                message: `Time is up. ${name} will close in ${gracePeriodSeconds} seconds.`
+            });
+        }
+
+        stages.push({
+            stage: VIOLATION_STAGES.KILL,
+            action: 'kill-process',
+            after: Math.max(0, gracePeriodSeconds) * 1000
+        });
+
+        return { onViolation: 'kill-process', stages };
+    }
+
+    /**
+     * Check whether Steam is installed on an agent's device, from its inventory
      */
     async isSteamInstalled(agentId) {
         try {
-            // This would query the agent to check for Steam installation
-            // For now, we'll assume it's installed if the agent can detect the process
-            return true;
+            const inventory = await this.inventory.get(agentId);
+            return inventory.installed;
         } catch (error) {
             console.error('[SteamMonitor] Error checking Steam installation:', error);
             return false;
         }
     }
 
+    /**
+     * Get the Steam install, accounts, libraries and games on an agent's device
+     * @param {string} agentId - Agent ID
+     * @param {Object} options - { refresh } to ask the agent again instead of using the cache
+     * @returns {Promise<Object>} Inventory (see SteamInventory)
+     */
+    async getAgentInventory(agentId, options = {}) {
+        return this.inventory.get(agentId, options);
+    }
+
     /**
      * Get Steam user directories
      * Returns list of SteamID3 directories in userdata/
@@ -139,6 +612,125 @@ class SteamMonitor {
         }
     }
 
+    /**
+     * Refresh the non-Steam game shortcuts of every Steam user on this install
+     * @returns {Array} Shortcuts, each tagged with the owning user's SteamID3
+     */
+    refreshShortcuts() {
+        const shortcuts = [];
+
+        for (const userDir of this.getSteamUserDirectories()) {
+            const shortcutsPath = path.join(userDir.path, 'config', 'shortcuts.vdf');
+            if (!fs.existsSync(shortcutsPath)) {
+                continue;
+            }
+
+            for (const shortcut of this.parser.getShortcuts(shortcutsPath)) {
+                shortcuts.push({ ...shortcut, steamId3: userDir.steamId3 });
+            }
+        }
+
+        this.shortcuts = shortcuts;
+        this.gameIdentifier.setShortcuts(this.shortcuts);
+        return this.shortcuts;
+    }
+
+    /**
+     * Get the library collections of every Steam user on this install
+     * @returns {Array} Collections ({ id, name, appIds }), each tagged with the owning user's SteamID3
+     */
+    getCollections() {
+        const collections = [];
+
+        for (const userDir of this.getSteamUserDirectories()) {
+            const configDir = path.join(userDir.path, 'config');
+            const userCollections = this.parser.getCollections(
+                path.join(configDir, 'cloudstorage', 'cloud-storage-namespace-1.json'),
+                path.join(configDir, 'localconfig.vdf')
+            );
+
+            for (const collection of userCollections) {
+                collections.push({ ...collection, steamId3: userDir.steamId3 });
+            }
+        }
+
+        return collections;
+    }
+
+    /**
+     * Read games' age ratings and content descriptors from this install's appinfo.vdf cache
+     * Ratings are the same on every device, so agents' games are looked up here too.
+     * @param {Array} appIds - Apps to read
+     * @returns {Object} appId -> { ratings, descriptors }, for the apps Steam has metadata for
+     */
+    getContentRatings(appIds) {
+        const appInfoPath = this.steamPaths.root && path.join(this.steamPaths.root, 'appcache', 'appinfo.vdf');
+        if (!appInfoPath || appIds.length === 0 || !fs.existsSync(appInfoPath)) {
+            return {};
+        }
+
+        return this.parser.getContentRatings(appInfoPath, appIds);
+    }
+
+    /**
+     * Identify the installed game or shortcut a process reported by an agent belongs to
+     * @param {Object} processInfo - { processName, processPath, commandLine, environment }
+     * @param {string} agentId - Reporting agent; its inventory's games are used once collected
+     * @returns {Object|null} { appId, gameName, method, nonSteam } or null
+     */
+    identifyGame(processInfo, agentId = null) {
+        const inventory = agentId ? this.inventory.peek(agentId) : null;
+        if (!inventory) {
+            return this.gameIdentifier.identify(processInfo);
+        }
+
+        // One identifier per agent, rebuilt when its inventory is refreshed
+        let cached = this.agentIdentifiers.get(agentId);
+        if (!cached || cached.collectedAt !== inventory.collectedAt) {
+            cached = { collectedAt: inventory.collectedAt, identifier: new GameIdentifier(inventory.games, inventory.shortcuts) };
+            this.agentIdentifiers.set(agentId, cached);
+        }
+        return cached.identifier.identify(processInfo);
+    }
+
+    /**
+     * Get the process name a shortcut runs as
+     * Shortcut paths use the separators of the machine they were added on
+     */
+    getShortcutProcessName(shortcut) {
+        const pathModule = shortcut.exe.includes('\\') ? path.win32 : path.posix;
+        return pathModule.basename(shortcut.exe);
+    }
+
+    /**
+     * Get the Steam accounts known on this install
+     * Combines config/loginusers.vdf with the userdata/ directories and each
+     * user's PersonaName and Family View settings from localconfig.vdf.
+     * Most recently signed in first.
+     * @returns {Array} Array of { steamId64, steamId3, accountId, accountName, personaName,
+     *                  mostRecent, timestamp, familyView }
+     */
+    getSteamAccounts() {
+        const loginUsersPath = this.steamPaths.config && path.join(this.steamPaths.config, 'loginusers.vdf');
+        const loginUsers = loginUsersPath && fs.existsSync(loginUsersPath)
+            ? this.parser.getLoginUsers(loginUsersPath)
+            : [];
+        const accountIds = this.getSteamUserDirectories().map(userDir => userDir.steamId3);
+
+        return SteamInventory.buildAccounts(this.parser, loginUsers, accountIds, (accountId) => {
+            const configPath = this.getVDFConfigPath(accountId);
+            return configPath && fs.existsSync(configPath) ? this.parser.parseFile(configPath) : null;
+        });
+    }
+
+    /**
+     * Get the account currently (or last) signed in to Steam
+     * @returns {Object|null} Account or null
+     */
+    getActiveAccount() {
+        return this.getSteamAccounts().find(account => account.mostRecent) || null;
+    }
+
     /**
      * Get VDF config file path for a Steam user
      */
@@ -150,13 +742,239 @@ class SteamMonitor {
         return path.join(this.steamPaths.userdata, steamId3, 'config', 'localconfig.vdf');
     }
 
+    /**
+     * Check whether the Steam client is running on this machine
+     * Used to refuse config writes that Steam would overwrite on exit.
+     * @returns {boolean} True if Steam is running
+     */
+    isSteamRunning() {
+        const platform = os.platform();
+
+        if (platform === 'linux') {
+            // Steam writes its PID to ~/.steam/steam.pid while running
+            const pidFile = path.join(os.homedir(), '.steam', 'steam.pid');
+            if (!fs.existsSync(pidFile)) {
+                return false;
+            }
+
+            const pid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+            if (!pid) {
+                return false;
+            }
+
+            try {
+                process.kill(pid, 0);
+                return true;
+            } catch (error) {
+                return error.code === 'EPERM';
+            }
+        }
+
+        if (platform === 'win32') {
+            const output = execFileSync('tasklist', ['/FI', 'IMAGENAME eq steam.exe', '/NH'], { encoding: 'utf8' });
+            return output.toLowerCase().includes('steam.exe');
+        }
+
+        try {
+            execFileSync('pgrep', ['-x', this.getMainProcessName(platform)]);
+            return true;
+        } catch (error) {
+            // pgrep exits with status 1 when nothing matches
+            if (error.status === 1) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Edit a Steam user's localconfig.vdf, preserving formatting
+     * Refuses to write while Steam is running.
+     * @param {string} steamId3 - Steam user directory name
+     * @param {Function} mutate - Callback(document) that applies the changes
+     * @returns {Object} { backupPath }
+     */
+    updateUserConfig(steamId3, mutate) {
+        const configPath = this.getVDFConfigPath(steamId3);
+        if (!configPath || !fs.existsSync(configPath)) {
+            throw new Error(`localconfig.vdf not found for Steam user ${steamId3}`);
+        }
+
+        return this.parser.updateFile(configPath, mutate, {
+            isSteamRunning: () => this.isSteamRunning()
+        });
+    }
+
+    /**
+     * Watch Steam's account, Family View and library files and emit typed events
+     * @param {Object} options - SteamFileWatcher options { debounce, pollInterval }
+     */
+    startWatching(options = {}) {
+        this.stopWatching();
+        this.fileWatcher = new SteamFileWatcher(options);
+
+        this.accounts = this.getSteamAccounts();
+        this.refreshInstalledGames();
+
+        if (this.steamPaths.root) {
+            const configPath = this.steamPaths.config || path.join(this.steamPaths.root, 'config');
+            this.fileWatcher.watch(configPath, name => name === 'loginusers.vdf', (filePath) => {
+                this.parser.clearCacheForFile(filePath);
+                this.refreshAccounts();
+            });
+        }
+
+        if (this.steamPaths.userdata) {
+            // New account directories appear here on first sign-in
+            this.fileWatcher.watch(this.steamPaths.userdata, name => /^\d+$/.test(name), () => this.refreshAccounts());
+        }
+
+        this.watchUserConfigs();
+        this.watchLibraries();
+    }
+
+    /**
+     * Stop watching Steam's files
+     */
+    stopWatching() {
+        if (this.fileWatcher) {
+            this.fileWatcher.close();
+            this.fileWatcher = null;
+        }
+
+        this.userConfigWatches.clear();
+        this.libraryWatches.clear();
+    }
+
+    /**
+     * Watch each account's config directory for localconfig.vdf changes
+     */
+    watchUserConfigs() {
+        const userDirs = this.getSteamUserDirectories();
+        const current = new Set(userDirs.map(userDir => userDir.steamId3));
+
+        for (const [accountId, handle] of this.userConfigWatches) {
+            if (!current.has(accountId)) {
+                handle.close();
+                this.userConfigWatches.delete(accountId);
+            }
+        }
+
+        for (const userDir of userDirs) {
+            if (!this.userConfigWatches.has(userDir.steamId3)) {
+                this.userConfigWatches.set(userDir.steamId3, this.fileWatcher.watch(
+                    path.join(userDir.path, 'config'),
+                    name => name === 'localconfig.vdf',
+                    (filePath) => {
+                        this.parser.clearCacheForFile(filePath);
+                        this.refreshAccounts();
+                    }
+                ));
+            }
+        }
+    }
+
+    /**
+     * Watch every library's steamapps directory for appmanifest changes,
+     * and the default one for libraryfolders.vdf
+     */
+    watchLibraries() {
+        const steamappsPaths = new Set(this.getLibraries().map(library => library.steamapps).filter(Boolean));
+
+        for (const [steamapps, handle] of this.libraryWatches) {
+            if (!steamappsPaths.has(steamapps)) {
+                handle.close();
+                this.libraryWatches.delete(steamapps);
+            }
+        }
+
+        for (const steamapps of steamappsPaths) {
+            if (this.libraryWatches.has(steamapps)) {
+                continue;
+            }
+
+            this.libraryWatches.set(steamapps, this.fileWatcher.watch(
+                steamapps,
+                name => /^appmanifest_\d+\.acf$/i.test(name) || name === 'libraryfolders.vdf',
+                (filePath) => {
+                    // Steam can rewrite a file within the mtime resolution of the cache
+                    this.parser.clearCacheForFile(filePath);
+
+                    if (path.basename(filePath) !== 'libraryfolders.vdf') {
+                        this.refreshGames();
+                    } else if (this.steamPaths.libraryfolders && this.isSamePath(filePath, this.steamPaths.libraryfolders)) {
+                        this.watchLibraries();
+                        this.refreshGames();
+                        this.emit('librariesChanged', this.getLibraries());
+                    }
+                }
+            ));
+        }
+    }
+
+    /**
+     * Re-read installed games and emit what was installed or uninstalled
+     */
+    refreshGames() {
+        const previous = new Map(this.installedGames.map(game => [game.appId, game]));
+        const current = new Map(this.refreshInstalledGames().map(game => [game.appId, game]));
+
+        for (const [appId, game] of current) {
+            if (!previous.has(appId)) {
+                this.emit('gameInstalled', game);
+            }
+        }
+
+        for (const [appId, game] of previous) {
+            if (!current.has(appId)) {
+                this.emit('gameUninstalled', game);
+            }
+        }
+    }
+
+    /**
+     * Re-read Steam accounts and emit account and Family View changes
+     */
+    refreshAccounts() {
+        const previous = new Map(this.accounts.map(account => [account.steamId64, account]));
+        this.accounts = this.getSteamAccounts();
+
+        if (this.fileWatcher) {
+            this.watchUserConfigs();
+        }
+
+        for (const account of this.accounts) {
+            const before = previous.get(account.steamId64);
+            if (!before) {
+                this.emit('accountAdded', account);
+                continue;
+            }
+
+            if (account.mostRecent && !before.mostRecent) {
+                this.emit('activeAccountChanged', account);
+            }
+
+            if (JSON.stringify(account.familyView) !== JSON.stringify(before.familyView)) {
+                this.emit('parentalChanged', account, before.familyView);
+            }
+        }
+
+        for (const [steamId64, account] of previous) {
+            if (!this.accounts.some(a => a.steamId64 === steamId64)) {
+                this.emit('accountRemoved', account);
+            }
+        }
+    }
+
     /**
      * Cleanup resources
      */
     cleanup() {
-        // Cleanup any resources if needed
+        this.stopWatching();
         console.log('[SteamMonitor] Cleanup complete');
     }
 }
 
 module.exports = SteamMonitor;
+module.exports.GAME_VERDICTS = GAME_VERDICTS;
+module.exports.VIOLATION_STAGES = VIOLATION_STAGES;
@@ -0,0 +1,224 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+/**
+ * Protobuf wire types
+ */
+const WIRE_TYPES = {
+    VARINT: 0,
+    FIXED64: 1,
+    LENGTH_DELIMITED: 2,
+    FIXED32: 5
+};
+
+/**
+ * Family View feature bits (EParentalFeature) in enabled_features
+ * Friends, chat and groups are a single setting in Steam.
+ */
+const FEATURES = {
+    store: 1,
+    community: 2,
+    profile: 3,
+    friends: 4,
+    chat: 4,
+    library: 11
+};
+
+// ParentalSettings field numbers (steammessages_parental.proto)
+const FIELDS = {
+    STEAMID: 1,
+    APPLIST_BASE_ID: 2,
+    APPLIST_BASE_DESCRIPTION: 3,
+    APPLIST_BASE: 4,
+    APPLIST_CUSTOM: 5,
+    PASSWORD_HASH_TYPE: 6,
+    IS_ENABLED: 9,
+    ENABLED_FEATURES: 10,
+    IS_SITE_LICENSE_LOCK: 12
+};
+
+/**
+ * SteamParentalSettings - Decode Steam Family View settings
+ *
+ * localconfig.vdf stores Family View as UserLocalConfigStore -> parental ->
+ * settings, a hex encoded ParentalSettings protobuf message. Only the fields
+ * needed to describe what the child can access are decoded; the password
+ * hash, salt and recovery email are skipped.
+ */
+class SteamParentalSettings {
+    /**
+     * @param {string} hex - Hex encoded ParentalSettings message
+     * @returns {Object} { enabled, steamId64, features, enabledFeatures, allGames,
+     *                     allowedApps, appListBaseId, appListDescription, hasPin, siteLicenseLock }
+     * @throws {Error} If the message is malformed
+     */
+    static decode(hex) {
+        const settings = {
+            enabled: false,
+            steamId64: null,
+            features: {},
+            enabledFeatures: 0,
+            allGames: false,
+            allowedApps: [],
+            appListBaseId: null,
+            appListDescription: '',
+            hasPin: false,
+            siteLicenseLock: false
+        };
+
+        const text = (hex || '').trim();
+        if (!/^([0-9a-f]{2})*$/i.test(text)) {
+            throw new Error('Parental settings are not hex encoded');
+        }
+
+        const baseApps = new Map();
+        const customApps = new Map();
+
+        for (const field of SteamParentalSettings.readMessage(Buffer.from(text, 'hex'))) {
+            switch (field.number) {
+                case FIELDS.STEAMID:
+                    settings.steamId64 = field.value.toString();
+                    break;
+                case FIELDS.APPLIST_BASE_ID:
+                    settings.appListBaseId = Number(field.value);
+                    break;
+                case FIELDS.APPLIST_BASE_DESCRIPTION:
+                    settings.appListDescription = field.value.toString('utf8');
+                    break;
+                case FIELDS.APPLIST_BASE:
+                case FIELDS.APPLIST_CUSTOM: {
+                    const app = SteamParentalSettings.readApp(field.value);
+                    (field.number === FIELDS.APPLIST_BASE ? baseApps : customApps).set(app.appId, app.allowed);
+                    break;
+                }
+                case FIELDS.PASSWORD_HASH_TYPE:
+                    settings.hasPin = Number(field.value) !== 0;
+                    break;
+                case FIELDS.IS_ENABLED:
+                    settings.enabled = Number(field.value) !== 0;
+                    break;
+                case FIELDS.ENABLED_FEATURES:
+                    settings.enabledFeatures = Number(field.value);
+                    break;
+                case FIELDS.IS_SITE_LICENSE_LOCK:
+                    settings.siteLicenseLock = Number(field.value) !== 0;
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        // Without Family View everything is available
+        for (const [feature, bit] of Object.entries(FEATURES)) {
+            settings.features[feature] = !settings.enabled || (settings.enabledFeatures & (1 << bit)) !== 0;
+        }
+        settings.allGames = settings.features.library;
+
+        // Custom entries override the base list the parent started from
+        const apps = new Map([...baseApps, ...customApps]);
+        settings.allowedApps = [...apps]
+            .filter(([, allowed]) => allowed)
+            .map(([appId]) => appId)
+            .sort((a, b) => a - b);
+
+        return settings;
+    }
+
+    /**
+     * Read the fields of a protobuf message
+     * Varints and fixed64 values are BigInt, length-delimited values are Buffers.
+     * @returns {Array} Array of { number, wireType, value }
+     */
+    static readMessage(buffer) {
+        const fields = [];
+        let offset = 0;
+
+        const readVarint = () => {
+            let value = 0n;
+            let shift = 0n;
+            for (;;) {
+                if (offset >= buffer.length) {
+                    throw new Error('Truncated varint in parental settings');
+                }
+                const byte = buffer[offset++];
+                value |= BigInt(byte & 0x7f) << shift;
+                if ((byte & 0x80) === 0) {
+                    return value;
+                }
+                shift += 7n;
+            }
+        };
+
+        const take = (length) => {
+            if (offset + length > buffer.length) {
+                throw new Error('Truncated field in parental settings');
+            }
+            const value = buffer.subarray(offset, offset + length);
+            offset += length;
+            return value;
+        };
+
+        while (offset < buffer.length) {
+            const key = Number(readVarint());
+            const number = key >> 3;
+            const wireType = key & 0x7;
+            let value;
+
+            switch (wireType) {
+                case WIRE_TYPES.VARINT:
+                    value = readVarint();
+                    break;
+                case WIRE_TYPES.FIXED64:
+                    value = take(8).readBigUInt64LE(0);
+                    break;
+                case WIRE_TYPES.LENGTH_DELIMITED:
+                    value = take(Number(readVarint()));
+                    break;
+                case WIRE_TYPES.FIXED32:
+                    value = BigInt(take(4).readUInt32LE(0));
+                    break;
+                default:
+                    throw new Error(`Unsupported wire type ${wireType} in parental settings`);
+            }
+
+            fields.push({ number, wireType, value });
+        }
+
+        return fields;
+    }
+
+    /**
+     * Read a ParentalApp message
+     * @returns {Object} { appId, allowed }
+     */
+    static readApp(buffer) {
+        const app = { appId: 0, allowed: false };
+
+        for (const field of SteamParentalSettings.readMessage(buffer)) {
+            if (field.number === 1) {
+                app.appId = Number(field.value);
+            } else if (field.number === 2) {
+                app.allowed = Number(field.value) !== 0;
+            }
+        }
+
+        return app;
+    }
+}
+
+module.exports = SteamParentalSettings;
+module.exports.FEATURES = FEATURES;
@@ -0,0 +1,462 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+/**
+ * SteamVDFDocument - Lossless text VDF document for editing Steam config files
+ *
+ * The document keeps every token of the source (whitespace, comments, quoting,
+ * escape sequences, key case and order), so serializing an unmodified document
+ * reproduces the input byte for byte and edits only touch the affected tokens.
+ */
+class SteamVDFDocument {
+    constructor(tokens, root) {
+        this.tokens = tokens;
+        this.root = root;
+    }
+
+    /**
+     * Parse VDF text into a document
+     * @param {string} text - VDF content
+     * @returns {SteamVDFDocument} Document
+     */
+    static parse(text) {
+        if (typeof text !== 'string') {
+            throw new TypeError('SteamVDFDocument.parse: expecting a string');
+        }
+
+        const tokens = SteamVDFDocument.tokenize(text);
+        let index = 0;
+
+        const nextSignificant = () => {
+            while (index < tokens.length && (tokens[index].type === 'ws' || tokens[index].type === 'comment')) {
+                index++;
+            }
+            return tokens[index];
+        };
+
+        const parseBlock = (openToken) => {
+            const block = { entries: [], open: openToken, close: null };
+
+            while (true) {
+                const token = nextSignificant();
+
+                if (!token) {
+                    if (openToken) {
+                        throw new SyntaxError('SteamVDFDocument.parse: unexpected end of input, missing "}"');
+                    }
+                    return block;
+                }
+
+                if (token.type === 'close') {
+                    if (!openToken) {
+                        throw new SyntaxError(`SteamVDFDocument.parse: unexpected "}" on line ${token.line}`);
+                    }
+                    block.close = token;
+                    index++;
+                    return block;
+                }
+
+                if (token.type !== 'string') {
+                    throw new SyntaxError(`SteamVDFDocument.parse: expected a key on line ${token.line}`);
+                }
+
+                const entry = { keyToken: token, valueToken: null, condToken: null, block: null };
+                index++;
+
+                const valueToken = nextSignificant();
+                if (!valueToken) {
+                    throw new SyntaxError(`SteamVDFDocument.parse: missing value for "${token.value}"`);
+                }
+
+                if (valueToken.type === 'string') {
+                    entry.valueToken = valueToken;
+                    index++;
+                } else if (valueToken.type === 'open') {
+                    index++;
+                    entry.block = parseBlock(valueToken);
+                } else {
+                    throw new SyntaxError(`SteamVDFDocument.parse: unexpected "${valueToken.raw}" on line ${valueToken.line}`);
+                }
+
+                // Optional platform conditional such as [$WIN32]
+                const saved = index;
+                const condToken = nextSignificant();
+                if (condToken && condToken.type === 'cond') {
+                    entry.condToken = condToken;
+                    index++;
+                } else {
+                    index = saved;
+                }
+
+                block.entries.push(entry);
+            }
+        };
+
+        return new SteamVDFDocument(tokens, parseBlock(null));
+    }
+
+    /**
+     * Split VDF text into tokens that concatenate back to the original text
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+
+        const push = (type, start, value) => {
+            const raw = text.slice(start, i);
+            tokens.push({ type, raw, value, line });
+            line += (raw.match(/\n/g) || []).length;
+        };
+
+        while (i < text.length) {
+            const start = i;
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                while (i < text.length && /\s/.test(text[i])) i++;
+                push('ws', start);
+            } else if (char === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+                push('comment', start);
+            } else if (char === '{') {
+                i++;
+                push('open', start);
+            } else if (char === '}') {
+                i++;
+                push('close', start);
+            } else if (char === '[') {
+                while (i < text.length && text[i] !== ']' && text[i] !== '\n') i++;
+                if (text[i] === ']') i++;
+                push('cond', start);
+            } else if (char === '"') {
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    i += text[i] === '\\' ? 2 : 1;
+                }
+                if (i >= text.length) {
+                    throw new SyntaxError(`SteamVDFDocument.parse: unterminated string on line ${line}`);
+                }
+                i++;
+                push('string', start, SteamVDFDocument.unescape(text.slice(start + 1, i - 1)));
+            } else {
+                while (i < text.length && !/[\s{}"]/.test(text[i])) i++;
+                push('string', start, text.slice(start, i));
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Resolve escape sequences in a quoted string
+     */
+    static unescape(value) {
+        return value.replace(/\\(.)/g, (match, char) => {
+            if (char === 'n') return '\n';
+            if (char === 't') return '\t';
+            return char;
+        });
+    }
+
+    /**
+     * Quote and escape a value for writing
+     */
+    static quote(value) {
+        const escaped = String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\t/g, '\\t');
+        return `"${escaped}"`;
+    }
+
+    /**
+     * Serialize the document
+     * @returns {string} VDF text
+     */
+    toString() {
+        return this.tokens.map(token => token.raw).join('');
+    }
+
+    /**
+     * Convert the document to a plain object (same shape as SteamVDFParser.parseContent)
+     * Duplicate blocks are merged and escape sequences resolved.
+     * @returns {Object} Plain object
+     */
+    toObject() {
+        const convert = (block) => {
+            const result = {};
+            for (const entry of block.entries) {
+                const key = entry.keyToken.value;
+                if (entry.block) {
+                    const existing = result[key];
+                    result[key] = Object.assign(
+                        existing && typeof existing === 'object' ? existing : {},
+                        convert(entry.block)
+                    );
+                } else {
+                    result[key] = entry.valueToken.value;
+                }
+            }
+            return result;
+        };
+
+        return convert(this.root);
+    }
+
+    /**
+     * Get a value by key path (keys match case-insensitively, like Steam)
+     * @param {Array} keyPath - e.g. ['UserLocalConfigStore', 'friends', 'PersonaName']
+     * @returns {string|Object|undefined} String value, plain object for blocks, or undefined
+     */
+    get(keyPath) {
+        const entry = this.findEntry(keyPath);
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.block) {
+            return new SteamVDFDocument(this.tokens, entry.block).toObject();
+        }
+
+        return entry.valueToken.value;
+    }
+
+    /**
+     * Set a string value by key path, creating missing blocks
+     * Existing entries keep their position, key case and quoting style.
+     * @param {Array} keyPath - Key path
+     * @param {string|number} value - New value
+     */
+    set(keyPath, value) {
+        const parentBlock = this.ensureBlock(keyPath.slice(0, -1));
+        const key = keyPath[keyPath.length - 1];
+        const entry = this.findInBlock(parentBlock, key);
+
+        if (entry && entry.block) {
+            throw new Error(`Cannot set "${keyPath.join('/')}": it is a block`);
+        }
+
+        if (entry) {
+            entry.valueToken.raw = SteamVDFDocument.quote(value);
+            entry.valueToken.value = String(value);
+            return;
+        }
+
+        const valueToken = { type: 'string', raw: SteamVDFDocument.quote(value), value: String(value) };
+        const keyToken = { type: 'string', raw: SteamVDFDocument.quote(key), value: key };
+        const separator = this.detectSeparator(parentBlock);
+
+        this.insertEntry(parentBlock, [keyToken, { type: 'ws', raw: separator }, valueToken], {
+            keyToken,
+            valueToken,
+            condToken: null,
+            block: null
+        });
+    }
+
+    /**
+     * Remove an entry (and the line it sits on) by key path
+     * @param {Array} keyPath - Key path
+     * @returns {boolean} Whether an entry was removed
+     */
+    remove(keyPath) {
+        const parentBlock = keyPath.length > 1 ? this.findEntry(keyPath.slice(0, -1))?.block : this.root;
+        if (!parentBlock) {
+            return false;
+        }
+
+        const entry = this.findInBlock(parentBlock, keyPath[keyPath.length - 1]);
+        if (!entry) {
+            return false;
+        }
+
+        let start = this.tokens.indexOf(entry.keyToken);
+        const lastToken = entry.condToken || (entry.block ? entry.block.close : entry.valueToken);
+        const end = this.tokens.indexOf(lastToken);
+
+        // Take the indentation before the entry with it, leaving the newline
+        const previous = this.tokens[start - 1];
+        if (previous && previous.type === 'ws') {
+            const newline = previous.raw.lastIndexOf('\n');
+            if (newline === -1) {
+                start--;
+            } else {
+                previous.raw = previous.raw.slice(0, newline + 1);
+            }
+        }
+
+        // ...and drop the rest of the line after it
+        const next = this.tokens[end + 1];
+        if (next && next.type === 'ws' && next.raw.includes('\n')) {
+            next.raw = next.raw.slice(next.raw.indexOf('\n') + 1);
+        }
+
+        this.tokens.splice(start, end - start + 1);
+        parentBlock.entries.splice(parentBlock.entries.indexOf(entry), 1);
+        return true;
+    }
+
+    findEntry(keyPath) {
+        let block = this.root;
+        let entry = null;
+
+        for (let i = 0; i < keyPath.length; i++) {
+            if (!block) {
+                return null;
+            }
+            entry = this.findInBlock(block, keyPath[i]);
+            if (!entry) {
+                return null;
+            }
+            block = entry.block;
+        }
+
+        return entry;
+    }
+
+    findInBlock(block, key) {
+        const exact = block.entries.filter(entry => entry.keyToken.value === key);
+        if (exact.length > 0) {
+            return exact[exact.length - 1];
+        }
+
+        const lower = String(key).toLowerCase();
+        const matches = block.entries.filter(entry => entry.keyToken.value.toLowerCase() === lower);
+        return matches.length > 0 ? matches[matches.length - 1] : null;
+    }
+
+    /**
+     * Find or create the block at a key path
+     */
+    ensureBlock(keyPath) {
+        let block = this.root;
+
+        for (const key of keyPath) {
+            let entry = this.findInBlock(block, key);
+
+            if (entry && !entry.block) {
+                throw new Error(`Cannot create block "${key}": a value with that key exists`);
+            }
+
+            if (!entry) {
+                const indent = this.detectIndent(block);
+                const lineBreak = this.detectLineBreak();
+                const keyToken = { type: 'string', raw: SteamVDFDocument.quote(key), value: key };
+                const open = { type: 'open', raw: '{' };
+                const close = { type: 'close', raw: '}' };
+
+                entry = { keyToken, valueToken: null, condToken: null, block: { entries: [], open, close } };
+                this.insertEntry(block, [
+                    keyToken,
+                    { type: 'ws', raw: lineBreak + indent },
+                    open,
+                    { type: 'ws', raw: lineBreak + indent },
+                    close
+                ], entry);
+            }
+
+            block = entry.block;
+        }
+
+        return block;
+    }
+
+    /**
+     * Insert an entry's tokens after the last entry of a block (or at its start)
+     */
+    insertEntry(block, newTokens, entry) {
+        const indent = this.detectIndent(block);
+        const lineBreak = this.detectLineBreak();
+        let insertAt;
+
+        if (block.entries.length > 0) {
+            const last = block.entries[block.entries.length - 1];
+            const lastToken = last.condToken || (last.block ? last.block.close : last.valueToken);
+            insertAt = this.tokens.indexOf(lastToken) + 1;
+        } else if (block.open) {
+            insertAt = this.tokens.indexOf(block.open) + 1;
+        } else {
+            insertAt = this.tokens.length;
+        }
+
+        const leading = { type: 'ws', raw: (insertAt === 0 ? '' : lineBreak) + indent };
+        this.tokens.splice(insertAt, 0, leading, ...newTokens);
+
+        // Keep the closing brace on its own line when the block was written as {}
+        if (block.open) {
+            const closeIndex = this.tokens.indexOf(block.close);
+            const beforeClose = this.tokens[closeIndex - 1];
+            if (!(beforeClose.type === 'ws' && beforeClose.raw.includes('\n'))) {
+                this.tokens.splice(closeIndex, 0, { type: 'ws', raw: lineBreak + indent.slice(1) });
+            }
+        }
+
+        block.entries.push(entry);
+    }
+
+    /**
+     * Line break style of the document
+     */
+    detectLineBreak() {
+        const sample = this.tokens.find(token => token.type === 'ws' && token.raw.includes('\n'));
+        return sample && sample.raw.includes('\r\n') ? '\r\n' : '\n';
+    }
+
+    /**
+     * Indentation used by the entries of a block (tabs, as Steam writes them)
+     */
+    detectIndent(block) {
+        const first = block.entries[0];
+        if (first) {
+            const previous = this.tokens[this.tokens.indexOf(first.keyToken) - 1];
+            if (previous && previous.type === 'ws') {
+                const newline = previous.raw.lastIndexOf('\n');
+                return newline === -1 ? previous.raw : previous.raw.slice(newline + 1);
+            }
+            return '';
+        }
+
+        if (!block.open) {
+            return '';
+        }
+
+        const previous = this.tokens[this.tokens.indexOf(block.open) - 1];
+        const parentIndent = previous && previous.type === 'ws'
+            ? previous.raw.slice(previous.raw.lastIndexOf('\n') + 1)
+            : '';
+        return `${parentIndent}\t`;
+    }
+
+    /**
+     * Whitespace between key and value used by the entries of a block
+     */
+    detectSeparator(block) {
+        const sample = block.entries.find(entry => entry.valueToken);
+        if (sample) {
+            const index = this.tokens.indexOf(sample.keyToken);
+            const between = this.tokens[index + 1];
+            if (between && between.type === 'ws' && !between.raw.includes('\n')) {
+                return between.raw;
+            }
+        }
+        return '\t\t';
+    }
+}
+
+module.exports = SteamVDFDocument;
@@ -16,7 +16,18 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
 const vdf = require('simple-vdf');
+const SteamBinaryVDFReader = require('./SteamBinaryVDFReader');
+const SteamVDFDocument = require('./SteamVDFDocument');
+const SteamParentalSettings = require('./SteamParentalSettings');
+const ContentRatings = require('./ContentRatings');
+
+// Names of the collections Steam creates itself, which it stores without one
+const BUILTIN_COLLECTION_NAMES = {
+    favorite: 'Favorites',
+    hidden: 'Hidden'
+};
 
 /**
  * SteamVDFParser - Parse Steam VDF (Valve Data Format) configuration files
@@ -34,26 +45,103 @@ class SteamVDFParser {
      * @returns {Object} Parsed VDF data
      */
     parseFile(filePath, useCache = true) {
+        return this.readCached(filePath, 'text', useCache, () => {
+            const content = fs.readFileSync(filePath, 'utf8');
+            return vdf.parse(content);
+        });
+    }
+
+    /**
+     * Parse binary VDF file (e.g. userdata/<id>/config/shortcuts.vdf)
+     * @param {string} filePath - Path to binary VDF file
+     * @param {boolean} useCache - Use cached result if available
+     * @returns {Object} Parsed VDF data
+     */
+    parseBinaryFile(filePath, useCache = true) {
+        return this.readCached(filePath, 'binary', useCache, () => {
+            return this.parseBinaryContent(fs.readFileSync(filePath));
+        });
+    }
+
+    /**
+     * Parse binary VDF content
+     * @param {Buffer} buffer - Binary VDF content
+     * @returns {Object} Parsed data
+     */
+    parseBinaryContent(buffer) {
+        try {
+            return new SteamBinaryVDFReader(buffer).readDocument();
+        } catch (error) {
+            console.error('[SteamVDFParser] Error parsing binary VDF content:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse appcache/appinfo.vdf
+     * The file holds metadata for every app Steam knows about and can be very
+     * large, so callers should pass the app IDs they are interested in.
+     * @param {string} filePath - Path to appinfo.vdf
+     * @param {Array} appIds - Only decode these apps (all apps when omitted)
+     * @param {boolean} useCache - Use cached result if available
+     * @returns {Object} { version, universe, apps: { appId -> entry } }
+     */
+    parseAppInfoFile(filePath, appIds = null, useCache = true) {
+        const format = appIds ? `appinfo:${appIds.map(String).sort().join(',')}` : 'appinfo';
+
+        return this.readCached(filePath, format, useCache, () => {
+            return SteamBinaryVDFReader.readAppInfo(fs.readFileSync(filePath), { appIds });
+        });
+    }
+
+    /**
+     * Get age ratings and content descriptors from appcache/appinfo.vdf
+     * @param {string} filePath - Path to appinfo.vdf
+     * @param {Array} appIds - Apps to read
+     * @returns {Object} appId -> { ratings, descriptors }, for the apps appinfo.vdf lists
+     */
+    getContentRatings(filePath, appIds) {
+        try {
+            const { apps } = this.parseAppInfoFile(filePath, appIds);
+            const ratings = {};
+            for (const [appId, entry] of Object.entries(apps)) {
+                ratings[appId] = ContentRatings.fromAppInfo(entry);
+            }
+            return ratings;
+        } catch (error) {
+            console.error('[SteamVDFParser] Error getting content ratings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Read a file through the mtime-validated cache
+     * @param {string} filePath - Path to file
+     * @param {string} format - Cache discriminator so text/binary reads of a path never mix
+     * @param {boolean} useCache - Use cached result if available
+     * @param {Function} parse - Parses the file when the cache misses
+     * @returns {Object} Parsed data
+     */
+    readCached(filePath, format, useCache, parse) {
         // Check cache
         if (useCache && this.cache.has(filePath)) {
             const cached = this.cache.get(filePath);
             const stats = fs.statSync(filePath);
 
             // Return cached if file hasn't changed
-            if (cached.mtime === stats.mtime.getTime()) {
+            if (cached.format === format && cached.mtime === stats.mtime.getTime()) {
                 return cached.data;
             }
         }
 
         try {
-            // Read and parse VDF file
-            const content = fs.readFileSync(filePath, 'utf8');
-            const parsed = vdf.parse(content);
+            const parsed = parse();
 
             // Cache result
             const stats = fs.statSync(filePath);
             this.cache.set(filePath, {
                 data: parsed,
+                format,
                 mtime: stats.mtime.getTime()
             });
 
@@ -79,28 +167,132 @@ class SteamVDFParser {
     }
 
     /**
-     * Get parental settings from localconfig.vdf
-     * @param {string} filePath - Path to localconfig.vdf
-     * @returns {Object|null} Parental settings or null if not found
+     * Parse a VDF file into an editable, lossless document
+     * @param {string} filePath - Path to VDF file
+     * @returns {SteamVDFDocument} Document
      */
-    getParentalSettings(filePath) {
+    parseDocument(filePath) {
         try {
-            const config = this.parseFile(filePath);
+            return SteamVDFDocument.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.error('[SteamVDFParser] Error parsing VDF document:', filePath, error);
+            throw error;
+        }
+    }
 
-            // Navigate to parental settings
-            // Structure: UserLocalConfigStore -> parental
-            const userConfig = config.UserLocalConfigStore;
-            if (!userConfig) {
-                return null;
+    /**
+     * Write a VDF file atomically, keeping a backup of the previous version
+     * Steam rewrites its config files on exit, so writing while the client is
+     * running would be silently undone (or corrupt the file) and is refused.
+     * @param {string} filePath - Path to VDF file
+     * @param {SteamVDFDocument|string} content - Document or VDF text
+     * @param {Object} options - { isSteamRunning: Function|boolean } required running check
+     * @returns {Object} { backupPath } backupPath is null when the file did not exist
+     */
+    writeFile(filePath, content, options = {}) {
+        const { isSteamRunning } = options;
+        if (isSteamRunning === undefined) {
+            throw new Error('writeFile requires an isSteamRunning check');
+        }
+
+        let running;
+        try {
+            running = typeof isSteamRunning === 'function' ? isSteamRunning() : isSteamRunning;
+        } catch (error) {
+            // If we can't tell, assume it is running rather than risk the file
+            console.error('[SteamVDFParser] Error checking whether Steam is running:', error);
+            running = true;
+        }
+
+        if (running) {
+            const error = new Error(`Refusing to write ${filePath} while Steam is running`);
+            error.code = 'STEAM_RUNNING';
+            throw error;
+        }
+
+        const text = typeof content === 'string' ? content : content.toString();
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        let backupPath = null;
+
+        try {
+            // Write and flush the new content next to the target
+            const fd = fs.openSync(tempPath, 'w');
+            try {
+                fs.writeFileSync(fd, text, 'utf8');
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
             }
 
-            return userConfig.parental || null;
+            if (fs.existsSync(filePath)) {
+                backupPath = `${filePath}.bak`;
+                fs.copyFileSync(filePath, backupPath);
+            }
+
+            // Rename is atomic on the same filesystem
+            fs.renameSync(tempPath, filePath);
+            this.cache.delete(filePath);
+
+            return { backupPath };
+        } catch (error) {
+            console.error('[SteamVDFParser] Error writing VDF file:', filePath, error);
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Edit a VDF file in place: parse, apply changes, write atomically
+     * @param {string} filePath - Path to VDF file
+     * @param {Function} mutate - Callback(document) that applies the changes
+     * @param {Object} options - Passed to writeFile()
+     * @returns {Object} { backupPath }
+     */
+    updateFile(filePath, mutate, options = {}) {
+        const document = this.parseDocument(filePath);
+        mutate(document);
+        return this.writeFile(filePath, document, options);
+    }
+
+    /**
+     * Get Family View settings from localconfig.vdf
+     * @param {string} filePath - Path to localconfig.vdf
+     * @returns {Object|null} Decoded settings (see SteamParentalSettings.decode) or
+     *                        null if Family View was never set up
+     */
+    getParentalSettings(filePath) {
+        try {
+            return this.extractParentalSettings(this.parseFile(filePath));
         } catch (error) {
             console.error('[SteamVDFParser] Error getting parental settings:', error);
             return null;
         }
     }
 
+    /**
+     * Get Family View settings from parsed localconfig.vdf data
+     * @param {Object} config - Parsed localconfig.vdf
+     * @returns {Object|null} Decoded settings or null
+     */
+    extractParentalSettings(config) {
+        // Navigate to parental settings
+        // Structure: UserLocalConfigStore -> parental
+        const userConfig = config.UserLocalConfigStore;
+        if (!userConfig) {
+            return null;
+        }
+
+        const parental = this.getKey(userConfig, 'parental');
+        const settings = parental && this.getKey(parental, 'settings');
+        if (!settings) {
+            return null;
+        }
+
+        return SteamParentalSettings.decode(this.stripQuotes(settings));
+    }
+
     /**
      * Get user persona name from localconfig.vdf
      * @param {string} filePath - Path to localconfig.vdf
@@ -108,27 +300,288 @@ class SteamVDFParser {
      */
     getPersonaName(filePath) {
         try {
-            const config = this.parseFile(filePath);
+            return this.extractPersonaName(this.parseFile(filePath));
+        } catch (error) {
+            console.error('[SteamVDFParser] Error getting persona name:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get user persona name from parsed localconfig.vdf data
+     * @param {Object} config - Parsed localconfig.vdf
+     * @returns {string|null} Persona name or null
+     */
+    extractPersonaName(config) {
+        // Navigate to friends -> PersonaName
+        const userConfig = config.UserLocalConfigStore;
+        if (!userConfig || !userConfig.friends) {
+            return null;
+        }
+
+        return this.unescapeValue(userConfig.friends.PersonaName) || null;
+    }
+
+    /**
+     * Get a user's library collections
+     * @param {string} cloudStoragePath - Path to userdata/<id>/config/cloudstorage/cloud-storage-namespace-1.json
+     * @param {string} localConfigPath - Path to userdata/<id>/config/localconfig.vdf
+     * @returns {Array} Array of { id, name, appIds }
+     */
+    getCollections(cloudStoragePath, localConfigPath) {
+        try {
+            const cloudStorage = fs.existsSync(cloudStoragePath) ? fs.readFileSync(cloudStoragePath, 'utf8') : null;
+            const localConfig = fs.existsSync(localConfigPath) ? this.parseFile(localConfigPath) : null;
+            return this.extractCollections(cloudStorage, localConfig);
+        } catch (error) {
+            console.error('[SteamVDFParser] Error getting collections:', error);
+            return [];
+        }
+    }
 
-            // Navigate to friends -> PersonaName
-            const userConfig = config.UserLocalConfigStore;
-            if (!userConfig || !userConfig.friends) {
-                return null;
+    /**
+     * Get library collections from cloud storage and localconfig.vdf
+     * Steam keeps collections in cloud storage (user-collections.<id> keys, with
+     * their names) and a copy of their games in localconfig.vdf (WebStorage
+     * user-collections); cloud storage wins where both have one. Dynamic
+     * collections, defined by a filter rather than a list of games, are left out.
+     * @param {string|null} cloudStorage - Contents of cloud-storage-namespace-1.json
+     * @param {Object|null} localConfig - Parsed localconfig.vdf
+     * @returns {Array} Array of { id, name, appIds }
+     */
+    extractCollections(cloudStorage, localConfig) {
+        const collections = new Map();
+        const add = (entry) => {
+            if (!entry || typeof entry.id !== 'string' || !Array.isArray(entry.added) || entry.filterSpec) {
+                return;
             }
 
-            return userConfig.friends.PersonaName || null;
+            const removed = new Set((entry.removed || []).map(String));
+            collections.set(entry.id, {
+                id: entry.id,
+                name: entry.name || collections.get(entry.id)?.name || BUILTIN_COLLECTION_NAMES[entry.id] || entry.id,
+                appIds: [...new Set(entry.added.map(String))].filter(appId => !removed.has(appId))
+            });
+        };
+
+        const webStorage = localConfig && this.getKey(this.getKey(localConfig, 'UserLocalConfigStore'), 'WebStorage');
+        const local = webStorage && this.getKey(webStorage, 'user-collections');
+        if (typeof local === 'string') {
+            Object.values(JSON.parse(this.unescapeValue(local))).forEach(add);
+        }
+
+        for (const [key, record] of cloudStorage ? JSON.parse(cloudStorage) : []) {
+            if (!key.startsWith('user-collections.')) {
+                continue;
+            }
+            if (record.is_deleted) {
+                collections.delete(key.slice('user-collections.'.length));
+            } else if (typeof record.value === 'string') {
+                add(JSON.parse(record.value));
+            }
+        }
+
+        return [...collections.values()];
+    }
+
+    /**
+     * Get non-Steam game shortcuts from userdata/<id>/config/shortcuts.vdf
+     * @param {string} filePath - Path to shortcuts.vdf
+     * @returns {Array} Array of { appId, appName, exe, startDir, launchOptions, tags, hidden, lastPlayTime }
+     */
+    getShortcuts(filePath) {
+        try {
+            return this.extractShortcuts(this.parseBinaryFile(filePath));
         } catch (error) {
-            console.error('[SteamVDFParser] Error getting persona name:', error);
-            return null;
+            console.error('[SteamVDFParser] Error getting shortcuts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get non-Steam game shortcuts from parsed shortcuts.vdf data
+     * @param {Object} data - Parsed binary shortcuts.vdf
+     * @returns {Array} Shortcuts, as getShortcuts()
+     */
+    extractShortcuts(data) {
+        const root = this.getKey(data, 'shortcuts');
+        if (!root) {
+            return [];
+        }
+
+        return Object.values(root).map(entry => ({
+            // Shortcut app IDs are stored as signed int32 but Steam uses the unsigned form
+            appId: String(Number(this.getKey(entry, 'appid') || 0) >>> 0),
+            appName: this.getKey(entry, 'AppName') || '',
+            exe: this.stripQuotes(this.getKey(entry, 'Exe') || ''),
+            startDir: this.stripQuotes(this.getKey(entry, 'StartDir') || ''),
+            launchOptions: this.getKey(entry, 'LaunchOptions') || '',
+            tags: Object.values(this.getKey(entry, 'tags') || {}),
+            hidden: this.getKey(entry, 'IsHidden') === 1,
+            lastPlayTime: this.getKey(entry, 'LastPlayTime') || 0
+        }));
+    }
+
+    /**
+     * Case-insensitive key lookup (Steam has changed key casing between versions)
+     * @param {Object} obj - Parsed VDF object
+     * @param {string} key - Key to look up
+     * @returns {*} Value or undefined
+     */
+    getKey(obj, key) {
+        if (!obj || typeof obj !== 'object') {
+            return undefined;
+        }
+        if (key in obj) {
+            return obj[key];
         }
+
+        const lower = key.toLowerCase();
+        const match = Object.keys(obj).find(k => k.toLowerCase() === lower);
+        return match === undefined ? undefined : obj[match];
+    }
+
+    /**
+     * Remove the quotes Steam wraps around shortcut paths
+     */
+    stripQuotes(value) {
+        return value.replace(/^"(.*)"$/, '$1');
+    }
+
+    /**
+     * Get Steam library folders from libraryfolders.vdf
+     * Handles both the current format (numbered blocks with path/label/apps)
+     * and the legacy format (numbered keys mapping straight to a path)
+     * @param {string} filePath - Path to steamapps/libraryfolders.vdf
+     * @returns {Array} Array of { path, label, steamapps, apps }
+     */
+    getLibraryFolders(filePath) {
+        try {
+            return this.extractLibraryFolders(this.parseFile(filePath));
+        } catch (error) {
+            console.error('[SteamVDFParser] Error getting library folders:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get Steam library folders from parsed libraryfolders.vdf data
+     * @param {Object} config - Parsed libraryfolders.vdf
+     * @param {Object} pathModule - path, path.win32 or path.posix for the machine the file is from
+     * @returns {Array} Array of { path, label, steamapps, apps }
+     */
+    extractLibraryFolders(config, pathModule = path) {
+        const root = config.libraryfolders || config.LibraryFolders;
+        if (!root) {
+            return [];
+        }
+
+        const libraries = [];
+        for (const [key, value] of Object.entries(root)) {
+            // Skip non-library keys such as TimeNextStatsReport and ContentStatsID
+            if (!/^\d+$/.test(key)) {
+                continue;
+            }
+
+            const libraryPath = this.unescapeValue(typeof value === 'string' ? value : value.path);
+            if (!libraryPath) {
+                continue;
+            }
+
+            libraries.push({
+                path: libraryPath,
+                label: (typeof value === 'object' && value.label) || '',
+                steamapps: pathModule.join(libraryPath, 'steamapps'),
+                apps: (typeof value === 'object' && value.apps) ? Object.keys(value.apps) : []
+            });
+        }
+
+        return libraries;
+    }
+
+    /**
+     * Unescape a VDF string value (simple-vdf keeps escape sequences as-is)
+     * @param {string} value - Raw VDF value
+     * @returns {string} Unescaped value
+     */
+    unescapeValue(value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+
+        return value.replace(/\\(["\\nt])/g, (match, char) => {
+            if (char === 'n') return '\n';
+            if (char === 't') return '\t';
+            return char;
+        });
+    }
+
+    /**
+     * Get Steam accounts that have signed in on this install from config/loginusers.vdf
+     * @param {string} filePath - Path to loginusers.vdf
+     * @returns {Array} Array of { steamId64, accountName, personaName, mostRecent, timestamp }
+     */
+    getLoginUsers(filePath) {
+        try {
+            return this.extractLoginUsers(this.parseFile(filePath));
+        } catch (error) {
+            console.error('[SteamVDFParser] Error getting login users:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get Steam accounts from parsed loginusers.vdf data
+     * @param {Object} config - Parsed loginusers.vdf
+     * @returns {Array} Accounts, as getLoginUsers()
+     */
+    extractLoginUsers(config) {
+        const users = this.getKey(config, 'users');
+        if (!users) {
+            return [];
+        }
+
+        return Object.entries(users)
+            .filter(([steamId64, user]) => /^\d+$/.test(steamId64) && typeof user === 'object')
+            .map(([steamId64, user]) => ({
+                steamId64,
+                accountName: this.unescapeValue(this.getKey(user, 'AccountName') || ''),
+                personaName: this.unescapeValue(this.getKey(user, 'PersonaName') || ''),
+                mostRecent: this.getKey(user, 'MostRecent') === '1',
+                timestamp: parseInt(this.getKey(user, 'Timestamp') || '0', 10)
+            }));
     }
 
     /**
      * Get installed games from appmanifest files
+     * Each game carries the path of its install directory under steamapps/common
+     * @param {string|Array} steamappsPaths - Path to a steamapps directory, or one per library
+     * @returns {Array} Array of installed games
+     */
+    getInstalledGames(steamappsPaths) {
+        const directories = Array.isArray(steamappsPaths) ? steamappsPaths : [steamappsPaths];
+        const games = [];
+        const seen = new Set();
+
+        for (const steamappsPath of directories) {
+            for (const game of this.getInstalledGamesInLibrary(steamappsPath)) {
+                // A game being moved between libraries can briefly appear in both
+                if (!seen.has(game.appId)) {
+                    seen.add(game.appId);
+                    games.push(game);
+                }
+            }
+        }
+
+        return games;
+    }
+
+    /**
+     * Get installed games from the appmanifest files of a single library
      * @param {string} steamappsPath - Path to steamapps directory
      * @returns {Array} Array of installed games
      */
-    getInstalledGames(steamappsPath) {
+    getInstalledGamesInLibrary(steamappsPath) {
         try {
             const files = fs.readdirSync(steamappsPath);
             const manifestFiles = files.filter(f => f.startsWith('appmanifest_') && f.endsWith('.acf'));
@@ -136,17 +589,11 @@ class SteamVDFParser {
             const games = [];
             for (const file of manifestFiles) {
                 try {
-                    const filePath = require('path').join(steamappsPath, file);
-                    const manifest = this.parseFile(filePath, false);
-
-                    if (manifest.AppState) {
-                        games.push({
-                            appId: manifest.AppState.appid,
-                            name: manifest.AppState.name,
-                            installDir: manifest.AppState.installdir,
-                            lastUpdated: manifest.AppState.LastUpdated,
-                            sizeOnDisk: manifest.AppState.SizeOnDisk
-                        });
+                    const filePath = path.join(steamappsPath, file);
+                    const game = this.extractGame(this.parseFile(filePath, false), steamappsPath);
+
+                    if (game) {
+                        games.push(game);
                     }
                 } catch (error) {
                     console.error('[SteamVDFParser] Error parsing manifest:', file, error);
@@ -155,30 +602,32 @@ class SteamVDFParser {
 
             return games;
         } catch (error) {
-            console.error('[SteamVDFParser] Error getting installed games:', error);
+            console.error('[SteamVDFParser] Error getting installed games:', steamappsPath, error);
             return [];
         }
     }
 
     /**
-     * Watch VDF file for changes
-     * @param {string} filePath - Path to VDF file
-     * @param {Function} callback - Callback(parsedData) called when file changes
-     * @returns {FSWatcher} File watcher instance
+     * Get an installed game from parsed appmanifest_<appid>.acf data
+     * @param {Object} manifest - Parsed appmanifest
+     * @param {string} steamappsPath - steamapps directory the manifest is in
+     * @param {Object} pathModule - path, path.win32 or path.posix for the machine the file is from
+     * @returns {Object|null} Game or null if the manifest has no AppState
      */
-    watchFile(filePath, callback) {
-        return fs.watch(filePath, (eventType) => {
-            if (eventType === 'change') {
-                try {
-                    // Clear cache and re-parse
-                    this.cache.delete(filePath);
-                    const data = this.parseFile(filePath);
-                    callback(data);
-                } catch (error) {
-                    console.error('[SteamVDFParser] Error in watch callback:', error);
-                }
-            }
-        });
+    extractGame(manifest, steamappsPath, pathModule = path) {
+        if (!manifest.AppState) {
+            return null;
+        }
+
+        return {
+            appId: manifest.AppState.appid,
+            name: manifest.AppState.name,
+            installDir: manifest.AppState.installdir,
+            installPath: pathModule.join(steamappsPath, 'common', manifest.AppState.installdir || ''),
+            libraryPath: pathModule.dirname(steamappsPath),
+            lastUpdated: manifest.AppState.LastUpdated,
+            sizeOnDisk: manifest.AppState.SizeOnDisk
+        };
     }
 
     /**
@@ -0,0 +1,434 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { PROCESS_ROLES } = require('./ProcessCatalog');
+
+/**
+ * What a tamper finding is about
+ */
+const TAMPER_TYPES = {
+    RENAMED_BINARY: 'renamedBinary',            // Steam running under a name the catalog does not know
+    PORTABLE_COPY: 'portableCopy',              // Steam running from outside every known install
+    HEARTBEAT_GAP: 'heartbeatGap',              // Agent stopped sending heartbeats without disconnecting
+    FAMILY_VIEW_DISABLED: 'familyViewDisabled', // Family View turned off
+    PARENTAL_ROLLBACK: 'parentalRollback'       // Family View settings put back to an earlier version
+};
+
+const TAMPER_SEVERITY = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high'
+};
+
+// What each hint says about a process being Steam; a process is Steam at RECOGNISE_THRESHOLD
+const HINT_WEIGHTS = {
+    originalName: 0.6,  // File version info names a Steam client executable
+    parent: 0.5,        // steamwebhelper reported it as its parent
+    children: 0.5,      // It runs steamwebhelper
+    product: 0.3,       // File version info product is Steam
+    path: 0.3           // It lives in a Steam install directory, outside steamapps
+};
+
+const RECOGNISE_THRESHOLD = 0.5;
+
+// Processes only the Steam client starts
+const CLIENT_CHILDREN = ['steamwebhelper', 'steamwebhelper.exe', 'steamwebhelper.sh'];
+
+// Family View versions remembered per account to spot one being restored
+const MAX_PARENTAL_HISTORY = 20;
+
+const MINUTE = 60000;
+
+/**
+ * TamperDetector - Spot attempts to get around Steam monitoring
+ *
+ * Checks processes agents report for Steam under another name (from the
+ * hints agents send: version info, parent and child processes, path) or
+ * run from outside the installs in the agent's inventory, agents that stop
+ * sending heartbeats without disconnecting, and Family View settings in
+ * localconfig.vdf being turned off or restored to an earlier version.
+ *
+ * Each finding is emitted once as 'tamper' (finding), where finding is
+ * { type, severity, agentId, message, detectedAt, ... }.
+ */
+class TamperDetector extends EventEmitter {
+    /**
+     * @param {Object} options - { catalog, parental, heartbeatTimeout, checkInterval, now }
+     *   catalog is the ProcessCatalog; parental holds the Family View record per account
+     *   and is updated in place, so it can be persisted
+     */
+    constructor(options = {}) {
+        super();
+        this.catalog = options.catalog;
+        this.parental = options.parental || {};
+        this.heartbeatTimeout = options.heartbeatTimeout || 5 * MINUTE;
+        this.checkInterval = options.checkInterval || MINUTE;
+        this.now = options.now || Date.now;
+        this.lastSeen = {};             // agentId -> last heartbeat
+        this.missing = new Set();       // Agents already flagged for a heartbeat gap
+        this.recognised = new Map();    // agentId -> Map(process key -> { hints, confidence })
+        this.reported = new Map();      // agentId -> Set(type:process key)
+        this.timer = null;
+    }
+
+    /**
+     * Check a process an agent reported
+     * @param {Object} processInfo - { agentId, processName, processPath, pid, parentName, parentPath,
+     *                               parentPid, childNames, signature: { originalName, product } }
+     * @param {Object} options - { platform, installRoots } installRoots are the agent's Steam installs
+     * @returns {Array} New findings
+     */
+    inspectProcess(processInfo, options = {}) {
+        const platform = options.platform || 'win32';
+        const findings = [];
+        const entry = this.catalog.match(processInfo, platform);
+
+        if (entry) {
+            // A helper only the client starts, started by something the catalog does not know
+            const parent = { processName: processInfo.parentName, processPath: processInfo.parentPath };
+            if (CLIENT_CHILDREN.includes(TamperDetector.baseName(processInfo).toLowerCase()) &&
+                parent.processName && !this.catalog.match(parent, platform)) {
+                const recognition = this.remember(processInfo.agentId, parent, ['parent']);
+                findings.push(this.flagRenamed({ ...parent, agentId: processInfo.agentId, pid: processInfo.parentPid }, recognition, options));
+            }
+
+            // The Windows client always runs from its install directory; the parent's own entries are trusted
+            if (entry.role === PROCESS_ROLES.CLIENT && !entry.custom && platform === 'win32' &&
+                TamperDetector.isPortable(processInfo, options)) {
+                findings.push(this.flag(processInfo.agentId, TAMPER_TYPES.PORTABLE_COPY, processInfo, {
+                    severity: TAMPER_SEVERITY.MEDIUM,
+                    processName: processInfo.processName,
+                    processPath: processInfo.processPath,
+                    pid: processInfo.pid,
+                    message: `Steam is running from ${processInfo.processPath}, outside its install`
+                }));
+            }
+        } else {
+            const recognition = this.recognise(processInfo, options);
+            if (recognition) {
+                findings.push(this.flagRenamed(processInfo, recognition, options));
+            }
+        }
+
+        return findings.filter(Boolean);
+    }
+
+    /**
+     * Whether a process the catalog does not match is Steam under another name
+     * @returns {Object|null} { hints, confidence }
+     */
+    recognise(processInfo, options = {}) {
+        const known = this.recognised.get(processInfo.agentId)?.get(TamperDetector.processKey(processInfo));
+        if (known) {
+            return known;
+        }
+
+        const platform = options.platform || 'win32';
+        const signature = processInfo.signature || {};
+        const hints = [];
+
+        if (signature.originalName &&
+            this.catalog.match({ processName: signature.originalName }, platform)?.role === PROCESS_ROLES.CLIENT) {
+            hints.push('originalName');
+        }
+        if (/^steam$/i.test(signature.product || '')) {
+            hints.push('product');
+        }
+        if ((processInfo.childNames || []).some(name => CLIENT_CHILDREN.includes(String(name).toLowerCase()))) {
+            hints.push('children');
+        }
+        if (processInfo.processPath && (options.installRoots || []).some(root =>
+            TamperDetector.isWithin(processInfo.processPath, root, platform) &&
+            !TamperDetector.isWithin(processInfo.processPath, `${root}/steamapps`, platform))) {
+            hints.push('path');
+        }
+
+        if (TamperDetector.confidence(hints) < RECOGNISE_THRESHOLD) {
+            return null;
+        }
+        return this.remember(processInfo.agentId, processInfo, hints);
+    }
+
+    flagRenamed(processInfo, recognition, options) {
+        const portable = options.platform === 'win32' && TamperDetector.isPortable(processInfo, options);
+        const name = TamperDetector.baseName(processInfo);
+
+        return this.flag(processInfo.agentId, TAMPER_TYPES.RENAMED_BINARY, processInfo, {
+            severity: TAMPER_SEVERITY.HIGH,
+            processName: processInfo.processName,
+            processPath: processInfo.processPath || null,
+            pid: processInfo.pid,
+            hints: recognition.hints,
+            confidence: recognition.confidence,
+            portable,
+            message: `Steam is running as ${name}${portable ? ', outside its install' : ''}`
+        });
+    }
+
+    remember(agentId, processInfo, hints) {
+        if (!this.recognised.has(agentId)) {
+            this.recognised.set(agentId, new Map());
+        }
+
+        const key = TamperDetector.processKey(processInfo);
+        const known = this.recognised.get(agentId).get(key);
+        const merged = [...new Set([...(known?.hints || []), ...hints])];
+        const recognition = { hints: merged, confidence: TamperDetector.confidence(merged) };
+
+        this.recognised.get(agentId).set(key, recognition);
+        return recognition;
+    }
+
+    /**
+     * Record an agent's heartbeat; agents are watched for gaps from their first one
+     */
+    heartbeat(agentId, timestamp = this.now()) {
+        this.lastSeen[agentId] = Math.max(this.lastSeen[agentId] || 0, timestamp);
+
+        if (this.missing.delete(agentId)) {
+            console.log(`[TamperDetector] Heartbeats from ${agentId} resumed`);
+        }
+    }
+
+    /**
+     * Anything else heard from an agent counts as a heartbeat once it is watched
+     */
+    seen(agentId, timestamp = this.now()) {
+        if (agentId in this.lastSeen) {
+            this.heartbeat(agentId, timestamp);
+        }
+    }
+
+    /**
+     * The agent disconnected cleanly: stop watching it and forget its processes
+     */
+    disconnected(agentId) {
+        delete this.lastSeen[agentId];
+        this.missing.delete(agentId);
+        this.recognised.delete(agentId);
+        this.reported.delete(agentId);
+    }
+
+    /**
+     * Flag agents whose heartbeats stopped without a disconnect
+     * @returns {Array} New findings
+     */
+    checkHeartbeats(now = this.now()) {
+        const findings = [];
+
+        for (const [agentId, lastSeen] of Object.entries(this.lastSeen)) {
+            const gap = now - lastSeen;
+            if (gap <= this.heartbeatTimeout || this.missing.has(agentId)) {
+                continue;
+            }
+
+            this.missing.add(agentId);
+            const finding = {
+                type: TAMPER_TYPES.HEARTBEAT_GAP,
+                severity: TAMPER_SEVERITY.MEDIUM,
+                agentId,
+                lastSeen,
+                gap,
+                message: `No heartbeat for ${Math.round(gap / MINUTE)} minutes without the agent disconnecting`,
+                detectedAt: now
+            };
+            findings.push(finding);
+            this.emit('tamper', finding);
+        }
+
+        return findings;
+    }
+
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.checkHeartbeats(), this.checkInterval);
+    }
+
+    /**
+     * Change how long heartbeats may stop for and how often that is checked
+     * @param {Object} options - { heartbeatTimeout, checkInterval }
+     */
+    configure(options = {}) {
+        this.heartbeatTimeout = options.heartbeatTimeout || this.heartbeatTimeout;
+
+        if (options.checkInterval && options.checkInterval !== this.checkInterval) {
+            this.checkInterval = options.checkInterval;
+            if (this.timer) {
+                this.start();
+            }
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Compare an account's Family View settings with the versions seen before
+     * @param {Object} account - Steam account with familyView (decoded parental settings)
+     * @param {string} agentId - Device the account is on, or null for this machine
+     * @returns {Object|null} New finding
+     */
+    inspectParental(account, agentId = null) {
+        const key = TamperDetector.parentalKey(account.steamId64, agentId);
+        const restrictions = TamperDetector.describeRestrictions(account.familyView);
+        const fingerprint = TamperDetector.fingerprint(restrictions);
+        const previous = this.parental[key];
+
+        if (previous && previous.fingerprint === fingerprint) {
+            return null;
+        }
+
+        const name = account.personaName || account.accountName || account.steamId3;
+        let finding = null;
+
+        // Records from before fingerprints were kept only know whether Family View was on
+        if (previous && (previous.fingerprint || previous.enabled !== restrictions.enabled)) {
+            if (previous.enabled && !restrictions.enabled) {
+                finding = {
+                    type: TAMPER_TYPES.FAMILY_VIEW_DISABLED,
+                    severity: TAMPER_SEVERITY.HIGH,
+                    message: `Family View was turned off for ${name}`
+                };
+            } else if ((previous.history || []).includes(fingerprint)) {
+                const looser = TamperDetector.isLooser(restrictions, previous.restrictions);
+                finding = {
+                    type: TAMPER_TYPES.PARENTAL_ROLLBACK,
+                    severity: looser ? TAMPER_SEVERITY.HIGH : TAMPER_SEVERITY.LOW,
+                    message: `Family View settings for ${name} were put back to an earlier version${looser ? ' that allows more' : ''}`
+                };
+            }
+        }
+
+        this.parental[key] = {
+            enabled: restrictions.enabled,
+            fingerprint,
+            restrictions,
+            history: [...(previous?.history || []).filter(seen => seen !== fingerprint), fingerprint].slice(-MAX_PARENTAL_HISTORY),
+            changedAt: this.now()
+        };
+
+        if (!finding) {
+            return null;
+        }
+
+        finding = { ...finding, agentId, steamId64: account.steamId64, detectedAt: this.now() };
+        this.emit('tamper', finding);
+        return finding;
+    }
+
+    /**
+     * Emit a finding unless it was already reported for the process
+     */
+    flag(agentId, type, processInfo, details) {
+        if (!this.reported.has(agentId)) {
+            this.reported.set(agentId, new Set());
+        }
+
+        const key = `${type}:${TamperDetector.processKey(processInfo)}`;
+        if (this.reported.get(agentId).has(key)) {
+            return null;
+        }
+        this.reported.get(agentId).add(key);
+
+        const finding = { type, agentId, ...details, detectedAt: this.now() };
+        this.emit('tamper', finding);
+        return finding;
+    }
+
+    /**
+     * What Family View lets the child do
+     * @returns {Object} { enabled, features, allowedApps }
+     */
+    static describeRestrictions(settings) {
+        if (!settings?.enabled) {
+            return { enabled: false, features: {}, allowedApps: [] };
+        }
+
+        return {
+            enabled: true,
+            features: { ...settings.features },
+            allowedApps: [...(settings.allowedApps || [])].sort((a, b) => a - b)
+        };
+    }
+
+    /**
+     * Key of an account's Family View record: the steamId64, prefixed with the device for agents
+     */
+    static parentalKey(steamId64, agentId = null) {
+        return agentId ? `${agentId}:${steamId64}` : steamId64;
+    }
+
+    static fingerprint(restrictions) {
+        const features = Object.keys(restrictions.features).sort().map(feature => `${feature}=${restrictions.features[feature]}`);
+        return crypto.createHash('sha1')
+            .update(JSON.stringify([restrictions.enabled, features, restrictions.allowedApps]))
+            .digest('hex')
+            .slice(0, 16);
+    }
+
+    /**
+     * Whether restrictions allow anything the others do not
+     */
+    static isLooser(restrictions, than) {
+        if (!than || !than.enabled) {
+            return false;
+        }
+        if (!restrictions.enabled) {
+            return true;
+        }
+
+        return Object.entries(restrictions.features).some(([feature, allowed]) => allowed && !than.features[feature]) ||
+            restrictions.allowedApps.some(appId => !than.allowedApps.includes(appId));
+    }
+
+    static confidence(hints) {
+        const total = hints.reduce((sum, hint) => sum + (HINT_WEIGHTS[hint] || 0), 0);
+        return Math.round(Math.min(1, total) * 100) / 100;
+    }
+
+    static isPortable(processInfo, options) {
+        const roots = options.installRoots || [];
+        return !!processInfo.processPath && roots.length > 0 &&
+            !roots.some(root => TamperDetector.isWithin(processInfo.processPath, root, options.platform));
+    }
+
+    static isWithin(filePath, directory, platform) {
+        const normalise = value => {
+            const normalised = String(value).replace(/\\/g, '/').replace(/\/+$/, '');
+            return platform === 'linux' ? normalised : normalised.toLowerCase();
+        };
+        return normalise(filePath).startsWith(normalise(directory) + '/');
+    }
+
+    static processKey(processInfo) {
+        return String(processInfo.processPath || processInfo.processName || '').replace(/\\/g, '/').toLowerCase();
+    }
+
+    static baseName(processInfo) {
+        return String(processInfo.processName || processInfo.processPath || '').split(/[\\/]/).pop();
+    }
+}
+
+module.exports = TamperDetector;
+module.exports.TAMPER_TYPES = TAMPER_TYPES;
+module.exports.TAMPER_SEVERITY = TAMPER_SEVERITY;
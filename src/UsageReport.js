@@ -0,0 +1,220 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const { ANY_APP } = require('./SessionTracker');
+
+const REPORT_FORMATS = {
+    CSV: 'csv',
+    JSON: 'json'
+};
+
+const MINUTE = 60000;
+
+/**
+ * UsageReport - A child's Steam usage and violations over a range of days
+ *
+ * Built only from what the plugin stores (daily usage, completed sessions
+ * and the violation history), so reports work without Allow2 or the agents.
+ * Days are local calendar days, as in the usage totals.
+ */
+class UsageReport {
+    /**
+     * Build a report
+     * @param {Object} options
+     * @param {string} options.childId - Child the report is for
+     * @param {string} options.childName - Name shown in the report (defaults to childId)
+     * @param {string} options.from - First day, YYYY-MM-DD
+     * @param {string} options.to - Last day, YYYY-MM-DD (inclusive)
+     * @param {Object} options.usage - The child's usage: { YYYY-MM-DD -> { total, apps: { appId -> ms } } }
+     * @param {Array} options.sessions - Completed sessions of every child
+     * @param {Array} options.violations - Violations in the range; ones without a childId
+     *                                     count when they came from one of agentIds
+     * @param {Array} options.agentIds - The child's devices
+     * @param {Object} options.gameNames - appId -> name
+     * @param {Object} options.agentNames - agentId -> hostname
+     * @returns {Object} { childId, childName, from, to, generatedAt, summary, days, games, sessions, violations }
+     */
+    static build(options) {
+        const { childId, from, to, usage = {}, sessions = [], violations = [], agentIds = [], gameNames = {}, agentNames = {} } = options;
+
+        if (!childId) {
+            throw new Error('childId is required');
+        }
+        const start = UsageReport.parseDay(from);
+        const end = UsageReport.parseDay(to, 1);
+        if (end <= start) {
+            throw new Error('The report must end on or after the day it starts');
+        }
+
+        const gameName = appId => gameNames[appId] || (appId === 'steam' ? 'Steam' : `App ${appId}`);
+
+        const days = Object.keys(usage)
+            .filter(day => day >= from && day <= to)
+            .sort()
+            .map(day => ({ day, total: usage[day].total || 0, apps: { ...usage[day].apps } }));
+
+        const childSessions = sessions
+            .filter(session => session.childId === childId && session.appId !== ANY_APP &&
+                session.startedAt < end && session.endedAt > start)
+            .sort((a, b) => a.startedAt - b.startedAt)
+            .map(session => ({
+                agentId: session.agentId,
+                hostname: agentNames[session.agentId] || session.agentId,
+                appId: session.appId,
+                gameName: gameName(session.appId),
+                startedAt: session.startedAt,
+                endedAt: session.endedAt,
+                duration: session.duration,
+                reason: session.reason
+            }));
+
+        const games = {};
+        for (const day of days) {
+            for (const [appId, duration] of Object.entries(day.apps)) {
+                games[appId] = games[appId] || { appId, gameName: gameName(appId), playtime: 0, sessions: 0 };
+                games[appId].playtime += duration;
+            }
+        }
+        for (const session of childSessions) {
+            games[session.appId] = games[session.appId] || { appId: session.appId, gameName: session.gameName, playtime: 0, sessions: 0 };
+            games[session.appId].sessions++;
+        }
+
+        const childViolations = violations
+            .filter(violation => violation.timestamp >= start && violation.timestamp < end &&
+                (violation.childId ? violation.childId === childId : agentIds.includes(violation.agentId)))
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map(violation => ({
+                timestamp: violation.timestamp,
+                agentId: violation.agentId || null,
+                hostname: violation.hostname || agentNames[violation.agentId] || violation.agentId || '',
+                appId: violation.appId || null,
+                gameName: violation.gameName || (violation.appId ? gameName(violation.appId) : ''),
+                stage: violation.stage,
+                action: violation.action,
+                message: violation.message || null
+            }));
+
+        const count = action => childViolations.filter(violation => violation.action === action).length;
+
+        return {
+            childId,
+            childName: options.childName || childId,
+            from,
+            to,
+            generatedAt: Date.now(),
+            summary: {
+                playtime: days.reduce((total, day) => total + day.total, 0),
+                daysPlayed: days.filter(day => day.total > 0).length,
+                sessions: childSessions.length,
+                blocks: count('killed'),
+                warnings: count('warned'),
+                notifications: count('notified'),
+                tampering: count('flagged')
+            },
+            days,
+            games: Object.values(games).sort((a, b) => b.playtime - a.playtime),
+            sessions: childSessions,
+            violations: childViolations
+        };
+    }
+
+    /**
+     * Write a report as CSV: a section per table, separated by blank lines
+     * @returns {string} CSV
+     */
+    static toCSV(report) {
+        const rows = [
+            ['Steam report', report.childName, report.from, report.to],
+            [],
+            ['Summary'],
+            ['Minutes played', 'Days played', 'Sessions', 'Blocks', 'Warnings', 'Notifications', 'Tampering'],
+            [
+                UsageReport.minutes(report.summary.playtime), report.summary.daysPlayed, report.summary.sessions,
+                report.summary.blocks, report.summary.warnings, report.summary.notifications, report.summary.tampering
+            ],
+            [],
+            ['Daily playtime'],
+            ['Date', 'Minutes played'],
+            ...report.days.map(day => [day.day, UsageReport.minutes(day.total)]),
+            [],
+            ['Playtime per game'],
+            ['App ID', 'Game', 'Minutes played', 'Sessions'],
+            ...report.games.map(game => [game.appId, game.gameName, UsageReport.minutes(game.playtime), game.sessions]),
+            [],
+            ['Sessions'],
+            ['Started', 'Ended', 'Device', 'App ID', 'Game', 'Minutes', 'Ended because'],
+            ...report.sessions.map(session => [
+                UsageReport.formatTime(session.startedAt), UsageReport.formatTime(session.endedAt), session.hostname,
+                session.appId, session.gameName, UsageReport.minutes(session.duration), session.reason
+            ]),
+            [],
+            ['Blocks and warnings'],
+            ['Time', 'Device', 'App ID', 'Game', 'Stage', 'Action', 'Message'],
+            ...report.violations.map(violation => [
+                UsageReport.formatTime(violation.timestamp), violation.hostname, violation.appId, violation.gameName,
+                violation.stage, violation.action, violation.message
+            ])
+        ];
+
+        return rows.map(row => row.map(UsageReport.escapeCSV).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * Text starting with a formula character is prefixed with ' so spreadsheets do not run it.
+     */
+    static escapeCSV(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Local midnight of a YYYY-MM-DD day, plus offsetDays
+     * @throws {Error} If the day is not YYYY-MM-DD
+     */
+    static parseDay(day, offsetDays = 0) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day || '');
+        if (!match) {
+            throw new Error(`Invalid day: ${day} (expected YYYY-MM-DD)`);
+        }
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + offsetDays).getTime();
+    }
+
+    /**
+     * @returns {string} Local time as YYYY-MM-DD HH:MM
+     */
+    static formatTime(timestamp) {
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    static minutes(ms) {
+        return Math.round((ms || 0) / MINUTE * 10) / 10;
+    }
+}
+
+module.exports = UsageReport;
+module.exports.REPORT_FORMATS = REPORT_FORMATS;
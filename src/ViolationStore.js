@@ -0,0 +1,304 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * What was done about a violation
+ */
+const VIOLATION_ACTIONS = {
+    WARNED: 'warned',       // Warning, final warning or grace period notice
+    KILLED: 'killed',       // Process killed
+    NOTIFIED: 'notified',   // Quota used up, notify only
+    FLAGGED: 'flagged',     // Tampering recorded
+    REQUESTED: 'requested', // Child asked for extra time
+    APPROVED: 'approved',   // Parent granted extra time
+    DENIED: 'denied',       // Parent turned down extra time
+    REVOKED: 'revoked'      // Parent ended extra time early
+};
+
+const STAGE_ACTIONS = {
+    'warning': VIOLATION_ACTIONS.WARNED,
+    'final-warning': VIOLATION_ACTIONS.WARNED,
+    'grace': VIOLATION_ACTIONS.WARNED,
+    'kill': VIOLATION_ACTIONS.KILLED,
+    'expired': VIOLATION_ACTIONS.NOTIFIED,
+    'tamper': VIOLATION_ACTIONS.FLAGGED,
+    'override-request': VIOLATION_ACTIONS.REQUESTED,
+    'override-approved': VIOLATION_ACTIONS.APPROVED,
+    'override-denied': VIOLATION_ACTIONS.DENIED,
+    'override-revoked': VIOLATION_ACTIONS.REVOKED
+};
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DAY = 24 * 60 * 60 * 1000;
+
+const FILE_PATTERN = /^violations-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * ViolationStore - Append-only violation history on disk
+ *
+ * Each violation is one JSON line in violations-YYYY-MM-DD.jsonl (UTC date
+ * it happened), so retention removes whole files and queries with from/to
+ * only read the days they cover. Lines are only ever appended; a line cut
+ * short by a crash is skipped when reading.
+ *
+ * Queries return the newest violations first, one page at a time: pass the
+ * nextCursor of a page to get the page after it.
+ */
+class ViolationStore {
+    /**
+     * @param {Object} options - { directory, retentionDays, now }
+     */
+    constructor(options = {}) {
+        this.directory = options.directory;
+        this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+        this.now = options.now || Date.now;
+        this.sequence = 0;
+        this.prunedOn = null;
+    }
+
+    /**
+     * Record a violation
+     * @param {Object} violation - { agentId, childId, appId, gameName, processName, stage, timestamp, ... }
+     * @returns {Object} The stored violation, with id and action
+     */
+    append(violation) {
+        const recordedAt = this.now();
+        const stored = this.write(violation, recordedAt);
+
+        // Retention is applied at most once a day
+        const today = ViolationStore.dateKey(recordedAt);
+        if (this.prunedOn !== today) {
+            this.prune();
+        }
+
+        return stored;
+    }
+
+    /**
+     * Record violations kept elsewhere before, such as the old in-state log
+     * Each goes in the file of the day it happened, so retention applies to it as usual.
+     * @param {Array} violations - Violations, in any order
+     * @returns {number} Number imported
+     */
+    import(violations) {
+        const sorted = [...violations].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        for (const violation of sorted) {
+            this.write(violation, violation.timestamp || this.now());
+        }
+
+        this.prune();
+        return sorted.length;
+    }
+
+    /**
+     * Add a violation to the file of the day it happened
+     * @returns {Object} The stored violation, with id and action
+     */
+    write(violation, recordedAt) {
+        const stored = {
+            ...violation,
+            id: this.nextId(recordedAt),
+            action: violation.action || ViolationStore.actionForStage(violation.stage),
+            timestamp: violation.timestamp || recordedAt
+        };
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.appendFileSync(this.fileFor(stored.timestamp), JSON.stringify(stored) + '\n');
+        return stored;
+    }
+
+    /**
+     * Find violations, newest first
+     * @param {Object} filters - { childId, agentId, appId, action (string or array), from, to,
+     *                             cursor, limit }; from and to are timestamps (inclusive)
+     * @returns {Object} { violations, total, nextCursor } - nextCursor is null on the last page
+     */
+    query(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const cursor = filters.cursor ? ViolationStore.parseCursor(filters.cursor) : null;
+        const matches = this.all(filters);
+
+        const start = cursor ? matches.findIndex(violation => ViolationStore.compare(violation, cursor) > 0) : 0;
+        const page = start === -1 ? [] : matches.slice(start, start + limit);
+        const hasMore = start !== -1 && start + limit < matches.length;
+
+        return {
+            violations: page,
+            total: matches.length,
+            nextCursor: hasMore ? ViolationStore.toCursor(page[page.length - 1]) : null
+        };
+    }
+
+    /**
+     * Every violation matching the filters, newest first
+     * @param {Object} filters - As query(), without cursor and limit
+     * @returns {Array} Violations
+     */
+    all(filters = {}) {
+        const actions = filters.action ? [].concat(filters.action) : null;
+
+        return this.readAll(filters.from, filters.to)
+            .filter(violation =>
+                (!filters.childId || violation.childId === filters.childId) &&
+                (!filters.agentId || violation.agentId === filters.agentId) &&
+                (!filters.appId || String(violation.appId) === String(filters.appId)) &&
+                (!actions || actions.includes(violation.action)) &&
+                (!filters.from || violation.timestamp >= filters.from) &&
+                (!filters.to || violation.timestamp <= filters.to)
+            )
+            .sort(ViolationStore.compare);
+    }
+
+    /**
+     * Remove the files older than the retention period
+     * @returns {number} Number of files removed
+     */
+    prune() {
+        const now = this.now();
+        this.prunedOn = ViolationStore.dateKey(now);
+
+        const oldest = ViolationStore.dateKey(now - this.retentionDays * DAY);
+        let removed = 0;
+
+        for (const file of this.listFiles()) {
+            if (FILE_PATTERN.exec(file)[1] < oldest) {
+                try {
+                    fs.unlinkSync(path.join(this.directory, file));
+                    removed++;
+                } catch (error) {
+                    console.error(`[ViolationStore] Error removing ${file}:`, error.message);
+                }
+            }
+        }
+
+        if (removed > 0) {
+            console.log(`[ViolationStore] Removed ${removed} day(s) of violations older than ${this.retentionDays} days`);
+        }
+        return removed;
+    }
+
+    /**
+     * @param {number} days - Days of violations to keep
+     */
+    setRetentionDays(days) {
+        this.retentionDays = days;
+        this.prune();
+    }
+
+    /**
+     * Remove every violation
+     */
+    clear() {
+        for (const file of this.listFiles()) {
+            fs.unlinkSync(path.join(this.directory, file));
+        }
+    }
+
+    /**
+     * Violations in the files of the days from and to cover (every file if left out)
+     */
+    readAll(from = null, to = null) {
+        const firstDay = from ? ViolationStore.dateKey(from) : null;
+        const lastDay = to ? ViolationStore.dateKey(to) : null;
+        const violations = [];
+
+        for (const file of this.listFiles()) {
+            const day = FILE_PATTERN.exec(file)[1];
+            if ((firstDay && day < firstDay) || (lastDay && day > lastDay)) {
+                continue;
+            }
+
+            let content;
+            try {
+                content = fs.readFileSync(path.join(this.directory, file), 'utf8');
+            } catch (error) {
+                console.error(`[ViolationStore] Error reading ${file}:`, error.message);
+                continue;
+            }
+
+            for (const line of content.split('\n')) {
+                if (!line.trim()) {
+                    continue;
+                }
+                try {
+                    violations.push(JSON.parse(line));
+                } catch (error) {
+                    console.warn(`[ViolationStore] Skipping unreadable line in ${file}`);
+                }
+            }
+        }
+
+        return violations;
+    }
+
+    listFiles() {
+        let files;
+        try {
+            files = fs.readdirSync(this.directory);
+        } catch (error) {
+            return [];
+        }
+        return files.filter(file => FILE_PATTERN.test(file)).sort();
+    }
+
+    fileFor(timestamp) {
+        return path.join(this.directory, `violations-${ViolationStore.dateKey(timestamp)}.jsonl`);
+    }
+
+    /**
+     * IDs sort in the order violations were recorded
+     */
+    nextId(recordedAt) {
+        this.sequence = (this.sequence + 1) % 0x100000;
+        return recordedAt.toString(36).padStart(9, '0') + this.sequence.toString(36).padStart(4, '0');
+    }
+
+    static actionForStage(stage) {
+        return STAGE_ACTIONS[stage] || VIOLATION_ACTIONS.NOTIFIED;
+    }
+
+    /**
+     * Newest first; violations at the same time in reverse order of recording
+     */
+    static compare(a, b) {
+        return (b.timestamp - a.timestamp) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+    }
+
+    static toCursor(violation) {
+        return `${violation.timestamp}:${violation.id}`;
+    }
+
+    static parseCursor(cursor) {
+        const separator = String(cursor).indexOf(':');
+        if (separator === -1) {
+            throw new Error(`Invalid cursor: ${cursor}`);
+        }
+        return { timestamp: Number(cursor.slice(0, separator)), id: cursor.slice(separator + 1) };
+    }
+
+    static dateKey(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    }
+}
+
+module.exports = ViolationStore;
+module.exports.VIOLATION_ACTIONS = VIOLATION_ACTIONS;
@@ -46,11 +46,94 @@ import {
     Settings as SettingsIcon,
     Block as BlockIcon,
     CheckCircle as CheckCircleIcon,
-    Info as InfoIcon
+    Info as InfoIcon,
+    AccountCircle as AccountIcon,
+    Face as ChildIcon,
+    Sync as SyncIcon,
+    SportsEsports as GameIcon,
+    Schedule as ScheduleIcon,
+    Add as AddIcon,
+    Delete as DeleteIcon,
+    GetApp as DownloadIcon,
+    AlarmAdd as ExtraTimeIcon,
+    Star as RatingIcon,
+    Category as GroupIcon
 } from '@material-ui/icons';
 
 const { ipcRenderer } = window.require('electron');
 
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Violation log labels for the stages agents report
+const STAGE_LABELS = {
+    'warning': 'Warning',
+    'final-warning': 'Final warning',
+    'grace': 'Grace period',
+    'kill': 'Closed',
+    'expired': 'Time up',
+    'tamper': 'Tampering',
+    'override-request': 'Extra time asked',
+    'override-approved': 'Extra time granted',
+    'override-denied': 'Extra time refused',
+    'override-revoked': 'Extra time ended'
+};
+
+// Violation log filter labels for what was done about a violation
+const ACTION_LABELS = {
+    warned: 'Warned',
+    killed: 'Closed',
+    notified: 'Notified',
+    flagged: 'Tampering',
+    requested: 'Extra time asked',
+    approved: 'Extra time granted',
+    denied: 'Extra time refused',
+    revoked: 'Extra time ended'
+};
+
+// Decided extra time requests shown under the pending ones
+const RECENT_OVERRIDES = 5;
+
+const EMPTY_VIOLATION_FILTERS = { childId: '', agentId: '', appId: '', action: '', from: '', to: '' };
+const VIOLATION_PAGE_SIZE = 50;
+
+// Local YYYY-MM-DD, as the plugin keys usage by day
+const toDay = (date) => {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Reports default to the last seven days, today included
+const defaultReportOptions = () => {
+    const today = new Date();
+    const weekAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6);
+    return { childId: '', from: toDay(weekAgo), to: toDay(today), format: 'csv' };
+};
+
+// Family View features as Steam names them
+const FAMILY_VIEW_FEATURES = {
+    store: 'Store',
+    community: 'Community',
+    profile: 'Profile',
+    friends: 'Friends & chat',
+    library: 'All games'
+};
+
+// Process catalog match rules and platforms
+const MATCH_TYPE_LABELS = {
+    'exact': 'Process name',
+    'case-insensitive': 'Process name (any case)',
+    'path-glob': 'Executable path (glob)',
+    'argument': 'Command line argument (glob)'
+};
+
+const PLATFORM_LABELS = {
+    win32: 'Windows',
+    darwin: 'macOS',
+    linux: 'Linux / Steam Deck'
+};
+
+const EMPTY_PROCESS_DRAFT = { label: '', platform: 'win32', type: 'case-insensitive', value: '' };
+
 class TabContent extends Component {
     constructor(props) {
         super(props);
@@ -58,21 +141,52 @@ class TabContent extends Component {
         this.state = {
             agents: [],
             children: [],
+            syncs: [],
+            accounts: [],
+            games: [],
+            shortcuts: [],
+            schedules: {},
+            scheduleChildId: '',
+            scheduleDraft: null,
             violations: [],
+            violationFilters: EMPTY_VIOLATION_FILTERS,
+            violationCursor: null,
+            violationTotal: 0,
+            loadingViolations: false,
+            reportOptions: defaultReportOptions(),
+            exportingReport: false,
+            overrides: { requests: [], active: [] },
+            overrideMinutes: {},
+            ratingRules: { rules: {}, systems: {}, descriptors: {} },
+            ratingChildId: '',
+            ratingDraft: null,
+            gameGroups: { groups: [], collections: [] },
+            groupName: '',
+            groupCollection: '',
+            groupMinutes: {},
+            processCatalog: { version: null, entries: [] },
+            processDraft: EMPTY_PROCESS_DRAFT,
+            nowPlaying: {},
             settings: {
                 checkInterval: 30000,
                 killOnViolation: true,
-                notifyParent: true
+                notifyParent: true,
+                warningMinutes: 5,
+                finalWarningMinutes: 1,
+                gracePeriodSeconds: 60,
+                violationRetentionDays: 90
             },
             status: null,
             loading: true,
             error: null,
-            selectedChild: {}
+            selectedChild: {},
+            refreshingInventory: {}
         };
     }
 
     async componentDidMount() {
         await this.loadData();
+        await this.loadViolations(true);
 
         // Setup event listeners
         ipcRenderer.on('steamViolation', (event, data) => {
@@ -83,6 +197,36 @@ class TabContent extends Component {
             this.handleSteamDetected(data);
         });
 
+        ipcRenderer.on('steamGameStarted', (event, data) => {
+            this.handleGameStarted(data);
+        });
+
+        ipcRenderer.on('steamGameStopped', (event, data) => {
+            this.handleGameStopped(data);
+        });
+
+        // Games installed or removed, accounts or Family View changed on disk
+        ipcRenderer.on('steamLibraryChanged', () => this.loadData(false));
+        ipcRenderer.on('steamAccountsChanged', () => this.loadData(false));
+
+        // A child's devices were updated together (or the update was rolled back)
+        ipcRenderer.on('steamChildrenChanged', () => this.loadData(false));
+
+        // A game runs under the same process name as another, so it has no policy of its own
+        ipcRenderer.on('steamPolicyConflict', (event, data) => {
+            this.setState({
+                error: `${data.gameName} runs as ${data.processName}, like ${data.conflictsWith.gameName}, ` +
+                    'so it cannot be allowed or blocked on its own'
+            });
+        });
+
+        // Policy updates queued for offline agents were retried
+        ipcRenderer.on('steamSyncChanged', () => this.loadSyncs());
+
+        // A child asked for extra time, or extra time was granted, refused or ended
+        ipcRenderer.on('steamOverrideRequested', () => this.handleOverridesChanged());
+        ipcRenderer.on('steamOverridesChanged', () => this.handleOverridesChanged());
+
         // Refresh data every 30 seconds
         this.refreshInterval = setInterval(() => {
             this.loadData(false);
@@ -97,6 +241,15 @@ class TabContent extends Component {
 
         ipcRenderer.removeAllListeners('steamViolation');
         ipcRenderer.removeAllListeners('steamDetected');
+        ipcRenderer.removeAllListeners('steamGameStarted');
+        ipcRenderer.removeAllListeners('steamGameStopped');
+        ipcRenderer.removeAllListeners('steamLibraryChanged');
+        ipcRenderer.removeAllListeners('steamAccountsChanged');
+        ipcRenderer.removeAllListeners('steamChildrenChanged');
+        ipcRenderer.removeAllListeners('steamPolicyConflict');
+        ipcRenderer.removeAllListeners('steamSyncChanged');
+        ipcRenderer.removeAllListeners('steamOverrideRequested');
+        ipcRenderer.removeAllListeners('steamOverridesChanged');
     }
 
     async loadData(showLoading = true) {
@@ -109,97 +262,1294 @@ class TabContent extends Component {
             const [agentsError, agentsResult] = await ipcRenderer.invoke('steam:getAgents');
             if (agentsError) throw agentsError;
 
-            // Get violations
-            const [violationsError, violationsResult] = await ipcRenderer.invoke('steam:getViolations', { limit: 50 });
-            if (violationsError) throw violationsError;
+            // Get children with all of their devices
+            const [childrenError, childrenResult] = await ipcRenderer.invoke('steam:getChildren');
+            if (childrenError) throw childrenError;
+
+            // Get policy updates agents have not applied yet
+            const [syncsError, syncsResult] = await ipcRenderer.invoke('steam:getSyncQueue');
+            if (syncsError) throw syncsError;
+
+            // Get extra time requests and the extra time running now
+            const [overridesError, overridesResult] = await ipcRenderer.invoke('steam:getOverrides', {});
+            if (overridesError) throw overridesError;
+
+            // Get Steam accounts
+            const [accountsError, accountsResult] = await ipcRenderer.invoke('steam:getSteamAccounts');
+            if (accountsError) throw accountsError;
+
+            // Get installed games
+            const [gamesError, gamesResult] = await ipcRenderer.invoke('steam:getGames');
+            if (gamesError) throw gamesError;
+
+            // Get non-Steam shortcuts
+            const [shortcutsError, shortcutsResult] = await ipcRenderer.invoke('steam:getShortcuts');
+            if (shortcutsError) throw shortcutsError;
+
+            // Get schedules
+            const [schedulesError, schedulesResult] = await ipcRenderer.invoke('steam:getSchedules');
+            if (schedulesError) throw schedulesError;
+
+            // Get content rating rules
+            const [ratingRulesError, ratingRulesResult] = await ipcRenderer.invoke('steam:getRatingRules');
+            if (ratingRulesError) throw ratingRulesError;
+
+            // Get game groups and the Steam collections they can follow
+            const [groupsError, groupsResult] = await ipcRenderer.invoke('steam:getGameGroups');
+            if (groupsError) throw groupsError;
+
+            // Get settings
+            const [settingsError, settingsResult] = await ipcRenderer.invoke('steam:getSettings');
+            if (settingsError) throw settingsError;
+
+            // Get the Steam process catalog
+            const [catalogError, catalogResult] = await ipcRenderer.invoke('steam:getProcessCatalog');
+            if (catalogError) throw catalogError;
+
+            // Get status
+            const [statusError, statusResult] = await ipcRenderer.invoke('steam:getStatus');
+            if (statusError) throw statusError;
+
+            this.setState({
+                agents: agentsResult.agents || [],
+                children: childrenResult.children || [],
+                syncs: syncsResult.syncs || [],
+                overrides: overridesResult,
+                accounts: accountsResult.accounts || [],
+                games: gamesResult.games || [],
+                shortcuts: shortcutsResult.shortcuts || [],
+                schedules: schedulesResult.schedules || {},
+                ratingRules: ratingRulesResult,
+                gameGroups: groupsResult,
+                settings: settingsResult.settings || this.state.settings,
+                processCatalog: catalogResult,
+                status: statusResult,
+                loading: false
+            });
+        } catch (error) {
+            console.error('[Steam Settings] Error loading data:', error);
+            this.setState({ error: error.message, loading: false });
+        }
+    }
+
+    /**
+     * Load the first page of the violation log, or the next page when reset is false
+     */
+    async loadViolations(reset = false) {
+        const { violationFilters, violationCursor } = this.state;
+        if (!reset && !violationCursor) {
+            return;
+        }
+
+        this.setState({ loadingViolations: true });
+
+        try {
+            const { childId, agentId, appId, action, from, to } = violationFilters;
+            const [error, result] = await ipcRenderer.invoke('steam:queryViolations', {
+                childId: childId || undefined,
+                agentId: agentId || undefined,
+                appId: appId || undefined,
+                action: action || undefined,
+                // Dates are whole local days
+                from: from ? new Date(`${from}T00:00:00`).getTime() : undefined,
+                to: to ? new Date(`${to}T23:59:59.999`).getTime() : undefined,
+                cursor: reset ? undefined : violationCursor,
+                limit: VIOLATION_PAGE_SIZE
+            });
+            if (error) throw error;
+
+            this.setState(prevState => ({
+                violations: reset ? result.violations : [...prevState.violations, ...result.violations],
+                violationCursor: result.nextCursor,
+                violationTotal: result.total,
+                loadingViolations: false
+            }));
+        } catch (error) {
+            console.error('[Steam Settings] Error loading violations:', error);
+            this.setState({ error: error.message, loadingViolations: false });
+        }
+    }
+
+    handleViolationFilterChange(changes) {
+        this.setState(
+            prevState => ({ violationFilters: { ...prevState.violationFilters, ...changes } }),
+            () => this.loadViolations(true)
+        );
+    }
+
+    handleViolationScroll(event) {
+        const { scrollTop, scrollHeight, clientHeight } = event.target;
+        if (scrollHeight - scrollTop - clientHeight < 100 && !this.state.loadingViolations) {
+            this.loadViolations(false);
+        }
+    }
+
+    handleViolation(data) {
+        // New violations go on top when the log would show them
+        const { childId, agentId, appId, action, from, to } = this.state.violationFilters;
+        if ((childId && data.childId !== childId) || (agentId && data.agentId !== agentId) ||
+            (appId && String(data.appId) !== appId) || (action && data.action !== action) || from || to) {
+            return;
+        }
+
+        this.setState(prevState => ({
+            violations: [data, ...prevState.violations],
+            violationTotal: prevState.violationTotal + 1
+        }));
+    }
+
+    handleSteamDetected(data) {
+        console.log('[Steam Settings] Steam detected:', data);
+        // Could show notification or update UI
+    }
+
+    handleGameStarted(data) {
+        this.setState(prevState => ({
+            nowPlaying: { ...prevState.nowPlaying, [data.agentId]: data }
+        }));
+    }
+
+    handleGameStopped(data) {
+        this.setState(prevState => {
+            if (prevState.nowPlaying[data.agentId]?.appId !== data.appId) {
+                return null;
+            }
+
+            const nowPlaying = { ...prevState.nowPlaying };
+            delete nowPlaying[data.agentId];
+            return { nowPlaying };
+        });
+    }
+
+    async handleLinkAgent(agentId, childId) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:linkAgent', { agentId, childId });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error linking agent:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleRefreshInventory(agentId) {
+        this.setState(prevState => ({ refreshingInventory: { ...prevState.refreshingInventory, [agentId]: true } }));
+
+        try {
+            const [error] = await ipcRenderer.invoke('steam:refreshInventory', { agentId });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error refreshing inventory:', error);
+            this.setState({ error: error.message });
+        } finally {
+            this.setState(prevState => ({ refreshingInventory: { ...prevState.refreshingInventory, [agentId]: false } }));
+        }
+    }
+
+    async handleUnlinkAgent(agentId) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:unlinkAgent', { agentId });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error unlinking agent:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleLinkSteamAccount(steamId64, childId) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:linkSteamAccount', { steamId64, childId });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error linking Steam account:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleUnlinkSteamAccount(childId) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:unlinkSteamAccount', { childId });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error unlinking Steam account:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleSetGameVerdict(appId, verdict) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:setGameVerdict', { appId, verdict });
+            if (error) throw error;
+
+            this.setState(prevState => ({
+                games: prevState.games.map(game => game.appId === appId ? { ...game, verdict } : game),
+                shortcuts: prevState.shortcuts.map(shortcut => shortcut.appId === appId ? { ...shortcut, verdict } : shortcut)
+            }));
+        } catch (error) {
+            console.error('[Steam Settings] Error setting game verdict:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    handleSelectScheduleChild(childId) {
+        const schedule = this.state.schedules[childId];
+
+        this.setState({
+            scheduleChildId: childId,
+            scheduleDraft: childId ? {
+                timezone: schedule?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+                windows: schedule?.windows || []
+            } : null
+        });
+    }
+
+    updateScheduleDraft(changes) {
+        this.setState(prevState => ({
+            scheduleDraft: { ...prevState.scheduleDraft, ...changes }
+        }));
+    }
+
+    updateScheduleWindow(index, changes) {
+        const windows = this.state.scheduleDraft.windows.map((window, i) => i === index ? { ...window, ...changes } : window);
+        this.updateScheduleDraft({ windows });
+    }
+
+    toggleScheduleDay(index, day) {
+        const { days } = this.state.scheduleDraft.windows[index];
+        this.updateScheduleWindow(index, {
+            days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort()
+        });
+    }
+
+    async handleSaveSchedule(remove = false) {
+        const { scheduleChildId, scheduleDraft } = this.state;
+
+        try {
+            const [error] = await ipcRenderer.invoke('steam:setSchedule', {
+                childId: scheduleChildId,
+                schedule: remove ? null : scheduleDraft
+            });
+            if (error) throw error;
+
+            await this.loadData(false);
+            this.handleSelectScheduleChild(scheduleChildId);
+        } catch (error) {
+            console.error('[Steam Settings] Error saving schedule:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    handleSelectRatingChild(childId) {
+        const rule = this.state.ratingRules.rules[childId];
+
+        this.setState({
+            ratingChildId: childId,
+            ratingDraft: childId ? {
+                system: rule?.system || 'pegi',
+                maxRating: rule?.maxRating || '',
+                blockedDescriptors: rule?.blockedDescriptors || [],
+                unrated: rule?.unrated || 'allow'
+            } : null
+        });
+    }
+
+    updateRatingDraft(changes) {
+        this.setState(prevState => ({
+            ratingDraft: { ...prevState.ratingDraft, ...changes }
+        }));
+    }
+
+    toggleRatingDescriptor(id) {
+        const { blockedDescriptors } = this.state.ratingDraft;
+        this.updateRatingDraft({
+            blockedDescriptors: blockedDescriptors.includes(id)
+                ? blockedDescriptors.filter(d => d !== id)
+                : [...blockedDescriptors, id].sort((a, b) => a - b)
+        });
+    }
+
+    async handleSaveRatingRule(remove = false) {
+        const { ratingChildId, ratingDraft } = this.state;
+
+        try {
+            const [error] = await ipcRenderer.invoke('steam:setRatingRule', {
+                childId: ratingChildId,
+                rule: remove ? null : { ...ratingDraft, maxRating: ratingDraft.maxRating || null }
+            });
+            if (error) throw error;
+
+            await this.loadData(false);
+            this.handleSelectRatingChild(ratingChildId);
+        } catch (error) {
+            console.error('[Steam Settings] Error saving content rating rule:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    /**
+     * Add a game group named by the parent, or one that follows a Steam collection (collection is "steamId3/id")
+     */
+    async handleCreateGameGroup(collection = null) {
+        const [steamId3, id] = collection ? collection.split('/') : [];
+
+        try {
+            const [error] = await ipcRenderer.invoke('steam:createGameGroup', {
+                group: collection ? { collection: { steamId3, id } } : { name: this.state.groupName }
+            });
+            if (error) throw error;
+
+            this.setState({ groupName: '', groupCollection: '' });
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error adding game group:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleUpdateGameGroup(id, changes) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:updateGameGroup', { id, changes });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error updating game group:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleSyncGameGroups() {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:syncGameGroups');
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error syncing game groups:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleRemoveGameGroup(id) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:removeGameGroup', { id });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error removing game group:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    /**
+     * Save the daily minutes typed for a group; an empty field removes the limit
+     */
+    async handleSaveGroupMinutes(group) {
+        const value = this.state.groupMinutes[group.id];
+        if (value === undefined) {
+            return;
+        }
+
+        this.setState(prevState => {
+            const groupMinutes = { ...prevState.groupMinutes };
+            delete groupMinutes[group.id];
+            return { groupMinutes };
+        });
+
+        const minutes = value === '' ? null : parseInt(value, 10);
+        if (minutes !== group.dailyMinutes) {
+            await this.handleUpdateGameGroup(group.id, { dailyMinutes: Number.isNaN(minutes) ? value : minutes });
+        }
+    }
+
+    async handleUpdateSettings(newSettings) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:updateSettings', { settings: newSettings });
+            if (error) throw error;
+
+            this.setState({ settings: { ...this.state.settings, ...newSettings } });
+        } catch (error) {
+            console.error('[Steam Settings] Error updating settings:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    handleProcessDraftChange(changes) {
+        this.setState(prevState => ({ processDraft: { ...prevState.processDraft, ...changes } }));
+    }
+
+    async handleAddCustomProcess() {
+        const { label, platform, type, value } = this.state.processDraft;
+
+        try {
+            const [error] = await ipcRenderer.invoke('steam:addCustomProcess', {
+                entry: { label, platforms: [platform], match: [{ type, value }] }
+            });
+            if (error) throw error;
+
+            this.setState({ processDraft: EMPTY_PROCESS_DRAFT });
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error adding process:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleRemoveCustomProcess(id) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:removeCustomProcess', { id });
+            if (error) throw error;
+
+            await this.loadData(false);
+        } catch (error) {
+            console.error('[Steam Settings] Error removing process:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async loadSyncs() {
+        try {
+            const [error, result] = await ipcRenderer.invoke('steam:getSyncQueue');
+            if (error) throw error;
+
+            this.setState({ syncs: result.syncs || [] });
+        } catch (error) {
+            console.error('[Steam Settings] Error loading sync queue:', error);
+        }
+    }
+
+    async handleRetrySync(agentId) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:retrySync', { agentId });
+            if (error) throw error;
+
+            await this.loadSyncs();
+        } catch (error) {
+            console.error('[Steam Settings] Error retrying sync:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async loadOverrides() {
+        try {
+            const [error, result] = await ipcRenderer.invoke('steam:getOverrides', {});
+            if (error) throw error;
+
+            this.setState({ overrides: result });
+        } catch (error) {
+            console.error('[Steam Settings] Error loading extra time requests:', error);
+        }
+    }
+
+    handleOverridesChanged() {
+        this.loadData(false);
+        this.loadViolations(true);
+    }
+
+    /**
+     * Grant (for the minutes entered, or those asked for) or refuse a request
+     */
+    async handleDecideOverride(requestId, approve) {
+        const minutes = parseInt(this.state.overrideMinutes[requestId], 10);
+
+        try {
+            const [error] = approve
+                ? await ipcRenderer.invoke('steam:approveOverride', { requestId, minutes: Number.isNaN(minutes) ? undefined : minutes })
+                : await ipcRenderer.invoke('steam:denyOverride', { requestId });
+            if (error) throw error;
+
+            this.setState(prevState => {
+                const overrideMinutes = { ...prevState.overrideMinutes };
+                delete overrideMinutes[requestId];
+                return { overrideMinutes };
+            });
+            await this.loadOverrides();
+        } catch (error) {
+            console.error('[Steam Settings] Error deciding extra time request:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleRevokeOverride(childId) {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:revokeOverride', { childId });
+            if (error) throw error;
+
+            await this.loadOverrides();
+        } catch (error) {
+            console.error('[Steam Settings] Error ending extra time:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleClearViolations() {
+        try {
+            const [error] = await ipcRenderer.invoke('steam:clearViolations');
+            if (error) throw error;
+
+            this.setState({ violations: [], violationCursor: null, violationTotal: 0 });
+        } catch (error) {
+            console.error('[Steam Settings] Error clearing violations:', error);
+            this.setState({ error: error.message });
+        }
+    }
+
+    async handleExportReport() {
+        const { reportOptions } = this.state;
+        const child = this.props.allow2Children?.find(c => c.id === reportOptions.childId);
+
+        this.setState({ exportingReport: true });
+        try {
+            const [error, report] = await ipcRenderer.invoke('steam:exportReport', {
+                ...reportOptions,
+                childName: child?.name
+            });
+            if (error) throw error;
+
+            const url = URL.createObjectURL(new Blob([report.content], { type: report.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = report.filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('[Steam Settings] Error exporting report:', error);
+            this.setState({ error: error.message });
+        } finally {
+            this.setState({ exportingReport: false });
+        }
+    }
+
+    renderReportExport() {
+        const { reportOptions, exportingReport } = this.state;
+        const { allow2Children } = this.props;
+
+        const update = (changes) => this.setState(prevState => ({
+            reportOptions: { ...prevState.reportOptions, ...changes }
+        }));
+
+        return (
+            <Card style={{ marginBottom: '20px' }}>
+                <CardHeader
+                    title="Reports"
+                    subheader="Sessions, playtime per game, blocks and warnings for one child"
+                />
+                <CardContent>
+                    <Box display="flex" flexWrap="wrap" alignItems="flex-end" style={{ gap: '10px' }}>
+                        <FormControl size="small" style={{ minWidth: 160 }}>
+                            <InputLabel>Child</InputLabel>
+                            <Select
+                                value={reportOptions.childId}
+                                onChange={(e) => update({ childId: e.target.value })}
+                            >
+                                {(allow2Children || []).map(child => (
+                                    <MenuItem key={child.id} value={child.id}>{child.name}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <TextField
+                            size="small"
+                            type="date"
+                            label="From"
+                            value={reportOptions.from}
+                            onChange={(e) => update({ from: e.target.value })}
+                            InputLabelProps={{ shrink: true }}
+                        />
+                        <TextField
+                            size="small"
+                            type="date"
+                            label="To"
+                            value={reportOptions.to}
+                            onChange={(e) => update({ to: e.target.value })}
+                            InputLabelProps={{ shrink: true }}
+                        />
+                        <FormControl size="small" style={{ minWidth: 100 }}>
+                            <InputLabel>Format</InputLabel>
+                            <Select
+                                value={reportOptions.format}
+                                onChange={(e) => update({ format: e.target.value })}
+                            >
+                                <MenuItem value="csv">CSV</MenuItem>
+                                <MenuItem value="json">JSON</MenuItem>
+                            </Select>
+                        </FormControl>
+                        <Button
+                            variant="contained"
+                            color="primary"
+                            startIcon={exportingReport ? <CircularProgress size={16} /> : <DownloadIcon />}
+                            disabled={!reportOptions.childId || !reportOptions.from || !reportOptions.to || exportingReport}
+                            onClick={() => this.handleExportReport()}
+                        >
+                            Download
+                        </Button>
+                    </Box>
+                </CardContent>
+            </Card>
+        );
+    }
+
+    renderViolationFilters() {
+        const { violationFilters, agents, games, shortcuts } = this.state;
+        const { allow2Children } = this.props;
+
+        const select = (key, label, options) => (
+            <FormControl size="small" style={{ minWidth: 140 }}>
+                <InputLabel>{label}</InputLabel>
+                <Select
+                    value={violationFilters[key]}
+                    onChange={(e) => this.handleViolationFilterChange({ [key]: e.target.value })}
+                >
+                    <MenuItem value="">All</MenuItem>
+                    {options.map(([value, optionLabel]) => (
+                        <MenuItem key={value} value={value}>{optionLabel}</MenuItem>
+                    ))}
+                </Select>
+            </FormControl>
+        );
+
+        const date = (key, label) => (
+            <TextField
+                size="small"
+                type="date"
+                label={label}
+                value={violationFilters[key]}
+                onChange={(e) => this.handleViolationFilterChange({ [key]: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+            />
+        );
+
+        return (
+            <Box display="flex" flexWrap="wrap" alignItems="flex-end" style={{ gap: '10px', marginBottom: '15px' }}>
+                {select('childId', 'Child', (allow2Children || []).map(child => [child.id, child.name]))}
+                {select('agentId', 'Device', agents.map(agent => [agent.id, agent.hostname]))}
+                {select('appId', 'Game', [
+                    ['steam', 'Steam'],
+                    ...games.map(game => [game.appId, game.name]),
+                    ...shortcuts.map(shortcut => [shortcut.appId, shortcut.appName])
+                ])}
+                {select('action', 'Action', Object.entries(ACTION_LABELS))}
+                {date('from', 'From')}
+                {date('to', 'To')}
+                <Button size="small" onClick={() => this.handleViolationFilterChange(EMPTY_VIOLATION_FILTERS)}>
+                    Reset
+                </Button>
+            </Box>
+        );
+    }
+
+    renderProcessCatalog() {
+        const { processCatalog, processDraft } = this.state;
+        const customEntries = processCatalog.entries.filter(entry => entry.custom);
+        const builtinCount = processCatalog.entries.length - customEntries.length;
+
+        return (
+            <Card style={{ marginBottom: '20px' }}>
+                <CardHeader
+                    title="Steam Processes"
+                    subheader={`Built-in catalog v${processCatalog.version}: ${builtinCount} entries, including Flatpak, Snap and Steam Deck`}
+                    avatar={<ComputerIcon />}
+                />
+                <CardContent>
+                    {customEntries.length === 0 ? (
+                        <Typography variant="body2" color="textSecondary" style={{ marginBottom: '15px' }}>
+                            Add processes that should count as Steam, such as a launcher installed in an unusual place.
+                        </Typography>
+                    ) : (
+                        <List dense>
+                            {customEntries.map(entry => (
+                                <ListItem key={entry.id}>
+                                    <ListItemText
+                                        primary={entry.label}
+                                        secondary={entry.match.map(rule => `${MATCH_TYPE_LABELS[rule.type] || rule.type}: ${rule.value}`).join(', ')}
+                                    />
+                                    {entry.platforms.map(platform => (
+                                        <Chip key={platform} size="small" label={PLATFORM_LABELS[platform] || platform} style={{ marginRight: '5px' }} />
+                                    ))}
+                                    <ListItemSecondaryAction>
+                                        <IconButton edge="end" size="small" onClick={() => this.handleRemoveCustomProcess(entry.id)}>
+                                            <DeleteIcon />
+                                        </IconButton>
+                                    </ListItemSecondaryAction>
+                                </ListItem>
+                            ))}
+                        </List>
+                    )}
+
+                    <Box display="flex" alignItems="flex-end" style={{ gap: '10px' }}>
+                        <TextField
+                            label="Label"
+                            value={processDraft.label}
+                            onChange={(e) => this.handleProcessDraftChange({ label: e.target.value })}
+                        />
+                        <FormControl style={{ minWidth: 150 }}>
+                            <InputLabel>Platform</InputLabel>
+                            <Select
+                                value={processDraft.platform}
+                                onChange={(e) => this.handleProcessDraftChange({ platform: e.target.value })}
+                            >
+                                {Object.entries(PLATFORM_LABELS).map(([platform, label]) => (
+                                    <MenuItem key={platform} value={platform}>{label}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <FormControl style={{ minWidth: 200 }}>
+                            <InputLabel>Match</InputLabel>
+                            <Select
+                                value={processDraft.type}
+                                onChange={(e) => this.handleProcessDraftChange({ type: e.target.value })}
+                            >
+                                {Object.entries(MATCH_TYPE_LABELS).map(([type, label]) => (
+                                    <MenuItem key={type} value={type}>{label}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <TextField
+                            label="Value"
+                            value={processDraft.value}
+                            onChange={(e) => this.handleProcessDraftChange({ value: e.target.value })}
+                            placeholder={processDraft.type === 'path-glob' ? '**/Steam/steam.exe' : ''}
+                        />
+                        <Button
+                            startIcon={<AddIcon />}
+                            disabled={!processDraft.label.trim() || !processDraft.value.trim()}
+                            onClick={() => this.handleAddCustomProcess()}
+                        >
+                            Add
+                        </Button>
+                    </Box>
+                </CardContent>
+            </Card>
+        );
+    }
+
+    formatTimestamp(timestamp) {
+        return new Date(timestamp).toLocaleString();
+    }
+
+    describeFamilyView(familyView) {
+        const allowed = Object.keys(FAMILY_VIEW_FEATURES)
+            .filter(feature => feature !== 'library' && familyView.features[feature])
+            .map(feature => FAMILY_VIEW_FEATURES[feature]);
+
+        const library = familyView.allGames
+            ? FAMILY_VIEW_FEATURES.library
+            : `${familyView.allowedApps.length} chosen game${familyView.allowedApps.length === 1 ? '' : 's'}`;
+
+        return `Allowed: ${[...allowed, library].join(', ')}`;
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    renderChildCard(child) {
+        const { nowPlaying } = this.state;
+        const { allow2Children } = this.props;
+        const name = allow2Children?.find(c => c.id === child.childId)?.name || child.displayName || child.childId;
+
+        let statusLabel = 'Waiting for Allow2';
+        if (child.override) {
+            statusLabel = `Extra time until ${new Date(child.override.until).toLocaleTimeString()}`;
+        } else if (!child.scheduleAllowed) {
+            statusLabel = 'Outside schedule';
+        } else if (child.paused) {
+            statusLabel = 'Paused';
+        } else if (child.quota !== null) {
+            statusLabel = child.quota > 0 ? 'Allowed' : 'Out of time';
+        }
+
+        return (
+            <Card key={child.childId} variant="outlined" style={{ marginBottom: '10px' }}>
+                <CardHeader
+                    avatar={<ChildIcon />}
+                    title={name}
+                    subheader={child.displayName && child.displayName !== name ? `Steam: ${child.displayName}` : null}
+                    action={
+                        <Box display="flex" gap={1}>
+                            <Chip size="small" label={statusLabel} color={statusLabel === 'Allowed' || child.override ? 'primary' : 'default'} />
+                            <Chip size="small" label={`${this.formatDuration(child.usedToday)} today, all devices`} />
+                        </Box>
+                    }
+                />
+                <CardContent>
+                    {child.syncError && (
+                        <Alert severity="warning" style={{ marginBottom: '10px' }}>
+                            Last update could not reach {child.devices.find(d => d.id === child.syncError.agentId)?.hostname || child.syncError.agentId} and
+                            was rolled back on the other devices: {child.syncError.message}
+                        </Alert>
+                    )}
+                    {child.devices.length === 0 ? (
+                        <Typography variant="body2" color="textSecondary">
+                            No devices linked. Link a device below or link the child's Steam account.
+                        </Typography>
+                    ) : (
+                        <List dense>
+                            {child.devices.map(device => (
+                                <ListItem key={device.id}>
+                                    <ComputerIcon style={{ marginRight: '10px' }} />
+                                    <ListItemText
+                                        primary={device.hostname || device.id}
+                                        secondary={
+                                            <>
+                                                {device.platform} • {device.online ? 'Online' : 'Offline'}
+                                                {device.viaSteamAccount && ' • Steam account signed in'}
+                                                {nowPlaying[device.id] && ` • Playing ${nowPlaying[device.id].gameName}`}
+                                            </>
+                                        }
+                                    />
+                                    <ListItemSecondaryAction>
+                                        <Chip
+                                            size="small"
+                                            icon={device.allowed ? <CheckCircleIcon /> : <BlockIcon />}
+                                            label={device.allowed ? 'Allowed' : 'Blocked'}
+                                        />
+                                    </ListItemSecondaryAction>
+                                </ListItem>
+                            ))}
+                        </List>
+                    )}
+                </CardContent>
+            </Card>
+        );
+    }
+
+    renderOverrides() {
+        const { overrides, overrideMinutes } = this.state;
+        const { allow2Children } = this.props;
+        const childName = (childId) => allow2Children?.find(c => c.id === childId)?.name || childId;
+
+        const pending = overrides.requests.filter(request => request.status === 'pending');
+        const decided = overrides.requests.filter(request => request.status !== 'pending').slice(0, RECENT_OVERRIDES);
+
+        return (
+            <Card style={{ marginBottom: '20px' }}>
+                <CardHeader
+                    title="Extra Time Requests"
+                    subheader="Granted time allows Steam on all of the child's devices until it runs out, whatever quota and schedule say"
+                    avatar={<ExtraTimeIcon />}
+                />
+                <CardContent>
+                    {pending.length === 0 && overrides.active.length === 0 && (
+                        <Typography variant="body2" color="textSecondary">
+                            No requests waiting. Children can ask for more time from their device.
+                        </Typography>
+                    )}
+                    <List dense>
+                        {pending.map(request => (
+                            <ListItem key={request.id}>
+                                <ListItemText
+                                    primary={`${childName(request.childId)} asks for ${request.minutes} more minutes`}
+                                    secondary={
+                                        <>
+                                            {this.formatTimestamp(request.requestedAt)}
+                                            {request.agentId && ` • ${this.state.agents.find(a => a.id === request.agentId)?.hostname || request.agentId}`}
+                                            {request.reason && ` • "${request.reason}"`}
+                                        </>
+                                    }
+                                />
+                                <ListItemSecondaryAction>
+                                    <TextField
+                                        size="small"
+                                        type="number"
+                                        label="Minutes"
+                                        value={overrideMinutes[request.id] ?? request.minutes}
+                                        onChange={(e) => {
+                                            const value = e.target.value;
+                                            this.setState(prevState => ({
+                                                overrideMinutes: { ...prevState.overrideMinutes, [request.id]: value }
+                                            }));
+                                        }}
+                                        inputProps={{ min: 1, max: 240 }}
+                                        style={{ width: 90, marginRight: '10px' }}
+                                    />
+                                    <Button size="small" color="primary" onClick={() => this.handleDecideOverride(request.id, true)}>
+                                        Approve
+                                    </Button>
+                                    <Button size="small" onClick={() => this.handleDecideOverride(request.id, false)}>
+                                        Deny
+                                    </Button>
+                                </ListItemSecondaryAction>
+                            </ListItem>
+                        ))}
+                        {overrides.active.map(override => (
+                            <ListItem key={override.childId}>
+                                <ListItemText
+                                    primary={`${childName(override.childId)} has extra time until ${new Date(override.until).toLocaleTimeString()}`}
+                                    secondary={`${override.minutes} minutes granted`}
+                                />
+                                <ListItemSecondaryAction>
+                                    <Button size="small" onClick={() => this.handleRevokeOverride(override.childId)}>
+                                        End now
+                                    </Button>
+                                </ListItemSecondaryAction>
+                            </ListItem>
+                        ))}
+                    </List>
+                    {decided.length > 0 && (
+                        <>
+                            <Typography variant="subtitle2" style={{ marginTop: '10px' }}>
+                                Recent decisions
+                            </Typography>
+                            <List dense>
+                                {decided.map(request => (
+                                    <ListItem key={request.id}>
+                                        <ListItemText
+                                            primary={`${childName(request.childId)} • ${request.status === 'approved'
+                                                ? `${request.grantedMinutes} minutes granted`
+                                                : `${request.minutes} minutes refused`}`}
+                                            secondary={this.formatTimestamp(request.decidedAt)}
+                                        />
+                                    </ListItem>
+                                ))}
+                            </List>
+                        </>
+                    )}
+                </CardContent>
+            </Card>
+        );
+    }
+
+    renderVerdictSelect(appId, verdict) {
+        return (
+            <FormControl size="small" style={{ minWidth: 180 }}>
+                <Select
+                    value={verdict}
+                    onChange={(e) => this.handleSetGameVerdict(appId, e.target.value)}
+                >
+                    <MenuItem value="allow">Always allow</MenuItem>
+                    <MenuItem value="block">Always block</MenuItem>
+                    <MenuItem value="quota">Count against quota</MenuItem>
+                </Select>
+            </FormControl>
+        );
+    }
 
-            // Get settings
-            const [settingsError, settingsResult] = await ipcRenderer.invoke('steam:getSettings');
-            if (settingsError) throw settingsError;
+    formatRating(rating) {
+        const { systems } = this.state.ratingRules;
+        return Object.entries(rating.ratings)
+            .map(([system, { rating: value }]) => `${systems[system]?.label || system.toUpperCase()} ${value.toUpperCase()}`)
+            .join(', ');
+    }
 
-            // Get status
-            const [statusError, statusResult] = await ipcRenderer.invoke('steam:getStatus');
-            if (statusError) throw statusError;
+    renderGameGroups() {
+        const { gameGroups, groupName, groupCollection, groupMinutes, games, shortcuts } = this.state;
+        const { allow2Children } = this.props;
+        const childName = (childId) => allow2Children?.find(c => c.id === childId)?.name || childId;
 
-            this.setState({
-                agents: agentsResult.agents || [],
-                violations: violationsResult.violations || [],
-                settings: settingsResult.settings || this.state.settings,
-                status: statusResult,
-                loading: false
-            });
-        } catch (error) {
-            console.error('[Steam Settings] Error loading data:', error);
-            this.setState({ error: error.message, loading: false });
+        const gameNames = {};
+        for (const game of games) {
+            gameNames[game.appId] = game.name;
+        }
+        for (const shortcut of shortcuts) {
+            gameNames[shortcut.appId] = shortcut.appName;
         }
-    }
 
-    handleViolation(data) {
-        // Add violation to list
-        this.setState(prevState => ({
-            violations: [data, ...prevState.violations].slice(0, 50)
-        }));
-    }
+        const followed = new Set(gameGroups.groups.filter(group => group.collection)
+            .map(group => `${group.collection.steamId3}/${group.collection.id}`));
+        const collections = gameGroups.collections.filter(collection => !followed.has(`${collection.steamId3}/${collection.id}`));
 
-    handleSteamDetected(data) {
-        console.log('[Steam Settings] Steam detected:', data);
-        // Could show notification or update UI
+        return (
+            <Card style={{ marginBottom: '20px' }}>
+                <CardHeader
+                    title="Game Groups"
+                    subheader="Rules and daily minutes for several games at once, for games that count against quota"
+                    avatar={<GroupIcon />}
+                    action={gameGroups.groups.some(group => group.collection) && (
+                        <Tooltip title="Update groups from their Steam collections">
+                            <IconButton onClick={() => this.handleSyncGameGroups()}>
+                                <SyncIcon />
+                            </IconButton>
+                        </Tooltip>
+                    )}
+                />
+                <CardContent>
+                    {gameGroups.groups.length === 0 ? (
+                        <Typography variant="body2" color="textSecondary" style={{ marginBottom: '15px' }}>
+                            Group games such as "Educational" or "Competitive", or start from a collection in the Steam library.
+                        </Typography>
+                    ) : (
+                        <List dense>
+                            {gameGroups.groups.map(group => (
+                                <ListItem key={group.id} divider style={{ display: 'block' }}>
+                                    <Box display="flex" alignItems="center" style={{ gap: '10px' }}>
+                                        <ListItemText
+                                            primary={group.name}
+                                            secondary={
+                                                <>
+                                                    {group.collection ? 'Follows a Steam collection' : `${group.appIds.length} games`}
+                                                    {group.dailyMinutes && Object.entries(group.usedToday).map(([childId, used]) => (
+                                                        <Typography key={childId} variant="caption" display="block"
+                                                            color={used >= group.dailyMinutes * 60000 ? 'error' : 'textSecondary'}>
+                                                            {childName(childId)}: {Math.round(used / 60000)} of {group.dailyMinutes} minutes today
+                                                        </Typography>
+                                                    ))}
+                                                </>
+                                            }
+                                        />
+                                        <TextField
+                                            size="small"
+                                            type="number"
+                                            label="Minutes a day"
+                                            value={groupMinutes[group.id] ?? group.dailyMinutes ?? ''}
+                                            onChange={(e) => {
+                                                const value = e.target.value;
+                                                this.setState(prevState => ({
+                                                    groupMinutes: { ...prevState.groupMinutes, [group.id]: value }
+                                                }));
+                                            }}
+                                            onBlur={() => this.handleSaveGroupMinutes(group)}
+                                            inputProps={{ min: 1, max: 1440 }}
+                                            style={{ width: 120 }}
+                                        />
+                                        <FormControl size="small" style={{ minWidth: 180 }}>
+                                            <Select
+                                                value={group.verdict}
+                                                onChange={(e) => this.handleUpdateGameGroup(group.id, { verdict: e.target.value })}
+                                            >
+                                                <MenuItem value="allow">Always allow</MenuItem>
+                                                <MenuItem value="block">Always block</MenuItem>
+                                                <MenuItem value="quota">Count against quota</MenuItem>
+                                            </Select>
+                                        </FormControl>
+                                        <IconButton size="small" onClick={() => this.handleRemoveGameGroup(group.id)}>
+                                            <DeleteIcon />
+                                        </IconButton>
+                                    </Box>
+                                    <FormControl fullWidth size="small" disabled={!!group.collection}>
+                                        <InputLabel>Games</InputLabel>
+                                        <Select
+                                            multiple
+                                            value={group.appIds}
+                                            onChange={(e) => this.handleUpdateGameGroup(group.id, { appIds: e.target.value })}
+                                            renderValue={(appIds) => appIds.map(appId => gameNames[appId] || `App ${appId}`).join(', ')}
+                                        >
+                                            {Object.entries(gameNames).map(([appId, name]) => (
+                                                <MenuItem key={appId} value={appId}>{name}</MenuItem>
+                                            ))}
+                                        </Select>
+                                    </FormControl>
+                                </ListItem>
+                            ))}
+                        </List>
+                    )}
+
+                    <Box display="flex" alignItems="flex-end" style={{ gap: '10px', marginTop: '10px' }}>
+                        <TextField
+                            label="Group name"
+                            value={groupName}
+                            onChange={(e) => this.setState({ groupName: e.target.value })}
+                        />
+                        <Button
+                            startIcon={<AddIcon />}
+                            disabled={!groupName.trim()}
+                            onClick={() => this.handleCreateGameGroup()}
+                        >
+                            Add
+                        </Button>
+                        {collections.length > 0 && (
+                            <>
+                                <FormControl style={{ minWidth: 200 }}>
+                                    <InputLabel>Steam collection</InputLabel>
+                                    <Select
+                                        value={groupCollection}
+                                        onChange={(e) => this.setState({ groupCollection: e.target.value })}
+                                    >
+                                        {collections.map(collection => (
+                                            <MenuItem key={`${collection.steamId3}/${collection.id}`} value={`${collection.steamId3}/${collection.id}`}>
+                                                {collection.name} ({collection.appIds.length} games)
+                                            </MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                <Button
+                                    startIcon={<AddIcon />}
+                                    disabled={!groupCollection}
+                                    onClick={() => this.handleCreateGameGroup(groupCollection)}
+                                >
+                                    Follow
+                                </Button>
+                            </>
+                        )}
+                    </Box>
+                </CardContent>
+            </Card>
+        );
     }
 
-    async handleLinkAgent(agentId, childId) {
-        try {
-            const [error] = await ipcRenderer.invoke('steam:linkAgent', { agentId, childId });
-            if (error) throw error;
+    renderRatingRuleEditor() {
+        const { ratingRules, ratingChildId, ratingDraft } = this.state;
+        const { systems, descriptors } = ratingRules;
+        const system = systems[ratingDraft.system];
 
-            await this.loadData(false);
-        } catch (error) {
-            console.error('[Steam Settings] Error linking agent:', error);
-            this.setState({ error: error.message });
-        }
-    }
+        return (
+            <>
+                <Box display="flex" flexWrap="wrap" style={{ gap: '10px', marginBottom: '15px' }}>
+                    <FormControl style={{ minWidth: 140 }}>
+                        <InputLabel>Rating system</InputLabel>
+                        <Select
+                            value={ratingDraft.system}
+                            onChange={(e) => this.updateRatingDraft({ system: e.target.value, maxRating: '' })}
+                        >
+                            {Object.entries(systems).map(([id, { label }]) => (
+                                <MenuItem key={id} value={id}>{label}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                    <FormControl style={{ minWidth: 140 }}>
+                        <InputLabel>Highest rating</InputLabel>
+                        <Select
+                            value={ratingDraft.maxRating}
+                            onChange={(e) => this.updateRatingDraft({ maxRating: e.target.value })}
+                        >
+                            <MenuItem value="">Any</MenuItem>
+                            {Object.keys(system?.ages || {}).map(rating => (
+                                <MenuItem key={rating} value={rating}>{system.label} {rating.toUpperCase()}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                    <FormControl style={{ minWidth: 180 }}>
+                        <InputLabel>Games without a rating</InputLabel>
+                        <Select
+                            value={ratingDraft.unrated}
+                            onChange={(e) => this.updateRatingDraft({ unrated: e.target.value })}
+                        >
+                            <MenuItem value="allow">Allow</MenuItem>
+                            <MenuItem value="block">Block</MenuItem>
+                        </Select>
+                    </FormControl>
+                </Box>
 
-    async handleUnlinkAgent(agentId) {
-        try {
-            const [error] = await ipcRenderer.invoke('steam:unlinkAgent', { agentId });
-            if (error) throw error;
+                <Typography variant="body2" gutterBottom>
+                    Block games with
+                </Typography>
+                <Box display="flex" flexWrap="wrap" style={{ gap: '5px', marginBottom: '15px' }}>
+                    {Object.entries(descriptors).map(([id, label]) => (
+                        <Chip
+                            key={id}
+                            label={label}
+                            size="small"
+                            clickable
+                            color={ratingDraft.blockedDescriptors.includes(Number(id)) ? 'primary' : 'default'}
+                            onClick={() => this.toggleRatingDescriptor(Number(id))}
+                        />
+                    ))}
+                </Box>
 
-            await this.loadData(false);
-        } catch (error) {
-            console.error('[Steam Settings] Error unlinking agent:', error);
-            this.setState({ error: error.message });
-        }
+                <Box display="flex" style={{ gap: '10px' }}>
+                    <Button size="small" color="primary" variant="contained" onClick={() => this.handleSaveRatingRule()}>
+                        Save
+                    </Button>
+                    {ratingRules.rules[ratingChildId] && (
+                        <Button size="small" onClick={() => this.handleSaveRatingRule(true)}>
+                            Remove Rule
+                        </Button>
+                    )}
+                </Box>
+            </>
+        );
     }
 
-    async handleUpdateSettings(newSettings) {
-        try {
-            const [error] = await ipcRenderer.invoke('steam:updateSettings', { settings: newSettings });
-            if (error) throw error;
+    renderScheduleEditor() {
+        const { schedules, scheduleChildId, scheduleDraft } = this.state;
+        const schedule = schedules[scheduleChildId];
 
-            this.setState({ settings: { ...this.state.settings, ...newSettings } });
-        } catch (error) {
-            console.error('[Steam Settings] Error updating settings:', error);
-            this.setState({ error: error.message });
-        }
-    }
+        return (
+            <>
+                {schedule && (
+                    <Alert severity={schedule.allowed ? 'success' : 'warning'} style={{ marginBottom: '15px' }}>
+                        Steam is currently {schedule.allowed ? 'allowed' : 'blocked'} by this schedule
+                        {schedule.nextChange && ` until ${this.formatTimestamp(schedule.nextChange)}`}
+                    </Alert>
+                )}
 
-    async handleClearViolations() {
-        try {
-            const [error] = await ipcRenderer.invoke('steam:clearViolations');
-            if (error) throw error;
+                <TextField
+                    label="Timezone"
+                    value={scheduleDraft.timezone}
+                    onChange={(e) => this.updateScheduleDraft({ timezone: e.target.value })}
+                    helperText="IANA timezone the child lives in, e.g. Australia/Sydney"
+                    fullWidth
+                    style={{ marginBottom: '15px' }}
+                />
 
-            this.setState({ violations: [] });
-        } catch (error) {
-            console.error('[Steam Settings] Error clearing violations:', error);
-            this.setState({ error: error.message });
-        }
-    }
+                {scheduleDraft.windows.map((window, index) => (
+                    <Box key={index} display="flex" alignItems="center" flexWrap="wrap" style={{ gap: '10px', marginBottom: '10px' }}>
+                        <Select
+                            value={window.type}
+                            onChange={(e) => this.updateScheduleWindow(index, { type: e.target.value })}
+                        >
+                            <MenuItem value="allow">Only allow</MenuItem>
+                            <MenuItem value="block">Block</MenuItem>
+                        </Select>
+                        {DAY_LABELS.map((label, day) => (
+                            <Chip
+                                key={label}
+                                label={label}
+                                size="small"
+                                clickable
+                                color={window.days.includes(day) ? 'primary' : 'default'}
+                                onClick={() => this.toggleScheduleDay(index, day)}
+                            />
+                        ))}
+                        <TextField
+                            type="time"
+                            label="From"
+                            value={window.start}
+                            onChange={(e) => this.updateScheduleWindow(index, { start: e.target.value })}
+                            InputLabelProps={{ shrink: true }}
+                        />
+                        <TextField
+                            type="time"
+                            label="Until"
+                            value={window.end === '24:00' ? '00:00' : window.end}
+                            onChange={(e) => this.updateScheduleWindow(index, { end: e.target.value === '00:00' ? '24:00' : e.target.value })}
+                            InputLabelProps={{ shrink: true }}
+                        />
+                        <IconButton size="small" onClick={() => this.updateScheduleDraft({
+                            windows: scheduleDraft.windows.filter((w, i) => i !== index)
+                        })}>
+                            <DeleteIcon />
+                        </IconButton>
+                    </Box>
+                ))}
 
-    formatTimestamp(timestamp) {
-        return new Date(timestamp).toLocaleString();
+                <Box display="flex" style={{ gap: '10px' }}>
+                    <Button
+                        size="small"
+                        startIcon={<AddIcon />}
+                        onClick={() => this.updateScheduleDraft({
+                            windows: [...scheduleDraft.windows, { type: 'block', days: [0, 1, 2, 3, 4], start: '20:00', end: '24:00' }]
+                        })}
+                    >
+                        Add Window
+                    </Button>
+                    <Button size="small" color="primary" variant="contained" onClick={() => this.handleSaveSchedule()}>
+                        Save
+                    </Button>
+                    {schedule && (
+                        <Button size="small" onClick={() => this.handleSaveSchedule(true)}>
+                            Remove Schedule
+                        </Button>
+                    )}
+                </Box>
+            </>
+        );
     }
 
     render() {
-        const { agents, violations, settings, status, loading, error, selectedChild } = this.state;
+        const { agents, children, syncs, accounts, games, shortcuts, violations, settings, status, loading, error, selectedChild } = this.state;
+        const { scheduleChildId, scheduleDraft, nowPlaying, refreshingInventory, violationTotal, loadingViolations } = this.state;
+        const { ratingChildId, ratingDraft } = this.state;
         const { allow2Children } = this.props;
 
         if (loading) {
@@ -250,6 +1600,64 @@ class TabContent extends Component {
                     </Card>
                 )}
 
+                {/* Children, each with all of their devices */}
+                {children.length > 0 && (
+                    <Card style={{ marginBottom: '20px' }}>
+                        <CardHeader
+                            title="Children"
+                            subheader="All of a child's devices share one quota and are allowed or blocked together"
+                            avatar={<ChildIcon />}
+                        />
+                        <CardContent>
+                            {children.map(child => this.renderChildCard(child))}
+                        </CardContent>
+                    </Card>
+                )}
+
+                {/* Children's requests for extra time */}
+                {children.length > 0 && this.renderOverrides()}
+
+                {/* Policy updates waiting for agents */}
+                {syncs.length > 0 && (
+                    <Card style={{ marginBottom: '20px' }}>
+                        <CardHeader
+                            title="Pending Device Updates"
+                            subheader="Policy changes devices have not received yet are retried until they apply"
+                            avatar={<SyncIcon />}
+                        />
+                        <CardContent>
+                            <List dense>
+                                {syncs.map(sync => (
+                                    <ListItem key={sync.agentId}>
+                                        <ComputerIcon style={{ marginRight: '10px' }} />
+                                        <ListItemText
+                                            primary={`${sync.hostname} - ${sync.policies.length} polic${sync.policies.length === 1 ? 'y' : 'ies'}`}
+                                            secondary={
+                                                <>
+                                                    {sync.lastError || 'Waiting to send'}
+                                                    {sync.attempts > 0 && ` • ${sync.attempts} attempt${sync.attempts === 1 ? '' : 's'}`}
+                                                    {sync.nextAttemptAt && ` • Next retry ${this.formatTimestamp(sync.nextAttemptAt)}`}
+                                                </>
+                                            }
+                                        />
+                                        <ListItemSecondaryAction>
+                                            <Chip
+                                                size="small"
+                                                label={sync.status === 'failed' ? 'Failed' : 'Pending'}
+                                                color={sync.status === 'failed' ? 'secondary' : 'default'}
+                                                style={{ marginRight: '10px' }}
+                                            />
+                                            <Button size="small" onClick={() => this.handleRetrySync(sync.agentId)}>
+                                                Retry
+                                            </Button>
+                                        </ListItemSecondaryAction>
+                                    </ListItem>
+                                ))}
+                            </List>
+                        </CardContent>
+                    </Card>
+                )}
+
                 {/* Agents List */}
                 <Card style={{ marginBottom: '20px' }}>
                     <CardHeader
@@ -276,10 +1684,25 @@ class TabContent extends Component {
                                                 <>
                                                     {agent.platform} • {agent.online ? 'Online' : 'Offline'}
                                                     {agent.childId && ` • Linked to child ${agent.childId}`}
+                                                    {nowPlaying[agent.id] && ` • Playing ${nowPlaying[agent.id].gameName}`}
+                                                    {agent.inventory && (agent.inventory.installed
+                                                        ? ` • ${agent.inventory.games} games, ${agent.inventory.accounts} Steam accounts`
+                                                        : ' • Steam not installed')}
                                                 </>
                                             }
                                         />
                                         <ListItemSecondaryAction>
+                                            <Tooltip title="Check the games installed on this device">
+                                                <span>
+                                                    <IconButton
+                                                        size="small"
+                                                        disabled={!agent.online || refreshingInventory[agent.id]}
+                                                        onClick={() => this.handleRefreshInventory(agent.id)}
+                                                    >
+                                                        <RefreshIcon />
+                                                    </IconButton>
+                                                </span>
+                                            </Tooltip>
                                             {agent.childId ? (
                                                 <Button
                                                     size="small"
@@ -319,6 +1742,206 @@ class TabContent extends Component {
                     </CardContent>
                 </Card>
 
+                {/* Steam Accounts */}
+                <Card style={{ marginBottom: '20px' }}>
+                    <CardHeader
+                        title="Steam Accounts"
+                        subheader="Link each Steam account to a child so enforcement follows whoever is signed in"
+                        avatar={<AccountIcon />}
+                    />
+                    <CardContent>
+                        {accounts.length === 0 ? (
+                            <Alert severity="info">
+                                No Steam accounts found.
+                            </Alert>
+                        ) : (
+                            <List dense>
+                                {accounts.map(account => (
+                                    <ListItem key={account.steamId64}>
+                                        <ListItemText
+                                            primary={
+                                                <>
+                                                    {account.personaName || account.accountName || account.steamId3}
+                                                    {account.mostRecent && (
+                                                        <Chip label="Signed in" size="small" color="primary" style={{ marginLeft: '10px' }} />
+                                                    )}
+                                                    <Chip
+                                                        label={account.familyView?.enabled ? 'Family View on' : 'Family View off'}
+                                                        size="small"
+                                                        color={account.familyView?.enabled ? 'default' : 'secondary'}
+                                                        style={{ marginLeft: '10px' }}
+                                                    />
+                                                </>
+                                            }
+                                            secondary={
+                                                <>
+                                                    {`${account.accountName ? `${account.accountName} • ` : ''}${account.steamId64} • ${account.steamId3}`}
+                                                    {account.familyView?.enabled && (
+                                                        <><br />{this.describeFamilyView(account.familyView)}</>
+                                                    )}
+                                                </>
+                                            }
+                                        />
+                                        <ListItemSecondaryAction>
+                                            {account.childId ? (
+                                                <Button
+                                                    size="small"
+                                                    onClick={() => this.handleUnlinkSteamAccount(account.childId)}
+                                                >
+                                                    Unlink {allow2Children?.find(child => child.id === account.childId)?.name || account.childId}
+                                                </Button>
+                                            ) : (
+                                                <FormControl size="small" style={{ minWidth: 120 }}>
+                                                    <Select
+                                                        value=""
+                                                        onChange={(e) => {
+                                                            if (e.target.value) {
+                                                                this.handleLinkSteamAccount(account.steamId64, e.target.value);
+                                                            }
+                                                        }}
+                                                        displayEmpty
+                                                    >
+                                                        <MenuItem value="">Link to child...</MenuItem>
+                                                        {allow2Children?.map(child => (
+                                                            <MenuItem key={child.id} value={child.id}>
+                                                                {child.name}
+                                                            </MenuItem>
+                                                        ))}
+                                                    </Select>
+                                                </FormControl>
+                                            )}
+                                        </ListItemSecondaryAction>
+                                    </ListItem>
+                                ))}
+                            </List>
+                        )}
+                    </CardContent>
+                </Card>
+
+                {/* Games */}
+                <Card style={{ marginBottom: '20px' }}>
+                    <CardHeader title="Games" avatar={<GameIcon />} />
+                    <CardContent>
+                        {games.length === 0 ? (
+                            <Alert severity="info">
+                                No installed Steam games found.
+                            </Alert>
+                        ) : (
+                            <List dense>
+                                {games.map(game => (
+                                    <ListItem key={game.appId}>
+                                        <ListItemText
+                                            primary={game.name}
+                                            secondary={
+                                                <>
+                                                    App {game.appId}
+                                                    {game.rating && Object.keys(game.rating.ratings).length > 0 && ` • ${this.formatRating(game.rating)}`}
+                                                    {game.verdict === 'quota' && game.blockedFor.map(({ childId, reasons }) => (
+                                                        <Typography key={childId} variant="caption" color="error" display="block">
+                                                            Blocked for {allow2Children?.find(child => child.id === childId)?.name || childId}: {reasons.join('; ')}
+                                                        </Typography>
+                                                    ))}
+                                                </>
+                                            }
+                                        />
+                                        <ListItemSecondaryAction>
+                                            {this.renderVerdictSelect(game.appId, game.verdict)}
+                                        </ListItemSecondaryAction>
+                                    </ListItem>
+                                ))}
+                            </List>
+                        )}
+                    </CardContent>
+                </Card>
+
+                {/* Non-Steam Games */}
+                {shortcuts.length > 0 && (
+                    <Card style={{ marginBottom: '20px' }}>
+                        <CardHeader
+                            title="Non-Steam Games"
+                            subheader="Emulators and launchers added to the Steam library"
+                            avatar={<GameIcon />}
+                        />
+                        <CardContent>
+                            <List dense>
+                                {shortcuts.map(shortcut => (
+                                    <ListItem key={`${shortcut.steamId3}-${shortcut.appId}`}>
+                                        <ListItemText
+                                            primary={shortcut.appName}
+                                            secondary={
+                                                <>
+                                                    {shortcut.exe}
+                                                    {shortcut.launchOptions && ` ${shortcut.launchOptions}`}
+                                                    {shortcut.tags.map(tag => (
+                                                        <Chip key={tag} label={tag} size="small" style={{ marginLeft: '5px' }} />
+                                                    ))}
+                                                </>
+                                            }
+                                        />
+                                        <ListItemSecondaryAction>
+                                            {this.renderVerdictSelect(shortcut.appId, shortcut.verdict)}
+                                        </ListItemSecondaryAction>
+                                    </ListItem>
+                                ))}
+                            </List>
+                        </CardContent>
+                    </Card>
+                )}
+
+                {this.renderGameGroups()}
+
+                {/* Schedules */}
+                <Card style={{ marginBottom: '20px' }}>
+                    <CardHeader
+                        title="Schedules"
+                        subheader="Times of day Steam is allowed, on top of the Allow2 quota"
+                        avatar={<ScheduleIcon />}
+                    />
+                    <CardContent>
+                        <FormControl fullWidth style={{ marginBottom: '15px' }}>
+                            <InputLabel>Child</InputLabel>
+                            <Select
+                                value={scheduleChildId}
+                                onChange={(e) => this.handleSelectScheduleChild(e.target.value)}
+                            >
+                                {allow2Children?.map(child => (
+                                    <MenuItem key={child.id} value={child.id}>
+                                        {child.name}
+                                    </MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+
+                        {scheduleDraft && this.renderScheduleEditor()}
+                    </CardContent>
+                </Card>
+
+                {/* Content Ratings */}
+                <Card style={{ marginBottom: '20px' }}>
+                    <CardHeader
+                        title="Content Ratings"
+                        subheader="Block games by age rating and content, for games that count against quota"
+                        avatar={<RatingIcon />}
+                    />
+                    <CardContent>
+                        <FormControl fullWidth style={{ marginBottom: '15px' }}>
+                            <InputLabel>Child</InputLabel>
+                            <Select
+                                value={ratingChildId}
+                                onChange={(e) => this.handleSelectRatingChild(e.target.value)}
+                            >
+                                {allow2Children?.map(child => (
+                                    <MenuItem key={child.id} value={child.id}>
+                                        {child.name}
+                                    </MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+
+                        {ratingDraft && this.renderRatingRuleEditor()}
+                    </CardContent>
+                </Card>
+
                 {/* Settings */}
                 <Card style={{ marginBottom: '20px' }}>
                     <CardHeader title="Settings" avatar={<SettingsIcon />} />
@@ -333,6 +1956,46 @@ class TabContent extends Component {
                             />
                         </FormControl>
 
+                        <Typography variant="subtitle2" gutterBottom>Warnings</Typography>
+                        <Box display="flex" style={{ gap: '15px', marginBottom: '15px' }}>
+                            <TextField
+                                label="First Warning (minutes)"
+                                type="number"
+                                value={settings.warningMinutes}
+                                onChange={(e) => this.handleUpdateSettings({ warningMinutes: parseInt(e.target.value) || 0 })}
+                                helperText="Before quota runs out (0 = off)"
+                                inputProps={{ min: 0 }}
+                            />
+                            <TextField
+                                label="Final Warning (minutes)"
+                                type="number"
+                                value={settings.finalWarningMinutes}
+                                onChange={(e) => this.handleUpdateSettings({ finalWarningMinutes: parseInt(e.target.value) || 0 })}
+                                helperText="Before quota runs out (0 = off)"
+                                inputProps={{ min: 0 }}
+                            />
+                            <TextField
+                                label="Grace Period (seconds)"
+                                type="number"
+                                value={settings.gracePeriodSeconds}
+                                onChange={(e) => this.handleUpdateSettings({ gracePeriodSeconds: parseInt(e.target.value) || 0 })}
+                                helperText="Time to save before Steam is closed"
+                                disabled={!settings.killOnViolation}
+                                inputProps={{ min: 0 }}
+                            />
+                        </Box>
+
+                        <FormControl fullWidth style={{ marginBottom: '15px' }}>
+                            <TextField
+                                label="Keep Violation History (days)"
+                                type="number"
+                                value={settings.violationRetentionDays}
+                                onChange={(e) => this.handleUpdateSettings({ violationRetentionDays: parseInt(e.target.value) || 1 })}
+                                helperText="Older violations are deleted"
+                                inputProps={{ min: 1 }}
+                            />
+                        </FormControl>
+
                         <Box display="flex" alignItems="center" justifyContent="space-between" marginBottom={1}>
                             <Typography>Kill Steam on Violation</Typography>
                             <Switch
@@ -351,10 +2014,17 @@ class TabContent extends Component {
                     </CardContent>
                 </Card>
 
+                {/* Steam Processes */}
+                {this.renderProcessCatalog()}
+
+                {/* Reports */}
+                {this.renderReportExport()}
+
                 {/* Violations Log */}
                 <Card>
                     <CardHeader
                         title="Violation Log"
+                        subheader={violationTotal > 0 ? `${violationTotal} violations` : null}
                         action={
                             <Button size="small" onClick={() => this.handleClearViolations()}>
                                 Clear
@@ -362,24 +2032,41 @@ class TabContent extends Component {
                         }
                     />
                     <CardContent>
-                        {violations.length === 0 ? (
+                        {this.renderViolationFilters()}
+                        {violations.length === 0 && !loadingViolations ? (
                             <Alert severity="success" icon={<CheckCircleIcon />}>
                                 No violations recorded
                             </Alert>
                         ) : (
-                            <List dense>
-                                {violations.map((violation, index) => (
-                                    <React.Fragment key={index}>
-                                        <ListItem>
-                                            <ListItemText
-                                                primary={`${violation.hostname} - ${violation.processName}`}
-                                                secondary={this.formatTimestamp(violation.timestamp)}
-                                            />
-                                        </ListItem>
-                                        {index < violations.length - 1 && <Divider />}
-                                    </React.Fragment>
-                                ))}
-                            </List>
+                            <Box style={{ maxHeight: 400, overflowY: 'auto' }} onScroll={(e) => this.handleViolationScroll(e)}>
+                                <List dense>
+                                    {violations.map((violation, index) => (
+                                        <React.Fragment key={violation.id || index}>
+                                            <ListItem>
+                                                <ListItemText
+                                                    primary={violation.message || `${violation.hostname} - ${violation.gameName || violation.processName}`}
+                                                    secondary={violation.reasons
+                                                        ? `${this.formatTimestamp(violation.timestamp)} • ${violation.reasons.join('; ')}`
+                                                        : this.formatTimestamp(violation.timestamp)}
+                                                />
+                                                {violation.stage && (
+                                                    <Chip
+                                                        size="small"
+                                                        label={`${STAGE_LABELS[violation.stage] || violation.stage}${violation.severity ? ` (${violation.severity})` : ''}`}
+                                                        color={violation.stage === 'kill' || violation.severity === 'high' ? 'secondary' : 'default'}
+                                                    />
+                                                )}
+                                            </ListItem>
+                                            {index < violations.length - 1 && <Divider />}
+                                        </React.Fragment>
+                                    ))}
+                                </List>
+                                {loadingViolations && (
+                                    <Box display="flex" justifyContent="center" padding={1}>
+                                        <CircularProgress size={20} />
+                                    </Box>
+                                )}
+                            </Box>
                         )}
                     </CardContent>
                 </Card>
@@ -387,8 +2074,8 @@ class TabContent extends Component {
                 <Box marginTop={2}>
                     <Alert severity="info" icon={<InfoIcon />}>
                         <strong>How it works:</strong> This plugin monitors Steam processes on all connected agent devices.
-                        When Steam is detected, it checks Allow2 quotas for the linked child. If quota is exceeded or paused,
-                        Steam is automatically terminated.
+                        When Steam is detected, it checks Allow2 quotas for the linked child. The child is warned before quota
+                        runs out and, once it is exceeded or paused, Steam is closed after the grace period.
                     </Alert>
                 </Box>
             </div>
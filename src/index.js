@@ -19,9 +19,56 @@
 import TabContent from './components/TabContent';
 import SteamStatus from './components/SteamStatus';
 
+const path = require('path');
+const os = require('os');
+
 // Import Steam services
 const SteamMonitor = require('./SteamMonitor');
 const SteamVDFParser = require('./SteamVDFParser');
+const SessionTracker = require('./SessionTracker');
+const Scheduler = require('./Scheduler');
+const ChildAggregator = require('./ChildAggregator');
+const PolicyReconciler = require('./PolicyReconciler');
+const PolicyProvisioner = require('./PolicyProvisioner');
+const ProcessCatalog = require('./ProcessCatalog');
+const ViolationStore = require('./ViolationStore');
+const UsageReport = require('./UsageReport');
+const TamperDetector = require('./TamperDetector');
+const SteamApi = require('./SteamApi');
+const OverrideManager = require('./OverrideManager');
+const ContentRatings = require('./ContentRatings');
+const GameGroups = require('./GameGroups');
+
+const { GAME_VERDICTS, VIOLATION_STAGES } = SteamMonitor;
+const { ANY_APP } = SessionTracker;
+const { REPORT_FORMATS } = UsageReport;
+const { TAMPER_TYPES, TAMPER_SEVERITY } = TamperDetector;
+const { OVERRIDE_SOURCES } = OverrideManager;
+const { RATING_SYSTEMS, CONTENT_DESCRIPTORS } = ContentRatings;
+
+// App ID used for the Steam client's own processes in sessions and usage
+const STEAM_CLIENT_APP = 'steam';
+const MAX_SESSIONS = 1000;
+// Running sessions are reported to Allow2 once they have at least this much unreported time
+const RUNNING_REPORT_MINIMUM = 60000;
+// Agents that send no heartbeat for this many check intervals are flagged
+const HEARTBEAT_TIMEOUT_INTERVALS = 10;
+
+// What the violation log shows a tamper finding against
+const TAMPER_SUBJECTS = {
+    [TAMPER_TYPES.RENAMED_BINARY]: 'Steam',
+    [TAMPER_TYPES.PORTABLE_COPY]: 'Steam',
+    [TAMPER_TYPES.HEARTBEAT_GAP]: 'Agent',
+    [TAMPER_TYPES.FAMILY_VIEW_DISABLED]: 'Family View',
+    [TAMPER_TYPES.PARENTAL_ROLLBACK]: 'Family View'
+};
+
+// Activity feed severity per tamper severity
+const TAMPER_ACTIVITY_SEVERITY = {
+    [TAMPER_SEVERITY.LOW]: 'info',
+    [TAMPER_SEVERITY.MEDIUM]: 'warning',
+    [TAMPER_SEVERITY.HIGH]: 'error'
+};
 
 /**
  * Steam Plugin Factory
@@ -32,9 +79,69 @@ function plugin(context) {
     let state = null;
     let steamMonitor = null;
     let agentService = null;
+    let sessionTracker = null;
+    let staleSessionInterval = null;
+    let scheduler = null;
+    let childAggregator = null;
+    let reconciler = null;
+    let policyProvisioner = null;
+    let violationStore = null;
+    let tamperDetector = null;
+    let overrideManager = null;
+    let contentRatings = null;
+    let gameGroups = null;
+
+    // Latest Allow2 state per child, so schedule changes can be applied between state changes
+    const allow2States = {};
+
+    // childId -> { agentId, message, timestamp } of the last policy update that was rolled back
+    const childSyncErrors = {};
+
+    // childId:groupId of the game groups whose daily minutes were used up at the last check
+    let exhaustedGroups = null;
+
+    // Actions and triggers from the package.json manifest, for other plugins and automations
+    const api = new SteamApi(context, {
+        enableSteamMonitoring: async ({ agentId }) => ({ agents: await provisionAgents(agentId) }),
+        updateSteamPolicy: async ({ agentId, refreshInventory = false, settings }) => {
+            if (settings) {
+                await updateSettings(settings);
+            }
+            return { agents: await provisionAgents(agentId, { refreshInventory }), settings: state.settings };
+        },
+        getSteamStatus: () => getStatus(),
+        requestSteamOverride: async (params) => ({ request: requestOverride(params) })
+    });
 
     const steam = {};
 
+    /**
+     * Run one of the plugin's actions
+     * @param {string} actionId - enableSteamMonitoring | updateSteamPolicy | getSteamStatus | requestSteamOverride
+     * @param {Object} params - Checked against the action's JSON schema
+     * @returns {Promise<*>} The action's result
+     */
+    steam.invokeAction = function(actionId, params) {
+        return api.invoke(actionId, params);
+    };
+
+    /**
+     * Listen for one of the plugin's triggers
+     * @param {string} triggerId - steamViolation | steamDetected | steamTamper
+     * @param {Function} listener - (payload, triggerId) => void
+     * @returns {Function} Call to stop listening
+     */
+    steam.subscribe = function(triggerId, listener) {
+        return api.subscribe(triggerId, listener);
+    };
+
+    /**
+     * The plugin's actions and triggers with their JSON schemas
+     */
+    steam.describeApi = function() {
+        return api.describe();
+    };
+
     /**
      * onLoad - Initialize plugin when Allow2Automate starts
      * @param {Object} loadState - Persisted state from previous session
@@ -45,16 +152,65 @@ function plugin(context) {
         // Restore persisted state
         state = loadState || {
             agents: {},           // agentId -> { childId, enabled, lastSeen }
-            children: {},         // childId -> { steamId, displayName }
+            children: {},         // childId -> { steamId, steamId3, accountName, displayName }
             policies: {},         // agentId -> { processName, allowed, checkInterval }
-            violations: [],       // Recent violations
+            appPolicies: {},      // agentId -> { appId -> { processName, verdict, allowed } }
+            gameVerdicts: {},     // appId -> 'allow' | 'block' | 'quota'
+            openSessions: {},     // agentId:appId -> in-progress session
+            sessions: [],         // Completed sessions, most recent first
+            usage: {},            // childId -> { YYYY-MM-DD -> { total, apps: { appId -> ms } } }
+            reportedUsage: {},    // childId -> [[startedAt, endedAt]] Steam time already counted across devices
+            syncQueue: {},        // agentId -> { desired: { processName -> update }, status, attempts, ... }
+            schedules: {},        // childId -> { timezone, windows: [{ type, days, start, end }] }
+            familyView: {},       // steamId64 (agentId:steamId64 on agents) -> { enabled, fingerprint, restrictions,
+                                  //   history, changedAt } Family View versions seen
+            customProcesses: [],  // Process catalog entries added by the parent
+            overrides: {},        // { requests: [...] newest first, active: { childId -> { requestId, minutes, until } } }
+            ratingRules: {},      // childId -> { system, maxRating, blockedDescriptors, unrated }
+            contentRatings: {},   // appId -> { ratings: { system -> { rating, age, descriptors } }, descriptors }
+            gameGroups: {},       // groupId -> { id, name, appIds, verdict, dailyMinutes, collection }
             settings: {
                 checkInterval: 30000,    // 30 seconds
                 killOnViolation: true,
-                notifyParent: true
+                notifyParent: true,
+                warningMinutes: 5,       // First warning before quota runs out (0 = off)
+                finalWarningMinutes: 1,  // Last warning before quota runs out (0 = off)
+                gracePeriodSeconds: 60,  // Time to save after quota runs out, before the kill
+                violationRetentionDays: 90  // Days of violation history kept on disk
             },
             lastSync: null
         };
+        state.appPolicies = state.appPolicies || {};
+        state.gameVerdicts = state.gameVerdicts || {};
+        state.openSessions = state.openSessions || {};
+        state.sessions = state.sessions || [];
+        state.usage = state.usage || {};
+        state.reportedUsage = state.reportedUsage || {};
+        state.syncQueue = state.syncQueue || {};
+        state.schedules = state.schedules || {};
+        state.familyView = state.familyView || {};
+        state.customProcesses = state.customProcesses || [];
+        state.overrides = state.overrides || {};
+        state.ratingRules = state.ratingRules || {};
+        state.contentRatings = state.contentRatings || {};
+        state.gameGroups = state.gameGroups || {};
+        state.settings = { warningMinutes: 5, finalWarningMinutes: 1, gracePeriodSeconds: 60, violationRetentionDays: 90, ...state.settings };
+
+        // Violation history lives on disk; earlier versions kept the last 100 in state
+        violationStore = new ViolationStore({
+            directory: path.join(getDataDir(), 'violations'),
+            retentionDays: state.settings.violationRetentionDays
+        });
+        if (state.violations) {
+            try {
+                const imported = violationStore.import(state.violations);
+                console.log(`[Steam Plugin] Moved ${imported} violations to ${violationStore.directory}`);
+                delete state.violations;
+                context.configurationUpdate(state);
+            } catch (error) {
+                console.error('[Steam Plugin] Error moving violations to the violation store:', error);
+            }
+        }
 
         // Get agent service from context
         agentService = context.services?.agent;
@@ -70,6 +226,129 @@ function plugin(context) {
 
         // Initialize Steam monitor
         steamMonitor = new SteamMonitor(context, agentService);
+        steamMonitor.setCustomProcesses(state.customProcesses);
+        policyProvisioner = new PolicyProvisioner(agentService);
+        steamMonitor.refreshInstalledGames();
+        steamMonitor.refreshShortcuts();
+
+        // Age ratings and content descriptors block games per child; ratings are re-read in case they changed
+        contentRatings = new ContentRatings({ rules: state.ratingRules, ratings: state.contentRatings });
+        state.ratingRules = contentRatings.rules;
+        state.contentRatings = contentRatings.ratings;
+        updateContentRatings(getRatedAppIds(), { refresh: true });
+
+        // Groups of games with their own verdict and daily minutes; some follow a Steam collection
+        gameGroups = new GameGroups({ groups: state.gameGroups });
+        state.gameGroups = gameGroups.groups;
+        syncCollections(steamMonitor.getCollections());
+
+        // Steam renamed or run from a copy, agents going quiet and Family View turned off or rolled back
+        tamperDetector = new TamperDetector({
+            catalog: steamMonitor.processCatalog,
+            parental: state.familyView,
+            heartbeatTimeout: state.settings.checkInterval * HEARTBEAT_TIMEOUT_INTERVALS,
+            checkInterval: state.settings.checkInterval
+        });
+        tamperDetector.on('tamper', handleTamper);
+        tamperDetector.start();
+
+        // A child's devices share one quota and receive policy updates together
+        childAggregator = new ChildAggregator({ claimed: state.reportedUsage });
+        state.reportedUsage = childAggregator.claimed;
+
+        // Policy updates agents did not receive are retried until they converge
+        reconciler = new PolicyReconciler({
+            queue: state.syncQueue,
+            apply: convergeAgent,
+            isOnline: async (agentId) => {
+                const agent = await agentService.getAgent(agentId);
+                return !!agent && agent.online !== false;
+            },
+            getPolicies: agentId => policyProvisioner.listOwn(agentId)
+        });
+        state.syncQueue = reconciler.queue;
+        reconciler.on('change', (agentId) => {
+            context.configurationUpdate(state);
+            notifyRenderer('steamSyncChanged', { agentId });
+        });
+        reconciler.start();
+
+        // Resume usage tracking; sessions left open by a restart are closed at their last observation
+        sessionTracker = new SessionTracker({
+            staleAfter: state.settings.checkInterval * 3,
+            openSessions: state.openSessions
+        });
+        sessionTracker.on('sessionClosed', recordSession);
+        sessionTracker.on('sessionClosed', (session) => {
+            if (session.appId !== ANY_APP && session.appId !== STEAM_CLIENT_APP) {
+                notifyRenderer('steamGameStopped', { agentId: session.agentId, childId: session.childId, appId: session.appId });
+            }
+        });
+        sessionTracker.expireStale();
+
+        // Close stale sessions, charge the time of running ones and block groups whose minutes ran out
+        staleSessionInterval = setInterval(() => {
+            sessionTracker.expireStale();
+            recordRunningSessions();
+            checkGroupQuotas().catch(error => console.error('[Steam Plugin] Error checking game group minutes:', error));
+        }, state.settings.checkInterval);
+
+        // Schedules are layered on top of Allow2 quota and applied as their windows open and close
+        scheduler = new Scheduler({ schedules: state.schedules });
+        state.schedules = scheduler.schedules;
+        scheduler.on('change', (childId, allowed) => {
+            console.log(`[Steam Plugin] Schedule for child ${childId} now ${allowed ? 'allows' : 'blocks'} Steam`);
+            applyChildState(childId).catch(error => {
+                console.error(`[Steam Plugin] Error applying schedule for child ${childId}:`, error);
+            });
+        });
+        scheduler.start();
+
+        // Extra time the parent grants on request allows Steam whatever quota and schedule say, until it runs out
+        overrideManager = new OverrideManager({ overrides: state.overrides });
+        state.overrides = overrideManager.overrides;
+        overrideManager.on('requested', handleOverrideRequested);
+        overrideManager.on('approved', request => recordOverride(request, 'override-approved',
+            `Granted ${request.grantedMinutes} more minutes, until ${new Date(request.until).toLocaleTimeString()}`));
+        overrideManager.on('denied', request => {
+            recordOverride(request, 'override-denied', `Turned down ${request.minutes} more minutes`);
+            context.configurationUpdate(state);
+            notifyRenderer('steamOverridesChanged', { childId: request.childId });
+        });
+        overrideManager.on('ended', (childId, override, reason) => {
+            console.log(`[Steam Plugin] Extra time for child ${childId} ${reason}`);
+            if (reason === 'revoked') {
+                recordOverride({ ...override, id: override.requestId }, 'override-revoked', 'Ended extra time early');
+            }
+        });
+        overrideManager.on('change', (childId) => {
+            context.configurationUpdate(state);
+            notifyRenderer('steamOverridesChanged', { childId });
+            applyChildState(childId).catch(error => {
+                console.error(`[Steam Plugin] Error applying extra time for child ${childId}:`, error);
+            });
+        });
+        overrideManager.start();
+
+        // React to Steam's files changing: installs, accounts and Family View
+        steamMonitor.on('gameInstalled', addGamePolicy);
+        steamMonitor.on('gameUninstalled', game => removeGamePolicy(game.appId));
+        steamMonitor.on('librariesChanged', () => notifyRenderer('steamLibraryChanged'));
+        steamMonitor.on('policyConflict', conflict => notifyRenderer('steamPolicyConflict', conflict));
+        steamMonitor.on('parentalChanged', () => {
+            checkFamilyView();
+            notifyRenderer('steamAccountsChanged');
+        });
+        for (const event of ['accountAdded', 'accountRemoved', 'activeAccountChanged']) {
+            steamMonitor.on(event, account => {
+                console.log(`[Steam Plugin] Steam ${event}: ${account.accountName || account.steamId64}`);
+                notifyRenderer('steamAccountsChanged');
+            });
+        }
+
+        // Family View lives in each account's localconfig.vdf; record its versions to spot it being turned off or rolled back
+        checkFamilyView();
+        steamMonitor.startWatching();
 
         // Get all registered agents
         try {
@@ -84,6 +363,9 @@ function plugin(context) {
             console.error('[Steam Plugin] Error listing agents:', error);
         }
 
+        // Policies kept their allowed state across the restart; now apply each child's current state
+        await refreshChildStates();
+
         // Setup event listeners
         setupEventListeners();
 
@@ -100,247 +382,2017 @@ function plugin(context) {
 
     /**
      * Configure Steam monitoring policy on an agent
+     * Provisions the Steam client policy plus one policy per game installed on
+     * the agent's device, from its inventory (this machine's games if the
+     * agent cannot report one).
+     * Idempotent: existing policies are kept as they are (including whether
+     * they are allowed) and only updated when their definition changed.
+     * @param {Object} agent - Agent from agentService
+     * @param {Object} options - { refreshInventory } to ask the agent for its inventory again
      */
-    async function configureSteamPolicy(agent) {
-        // Platform-specific process names
-        const processNames = {
-            win32: ['Steam.exe', 'steamwebhelper.exe', 'gameoverlayui.exe'],
-            darwin: ['steam_osx', 'Steam.app', 'steamwebhelper'],
-            linux: ['steam', 'steamwebhelper', 'reaper']
-        };
+    async function configureSteamPolicy(agent, options = {}) {
+        let inventory = null;
+        try {
+            inventory = await steamMonitor.getAgentInventory(agent.id, { refresh: options.refreshInventory });
+        } catch (error) {
+            console.warn(`[Steam Plugin] No Steam inventory from ${agent.hostname}, using this machine's games:`, error.message);
+        }
+        if (inventory) {
+            checkFamilyView(inventory.accounts, agent.id);
+        }
 
-        const platform = agent.platform || 'win32';
-        const mainProcess = processNames[platform][0];
-        const alternativeProcesses = processNames[platform];
+        // Groups that follow a collection on this device take in its changes everywhere
+        if (syncCollections(inventory ? inventory.collections : steamMonitor.getCollections())) {
+            await applyGameRules();
+        }
+
+        // Groups and rating rules are compiled into each game's verdict for the agent's child
+        const platform = inventory?.platform || agent.platform || 'win32';
+        const games = inventory ? inventory.games : steamMonitor.installedGames;
+        const shortcuts = inventory ? inventory.shortcuts : steamMonitor.shortcuts;
+        updateContentRatings(games.map(game => game.appId));
+        const policies = steamMonitor.generatePolicies(platform, getGameVerdicts(agent.id, games, shortcuts), state.settings, inventory);
+        const [clientPolicy, ...gamePolicies] = policies;
 
         try {
-            await agentService.createPolicy(agent.id, {
-                processName: mainProcess,
-                processAlternatives: alternativeProcesses,
-                allowed: false,  // Default block, updated by quota check
+            const { policies: provisioned, removed } = await policyProvisioner.provision(agent.id, policies);
+            const previous = state.policies[agent.id] || {};
+            const previousAppPolicies = state.appPolicies[agent.id] || {};
+
+            // Record what the agent has; allowed is set once the child's Allow2 state is known
+            state.policies[agent.id] = {
+                processName: clientPolicy.processName,
+                alternativeProcesses: clientPolicy.processAlternatives,
+                allowed: provisioned[clientPolicy.processName].allowed,
+                allowedUntil: previous.allowedUntil ?? null,
+                version: provisioned[clientPolicy.processName].version,
                 checkInterval: state.settings.checkInterval,
-                actions: {
-                    onDetected: 'check-quota',
-                    onViolation: state.settings.killOnViolation ? 'kill-process' : 'notify-only'
-                },
-                metadata: {
-                    plugin: '@allow2/allow2automate-steam',
-                    category: 'gaming',
-                    platform: platform
+                createdAt: previous.createdAt || Date.now()
+            };
+
+            state.appPolicies[agent.id] = {};
+            for (const policy of gamePolicies) {
+                const appId = policy.metadata.appId;
+                state.appPolicies[agent.id][appId] = {
+                    processName: policy.processName,
+                    gameName: policy.metadata.gameName,
+                    verdict: policy.metadata.verdict,
+                    nonSteam: !!policy.metadata.nonSteam,
+                    allowed: provisioned[policy.processName].allowed,
+                    version: provisioned[policy.processName].version,
+                    createdAt: previousAppPolicies[appId]?.createdAt || Date.now()
+                };
+            }
+
+            const counts = {};
+            for (const { action } of Object.values(provisioned)) {
+                counts[action] = (counts[action] || 0) + 1;
+            }
+            const summary = Object.entries(counts).map(([action, count]) => `${count} ${action}`).join(', ');
+            console.log(`[Steam Plugin] Policies provisioned for agent ${agent.hostname}: ${summary}${removed.length ? `, ${removed.length} removed` : ''}`);
+        } catch (error) {
+            console.error(`[Steam Plugin] Error configuring policy for ${agent.hostname}:`, error);
+        }
+    }
+
+    /**
+     * Use the parent's process entries and update the Steam client policy on every agent
+     */
+    async function updateProcessCatalog() {
+        steamMonitor.setCustomProcesses(state.customProcesses);
+        context.configurationUpdate(state);
+
+        for (const agent of await agentService.listAgents()) {
+            if (state.policies[agent.id]) {
+                await configureSteamPolicy(agent);
+            }
+        }
+    }
+
+    /**
+     * Create the policy for a newly installed game on every configured agent
+     */
+    async function addGamePolicy(game) {
+        console.log(`[Steam Plugin] Game installed: ${game.name} (${game.appId})`);
+
+        for (const agentId of Object.keys(state.policies)) {
+            // Agents that report an inventory get their games from it, not from this machine
+            if (steamMonitor.inventory.peek(agentId)) {
+                continue;
+            }
+
+            const agentData = state.agents[agentId] || {};
+            updateContentRatings([game.appId]);
+            const policy = steamMonitor.generateGamePolicy(game, agentData.platform || 'win32',
+                getGameVerdicts(agentId, [game]), state.settings);
+            if (!policy) {
+                continue;
+            }
+
+            const other = Object.entries(state.appPolicies[agentId] || {}).find(([appId, appPolicy]) =>
+                appId !== game.appId && appPolicy.processName.toLowerCase() === policy.processName.toLowerCase());
+            if (other) {
+                steamMonitor.reportPolicyConflict(policy, { appId: other[0], gameName: other[1].gameName });
+                continue;
+            }
+
+            // Quota games follow the agent's current quota state
+            policy.allowed = isGameAllowed(policy.metadata.verdict, agentData.allowed === true);
+
+            try {
+                // A reinstalled game can still have its policy on the agent
+                const result = await policyProvisioner.provisionPolicy(agentId, policy);
+                if (result.allowed !== policy.allowed) {
+                    await agentService.updatePolicy(agentId, { processName: policy.processName, allowed: policy.allowed });
                 }
-            });
 
-            // Update state
-            state.policies[agent.id] = {
-                processName: mainProcess,
-                alternativeProcesses,
-                allowed: false,
-                checkInterval: state.settings.checkInterval,
-                createdAt: Date.now()
-            };
+                state.appPolicies[agentId] = state.appPolicies[agentId] || {};
+                state.appPolicies[agentId][game.appId] = {
+                    processName: policy.processName,
+                    gameName: policy.metadata.gameName,
+                    verdict: policy.metadata.verdict,
+                    allowed: policy.allowed,
+                    version: result.version,
+                    createdAt: Date.now()
+                };
+            } catch (error) {
+                console.error(`[Steam Plugin] Error creating policy for ${game.name} on ${agentId}:`, error);
+            }
+        }
+
+        context.configurationUpdate(state);
+        notifyRenderer('steamLibraryChanged');
+    }
+
+    /**
+     * Remove the policy for an uninstalled game from every agent
+     */
+    async function removeGamePolicy(appId) {
+        console.log(`[Steam Plugin] Game uninstalled: ${appId}`);
+
+        for (const [agentId, appPolicies] of Object.entries(state.appPolicies)) {
+            const appPolicy = appPolicies[appId];
+
+            // Agents that report an inventory keep the games installed on their own device
+            if (!appPolicy || steamMonitor.inventory.peek(agentId)) {
+                continue;
+            }
+
+            try {
+                await agentService.deletePolicy(agentId, appPolicy.processName);
+                delete appPolicies[appId];
+            } catch (error) {
+                console.error(`[Steam Plugin] Error removing policy for app ${appId} on ${agentId}:`, error);
+            }
+        }
+
+        context.configurationUpdate(state);
+        notifyRenderer('steamLibraryChanged');
+    }
+
+    /**
+     * Tell the UI that data it shows has changed
+     */
+    function notifyRenderer(channel, data = {}) {
+        if (context.sendToRenderer) {
+            context.sendToRenderer(channel, { ...data, timestamp: Date.now() });
+        }
+    }
+
+    /**
+     * Whether a game is allowed given its verdict and the child's quota state
+     */
+    function isGameAllowed(verdict, steamAllowed) {
+        if (verdict === GAME_VERDICTS.ALLOW) return true;
+        if (verdict === GAME_VERDICTS.BLOCK) return false;
+        return steamAllowed;
+    }
+
+    /**
+     * A game's verdict on an agent, and why if a group or rating rule blocks it
+     * The parent's verdict for the game wins; otherwise its groups' verdicts
+     * and daily minutes, then the child's content rating rule (Steam games
+     * only, as non-Steam shortcuts have no ratings), then quota.
+     * @param {Object} appPolicy - The game's policy record, or { nonSteam } for a shortcut
+     * @returns {Object} { verdict, reasons }
+     */
+    function getGameRule(agentId, appId, appPolicy = null) {
+        const gameVerdict = state.gameVerdicts[appId] || GAME_VERDICTS.QUOTA;
+        if (gameVerdict !== GAME_VERDICTS.QUOTA) {
+            return { verdict: gameVerdict, reasons: [] };
+        }
+
+        const childId = state.agents[agentId] ? getEffectiveChildId(state.agents[agentId]) : null;
+        const group = gameGroups.evaluate(appId, childId ? getTodayUsage(childId) : {});
+        if (group.verdict === GAME_VERDICTS.BLOCK) {
+            return group;
+        }
+
+        const rating = appPolicy?.nonSteam ? null : contentRatings.evaluate(childId, appId);
+        if (rating?.blocked) {
+            return { verdict: GAME_VERDICTS.BLOCK, reasons: rating.reasons };
+        }
+
+        return { verdict: group.verdict || GAME_VERDICTS.QUOTA, reasons: [] };
+    }
+
+    /**
+     * Children whose rating rule blocks a game while it counts against quota
+     * @returns {Array} [{ childId, reasons }]
+     */
+    function getRatingBlocks(appId) {
+        return Object.keys(contentRatings.rules)
+            .map(childId => ({ childId, ...contentRatings.evaluate(childId, appId) }))
+            .filter(result => result.blocked)
+            .map(({ childId, reasons }) => ({ childId, reasons }));
+    }
+
+    function getGameVerdict(agentId, appId, appPolicy = null) {
+        return getGameRule(agentId, appId, appPolicy).verdict;
+    }
+
+    /**
+     * Verdicts to generate an agent's policies with
+     * @param {Array} games - Steam games on the agent's device
+     * @param {Array} shortcuts - Non-Steam shortcuts on the agent's device
+     * @returns {Object} appId -> verdict
+     */
+    function getGameVerdicts(agentId, games, shortcuts = []) {
+        const verdicts = { ...state.gameVerdicts };
+        for (const game of games) {
+            verdicts[game.appId] = getGameVerdict(agentId, game.appId);
+        }
+        for (const shortcut of shortcuts) {
+            verdicts[shortcut.appId] = getGameVerdict(agentId, shortcut.appId, { nonSteam: true });
+        }
+        return verdicts;
+    }
+
+    /**
+     * A child's time per game today, including sessions still running
+     * @returns {Object} appId -> ms
+     */
+    function getTodayUsage(childId, now = Date.now()) {
+        const usage = { ...state.usage[childId]?.[getDayKey(now)]?.apps };
+        const midnight = new Date(now).setHours(0, 0, 0, 0);
+
+        for (const session of Object.values(sessionTracker.openSessions)) {
+            if (session.childId === childId && session.appId !== ANY_APP) {
+                // Time up to reportedUntil is in the usage totals already
+                const running = Math.max(0, session.lastSeenAt - Math.max(session.reportedUntil ?? session.startedAt, midnight));
+                usage[session.appId] = (usage[session.appId] || 0) + running;
+            }
+        }
+        return usage;
+    }
+
+    /**
+     * Block a group's games for a child once its daily minutes are used up, and allow them again the next day
+     */
+    async function checkGroupQuotas() {
+        const exhausted = [];
+        for (const childId of new Set(Object.values(state.agents).map(getEffectiveChildId).filter(Boolean))) {
+            for (const group of gameGroups.getExhausted(getTodayUsage(childId))) {
+                exhausted.push(`${childId}:${group.id}`);
+            }
+        }
+
+        const key = exhausted.sort().join(',');
+        if (key !== exhaustedGroups) {
+            exhaustedGroups = key;
+            await applyGameRules();
+        }
+    }
+
+    /**
+     * Keep groups that follow a Steam collection in line with it
+     * @returns {boolean} Whether any group's games changed
+     */
+    function syncCollections(collections) {
+        const changed = gameGroups.syncCollections(collections);
+        if (changed.length > 0) {
+            console.log(`[Steam Plugin] ${changed.length} game groups updated from their Steam collections`);
+            context.configurationUpdate(state);
+        }
+        return changed.length > 0;
+    }
+
+    /**
+     * Library collections of this machine's and the agents' Steam users, once per user and collection
+     * @returns {Array} [{ steamId3, id, name, appIds }]
+     */
+    function getCollections() {
+        const collections = new Map();
+        const inventories = Object.keys(state.agents).map(agentId => steamMonitor.inventory.peek(agentId)).filter(Boolean);
+
+        for (const collection of [steamMonitor.getCollections(), ...inventories.map(inventory => inventory.collections || [])].flat()) {
+            const key = `${collection.steamId3}:${collection.id}`;
+            if (!collections.has(key)) {
+                collections.set(key, collection);
+            }
+        }
+        return [...collections.values()];
+    }
+
+    /**
+     * App IDs of every Steam game the plugin knows of
+     */
+    function getRatedAppIds() {
+        const appIds = new Set([
+            ...steamMonitor.installedGames.map(game => game.appId),
+            ...Object.keys(contentRatings.ratings)
+        ]);
+        for (const appPolicies of Object.values(state.appPolicies)) {
+            for (const [appId, appPolicy] of Object.entries(appPolicies)) {
+                if (!appPolicy.nonSteam) {
+                    appIds.add(appId);
+                }
+            }
+        }
+        return [...appIds];
+    }
+
+    /**
+     * Read games' ratings from Steam's appinfo.vdf cache
+     * @param {Array} appIds - Games to read; only those without a rating yet unless refresh
+     * @param {Object} options - { refresh }
+     * @returns {Array} App IDs whose rating changed
+     */
+    function updateContentRatings(appIds, options = {}) {
+        const wanted = options.refresh ? appIds : appIds.filter(appId => !contentRatings.ratings[appId]);
+        if (wanted.length === 0) {
+            return [];
+        }
+
+        try {
+            const changed = contentRatings.setRatings(steamMonitor.getContentRatings(wanted));
+            if (changed.length > 0) {
+                console.log(`[Steam Plugin] Content ratings read for ${changed.length} games`);
+                context.configurationUpdate(state);
+            }
+            return changed;
+        } catch (error) {
+            console.error('[Steam Plugin] Error reading content ratings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Fetch each child's current Allow2 state and apply it to their devices
+     */
+    async function refreshChildStates() {
+        const childIds = new Set(Object.values(state.agents).map(getEffectiveChildId).filter(Boolean));
+
+        for (const childId of childIds) {
+            await refreshChildState(childId);
+        }
+    }
+
+    /**
+     * Fetch a child's current Allow2 state and apply it to their devices
+     */
+    async function refreshChildState(childId) {
+        if (context.allow2?.getState) {
+            try {
+                const allow2State = await context.allow2.getState(childId);
+                if (allow2State) {
+                    allow2States[childId] = allow2State;
+                }
+            } catch (error) {
+                console.error(`[Steam Plugin] Error fetching Allow2 state for child ${childId}:`, error);
+            }
+        }
+
+        await applyChildState(childId);
+    }
+
+    /**
+     * Plan the policy updates that bring an agent in line with the child's state
+     * @param {string} agentId - Agent ID
+     * @param {boolean} steamAllowed - Whether quota and schedule allow Steam
+     * @param {number|null} allowedUntil - When the schedule next changes
+     * @returns {Array} Operations of { agentId, update, previous, commit }
+     */
+    function planPolicyUpdates(agentId, steamAllowed, allowedUntil) {
+        const policy = state.policies[agentId];
+        const appPolicies = state.appPolicies[agentId] || {};
+
+        // Always-allowed games need the Steam client running; the per-game
+        // policies then enforce the quota for everything else
+        const hasAllowedGames = Object.values(appPolicies).some(p => p.verdict === GAME_VERDICTS.ALLOW);
+        const clientAllowed = steamAllowed || hasAllowedGames;
+
+        const operations = [{
+            agentId,
+            // allowedUntil lets the agent warn before a schedule window closes
+            update: { processName: policy.processName, allowed: clientAllowed, allowedUntil },
+            previous: { processName: policy.processName, allowed: policy.allowed, allowedUntil: policy.allowedUntil ?? null },
+            commit: () => {
+                policy.allowed = clientAllowed;
+                policy.allowedUntil = allowedUntil;
+            }
+        }];
+
+        for (const [appId, appPolicy] of Object.entries(appPolicies)) {
+            // The child the agent enforces for can differ, and so can their rating rule
+            const verdict = getGameVerdict(agentId, appId, appPolicy);
+            const allowed = isGameAllowed(verdict, steamAllowed);
+            if (verdict !== appPolicy.verdict) {
+                operations.push({
+                    agentId,
+                    update: getVerdictUpdate(appPolicy, verdict, allowed),
+                    previous: getVerdictUpdate(appPolicy, appPolicy.verdict, appPolicy.allowed),
+                    commit: () => {
+                        appPolicy.verdict = verdict;
+                        appPolicy.allowed = allowed;
+                    }
+                });
+            } else if (allowed !== appPolicy.allowed) {
+                operations.push({
+                    agentId,
+                    update: { processName: appPolicy.processName, allowed },
+                    previous: { processName: appPolicy.processName, allowed: appPolicy.allowed },
+                    commit: () => {
+                        appPolicy.allowed = allowed;
+                    }
+                });
+            }
+        }
+
+        return operations;
+    }
+
+    /**
+     * Apply the child's latest Allow2 state, schedule and extra time to all of their online agents
+     * Updates for a child run one at a time and reach every device or none of them.
+     * Offline agents, and all of them if the update is rolled back, are queued
+     * for the reconciler to converge.
+     */
+    function applyChildState(childId) {
+        return childAggregator.run(childId, async () => {
+            const allow2State = allow2States[childId] || null;
+            const override = overrideManager.getActive(childId);
+
+            // Until Allow2 reports the child's quota, schedules can only block
+            if (!allow2State && scheduler.isAllowed(childId) && !override) {
+                return;
+            }
+
+            const quotaAllowed = !!allow2State && !allow2State.paused && allow2State.quota > 0;
+            const scheduledAllowed = quotaAllowed && scheduler.isAllowed(childId);
+            const scheduledUntil = scheduledAllowed ? scheduler.nextChange(childId) : null;
+
+            // Extra time allows Steam until it runs out, unless quota and schedule allow it for longer
+            const steamAllowed = scheduledAllowed || !!override;
+            const allowedUntil = override && !(scheduledAllowed && (scheduledUntil === null || scheduledUntil > override.until))
+                ? override.until
+                : scheduledUntil;
+
+            const agents = [];
+            for (const agentData of getAgentsForChild(childId)) {
+                if (!state.policies[agentData.id]) {
+                    continue;
+                }
+
+                let agent = null;
+                try {
+                    agent = await agentService.getAgent(agentData.id);
+                } catch (error) {
+                    console.error('[Steam Plugin] Error getting agent:', error);
+                }
+
+                if (agent && agent.online !== false) {
+                    agents.push(agent);
+                } else {
+                    const updates = planPolicyUpdates(agentData.id, steamAllowed, allowedUntil).map(op => op.update);
+                    reconciler.setDesired(agentData.id, updates, 'Agent offline');
+                }
+            }
+
+            const operations = agents.flatMap(agent => planPolicyUpdates(agent.id, steamAllowed, allowedUntil));
+
+            try {
+                await ChildAggregator.fanOut(
+                    operations,
+                    operation => agentService.updatePolicy(operation.agentId, operation.update),
+                    operation => agentService.updatePolicy(operation.agentId, operation.previous)
+                );
+            } catch (error) {
+                const failedAgentId = error.operation && error.operation.agentId;
+                console.error(`[Steam Plugin] Policy update for child ${childId} failed on ${failedAgentId}, rolled back:`, error);
+                if (error.revertErrors && error.revertErrors.length > 0) {
+                    console.error(`[Steam Plugin] ${error.revertErrors.length} policies for child ${childId} could not be rolled back`);
+                }
+
+                childSyncErrors[childId] = { agentId: failedAgentId || null, message: error.message, timestamp: Date.now() };
+                for (const agent of agents) {
+                    const updates = operations.filter(op => op.agentId === agent.id).map(op => op.update);
+                    reconciler.setDesired(agent.id, updates, error.message);
+                }
+                notifyRenderer('steamChildrenChanged', { childId });
+                return;
+            }
+
+            // Every device has the update: record it
+            for (const operation of operations) {
+                operation.commit();
+            }
+            for (const agent of agents) {
+                state.agents[agent.id].allowed = steamAllowed;
+                state.agents[agent.id].lastUpdate = Date.now();
+                reconciler.resolve(agent.id, operations.filter(op => op.agentId === agent.id).map(op => op.update.processName));
+            }
+            delete childSyncErrors[childId];
+
+            console.log(`[Steam Plugin] Updated ${agents.length} devices of child ${childId}: allowed=${steamAllowed}`);
+            context.configurationUpdate(state);
+            notifyRenderer('steamChildrenChanged', { childId });
+        });
+    }
+
+    /**
+     * Find the policy recorded for an agent by process name
+     * @returns {Object|null} Entry of state.policies or state.appPolicies
+     */
+    function getPolicyRecord(agentId, processName) {
+        if (state.policies[agentId]?.processName === processName) {
+            return state.policies[agentId];
+        }
+        return Object.values(state.appPolicies[agentId] || {}).find(p => p.processName === processName) || null;
+    }
+
+    /**
+     * Whether a recorded policy already matches a desired update
+     */
+    function isPolicyInSync(record, update) {
+        if ('allowed' in update && record.allowed !== update.allowed) {
+            return false;
+        }
+        if ('allowedUntil' in update && (record.allowedUntil ?? null) !== update.allowedUntil) {
+            return false;
+        }
+        if (update.metadata?.verdict && record.verdict !== update.metadata.verdict) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Bring an agent's policies in line with its desired state (used by the reconciler)
+     * Only policies that differ from what the agent holds are sent; policies deleted
+     * on the agent are provisioned again first. Agents that cannot list their policies
+     * are compared with what they were last confirmed to have.
+     * @param {Map} policies - processName -> policy the agent holds, if it can list them
+     * @throws {Error} If the agent rejects an update; the rest is retried later
+     */
+    async function convergeAgent(agentId, desired, policies = null) {
+        try {
+            const missing = policies
+                ? Object.keys(desired).filter(processName => getPolicyRecord(agentId, processName) && !policies.has(processName))
+                : [];
+            if (missing.length > 0) {
+                console.log(`[Steam Plugin] Agent ${agentId} lost its policies for ${missing.join(', ')}, provisioning them again`);
+                const agent = await agentService.getAgent(agentId);
+                if (agent) {
+                    await configureSteamPolicy(agent);
+                }
+            }
+
+            for (const update of Object.values(desired)) {
+                const record = getPolicyRecord(agentId, update.processName);
+
+                // Policies removed since (e.g. an uninstalled game) have nothing to converge
+                if (!record) {
+                    continue;
+                }
+
+                const applied = policies
+                    ? PolicyReconciler.isApplied(policies.get(update.processName), update)
+                    : isPolicyInSync(record, update);
+                if (!applied) {
+                    await agentService.updatePolicy(agentId, update);
+                }
+
+                if ('allowed' in update) {
+                    record.allowed = update.allowed;
+                }
+                if ('allowedUntil' in update) {
+                    record.allowedUntil = update.allowedUntil;
+                }
+                if (update.metadata?.verdict) {
+                    record.verdict = update.metadata.verdict;
+                }
+            }
+
+            console.log(`[Steam Plugin] Agent ${agentId} policies in sync`);
+        } finally {
+            context.configurationUpdate(state);
+        }
+    }
+
+    /**
+     * Apply a game's verdict to every agent that has a policy for it
+     * Each agent gets the verdict for its child, so a rating rule can block a quota game on some devices only.
+     * @param {string} appId - App ID
+     * @param {Object} options - { changedOnly } to leave agents whose policy already has the verdict
+     */
+    async function applyGameVerdict(appId, options = {}) {
+        for (const [agentId, appPolicies] of Object.entries(state.appPolicies)) {
+            const appPolicy = appPolicies[appId];
+            if (!appPolicy) {
+                continue;
+            }
+
+            const verdict = getGameVerdict(agentId, appId, appPolicy);
+            if (options.changedOnly && verdict === appPolicy.verdict) {
+                continue;
+            }
+
+            // Quota games start blocked until the next Allow2 state change
+            const allowed = isGameAllowed(verdict, state.agents[agentId]?.allowed === true);
+            const update = getVerdictUpdate(appPolicy, verdict, allowed);
+
+            try {
+                await agentService.updatePolicy(agentId, update);
+
+                appPolicy.verdict = verdict;
+                appPolicy.allowed = allowed;
+                reconciler.resolve(agentId, [appPolicy.processName]);
+            } catch (error) {
+                console.error(`[Steam Plugin] Error applying verdict for app ${appId} on ${agentId}:`, error);
+                reconciler.setDesired(agentId, [update], error.message);
+            }
+        }
+    }
+
+    /**
+     * Policy update that gives a game a verdict
+     */
+    function getVerdictUpdate(appPolicy, verdict, allowed) {
+        return {
+            processName: appPolicy.processName,
+            allowed,
+            // Agents replace actions as a whole, so the warning and kill stages go along
+            actions: {
+                onDetected: verdict === GAME_VERDICTS.QUOTA ? 'check-quota' : 'enforce',
+                ...steamMonitor.getViolationActions(appPolicy.gameName, state.settings)
+            },
+            metadata: { verdict }
+        };
+    }
+
+    /**
+     * Send a new verdict to every game policy whose group or rating rule outcome changed
+     */
+    async function applyGameRules() {
+        const appIds = new Set(Object.values(state.appPolicies).flatMap(appPolicies => Object.keys(appPolicies)));
+        for (const appId of appIds) {
+            await applyGameVerdict(appId, { changedOnly: true });
+        }
+        context.configurationUpdate(state);
+        notifyRenderer('steamLibraryChanged');
+    }
+
+    /**
+     * Push the current warning and kill stages to every policy on an agent
+     */
+    async function updateViolationActions(agentId) {
+        const policy = state.policies[agentId];
+        if (policy) {
+            await agentService.updatePolicy(agentId, {
+                processName: policy.processName,
+                actions: {
+                    onDetected: 'check-quota',
+                    ...steamMonitor.getViolationActions('Steam', state.settings)
+                }
+            });
+        }
+
+        // Agents replace actions as a whole, so each game keeps the detection action of its verdict
+        for (const appPolicy of Object.values(state.appPolicies[agentId] || {})) {
+            const verdict = appPolicy.verdict || GAME_VERDICTS.QUOTA;
+            await agentService.updatePolicy(agentId, {
+                processName: appPolicy.processName,
+                actions: {
+                    onDetected: verdict === GAME_VERDICTS.QUOTA ? 'check-quota' : 'enforce',
+                    ...steamMonitor.getViolationActions(appPolicy.gameName, state.settings)
+                }
+            });
+        }
+    }
+
+    /**
+     * Check warning, grace period and retention settings before applying them
+     * A first warning at or after the final warning is skipped when the stages are built.
+     * @throws {Error} If a threshold is invalid
+     */
+    function validateViolationSettings(settings) {
+        for (const key of ['warningMinutes', 'finalWarningMinutes', 'gracePeriodSeconds']) {
+            if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+                throw new Error(`${key} must be a whole number of 0 or more`);
+            }
+        }
+
+        if (!Number.isInteger(settings.violationRetentionDays) || settings.violationRetentionDays < 1) {
+            throw new Error('violationRetentionDays must be a whole number of 1 or more');
+        }
+    }
+
+    /**
+     * Handle violation events
+     * Agents report every stage (warnings, grace period, kill) as a violation;
+     * agents without stage support only report the violation itself.
+     */
+    function handleViolation(data, appId) {
+        const stage = data.stage ||
+            (state.settings.killOnViolation ? VIOLATION_STAGES.KILL : VIOLATION_STAGES.EXPIRED);
+        const appPolicy = appId === STEAM_CLIENT_APP ? null : state.appPolicies[data.agentId]?.[appId];
+        const gameName = appId === STEAM_CLIENT_APP ? 'Steam' : appPolicy?.gameName || data.processName;
+
+        // Games a group or rating rule blocks say why, for the violation log
+        const { reasons } = appPolicy ? getGameRule(data.agentId, appId, appPolicy) : { reasons: [] };
+
+        console.log(`[Steam Plugin] Violation (${stage}) on ${data.agentId}: ${data.processName}`);
+
+        const violation = recordViolation({
+            agentId: data.agentId,
+            childId: getEffectiveChildId(state.agents[data.agentId]),
+            processName: data.processName,
+            appId,
+            gameName,
+            stage,
+            ...(reasons.length > 0 && { reasons }),
+            timestamp: data.timestamp || Date.now(),
+            hostname: data.hostname
+        });
+
+        // Subscribers always hear of it; the parent sees it in the UI if notifyParent is on
+        api.raise('steamViolation', violation, { renderer: state.settings.notifyParent });
+
+        // Log to activity feed
+        if (context.logActivity) {
+            const isWarning = stage === VIOLATION_STAGES.WARNING || stage === VIOLATION_STAGES.FINAL_WARNING ||
+                stage === VIOLATION_STAGES.GRACE;
+            context.logActivity({
+                type: isWarning ? 'steam_warning' : 'steam_blocked',
+                message: isWarning
+                    ? `${gameName} was warned (${stage}) on ${data.hostname}`
+                    : `${gameName} was blocked on ${data.hostname}`,
+                timestamp: violation.timestamp,
+                severity: isWarning ? 'info' : 'warning'
+            });
+        }
+    }
+
+    /**
+     * Add a violation to the violation history
+     * @returns {Object} The stored violation (with id and action), or the violation itself if it could not be stored
+     */
+    function recordViolation(violation) {
+        try {
+            return violationStore.append(violation);
+        } catch (error) {
+            console.error('[Steam Plugin] Error recording violation:', error);
+            return violation;
+        }
+    }
+
+    /**
+     * Directory for the plugin's own files
+     * Hosts that give plugins a data directory pass it as context.dataDir.
+     */
+    function getDataDir() {
+        return context.dataDir || path.join(os.homedir(), '.allow2automate', 'allow2automate-steam');
+    }
+
+    /**
+     * Compare each account's Family View settings with the versions seen before;
+     * the tamper detector flags Family View being turned off or rolled back
+     * @param {Array} accounts - Steam accounts, read from disk if not given
+     * @param {string} agentId - Device the accounts are on, or null for this machine
+     * @returns {Array} The accounts
+     */
+    function checkFamilyView(accounts, agentId = null) {
+        try {
+            accounts = accounts || steamMonitor.getSteamAccounts();
+        } catch (error) {
+            console.error('[Steam Plugin] Error reading Family View settings:', error);
+            return [];
+        }
+
+        let changed = false;
+        for (const account of accounts) {
+            const key = TamperDetector.parentalKey(account.steamId64, agentId);
+            const previous = state.familyView[key];
+
+            tamperDetector.inspectParental(account, agentId);
+            changed = changed || state.familyView[key] !== previous;
+        }
+
+        if (changed) {
+            context.configurationUpdate(state);
+        }
+        return accounts;
+    }
+
+    /**
+     * Record a tamper finding and raise steamTamper
+     * Family View findings only count for accounts linked to a child.
+     */
+    function handleTamper(finding) {
+        const { type, detectedAt, ...details } = finding;
+        const agentData = finding.agentId ? state.agents[finding.agentId] : null;
+        const childId = finding.steamId64
+            ? getChildIdForSteamAccount(finding.steamId64)
+            : agentData ? getEffectiveChildId(agentData) : null;
+
+        if (finding.steamId64 && !childId) {
+            return;
+        }
+
+        console.log(`[Steam Plugin] Tampering (${finding.severity}): ${finding.message}`);
+
+        const violation = recordViolation({
+            ...details,
+            type: 'tamper',
+            stage: 'tamper',
+            tamperType: type,
+            childId,
+            appId: TAMPER_SUBJECTS[type] === 'Steam' ? STEAM_CLIENT_APP : null,
+            processName: finding.processName || (finding.steamId64 ? 'localconfig.vdf' : null),
+            gameName: TAMPER_SUBJECTS[type],
+            timestamp: detectedAt,
+            hostname: agentData?.hostname
+        });
+
+        api.raise('steamViolation', violation, { renderer: state.settings.notifyParent });
+        api.raise('steamTamper', violation);
+
+        if (context.logActivity) {
+            context.logActivity({
+                type: 'steam_tamper',
+                message: violation.message,
+                timestamp: violation.timestamp,
+                severity: TAMPER_ACTIVITY_SEVERITY[finding.severity]
+            });
+        }
+    }
+
+    /**
+     * Post a child's request for extra time for the parent to decide
+     * @param {Object} params - { childId, agentId, minutes, reason }
+     * @returns {Object} The request, or the child's request already waiting
+     * @throws {Error} If the child or minutes are invalid
+     */
+    function requestOverride({ childId, agentId = null, minutes, reason }) {
+        if (!overrideManager) {
+            throw new Error('Agent service not available');
+        }
+
+        return overrideManager.request({ childId, agentId, minutes, reason, source: OVERRIDE_SOURCES.PLUGIN });
+    }
+
+    /**
+     * Log a new request for extra time and tell the parent
+     */
+    function handleOverrideRequested(request) {
+        const childName = state.children[request.childId]?.displayName || request.childId;
+        console.log(`[Steam Plugin] ${childName} asked for ${request.minutes} more minutes (${request.source})`);
+
+        const violation = recordOverride(request, 'override-request',
+            `Asked for ${request.minutes} more minutes${request.reason ? `: ${request.reason}` : ''}`);
+
+        context.configurationUpdate(state);
+        notifyRenderer('steamOverrideRequested', { requestId: request.id, childId: request.childId, minutes: request.minutes });
+
+        if (context.logActivity) {
+            context.logActivity({
+                type: 'steam_override_request',
+                message: `${childName} asked for ${request.minutes} more minutes of Steam`,
+                timestamp: violation.timestamp,
+                severity: 'info'
+            });
+        }
+    }
+
+    /**
+     * Log an extra time request or decision in the violation history
+     * @param {Object} request - Override request (or override, for one ended early)
+     * @param {string} stage - override-request | override-approved | override-denied | override-revoked
+     * @param {string} message - What happened, for the log
+     */
+    function recordOverride(request, stage, message) {
+        const agentData = request.agentId ? state.agents[request.agentId] : null;
+
+        return recordViolation({
+            type: 'override',
+            stage,
+            requestId: request.id,
+            agentId: request.agentId || null,
+            childId: request.childId,
+            appId: STEAM_CLIENT_APP,
+            gameName: 'Steam',
+            minutes: request.grantedMinutes || request.minutes,
+            reason: request.reason || null,
+            note: request.note || null,
+            source: request.source,
+            message,
+            timestamp: stage === 'override-request' ? request.requestedAt : Date.now(),
+            hostname: agentData?.hostname
+        });
+    }
+
+    /**
+     * Work out which app a reported process belongs to
+     * @returns {string|null} appId, STEAM_CLIENT_APP for the client, or null if not Steam-related
+     */
+    function identifyApp(data) {
+        // Paths, reaper arguments and the environment identify games the policies do not list
+        const game = steamMonitor ? steamMonitor.identifyGame(data, data.agentId) : null;
+        if (game) {
+            return game.appId;
+        }
+
+        const processName = data.processName?.toLowerCase() || '';
+        const appPolicies = state.appPolicies[data.agentId] || {};
+
+        const match = Object.entries(appPolicies).find(([, policy]) => policy.processName.toLowerCase() === processName);
+        if (match) {
+            return match[0];
+        }
+
+        if (isSteamProcess(data)) {
+            return STEAM_CLIENT_APP;
+        }
+
+        // Steam under another name still counts as Steam
+        return tamperDetector?.recognise(data, getProcessContext(data.agentId)) ? STEAM_CLIENT_APP : null;
+    }
+
+    /**
+     * What the tamper detector needs to know about an agent's device
+     * @returns {Object} { platform, installRoots }
+     */
+    function getProcessContext(agentId) {
+        const inventory = steamMonitor.inventory.peek(agentId);
+        const installs = inventory?.installs || [];
+
+        return {
+            platform: inventory?.platform || state.agents[agentId]?.platform || 'win32',
+            installRoots: [...new Set(installs.flatMap(install => [install.root, install.realPath]).filter(Boolean))]
+        };
+    }
+
+    /**
+     * Whether a reported process is part of Steam itself, per the process catalog
+     * @returns {Object|null} The matching catalog entry
+     */
+    function isSteamProcess(data) {
+        if (!steamMonitor) {
+            return null;
+        }
+
+        return steamMonitor.matchSteamProcess(data, state.agents[data.agentId]?.platform || 'win32');
+    }
+
+    /**
+     * What the renderer shows about an agent's inventory
+     * @returns {Object|null} { installed, games, accounts, collectedAt }, or null if none collected yet
+     */
+    function summariseInventory(inventory) {
+        if (!inventory) {
+            return null;
+        }
+
+        return {
+            installed: inventory.installed,
+            games: inventory.games.length,
+            accounts: inventory.accounts.length,
+            collectedAt: inventory.collectedAt
+        };
+    }
+
+    /**
+     * Steam accounts of this machine and of the agents' devices, once per account
+     * @returns {Array} Accounts, each with agentIds: the agents whose device has it
+     */
+    function getSteamAccounts() {
+        const inventories = steamMonitor.inventory.peekAll();
+        return mergeByKey([
+            ...checkFamilyView().map(account => [account, null]),
+            ...inventories.flatMap(inventory => inventory.accounts.map(account => [account, inventory.agentId]))
+        ], account => account.steamId64);
+    }
+
+    /**
+     * Steam games installed on this machine and on the agents' devices, once per game
+     * @returns {Array} Games, each with agentIds: the agents whose device has it installed
+     */
+    function getInstalledGames() {
+        const inventories = steamMonitor.inventory.peekAll();
+        return mergeByKey([
+            ...steamMonitor.refreshInstalledGames().map(game => [game, null]),
+            ...inventories.flatMap(inventory => inventory.games.map(game => [game, inventory.agentId]))
+        ], game => game.appId);
+    }
+
+    /**
+     * Keep the first of each item, listing the agents it was found on
+     * @param {Array} entries - [item, agentId] pairs; agentId is null for this machine
+     * @returns {Array} Items with agentIds
+     */
+    function mergeByKey(entries, getKey) {
+        const merged = new Map();
+        for (const [item, agentId] of entries) {
+            const key = getKey(item);
+            if (!merged.has(key)) {
+                merged.set(key, { ...item, agentIds: [] });
+            }
+            if (agentId) {
+                merged.get(key).agentIds.push(agentId);
+            }
+        }
+        return [...merged.values()];
+    }
+
+    /**
+     * Get the display name of a game for notifications
+     */
+    function getGameName(agentId, appId) {
+        const policy = (state.appPolicies[agentId] || {})[appId];
+        if (policy && policy.gameName) {
+            return policy.gameName;
+        }
+
+        const game = steamMonitor.installedGames.find(g => g.appId === appId) ||
+            steamMonitor.shortcuts.find(s => s.appId === appId);
+        return game ? game.name || game.appName : `App ${appId}`;
+    }
+
+    /**
+     * Names of every game the plugin knows, for reports
+     * @returns {Object} appId -> name
+     */
+    function getGameNames() {
+        const names = {};
+        for (const game of steamMonitor.installedGames) {
+            names[game.appId] = game.name;
+        }
+        for (const shortcut of steamMonitor.shortcuts) {
+            names[shortcut.appId] = shortcut.appName;
+        }
+        for (const appPolicies of Object.values(state.appPolicies)) {
+            for (const [appId, policy] of Object.entries(appPolicies)) {
+                names[appId] = policy.gameName || names[appId];
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Tell the parent which game a child has started
+     */
+    function notifyGameStarted(data, appId, childId) {
+        const gameName = getGameName(data.agentId, appId);
+        const child = childId ? state.children[childId] : null;
+        const message = `${child?.displayName || 'Child'} is playing ${gameName}`;
+
+        console.log(`[Steam Plugin] ${message} on ${data.hostname}`);
+
+        if (context.sendToRenderer) {
+            context.sendToRenderer('steamGameStarted', {
+                agentId: data.agentId,
+                childId,
+                appId,
+                gameName,
+                processName: data.processName,
+                message,
+                timestamp: data.timestamp || Date.now()
+            });
+        }
+
+        if (context.logActivity) {
+            context.logActivity({
+                type: 'steam_game_started',
+                childId,
+                appId,
+                gameName,
+                message,
+                hostname: data.hostname,
+                timestamp: data.timestamp || Date.now()
+            });
+        }
+    }
+
+    /**
+     * Record a completed session and add the time not recorded while it ran to the child's usage totals
+     */
+    function recordSession(session) {
+        if (session.duration <= 0) {
+            return;
+        }
+
+        state.sessions.unshift(session);
+        if (state.sessions.length > MAX_SESSIONS) {
+            state.sessions = state.sessions.slice(0, MAX_SESSIONS);
+        }
+
+        recordUsage(session, session.reportedUntil ?? session.startedAt, session.endedAt);
+        context.configurationUpdate(state);
+    }
+
+    /**
+     * Record the time sessions still running have accrued, so a child who keeps
+     * playing is charged against quota (and their other devices see it) before they quit
+     */
+    function recordRunningSessions() {
+        const periods = sessionTracker.takeUnreported(RUNNING_REPORT_MINIMUM);
+        for (const period of periods) {
+            recordUsage(period, period.startedAt, period.endedAt);
+        }
+
+        if (periods.length > 0) {
+            context.configurationUpdate(state);
+        }
+    }
+
+    /**
+     * Add part of a session to the child's usage totals and report overall gaming time to Allow2
+     * @param {Object} session - { appId, childId }
+     */
+    function recordUsage(session, startedAt, endedAt) {
+        if (endedAt <= startedAt) {
+            return;
+        }
+
+        const usageKey = session.childId || 'unlinked';
+        state.usage[usageKey] = state.usage[usageKey] || {};
+
+        // The child's devices share one quota: overall time used on several at once only counts once
+        const periods = session.appId === ANY_APP && session.childId
+            ? childAggregator.claimUsage(session.childId, startedAt, endedAt)
+            : [{ startedAt, endedAt, duration: endedAt - startedAt }];
+
+        for (const period of periods) {
+            for (const { day, duration } of splitByDay(period.startedAt, period.endedAt)) {
+                const dayUsage = state.usage[usageKey][day] = state.usage[usageKey][day] || { total: 0, apps: {} };
+                if (session.appId === ANY_APP) {
+                    dayUsage.total += duration;
+                } else {
+                    dayUsage.apps[session.appId] = (dayUsage.apps[session.appId] || 0) + duration;
+                }
+            }
+        }
+
+        // Report overall gaming time only, per-app sessions overlap it
+        if (session.appId === ANY_APP && session.childId && context.allow2?.reportUsage) {
+            for (const period of periods) {
+                Promise.resolve(context.allow2.reportUsage(session.childId, {
+                    activity: 'gaming',
+                    startedAt: period.startedAt,
+                    endedAt: period.endedAt,
+                    duration: period.duration,
+                    source: '@allow2/allow2automate-steam'
+                })).catch(error => {
+                    console.error('[Steam Plugin] Error reporting usage to Allow2:', error);
+                });
+            }
+        }
+    }
+
+    /**
+     * Split a time range at local midnight
+     * @returns {Array} Array of { day: 'YYYY-MM-DD', duration }
+     */
+    function splitByDay(startedAt, endedAt) {
+        const parts = [];
+        let cursor = startedAt;
+
+        while (cursor < endedAt) {
+            const date = new Date(cursor);
+            const nextMidnight = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+            const end = Math.min(nextMidnight, endedAt);
+
+            parts.push({ day: getDayKey(cursor), duration: end - cursor });
+            cursor = end;
+        }
+
+        return parts;
+    }
+
+    /**
+     * @returns {string} Local day of a time as YYYY-MM-DD
+     */
+    function getDayKey(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Find the Allow2 child linked to a Steam account
+     * @param {string} steamId64 - SteamID64
+     * @returns {string|null} childId
+     */
+    function getChildIdForSteamAccount(steamId64) {
+        const entry = Object.entries(state.children).find(([, child]) => child.steamId === steamId64);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * The child an agent enforces for: the child linked to the Steam account
+     * signed in on the device, falling back to the child linked to the device
+     * @param {Object|undefined} agentData - Entry of state.agents; agents only listed at load have none
+     */
+    function getEffectiveChildId(agentData) {
+        if (!agentData) {
+            return null;
+        }
+        return (agentData.steamId && getChildIdForSteamAccount(agentData.steamId)) || agentData.childId || null;
+    }
+
+    /**
+     * Get the agents currently enforcing for a child
+     */
+    function getAgentsForChild(childId) {
+        return Object.values(state.agents).filter(a => getEffectiveChildId(a) === childId);
+    }
+
+    /**
+     * Change settings and pass them on to the agents' policies
+     * @param {Object} settings - Settings to change
+     * @throws {Error} If the resulting settings are invalid
+     */
+    async function updateSettings(settings) {
+        const updated = { ...state.settings, ...settings };
+        validateViolationSettings(updated);
+
+        state.settings = updated;
+        context.configurationUpdate(state);
+
+        if ('violationRetentionDays' in settings) {
+            violationStore.setRetentionDays(updated.violationRetentionDays);
+        }
+
+        // Update policies and the heartbeat timeout if check interval changed
+        if (settings.checkInterval) {
+            tamperDetector.configure({
+                heartbeatTimeout: settings.checkInterval * HEARTBEAT_TIMEOUT_INTERVALS,
+                checkInterval: settings.checkInterval
+            });
+
+            for (const agent of await agentService.listAgents()) {
+                if (state.policies[agent.id]) {
+                    await agentService.updatePolicy(agent.id, {
+                        checkInterval: settings.checkInterval
+                    });
+                }
+            }
+        }
+
+        // Update warning and kill stages if they changed
+        const violationKeys = ['killOnViolation', 'warningMinutes', 'finalWarningMinutes', 'gracePeriodSeconds'];
+        if (violationKeys.some(key => key in settings)) {
+            for (const agentId of Object.keys(state.policies)) {
+                await updateViolationActions(agentId);
+            }
+        }
+    }
+
+    /**
+     * Provision Steam policies on one agent or all of them, then apply each child's state
+     * @param {string} agentId - Agent to provision, or null for every agent
+     * @param {Object} options - { refreshInventory }
+     * @returns {Array} IDs of the agents provisioned
+     */
+    async function provisionAgents(agentId = null, options = {}) {
+        if (!agentService) {
+            throw new Error('Agent service not available');
+        }
+
+        const agents = agentId ? [await agentService.getAgent(agentId)] : await agentService.listAgents();
+        if (agentId && !agents[0]) {
+            throw new Error(`Unknown agent: ${agentId}`);
+        }
+
+        for (const agent of agents) {
+            await configureSteamPolicy(agent, options);
+        }
+        context.configurationUpdate(state);
+        await refreshChildStates();
+
+        return agents.map(agent => agent.id);
+    }
+
+    /**
+     * Monitoring status: agents, children, recent violations and settings
+     */
+    async function getStatus() {
+        if (!agentService) {
+            throw new Error('Agent service not available');
+        }
+
+        const agents = await agentService.listAgents();
+        return {
+            agentCount: agents.length,
+            activeAgents: agents.filter(a => a.online).length,
+            monitoredChildren: new Set(Object.values(state.agents).map(getEffectiveChildId).filter(Boolean)).size,
+            recentViolations: violationStore.query({ limit: 10 }).violations,
+            settings: state.settings,
+            lastSync: state.lastSync
+        };
+    }
+
+    /**
+     * Setup event listeners for agent events
+     */
+    function setupEventListeners() {
+        // Listen for Allow2 state changes
+        if (context.allow2) {
+            context.allow2.on('stateChange', async (childId, newState) => {
+                console.log(`[Steam Plugin] Allow2 state change for child ${childId}`, newState);
+
+                allow2States[childId] = newState;
+                await applyChildState(childId).catch(error => {
+                    console.error(`[Steam Plugin] Error applying Allow2 state for child ${childId}:`, error);
+                });
+            });
+        }
+
+        // Listen for new agents
+        if (agentService) {
+            agentService.on('agentDiscovered', async (agent) => {
+                console.log(`[Steam Plugin] New agent discovered: ${agent.hostname}`);
+
+                // A known agent announcing itself again has restarted and lost its process list
+                if (state.agents[agent.id]) {
+                    sessionTracker.closeAgent(agent.id, 'restarted');
+                }
+
+                // Games may have been installed or removed while it was away
+                await configureSteamPolicy(agent, { refreshInventory: true });
+
+                // Add to state, keeping the child a known agent is linked to
+                state.agents[agent.id] = {
+                    enabled: true,
+                    childId: null,  // To be linked later
+                    ...state.agents[agent.id],
+                    id: agent.id,
+                    hostname: agent.hostname,
+                    platform: agent.platform,
+                    lastSeen: Date.now()
+                };
+
+                context.configurationUpdate(state);
+
+                // Bring the device in line with the rest of the child's devices,
+                // then converge anything still queued for it
+                const childId = getEffectiveChildId(state.agents[agent.id]);
+                if (childId) {
+                    await applyChildState(childId);
+                }
+                await reconciler.reconcile(agent.id);
+            });
+
+            // Listen for violations
+            agentService.on('violation', (data) => {
+                tamperDetector.seen(data.agentId);
+
+                // Check if this is a Steam or game violation
+                const appId = identifyApp(data);
+                if (appId) {
+                    handleViolation(data, appId);
+                }
+            });
+
+            // Listen for process detected events
+            agentService.on('processDetected', (data) => {
+                // Hearing from an agent that had gone offline: send what it missed
+                reconciler.agentSeen(data.agentId);
+                tamperDetector.seen(data.agentId);
+
+                // Steam renamed or run from a copy of its install
+                tamperDetector.inspectProcess(data, getProcessContext(data.agentId));
+
+                // Agents that can see the signed-in Steam account report it with the process
+                if (data.steamId && state.agents[data.agentId] && state.agents[data.agentId].steamId !== data.steamId) {
+                    const previousChildId = getEffectiveChildId(state.agents[data.agentId]);
+                    state.agents[data.agentId].steamId = data.steamId;
+                    context.configurationUpdate(state);
+
+                    // Another child signed in: the device now follows that child's state
+                    const childId = getEffectiveChildId(state.agents[data.agentId]);
+                    if (childId && childId !== previousChildId) {
+                        applyChildState(childId).catch(error => {
+                            console.error(`[Steam Plugin] Error applying state of child ${childId} to ${data.agentId}:`, error);
+                        });
+                    }
+                }
+
+                const appId = identifyApp(data);
+                if (appId) {
+                    const childId = state.agents[data.agentId] ? getEffectiveChildId(state.agents[data.agentId]) : null;
+                    const starting = appId !== STEAM_CLIENT_APP && !sessionTracker.openSessions[`${data.agentId}:${appId}`];
+
+                    sessionTracker.observe({
+                        agentId: data.agentId,
+                        appId,
+                        processName: data.processName,
+                        childId,
+                        timestamp: data.timestamp || Date.now()
+                    });
+
+                    if (starting) {
+                        notifyGameStarted(data, appId, childId);
+                    }
+                }
+
+                const steamProcess = isSteamProcess(data);
+                if (steamProcess) {
+                    console.log(`[Steam Plugin] Steam detected on ${data.hostname} (${steamProcess.label})`);
+
+                    api.raise('steamDetected', {
+                        agentId: data.agentId,
+                        processName: data.processName,
+                        catalogEntry: steamProcess.id,
+                        timestamp: data.timestamp || Date.now()
+                    });
+                }
+            });
+
+            // Listen for process exit events
+            agentService.on('processStopped', (data) => {
+                tamperDetector.seen(data.agentId);
+
+                const appId = identifyApp(data);
+                if (appId) {
+                    sessionTracker.stop({
+                        agentId: data.agentId,
+                        appId,
+                        processName: data.processName,
+                        timestamp: data.timestamp || Date.now()
+                    });
+                }
+            });
+
+            // Agent went offline: stop counting at its last report
+            agentService.on('agentDisconnected', (agentId) => {
+                sessionTracker.closeAgent(agentId, 'disconnected');
+                tamperDetector.disconnected(agentId);
+            });
+
+            // Agents that send heartbeats are watched for them stopping without a disconnect
+            agentService.on('heartbeat', (data) => {
+                tamperDetector.heartbeat(typeof data === 'string' ? data : data.agentId);
+            });
+
+            // The child asked for extra time on their device
+            agentService.on('overrideRequest', (data) => {
+                tamperDetector.seen(data.agentId);
+
+                const childId = state.agents[data.agentId] ? getEffectiveChildId(state.agents[data.agentId]) : null;
+                if (!childId) {
+                    console.warn(`[Steam Plugin] Extra time requested on ${data.agentId}, which is not linked to a child`);
+                    return;
+                }
+
+                try {
+                    overrideManager.request({
+                        childId,
+                        agentId: data.agentId,
+                        minutes: data.minutes,
+                        reason: data.reason,
+                        source: OVERRIDE_SOURCES.AGENT
+                    });
+                } catch (error) {
+                    console.error(`[Steam Plugin] Invalid extra time request from ${data.agentId}:`, error.message);
+                }
+            });
+        }
+    }
+
+    /**
+     * Setup IPC handlers for renderer communication
+     */
+    function setupIPCHandlers(context) {
+        // Get agents
+        context.ipcMain.handle('steam:getAgents', async (event) => {
+            try {
+                const agents = await agentService.listAgents();
+                return [null, { agents: agents.map(a => ({
+                    id: a.id,
+                    hostname: a.hostname,
+                    platform: a.platform,
+                    online: a.online,
+                    childId: state.agents[a.id]?.childId,
+                    enabled: state.agents[a.id]?.enabled,
+                    inventory: summariseInventory(steamMonitor.inventory.peek(a.id))
+                }))}];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Link agent to child
+        context.ipcMain.handle('steam:linkAgent', async (event, { agentId, childId }) => {
+            try {
+                if (!state.agents[agentId]) {
+                    state.agents[agentId] = { id: agentId };
+                }
+
+                state.agents[agentId].childId = childId;
+                state.agents[agentId].enabled = true;
+
+                context.configurationUpdate(state);
+
+                // A newly linked child's Allow2 state may not have been fetched yet
+                await refreshChildState(getEffectiveChildId(state.agents[agentId]));
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Unlink agent
+        context.ipcMain.handle('steam:unlinkAgent', async (event, { agentId }) => {
+            try {
+                if (state.agents[agentId]) {
+                    state.agents[agentId].childId = null;
+                    state.agents[agentId].enabled = false;
+                }
+
+                context.configurationUpdate(state);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get Steam accounts with the child each one is linked to
+        context.ipcMain.handle('steam:getSteamAccounts', async (event) => {
+            try {
+                const accounts = getSteamAccounts();
+                return [null, { accounts: accounts.map(account => ({
+                    ...account,
+                    childId: getChildIdForSteamAccount(account.steamId64)
+                }))}];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Link Steam account to child
+        context.ipcMain.handle('steam:linkSteamAccount', async (event, { steamId64, childId }) => {
+            try {
+                const account = getSteamAccounts().find(a => a.steamId64 === steamId64);
+                if (!account) {
+                    throw new Error(`Unknown Steam account: ${steamId64}`);
+                }
+
+                // An account belongs to one child only
+                const previousChildId = getChildIdForSteamAccount(steamId64);
+                if (previousChildId) {
+                    delete state.children[previousChildId];
+                }
+
+                state.children[childId] = {
+                    steamId: account.steamId64,
+                    steamId3: account.steamId3,
+                    accountName: account.accountName,
+                    displayName: account.personaName || account.accountName
+                };
+
+                context.configurationUpdate(state);
+                await refreshChildState(childId);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Unlink Steam account from child
+        context.ipcMain.handle('steam:unlinkSteamAccount', async (event, { childId }) => {
+            try {
+                delete state.children[childId];
+
+                context.configurationUpdate(state);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get installed games with their verdicts
+        context.ipcMain.handle('steam:getGames', async (event) => {
+            try {
+                const games = getInstalledGames();
+                return [null, { games: games.map(game => ({
+                    appId: game.appId,
+                    name: game.name,
+                    installDir: game.installDir,
+                    libraryPath: game.libraryPath,
+                    sizeOnDisk: game.sizeOnDisk,
+                    agentIds: game.agentIds,
+                    verdict: state.gameVerdicts[game.appId] || GAME_VERDICTS.QUOTA,
+                    rating: contentRatings.ratings[game.appId] || null,
+                    blockedFor: getRatingBlocks(game.appId)
+                }))}];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get non-Steam game shortcuts with their verdicts
+        context.ipcMain.handle('steam:getShortcuts', async (event) => {
+            try {
+                const shortcuts = steamMonitor.refreshShortcuts();
+                return [null, { shortcuts: shortcuts.map(shortcut => ({
+                    appId: shortcut.appId,
+                    appName: shortcut.appName,
+                    exe: shortcut.exe,
+                    launchOptions: shortcut.launchOptions,
+                    tags: shortcut.tags,
+                    steamId3: shortcut.steamId3,
+                    verdict: state.gameVerdicts[shortcut.appId] || GAME_VERDICTS.QUOTA
+                }))}];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get Steam libraries and their app lists
+        context.ipcMain.handle('steam:getLibraries', async (event) => {
+            try {
+                return [null, { libraries: steamMonitor.getLibraries() }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get every Steam install found on this machine, most likely first
+        context.ipcMain.handle('steam:getInstalls', async (event) => {
+            try {
+                return [null, { installs: steamMonitor.installs, active: steamMonitor.steamPaths.root }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get the Steam inventory of an agent's device
+        context.ipcMain.handle('steam:getInventory', async (event, { agentId, refresh = false }) => {
+            try {
+                const inventory = await steamMonitor.getAgentInventory(agentId, { refresh });
+                return [null, {
+                    inventory: {
+                        ...inventory,
+                        // Install directory listings are only needed to find executables
+                        games: inventory.games.map(({ files, ...game }) => game)
+                    }
+                }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Ask an agent for its Steam inventory again and update its policies to match
+        context.ipcMain.handle('steam:refreshInventory', async (event, { agentId }) => {
+            try {
+                const agent = await agentService.getAgent(agentId);
+                if (!agent) {
+                    throw new Error(`Unknown agent: ${agentId}`);
+                }
+
+                await configureSteamPolicy(agent, { refreshInventory: true });
+                context.configurationUpdate(state);
+
+                // New game policies follow the child's current state
+                const childId = getEffectiveChildId(state.agents[agentId]);
+                if (childId) {
+                    await applyChildState(childId);
+                }
+
+                return [null, { inventory: summariseInventory(steamMonitor.inventory.peek(agentId)) }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Set per-game verdict (Steam games and non-Steam shortcuts)
+        context.ipcMain.handle('steam:setGameVerdict', async (event, { appId, verdict }) => {
+            try {
+                if (!Object.values(GAME_VERDICTS).includes(verdict)) {
+                    throw new Error(`Invalid verdict: ${verdict}`);
+                }
+
+                state.gameVerdicts[appId] = verdict;
+                await applyGameVerdict(appId);
+
+                context.configurationUpdate(state);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get each child with all of their devices and today's combined usage
+        context.ipcMain.handle('steam:getChildren', async (event) => {
+            try {
+                const agents = new Map((await agentService.listAgents()).map(agent => [agent.id, agent]));
+                const childIds = new Set([
+                    ...Object.keys(state.children),
+                    ...Object.values(state.agents).map(getEffectiveChildId).filter(Boolean)
+                ]);
+                const today = getDayKey(Date.now());
+
+                return [null, { children: [...childIds].map(childId => {
+                    const allow2State = allow2States[childId] || null;
+                    return {
+                        childId,
+                        displayName: state.children[childId]?.displayName || null,
+                        steamId: state.children[childId]?.steamId || null,
+                        quota: allow2State ? allow2State.quota : null,
+                        paused: allow2State ? !!allow2State.paused : null,
+                        scheduleAllowed: scheduler.isAllowed(childId),
+                        override: overrideManager.getActive(childId),
+                        usedToday: state.usage[childId]?.[today]?.total || 0,
+                        syncError: childSyncErrors[childId] || null,
+                        devices: getAgentsForChild(childId).map(agentData => ({
+                            id: agentData.id,
+                            hostname: agents.get(agentData.id)?.hostname || agentData.hostname,
+                            platform: agents.get(agentData.id)?.platform || agentData.platform,
+                            online: agents.get(agentData.id)?.online === true,
+                            allowed: agentData.allowed === true,
+                            // Linked through the Steam account signed in rather than the device itself
+                            viaSteamAccount: agentData.childId !== childId
+                        }))
+                    };
+                })}];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get policy updates agents have not applied yet
+        context.ipcMain.handle('steam:getSyncQueue', async (event) => {
+            try {
+                return [null, { syncs: reconciler.list().map(sync => ({
+                    ...sync,
+                    hostname: state.agents[sync.agentId]?.hostname || sync.agentId
+                }))}];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Retry a queued or failed sync now
+        context.ipcMain.handle('steam:retrySync', async (event, { agentId }) => {
+            try {
+                const synced = await reconciler.reconcile(agentId);
+                return [null, { synced }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-            console.log(`[Steam Plugin] Policy configured for agent ${agent.hostname}`);
-        } catch (error) {
-            console.error(`[Steam Plugin] Error configuring policy for ${agent.hostname}:`, error);
-        }
-    }
+        // Get usage totals for a child
+        context.ipcMain.handle('steam:getUsage', async (event, { childId, from, to }) => {
+            try {
+                const days = state.usage[childId] || {};
+                const usage = Object.keys(days)
+                    .filter(day => (!from || day >= from) && (!to || day <= to))
+                    .sort()
+                    .map(day => ({ day, ...days[day] }));
 
-    /**
-     * Update Steam policy based on Allow2 state
-     */
-    async function updateSteamPolicy(agent, allow2State) {
-        const steamAllowed = !allow2State.paused && allow2State.quota > 0;
+                return [null, { usage }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-        try {
-            await agentService.updatePolicy(agent.id, {
-                processName: state.policies[agent.id]?.processName || 'Steam.exe',
-                allowed: steamAllowed
-            });
+        // Build a child's report of sessions, playtime per game, blocks and warnings from stored data
+        context.ipcMain.handle('steam:exportReport', async (event, { childId, childName, from, to, format = REPORT_FORMATS.CSV }) => {
+            try {
+                if (!Object.values(REPORT_FORMATS).includes(format)) {
+                    throw new Error(`Unknown report format: ${format}`);
+                }
 
-            console.log(`[Steam Plugin] Updated ${agent.hostname}: allowed=${steamAllowed}`);
+                const report = UsageReport.build({
+                    childId,
+                    childName,
+                    from,
+                    to,
+                    usage: state.usage[childId] || {},
+                    sessions: state.sessions,
+                    violations: violationStore.all({ from: UsageReport.parseDay(from), to: UsageReport.parseDay(to, 1) - 1 }),
+                    agentIds: getAgentsForChild(childId).map(agentData => agentData.id),
+                    gameNames: getGameNames(),
+                    agentNames: Object.fromEntries(Object.values(state.agents).map(agentData => [agentData.id, agentData.hostname]))
+                });
 
-            // Update state
-            if (state.agents[agent.id]) {
-                state.agents[agent.id].allowed = steamAllowed;
-                state.agents[agent.id].lastUpdate = Date.now();
+                const name = (childName || childId).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+                return [null, {
+                    filename: `steam-report-${name}-${from}-to-${to}.${format}`,
+                    mimeType: format === REPORT_FORMATS.JSON ? 'application/json' : 'text/csv',
+                    content: format === REPORT_FORMATS.JSON ? JSON.stringify(report, null, 2) : UsageReport.toCSV(report)
+                }];
+            } catch (error) {
+                return [error];
             }
+        });
 
-            context.configurationUpdate(state);
-        } catch (error) {
-            console.error(`[Steam Plugin] Error updating policy for ${agent.hostname}:`, error);
-        }
-    }
-
-    /**
-     * Handle violation events
-     */
-    function handleViolation(data) {
-        console.log(`[Steam Plugin] Violation on ${data.agentId}: ${data.processName}`);
+        // Get schedules with whether each currently allows Steam
+        context.ipcMain.handle('steam:getSchedules', async (event) => {
+            try {
+                const schedules = {};
+                for (const [childId, schedule] of Object.entries(scheduler.schedules)) {
+                    schedules[childId] = {
+                        ...schedule,
+                        allowed: scheduler.isAllowed(childId),
+                        nextChange: scheduler.nextChange(childId)
+                    };
+                }
+                return [null, { schedules }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-        // Add to violations log
-        const violation = {
-            agentId: data.agentId,
-            processName: data.processName,
-            timestamp: data.timestamp || Date.now(),
-            hostname: data.hostname
-        };
+        // Set or remove (schedule: null) a child's schedule
+        context.ipcMain.handle('steam:setSchedule', async (event, { childId, schedule }) => {
+            try {
+                scheduler.setSchedule(childId, schedule);
 
-        state.violations.unshift(violation);
+                context.configurationUpdate(state);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-        // Keep only last 100 violations
-        if (state.violations.length > 100) {
-            state.violations = state.violations.slice(0, 100);
-        }
+        // Get each child's content rating rule, with the rating systems and descriptors rules can use
+        context.ipcMain.handle('steam:getRatingRules', async (event) => {
+            try {
+                return [null, { rules: contentRatings.rules, systems: RATING_SYSTEMS, descriptors: CONTENT_DESCRIPTORS }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-        // Notify parent via UI
-        if (state.settings.notifyParent && context.sendToRenderer) {
-            context.sendToRenderer('steamViolation', violation);
-        }
+        // Set or remove (rule: null) a child's content rating rule and apply it to their devices
+        context.ipcMain.handle('steam:setRatingRule', async (event, { childId, rule }) => {
+            try {
+                contentRatings.setRule(childId, rule);
+                context.configurationUpdate(state);
 
-        // Log to activity feed
-        if (context.logActivity) {
-            context.logActivity({
-                type: 'steam_blocked',
-                message: `Steam was blocked on ${data.hostname}`,
-                timestamp: violation.timestamp,
-                severity: 'warning'
-            });
-        }
+                await applyGameRules();
+                return [null, { rule: contentRatings.rules[childId] || null }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-        // Persist state
-        context.configurationUpdate(state);
-    }
+        // Get game groups with each child's time in them today, and the Steam collections groups can follow
+        context.ipcMain.handle('steam:getGameGroups', async (event) => {
+            try {
+                const childIds = [...new Set(Object.values(state.agents).map(getEffectiveChildId).filter(Boolean))];
+                const usage = Object.fromEntries(childIds.map(childId => [childId, getTodayUsage(childId)]));
 
-    /**
-     * Setup event listeners for agent events
-     */
-    function setupEventListeners() {
-        // Listen for Allow2 state changes
-        if (context.allow2) {
-            context.allow2.on('stateChange', async (childId, newState) => {
-                console.log(`[Steam Plugin] Allow2 state change for child ${childId}`, newState);
+                return [null, {
+                    groups: gameGroups.list().map(group => ({
+                        ...group,
+                        usedToday: Object.fromEntries(childIds.map(childId => [childId, gameGroups.usedBy(group, usage[childId])]))
+                    })),
+                    collections: getCollections()
+                }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-                // Find agents for this child
-                const childAgents = Object.values(state.agents).filter(a => a.childId === childId);
+        // Take in changes to the Steam collections groups follow, and send the new verdicts
+        context.ipcMain.handle('steam:syncGameGroups', async (event) => {
+            try {
+                const changed = syncCollections(getCollections());
+                if (changed) {
+                    await applyGameRules();
+                }
+                return [null, { changed }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-                for (const agentData of childAgents) {
-                    // Get full agent object
-                    try {
-                        const agent = await agentService.getAgent(agentData.id);
-                        if (agent) {
-                            await updateSteamPolicy(agent, newState);
-                        }
-                    } catch (error) {
-                        console.error('[Steam Plugin] Error getting agent:', error);
-                    }
+        // Add a game group; one that follows a collection starts with its name and games
+        context.ipcMain.handle('steam:createGameGroup', async (event, { group }) => {
+            try {
+                const collection = group.collection && getCollections().find(candidate =>
+                    candidate.steamId3 === group.collection.steamId3 && candidate.id === group.collection.id);
+                if (group.collection && !collection) {
+                    throw new Error(`Unknown Steam collection: ${group.collection.id}`);
                 }
-            });
-        }
 
-        // Listen for new agents
-        if (agentService) {
-            agentService.on('agentDiscovered', async (agent) => {
-                console.log(`[Steam Plugin] New agent discovered: ${agent.hostname}`);
-                await configureSteamPolicy(agent);
+                const created = gameGroups.create({
+                    ...group,
+                    name: group.name || collection?.name,
+                    appIds: group.appIds || collection?.appIds
+                });
+                context.configurationUpdate(state);
 
-                // Add to state
-                state.agents[agent.id] = {
-                    id: agent.id,
-                    hostname: agent.hostname,
-                    platform: agent.platform,
-                    enabled: true,
-                    childId: null,  // To be linked later
-                    lastSeen: Date.now()
-                };
+                await applyGameRules();
+                return [null, { group: created }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
+        // Change a game group's name, games, verdict or daily minutes
+        context.ipcMain.handle('steam:updateGameGroup', async (event, { id, changes }) => {
+            try {
+                const group = gameGroups.update(id, changes);
                 context.configurationUpdate(state);
-            });
-
-            // Listen for violations
-            agentService.on('violation', (data) => {
-                // Check if this is a Steam violation
-                const processName = data.processName?.toLowerCase() || '';
-                if (processName.includes('steam')) {
-                    handleViolation(data);
-                }
-            });
 
-            // Listen for process detected events
-            agentService.on('processDetected', (data) => {
-                const processName = data.processName?.toLowerCase() || '';
-                if (processName.includes('steam')) {
-                    console.log(`[Steam Plugin] Steam detected on ${data.hostname}`);
-
-                    // Notify renderer
-                    if (context.sendToRenderer) {
-                        context.sendToRenderer('steamDetected', {
-                            agentId: data.agentId,
-                            processName: data.processName,
-                            timestamp: data.timestamp || Date.now()
-                        });
-                    }
-                }
-            });
-        }
-    }
+                await applyGameRules();
+                return [null, { group }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-    /**
-     * Setup IPC handlers for renderer communication
-     */
-    function setupIPCHandlers(context) {
-        // Get agents
-        context.ipcMain.handle('steam:getAgents', async (event) => {
+        // Remove a game group; its games go back to their own verdicts
+        context.ipcMain.handle('steam:removeGameGroup', async (event, { id }) => {
             try {
-                const agents = await agentService.listAgents();
-                return [null, { agents: agents.map(a => ({
-                    id: a.id,
-                    hostname: a.hostname,
-                    platform: a.platform,
-                    online: a.online,
-                    childId: state.agents[a.id]?.childId,
-                    enabled: state.agents[a.id]?.enabled
-                }))}];
+                const removed = gameGroups.remove(id);
+                context.configurationUpdate(state);
+
+                await applyGameRules();
+                return [null, { removed }];
             } catch (error) {
                 return [error];
             }
         });
 
-        // Link agent to child
-        context.ipcMain.handle('steam:linkAgent', async (event, { agentId, childId }) => {
+        // Get extra time requests, newest first, and the overrides running now
+        context.ipcMain.handle('steam:getOverrides', async (event, { childId, status } = {}) => {
             try {
-                if (!state.agents[agentId]) {
-                    state.agents[agentId] = { id: agentId };
-                }
+                const active = Object.keys(overrideManager.overrides.active)
+                    .map(id => overrideManager.getActive(id))
+                    .filter(Boolean);
 
-                state.agents[agentId].childId = childId;
-                state.agents[agentId].enabled = true;
+                return [null, { requests: overrideManager.list({ childId, status }), active }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-                context.configurationUpdate(state);
-                return [null, { success: true }];
+        // Ask for extra time on a child's behalf
+        context.ipcMain.handle('steam:requestOverride', async (event, { childId, agentId, minutes, reason }) => {
+            try {
+                return [null, { request: requestOverride({ childId, agentId, minutes, reason }) }];
             } catch (error) {
                 return [error];
             }
         });
 
-        // Unlink agent
-        context.ipcMain.handle('steam:unlinkAgent', async (event, { agentId }) => {
+        // Grant a request, for the minutes asked for unless the parent changes them
+        context.ipcMain.handle('steam:approveOverride', async (event, { requestId, minutes, note }) => {
             try {
-                if (state.agents[agentId]) {
-                    state.agents[agentId].childId = null;
-                    state.agents[agentId].enabled = false;
-                }
+                return [null, { override: overrideManager.approve(requestId, { minutes, note }) }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-                context.configurationUpdate(state);
-                return [null, { success: true }];
+        // Turn down a request
+        context.ipcMain.handle('steam:denyOverride', async (event, { requestId, note }) => {
+            try {
+                return [null, { request: overrideManager.deny(requestId, { note }) }];
             } catch (error) {
                 return [error];
             }
         });
 
-        // Get violations
+        // End a child's extra time early
+        context.ipcMain.handle('steam:revokeOverride', async (event, { childId }) => {
+            try {
+                return [null, { revoked: overrideManager.revoke(childId) }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Get the most recent violations
         context.ipcMain.handle('steam:getViolations', async (event, { limit = 50 }) => {
             try {
-                return [null, { violations: state.violations.slice(0, limit) }];
+                return [null, { violations: violationStore.query({ limit }).violations }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Find violations by child, agent, app, action and date range, a page at a time
+        context.ipcMain.handle('steam:queryViolations', async (event, filters = {}) => {
+            try {
+                const { childId, agentId, appId, action, from, to, cursor, limit } = filters;
+                return [null, violationStore.query({ childId, agentId, appId, action, from, to, cursor, limit })];
             } catch (error) {
                 return [error];
             }
@@ -349,8 +2401,7 @@ function plugin(context) {
         // Clear violations
         context.ipcMain.handle('steam:clearViolations', async (event) => {
             try {
-                state.violations = [];
-                context.configurationUpdate(state);
+                violationStore.clear();
                 return [null, { success: true }];
             } catch (error) {
                 return [error];
@@ -369,20 +2420,50 @@ function plugin(context) {
         // Update settings
         context.ipcMain.handle('steam:updateSettings', async (event, { settings }) => {
             try {
-                state.settings = { ...state.settings, ...settings };
-                context.configurationUpdate(state);
+                await updateSettings(settings);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
 
-                // Update policies if check interval changed
-                if (settings.checkInterval) {
-                    for (const agent of await agentService.listAgents()) {
-                        if (state.policies[agent.id]) {
-                            await agentService.updatePolicy(agent.id, {
-                                checkInterval: settings.checkInterval
-                            });
-                        }
-                    }
+        // Get the Steam process catalog: built-in entries plus the parent's own
+        context.ipcMain.handle('steam:getProcessCatalog', async (event) => {
+            try {
+                return [null, {
+                    version: steamMonitor.processCatalog.version,
+                    entries: steamMonitor.processCatalog.getEntries()
+                }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Add a process to block along with Steam
+        context.ipcMain.handle('steam:addCustomProcess', async (event, { entry }) => {
+            try {
+                const validated = ProcessCatalog.validateEntry(entry);
+                validated.id = `custom-${Date.now().toString(36)}`;
+
+                state.customProcesses = [...state.customProcesses, validated];
+                await updateProcessCatalog();
+
+                return [null, { entry: validated }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Remove a process the parent added
+        context.ipcMain.handle('steam:removeCustomProcess', async (event, { id }) => {
+            try {
+                if (!state.customProcesses.some(entry => entry.id === id)) {
+                    throw new Error(`Unknown custom process: ${id}`);
                 }
 
+                state.customProcesses = state.customProcesses.filter(entry => entry.id !== id);
+                await updateProcessCatalog();
+
                 return [null, { success: true }];
             } catch (error) {
                 return [error];
@@ -392,15 +2473,7 @@ function plugin(context) {
         // Get status
         context.ipcMain.handle('steam:getStatus', async (event) => {
             try {
-                const agents = await agentService.listAgents();
-                return [null, {
-                    agentCount: agents.length,
-                    activeAgents: agents.filter(a => a.online).length,
-                    monitoredChildren: Object.values(state.agents).filter(a => a.childId).length,
-                    recentViolations: state.violations.slice(0, 10),
-                    settings: state.settings,
-                    lastSync: state.lastSync
-                }];
+                return [null, await getStatus()];
             } catch (error) {
                 return [error];
             }
@@ -414,6 +2487,31 @@ function plugin(context) {
     steam.newState = function(newState) {
         console.log('[Steam Plugin] State updated:', newState);
         state = newState;
+
+        // In-progress sessions live in the tracker, schedules in the scheduler, extra time in the override manager,
+        // rating rules and ratings in content ratings, game groups in game groups
+        if (sessionTracker) {
+            state.openSessions = sessionTracker.openSessions;
+        }
+        if (scheduler) {
+            state.schedules = scheduler.schedules;
+        }
+        if (childAggregator) {
+            state.reportedUsage = childAggregator.claimed;
+        }
+        if (reconciler) {
+            state.syncQueue = reconciler.queue;
+        }
+        if (overrideManager) {
+            state.overrides = overrideManager.overrides;
+        }
+        if (contentRatings) {
+            state.ratingRules = contentRatings.rules;
+            state.contentRatings = contentRatings.ratings;
+        }
+        if (gameGroups) {
+            state.gameGroups = gameGroups.groups;
+        }
     };
 
     /**
@@ -468,15 +2566,39 @@ function plugin(context) {
             steamMonitor.cleanup();
         }
 
+        if (staleSessionInterval) {
+            clearInterval(staleSessionInterval);
+        }
+
+        if (scheduler) {
+            scheduler.stop();
+        }
+
+        if (reconciler) {
+            reconciler.stop();
+        }
+
+        if (tamperDetector) {
+            tamperDetector.stop();
+        }
+
+        if (overrideManager) {
+            overrideManager.stop();
+        }
+
         // Remove all policies
         if (agentService) {
             agentService.listAgents()
                 .then(agents => {
-                    const promises = agents.map(agent => {
+                    const promises = [];
+                    for (const agent of agents) {
                         if (state.policies[agent.id]) {
-                            return agentService.deletePolicy(agent.id, state.policies[agent.id].processName);
+                            promises.push(agentService.deletePolicy(agent.id, state.policies[agent.id].processName));
                         }
-                    });
+                        for (const appPolicy of Object.values(state.appPolicies[agent.id] || {})) {
+                            promises.push(agentService.deletePolicy(agent.id, appPolicy.processName));
+                        }
+                    }
                     return Promise.all(promises);
                 })
                 .then(() => {
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import ChildAggregator from '../src/ChildAggregator.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 5, 2, 12);
+
+describe('ChildAggregator', () => {
+  let aggregator;
+
+  beforeEach(() => {
+    aggregator = new ChildAggregator();
+  });
+
+  describe('claimUsage', () => {
+    test('counts time on devices used at the same time once', () => {
+      // Desktop 9:00-11:00, then the Steam Deck 10:00-12:00
+      const desktop = aggregator.claimUsage('child-1', NOW - 3 * HOUR, NOW - HOUR, NOW);
+      const deck = aggregator.claimUsage('child-1', NOW - 2 * HOUR, NOW, NOW);
+
+      expect(desktop).toEqual([{ startedAt: NOW - 3 * HOUR, endedAt: NOW - HOUR, duration: 2 * HOUR }]);
+      expect(deck).toEqual([{ startedAt: NOW - HOUR, endedAt: NOW, duration: HOUR }]);
+      expect(aggregator.claimed['child-1']).toEqual([[NOW - 3 * HOUR, NOW]]);
+    });
+
+    test('returns the gaps around earlier claims', () => {
+      aggregator.claimUsage('child-1', NOW - 4 * HOUR, NOW - 3 * HOUR, NOW);
+      aggregator.claimUsage('child-1', NOW - 2 * HOUR, NOW - HOUR, NOW);
+
+      expect(aggregator.claimUsage('child-1', NOW - 5 * HOUR, NOW, NOW).map(p => p.duration)).toEqual([HOUR, HOUR, HOUR]);
+      expect(aggregator.claimUsage('child-1', NOW - 4 * HOUR, NOW - 3 * HOUR, NOW)).toEqual([]);
+    });
+
+    test('keeps children separate', () => {
+      aggregator.claimUsage('child-1', NOW - HOUR, NOW, NOW);
+
+      expect(aggregator.claimUsage('child-2', NOW - HOUR, NOW, NOW)).toHaveLength(1);
+    });
+
+    test('prunes claims older than the retention', () => {
+      aggregator = new ChildAggregator({ retention: 24 * HOUR });
+      aggregator.claimUsage('child-1', NOW - 30 * HOUR, NOW - 29 * HOUR, NOW - 28 * HOUR);
+      aggregator.claimUsage('child-1', NOW - HOUR, NOW, NOW);
+
+      expect(aggregator.claimed['child-1']).toEqual([[NOW - HOUR, NOW]]);
+    });
+
+    test('restores persisted claims', () => {
+      aggregator = new ChildAggregator({ claimed: { 'child-1': [[NOW - HOUR, NOW]] } });
+
+      expect(aggregator.claimUsage('child-1', NOW - 2 * HOUR, NOW, NOW).map(p => p.duration)).toEqual([HOUR]);
+    });
+  });
+
+  describe('run', () => {
+    test('runs a child\'s tasks one at a time', async () => {
+      const order = [];
+      let release;
+      const blocker = new Promise(resolve => { release = resolve; });
+
+      const first = aggregator.run('child-1', async () => {
+        order.push('first:start');
+        await blocker;
+        order.push('first:end');
+      });
+      const second = aggregator.run('child-1', async () => order.push('second'));
+      const other = aggregator.run('child-2', async () => order.push('other'));
+
+      await other;
+      release();
+      await Promise.all([first, second]);
+
+      expect(order).toEqual(['first:start', 'other', 'first:end', 'second']);
+    });
+
+    test('keeps going after a task fails', async () => {
+      await expect(aggregator.run('child-1', async () => { throw new Error('offline'); })).rejects.toThrow('offline');
+      await expect(aggregator.run('child-1', async () => 'ok')).resolves.toBe('ok');
+      expect(aggregator.queues.size).toBe(0);
+    });
+  });
+
+  describe('fanOut', () => {
+    test('applies every operation', async () => {
+      const apply = jest.fn().mockResolvedValue();
+      const revert = jest.fn();
+
+      await ChildAggregator.fanOut([{ agentId: 'a' }, { agentId: 'b' }], apply, revert);
+
+      expect(apply).toHaveBeenCalledTimes(2);
+      expect(revert).not.toHaveBeenCalled();
+    });
+
+    test('reverts the operations that succeeded when one fails', async () => {
+      const operations = [{ agentId: 'desktop' }, { agentId: 'deck' }, { agentId: 'laptop' }];
+      const apply = jest.fn(async (operation) => {
+        if (operation.agentId === 'deck') {
+          throw new Error('Agent unreachable');
+        }
+      });
+      const revert = jest.fn().mockResolvedValue();
+
+      const error = await ChildAggregator.fanOut(operations, apply, revert).catch(e => e);
+
+      expect(error.message).toBe('Agent unreachable');
+      expect(error.operation).toBe(operations[1]);
+      expect(error.revertErrors).toEqual([]);
+      expect(revert.mock.calls.map(([operation]) => operation.agentId)).toEqual(['desktop', 'laptop']);
+    });
+
+    test('reports operations that could not be reverted', async () => {
+      const apply = jest.fn(async (operation) => {
+        if (operation.agentId === 'deck') {
+          throw new Error('Agent unreachable');
+        }
+      });
+      const revert = jest.fn().mockRejectedValue(new Error('Also unreachable'));
+
+      const error = await ChildAggregator.fanOut([{ agentId: 'desktop' }, { agentId: 'deck' }], apply, revert).catch(e => e);
+
+      expect(error.revertErrors.map(e => e.message)).toEqual(['Also unreachable']);
+    });
+  });
+
+  test('merge joins overlapping and touching intervals', () => {
+    expect(ChildAggregator.merge([[5, 6], [1, 3], [3, 4], [2, 3]])).toEqual([[1, 4], [5, 6]]);
+  });
+});
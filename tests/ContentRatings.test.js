@@ -0,0 +1,147 @@
+import ContentRatings from '../src/ContentRatings.js';
+import SteamBinaryVDFReader from '../src/SteamBinaryVDFReader.js';
+import fs from 'fs';
+import path from 'path';
+
+const fixtures = path.join(process.cwd(), 'tests', 'fixtures', 'binary');
+
+describe('ContentRatings', () => {
+  let ratings;
+
+  beforeAll(() => {
+    const appInfo = SteamBinaryVDFReader.readAppInfo(fs.readFileSync(path.join(fixtures, 'appinfo-v29.vdf')));
+    ratings = {};
+    for (const [appId, entry] of Object.entries(appInfo.apps)) {
+      ratings[appId] = ContentRatings.fromAppInfo(entry);
+    }
+  });
+
+  describe('fromAppInfo', () => {
+    test('reads ratings with their ages and descriptors', () => {
+      expect(ratings[620]).toEqual({
+        ratings: {
+          pegi: { rating: '12', age: 12, descriptors: ['Violence'] },
+          esrb: { rating: 'e10', age: 10, descriptors: ['Fantasy Violence'] }
+        },
+        descriptors: []
+      });
+    });
+
+    test('reads Steam content descriptors', () => {
+      expect(ratings[730]).toEqual({
+        ratings: { pegi: { rating: '18', age: 18, descriptors: [] } },
+        descriptors: [2, 5]
+      });
+    });
+
+    test('handles apps without ratings', () => {
+      expect(ratings[504230]).toEqual({ ratings: {}, descriptors: [] });
+    });
+
+    test('keeps ratings of unknown systems without an age', () => {
+      const rating = ContentRatings.fromAppInfo({ common: { ratings: { kgrb: { rating: '15' }, steam_germany: '1' } } });
+
+      expect(rating.ratings.kgrb).toEqual({ rating: '15', age: null, descriptors: [] });
+      expect(rating.ratings.steam_germany).toEqual({ rating: '1', age: null, descriptors: [] });
+    });
+  });
+
+  describe('evaluate', () => {
+    let contentRatings;
+
+    beforeEach(() => {
+      contentRatings = new ContentRatings({ ratings });
+    });
+
+    test('blocks games rated above the ceiling', () => {
+      contentRatings.setRule('c1', { system: 'pegi', maxRating: '12' });
+
+      expect(contentRatings.evaluate('c1', '730')).toEqual({
+        blocked: true,
+        unrated: false,
+        reasons: ['Rated PEGI 18, above PEGI 12']
+      });
+      expect(contentRatings.evaluate('c1', '620').blocked).toBe(false);
+    });
+
+    test('blocks games with a blocked content descriptor', () => {
+      contentRatings.setRule('c1', { blockedDescriptors: [5] });
+
+      expect(contentRatings.evaluate('c1', '730').reasons).toEqual(['Content: General Mature Content']);
+      expect(contentRatings.evaluate('c1', '620').blocked).toBe(false);
+    });
+
+    test('gives every reason', () => {
+      contentRatings.setRule('c1', { maxRating: '16', blockedDescriptors: [2, 5] });
+
+      expect(contentRatings.evaluate('c1', '730').reasons).toEqual([
+        'Content: Frequent Violence or Gore',
+        'Content: General Mature Content',
+        'Rated PEGI 18, above PEGI 16'
+      ]);
+    });
+
+    test('compares by the highest rating elsewhere when the game has none in the rule\'s system', () => {
+      contentRatings.setRule('c1', { system: 'esrb', maxRating: 'E' });
+
+      expect(contentRatings.evaluate('c1', '730').reasons).toEqual(['Rated PEGI 18, above ESRB E']);
+      expect(contentRatings.evaluate('c1', '620').reasons).toEqual(['Rated ESRB E10, above ESRB E']);
+    });
+
+    test.each([
+      ['allow', '504230', false, []],
+      ['block', '504230', true, ['No PEGI or other age rating']],
+      ['block', '999', true, ['No rating information']]
+    ])('treats unrated games as %s', (unrated, appId, blocked, reasons) => {
+      contentRatings.setRule('c1', { maxRating: '12', unrated });
+
+      expect(contentRatings.evaluate('c1', appId)).toEqual({ blocked, unrated: true, reasons });
+    });
+
+    test('blocks nothing for children without a rule', () => {
+      expect(contentRatings.evaluate('c2', '730')).toEqual({ blocked: false, unrated: false, reasons: [] });
+      expect(contentRatings.evaluate(null, '730').blocked).toBe(false);
+    });
+
+    test('stops blocking once the rule is removed', () => {
+      contentRatings.setRule('c1', { maxRating: '12' });
+      contentRatings.setRule('c1', null);
+
+      expect(contentRatings.evaluate('c1', '730').blocked).toBe(false);
+      expect(contentRatings.rules).toEqual({});
+    });
+  });
+
+  describe('setRatings', () => {
+    test('returns the games whose rating changed', () => {
+      const contentRatings = new ContentRatings({ ratings: { 620: ratings[620] } });
+
+      expect(contentRatings.setRatings({ 620: ratings[620], 730: ratings[730] })).toEqual(['730']);
+      expect(contentRatings.setRatings({ 730: { ratings: {}, descriptors: [2] } })).toEqual(['730']);
+    });
+  });
+
+  describe('validateRule', () => {
+    test('normalizes a rule', () => {
+      expect(ContentRatings.validateRule({ system: 'OFLC', maxRating: 'MA 15+', blockedDescriptors: [5, 1, 5] }))
+        .toEqual({ system: 'oflc', maxRating: 'ma15', blockedDescriptors: [1, 5], unrated: 'allow' });
+    });
+
+    test('defaults to PEGI without a ceiling', () => {
+      expect(ContentRatings.validateRule({})).toEqual({ system: 'pegi', maxRating: null, blockedDescriptors: [], unrated: 'allow' });
+    });
+
+    test.each([
+      [{ system: 'bbfc' }, 'Unknown rating system: bbfc'],
+      [{ system: 'pegi', maxRating: 'm' }, 'Unknown PEGI rating: m'],
+      [{ blockedDescriptors: [9] }, 'Unknown content descriptor: 9'],
+      [{ unrated: 'ask' }, 'unrated must be allow or block']
+    ])('rejects %j', (rule, message) => {
+      expect(() => ContentRatings.validateRule(rule)).toThrow(message);
+    });
+
+    test('rejects invalid rules passed to the constructor', () => {
+      expect(() => new ContentRatings({ rules: { c1: { system: 'bbfc' } } })).toThrow('Unknown rating system: bbfc');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import GameGroups from '../src/GameGroups.js';
+
+const MINUTE = 60000;
+const START = new Date('2025-03-10T08:00:00Z').getTime();
+
+describe('GameGroups', () => {
+  let groups;
+
+  beforeEach(() => {
+    groups = new GameGroups({ now: () => START });
+  });
+
+  describe('create', () => {
+    test('adds a group with an id', () => {
+      const group = groups.create({ name: '  Competitive ', appIds: [730, '440', 730], verdict: 'block' });
+
+      expect(group).toEqual({
+        id: expect.stringMatching(/^group-/),
+        name: 'Competitive',
+        appIds: ['730', '440'],
+        verdict: 'block',
+        dailyMinutes: null,
+        collection: null
+      });
+      expect(groups.groups[group.id]).toBe(group);
+    });
+
+    test('gives each group its own id', () => {
+      expect(groups.create({ name: 'A' }).id).not.toBe(groups.create({ name: 'B' }).id);
+    });
+
+    test.each([
+      [{}, 'Game group needs a name'],
+      [{ name: 'x'.repeat(61) }, 'Game group names are at most 60 characters'],
+      [{ name: 'A', appIds: ['portal'] }, 'appIds must be a list of app IDs'],
+      [{ name: 'A', appIds: '620' }, 'appIds must be a list of app IDs'],
+      [{ name: 'A', verdict: 'ask' }, 'Invalid verdict: ask'],
+      [{ name: 'A', dailyMinutes: 0 }, 'dailyMinutes must be a whole number from 1 to 1440'],
+      [{ name: 'A', dailyMinutes: 30.5 }, 'dailyMinutes must be a whole number from 1 to 1440'],
+      [{ name: 'A', collection: { id: 'uc-1' } }, 'collection must be { steamId3, id }']
+    ])('rejects %j', (group, message) => {
+      expect(() => groups.create(group)).toThrow(message);
+    });
+  });
+
+  describe('update', () => {
+    test('changes only what is given', () => {
+      const group = groups.create({ name: 'Educational', appIds: ['620'], dailyMinutes: 60 });
+
+      expect(groups.update(group.id, { verdict: 'allow' })).toEqual({ ...group, verdict: 'allow' });
+      expect(groups.update(group.id, { dailyMinutes: null }).dailyMinutes).toBeNull();
+    });
+
+    test('leaves the group as it was when the changes are invalid', () => {
+      const group = groups.create({ name: 'Educational' });
+
+      expect(() => groups.update(group.id, { verdict: 'ask' })).toThrow('Invalid verdict: ask');
+      expect(groups.groups[group.id].verdict).toBe('quota');
+    });
+
+    test('rejects an unknown group', () => {
+      expect(() => groups.update('nope', {})).toThrow('Unknown game group: nope');
+    });
+  });
+
+  test('remove reports whether the group existed', () => {
+    const group = groups.create({ name: 'Educational' });
+
+    expect(groups.remove(group.id)).toBe(true);
+    expect(groups.remove(group.id)).toBe(false);
+    expect(groups.list()).toEqual([]);
+  });
+
+  test('lists groups by name', () => {
+    groups.create({ name: 'Shooters' });
+    groups.create({ name: 'Co-op' });
+
+    expect(groups.list().map(group => group.name)).toEqual(['Co-op', 'Shooters']);
+  });
+
+  describe('evaluate', () => {
+    test('has no verdict for games outside every group', () => {
+      groups.create({ name: 'Competitive', appIds: ['730'], verdict: 'block' });
+
+      expect(groups.evaluate('620')).toEqual({ verdict: null, reasons: [] });
+    });
+
+    test('applies the group verdict', () => {
+      groups.create({ name: 'Educational', appIds: ['620'], verdict: 'allow' });
+      groups.create({ name: 'Competitive', appIds: ['730'], verdict: 'block' });
+
+      expect(groups.evaluate('620')).toEqual({ verdict: 'allow', reasons: [] });
+      expect(groups.evaluate(730)).toEqual({ verdict: 'block', reasons: ['In "Competitive", which is blocked'] });
+    });
+
+    test('blocks a game that is in an allowed and a blocked group', () => {
+      groups.create({ name: 'Educational', appIds: ['620'], verdict: 'allow' });
+      groups.create({ name: 'Co-op', appIds: ['620'], verdict: 'block' });
+
+      expect(groups.evaluate('620').verdict).toBe('block');
+    });
+
+    test('blocks the group once its daily minutes are used up across its games', () => {
+      groups.create({ name: 'Shooters', appIds: ['730', '440'], verdict: 'allow', dailyMinutes: 60 });
+
+      expect(groups.evaluate('730', { 730: 30 * MINUTE, 620: 45 * MINUTE }).verdict).toBe('allow');
+      expect(groups.evaluate('730', { 730: 30 * MINUTE, 440: 30 * MINUTE })).toEqual({
+        verdict: 'block',
+        reasons: ['Daily 60 minutes of "Shooters" used up']
+      });
+    });
+
+    test('leaves games of a group with time left to the quota', () => {
+      groups.create({ name: 'Shooters', appIds: ['730'], dailyMinutes: 60 });
+
+      expect(groups.evaluate('730', { 730: 10 * MINUTE })).toEqual({ verdict: null, reasons: [] });
+    });
+  });
+
+  test('getExhausted lists the groups whose daily minutes are used up', () => {
+    const shooters = groups.create({ name: 'Shooters', appIds: ['730'], dailyMinutes: 30 });
+    groups.create({ name: 'Puzzles', appIds: ['620'], dailyMinutes: 30 });
+    groups.create({ name: 'Unlimited', appIds: ['730'] });
+
+    expect(groups.getExhausted({ 730: 30 * MINUTE, 620: 29 * MINUTE })).toEqual([shooters]);
+  });
+
+  describe('syncCollections', () => {
+    const collection = { steamId3: '52079950', id: 'uc-Qm3vTb8NwK1e' };
+
+    test('updates the games of groups that follow a collection', () => {
+      const group = groups.create({ name: 'Shooters', appIds: ['730'], collection });
+      const other = groups.create({ name: 'Mine', appIds: ['730'] });
+
+      expect(groups.syncCollections([{ ...collection, name: 'Shooters', appIds: ['730', '440'] }])).toEqual([group.id]);
+      expect(group.appIds).toEqual(['730', '440']);
+      expect(other.appIds).toEqual(['730']);
+      expect(groups.syncCollections([{ ...collection, name: 'Shooters', appIds: ['730', '440'] }])).toEqual([]);
+    });
+
+    test('keeps the games of a collection Steam no longer lists', () => {
+      const group = groups.create({ name: 'Shooters', appIds: ['730'], collection });
+
+      expect(groups.syncCollections([{ ...collection, steamId3: '99', name: 'Shooters', appIds: [] }])).toEqual([]);
+      expect(group.appIds).toEqual(['730']);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import GameIdentifier from '../src/GameIdentifier.js';
+
+const games = [
+  { appId: '620', name: 'Portal 2', installDir: 'Portal 2' },
+  { appId: '1091500', name: 'Cyberpunk 2077', installDir: 'Cyberpunk 2077' }
+];
+
+const shortcuts = [
+  { appId: '3735928559', appName: 'Minecraft Launcher', exe: 'C:\\Program Files\\Minecraft\\MinecraftLauncher.exe' },
+  { appId: '2882400001', appName: 'RetroArch', exe: '/usr/bin/retroarch' }
+];
+
+describe('GameIdentifier', () => {
+  let identifier;
+
+  beforeEach(() => {
+    identifier = new GameIdentifier(games, shortcuts);
+  });
+
+  describe('environment', () => {
+    test('uses SteamAppId', () => {
+      expect(identifier.identify({ processName: 'portal2_linux', environment: { SteamAppId: '620' } })).toEqual({
+        appId: '620',
+        gameName: 'Portal 2',
+        method: 'environment',
+        nonSteam: false
+      });
+    });
+
+    test('prefers SteamGameId and decodes shortcut game IDs', () => {
+      // (3735928559 << 32) | 0x02000000
+      const gameId = ((3735928559n << 32n) | 0x02000000n).toString();
+
+      expect(identifier.identify({ env: { SteamGameId: gameId, SteamAppId: '0' } })).toEqual({
+        appId: '3735928559',
+        gameName: 'Minecraft Launcher',
+        method: 'environment',
+        nonSteam: true
+      });
+    });
+
+    test('ignores zero IDs', () => {
+      expect(identifier.identify({ environment: { SteamAppId: '0', SteamGameId: '0' } })).toBeNull();
+    });
+  });
+
+  test('reads the AppId= argument of reaper', () => {
+    const commandLine = ['/home/sam/.steam/steam/ubuntu12_32/reaper', 'SteamLaunch', 'AppId=1091500', '--',
+      '/home/sam/.steam/steam/steamapps/common/SteamLinuxRuntime_sniper/_v2-entry-point'];
+
+    expect(identifier.identify({ processName: 'reaper', commandLine })).toMatchObject({
+      appId: '1091500',
+      gameName: 'Cyberpunk 2077',
+      method: 'reaper'
+    });
+  });
+
+  test('matches native games by install directory, ignoring case', () => {
+    expect(identifier.identify({
+      processName: 'portal2.exe',
+      processPath: 'D:\\SteamLibrary\\SteamApps\\common\\portal 2\\portal2.exe'
+    })).toMatchObject({ appId: '620', method: 'install-dir' });
+  });
+
+  test('matches Proton games by their Wine path', () => {
+    expect(identifier.identify({
+      processName: 'Cyberpunk2077.exe',
+      processPath: 'Z:\\home\\sam\\.local\\share\\Steam\\steamapps\\common\\Cyberpunk 2077\\bin\\x64\\Cyberpunk2077.exe'
+    })).toMatchObject({ appId: '1091500', gameName: 'Cyberpunk 2077', method: 'install-dir' });
+  });
+
+  test('matches Proton processes by their compatdata prefix', () => {
+    expect(identifier.identify({
+      processName: 'wineserver',
+      commandLine: '/home/sam/.local/share/Steam/steamapps/compatdata/1091500/pfx/drive_c/windows/system32/services.exe'
+    })).toMatchObject({ appId: '1091500', method: 'compatdata' });
+  });
+
+  test('reports games that are not installed here without a name', () => {
+    expect(identifier.identify({ commandLine: 'reaper SteamLaunch AppId=440 -- hl2_linux' })).toEqual({
+      appId: '440',
+      gameName: null,
+      method: 'reaper',
+      nonSteam: false
+    });
+  });
+
+  test('matches non-Steam shortcuts by executable', () => {
+    expect(identifier.identify({ processName: 'retroarch', processPath: '/usr/bin/retroarch' })).toMatchObject({
+      appId: '2882400001',
+      method: 'shortcut',
+      nonSteam: true
+    });
+    expect(identifier.identify({
+      processName: 'MinecraftLauncher.exe',
+      commandLine: '"C:\\Program Files\\Minecraft\\MinecraftLauncher.exe" --workDir x'
+    })).toMatchObject({ appId: '3735928559', method: 'shortcut' });
+  });
+
+  test('returns null for unrelated processes and unknown install directories', () => {
+    expect(identifier.identify({ processName: 'firefox', processPath: '/usr/lib/firefox/firefox' })).toBeNull();
+    expect(identifier.identify({ processPath: '/games/steamapps/common/Unknown Game/game' })).toBeNull();
+    expect(identifier.identify({ processName: 'steam' })).toBeNull();
+  });
+
+  test('setGames replaces the installed games', () => {
+    identifier.setGames([]);
+
+    expect(identifier.identify({ processPath: 'C:/Steam/steamapps/common/Portal 2/portal2.exe' })).toBeNull();
+  });
+});
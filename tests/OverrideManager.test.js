@@ -0,0 +1,248 @@
+import { jest } from '@jest/globals';
+import OverrideManager from '../src/OverrideManager.js';
+
+const MINUTE = 60000;
+const START = new Date('2025-03-10T08:00:00Z').getTime();
+
+describe('OverrideManager', () => {
+  let now;
+  let manager;
+
+  beforeEach(() => {
+    now = START;
+    manager = new OverrideManager({ now: () => now });
+  });
+
+  afterEach(() => {
+    manager.stop();
+    jest.useRealTimers();
+  });
+
+  describe('request', () => {
+    test('records a pending request', () => {
+      const requested = jest.fn();
+      manager.on('requested', requested);
+
+      const request = manager.request({ childId: 'c1', agentId: 'a1', minutes: 30, reason: '  Finishing a match ', source: 'agent' });
+
+      expect(request).toMatchObject({
+        childId: 'c1',
+        agentId: 'a1',
+        minutes: 30,
+        reason: 'Finishing a match',
+        source: 'agent',
+        status: 'pending',
+        requestedAt: START
+      });
+      expect(requested).toHaveBeenCalledWith(request);
+      expect(manager.overrides.requests).toEqual([request]);
+    });
+
+    test('returns the request already waiting instead of adding another', () => {
+      const requested = jest.fn();
+      const first = manager.request({ childId: 'c1', minutes: 30 });
+      manager.on('requested', requested);
+
+      expect(manager.request({ childId: 'c1', minutes: 60 })).toBe(first);
+      expect(requested).not.toHaveBeenCalled();
+      expect(manager.list()).toHaveLength(1);
+    });
+
+    test('treats requests from unknown sources as posted to the plugin', () => {
+      expect(manager.request({ childId: 'c1', minutes: 10, source: 'email' }).source).toBe('plugin');
+    });
+
+    test.each([
+      [{ minutes: 30 }, 'Override request needs a child'],
+      [{ childId: 'c1', minutes: 0 }, 'minutes must be a whole number from 1 to 240'],
+      [{ childId: 'c1', minutes: 241 }, 'minutes must be a whole number from 1 to 240'],
+      [{ childId: 'c1', minutes: 2.5 }, 'minutes must be a whole number from 1 to 240'],
+      [{ childId: 'c1', minutes: '30' }, 'minutes must be a whole number from 1 to 240']
+    ])('rejects %j', (request, message) => {
+      expect(() => manager.request(request)).toThrow(message);
+    });
+  });
+
+  describe('approve', () => {
+    test('grants the minutes asked for', () => {
+      const approved = jest.fn();
+      const change = jest.fn();
+      manager.on('approved', approved);
+      manager.on('change', change);
+      const request = manager.request({ childId: 'c1', minutes: 30 });
+
+      now += MINUTE;
+      const override = manager.approve(request.id, { note: 'Just this once' });
+
+      expect(override).toEqual({
+        childId: 'c1',
+        requestId: request.id,
+        minutes: 30,
+        grantedAt: START + MINUTE,
+        until: START + 31 * MINUTE
+      });
+      expect(request).toMatchObject({
+        status: 'approved',
+        decidedAt: START + MINUTE,
+        grantedMinutes: 30,
+        until: START + 31 * MINUTE,
+        note: 'Just this once'
+      });
+      expect(approved).toHaveBeenCalledWith(request, override);
+      expect(change).toHaveBeenCalledWith('c1');
+      expect(manager.getActive('c1')).toBe(override);
+    });
+
+    test('lets the parent change the minutes', () => {
+      const request = manager.request({ childId: 'c1', minutes: 60 });
+
+      expect(manager.approve(request.id, { minutes: 15 }).until).toBe(START + 15 * MINUTE);
+      expect(request.grantedMinutes).toBe(15);
+    });
+
+    test('adds to extra time that is still running', () => {
+      manager.approve(manager.request({ childId: 'c1', minutes: 30 }).id);
+
+      now += 20 * MINUTE;
+      const override = manager.approve(manager.request({ childId: 'c1', minutes: 15 }).id);
+
+      expect(override).toMatchObject({ minutes: 45, grantedAt: START, until: START + 45 * MINUTE });
+    });
+
+    test('starts again once earlier extra time has run out', () => {
+      manager.approve(manager.request({ childId: 'c1', minutes: 30 }).id);
+
+      now += 60 * MINUTE;
+      const override = manager.approve(manager.request({ childId: 'c1', minutes: 15 }).id);
+
+      expect(override).toMatchObject({ minutes: 15, grantedAt: now, until: now + 15 * MINUTE });
+    });
+
+    test('rejects a request that was already decided', () => {
+      const request = manager.request({ childId: 'c1', minutes: 30 });
+      manager.deny(request.id);
+
+      expect(() => manager.approve(request.id)).toThrow(`Override request ${request.id} was already denied`);
+      expect(manager.getActive('c1')).toBeNull();
+    });
+
+    test('rejects an unknown request', () => {
+      expect(() => manager.approve('nope')).toThrow('Unknown override request: nope');
+    });
+
+    test('rejects invalid minutes and leaves the request pending', () => {
+      const request = manager.request({ childId: 'c1', minutes: 30 });
+
+      expect(() => manager.approve(request.id, { minutes: 500 })).toThrow('minutes must be a whole number from 1 to 240');
+      expect(request.status).toBe('pending');
+    });
+  });
+
+  describe('deny', () => {
+    test('turns the request down without granting time', () => {
+      const denied = jest.fn();
+      const change = jest.fn();
+      manager.on('denied', denied);
+      manager.on('change', change);
+      const request = manager.request({ childId: 'c1', minutes: 30 });
+
+      manager.deny(request.id, { note: 'Homework first' });
+
+      expect(request).toMatchObject({ status: 'denied', decidedAt: START, note: 'Homework first' });
+      expect(denied).toHaveBeenCalledWith(request);
+      expect(change).not.toHaveBeenCalled();
+      expect(manager.getActive('c1')).toBeNull();
+    });
+
+    test('lets the child ask again', () => {
+      const request = manager.request({ childId: 'c1', minutes: 30 });
+      manager.deny(request.id);
+
+      expect(manager.request({ childId: 'c1', minutes: 10 })).not.toBe(request);
+    });
+  });
+
+  describe('revoke', () => {
+    test('ends extra time early', () => {
+      const ended = jest.fn();
+      manager.on('ended', ended);
+      const override = manager.approve(manager.request({ childId: 'c1', minutes: 30 }).id);
+
+      expect(manager.revoke('c1')).toBe(true);
+      expect(ended).toHaveBeenCalledWith('c1', override, 'revoked');
+      expect(manager.getActive('c1')).toBeNull();
+    });
+
+    test('does nothing without extra time running', () => {
+      expect(manager.revoke('c1')).toBe(false);
+    });
+  });
+
+  describe('list', () => {
+    test('filters by child and status, newest first', () => {
+      const first = manager.request({ childId: 'c1', minutes: 30 });
+      manager.deny(first.id);
+      now += MINUTE;
+      const second = manager.request({ childId: 'c1', minutes: 10 });
+      const other = manager.request({ childId: 'c2', minutes: 20 });
+
+      expect(manager.list()).toEqual([other, second, first]);
+      expect(manager.list({ childId: 'c1' })).toEqual([second, first]);
+      expect(manager.list({ status: 'pending' })).toEqual([other, second]);
+    });
+
+    test('keeps the last 100 decided requests and every pending one', () => {
+      const pending = manager.request({ childId: 'waiting', minutes: 5 });
+      for (let i = 0; i < 105; i++) {
+        manager.deny(manager.request({ childId: 'c1', minutes: 5 }).id);
+      }
+
+      expect(manager.list({ status: 'denied' })).toHaveLength(100);
+      expect(manager.list({ status: 'pending' })).toEqual([pending]);
+    });
+  });
+
+  describe('expiry', () => {
+    test('ends extra time when it runs out', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(START);
+      manager = new OverrideManager();
+      const ended = jest.fn();
+      const change = jest.fn();
+      manager.on('ended', ended);
+      manager.start();
+      manager.on('change', change);
+
+      manager.approve(manager.request({ childId: 'c1', minutes: 30 }).id);
+      change.mockClear();
+
+      jest.advanceTimersByTime(29 * MINUTE);
+      expect(ended).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(MINUTE);
+      expect(ended).toHaveBeenCalledWith('c1', expect.objectContaining({ minutes: 30 }), 'expired');
+      expect(change).toHaveBeenCalledWith('c1');
+      expect(manager.overrides.active).toEqual({});
+    });
+
+    test('restores extra time from state and ends what ran out while stopped', () => {
+      const overrides = {
+        requests: [],
+        active: {
+          c1: { childId: 'c1', requestId: 'r1', minutes: 30, grantedAt: START - 40 * MINUTE, until: START - 10 * MINUTE },
+          c2: { childId: 'c2', requestId: 'r2', minutes: 30, grantedAt: START - 10 * MINUTE, until: START + 20 * MINUTE }
+        }
+      };
+      manager = new OverrideManager({ overrides, now: () => now });
+      const ended = jest.fn();
+      manager.on('ended', ended);
+
+      manager.start();
+
+      expect(ended).toHaveBeenCalledTimes(1);
+      expect(ended).toHaveBeenCalledWith('c1', expect.objectContaining({ requestId: 'r1' }), 'expired');
+      expect(manager.getActive('c2')).toMatchObject({ requestId: 'r2' });
+      expect(manager.overrides).toBe(overrides);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { jest } from '@jest/globals';
+import PolicyProvisioner from '../src/PolicyProvisioner.js';
+
+const PLUGIN = '@allow2/allow2automate-steam';
+
+// In-memory agent service: policies per agent, updated in place like the real service
+const createAgentService = (initial = {}) => {
+  const policies = JSON.parse(JSON.stringify(initial));
+
+  return {
+    policies,
+    listPolicies: jest.fn(async (agentId) => JSON.parse(JSON.stringify(policies[agentId] || []))),
+    createPolicy: jest.fn(async (agentId, policy) => {
+      policies[agentId] = policies[agentId] || [];
+      policies[agentId].push(JSON.parse(JSON.stringify(policy)));
+    }),
+    updatePolicy: jest.fn(async (agentId, update) => {
+      for (const policy of policies[agentId] || []) {
+        if (policy.processName === update.processName) {
+          Object.assign(policy, { ...update, metadata: { ...policy.metadata, ...update.metadata } });
+        }
+      }
+    }),
+    deletePolicy: jest.fn(async (agentId, processName) => {
+      policies[agentId] = (policies[agentId] || []).filter(policy => policy.processName !== processName);
+    })
+  };
+};
+
+const definitions = () => [
+  {
+    processName: 'steam',
+    processAlternatives: ['steam', 'steamwebhelper', 'reaper'],
+    allowed: false,
+    checkInterval: 30000,
+    actions: { onDetected: 'check-quota' },
+    metadata: { plugin: PLUGIN, category: 'gaming', platform: 'linux' }
+  },
+  {
+    processName: 'portal2_linux',
+    allowed: false,
+    checkInterval: 30000,
+    actions: { onDetected: 'check-quota' },
+    metadata: { plugin: PLUGIN, category: 'gaming', platform: 'linux', appId: '620', gameName: 'Portal 2', verdict: 'quota' }
+  }
+];
+
+describe('PolicyProvisioner', () => {
+  let agentService;
+  let provisioner;
+
+  beforeEach(() => {
+    agentService = createAgentService();
+    provisioner = new PolicyProvisioner(agentService);
+  });
+
+  test('creates missing policies at version 1', async () => {
+    const result = await provisioner.provision('deck', definitions());
+
+    expect(agentService.createPolicy).toHaveBeenCalledTimes(2);
+    expect(result.policies.steam).toEqual({ action: 'created', version: 1, allowed: false });
+    expect(agentService.policies.deck[0].metadata).toMatchObject({ policyVersion: 1, definitionHash: expect.any(String) });
+  });
+
+  test('a restart neither duplicates policies nor resets allowed', async () => {
+    await provisioner.provision('deck', definitions());
+    await agentService.updatePolicy('deck', { processName: 'steam', allowed: true });
+    agentService.createPolicy.mockClear();
+
+    const result = await provisioner.provision('deck', definitions());
+
+    expect(agentService.createPolicy).not.toHaveBeenCalled();
+    expect(agentService.updatePolicy).toHaveBeenCalledTimes(1);
+    expect(agentService.policies.deck).toHaveLength(2);
+    expect(agentService.policies.deck[0].allowed).toBe(true);
+    expect(result.policies.steam).toEqual({ action: 'unchanged', version: 1, allowed: true });
+  });
+
+  test('bumps the version when a definition changes, keeping allowed', async () => {
+    await provisioner.provision('deck', definitions());
+    await agentService.updatePolicy('deck', { processName: 'steam', allowed: true });
+    agentService.updatePolicy.mockClear();
+
+    const changed = definitions();
+    changed[0].checkInterval = 60000;
+    const result = await provisioner.provision('deck', changed);
+
+    expect(result.policies.steam).toEqual({ action: 'updated', version: 2, allowed: true });
+    expect(result.policies.portal2_linux.action).toBe('unchanged');
+    expect(agentService.updatePolicy).toHaveBeenCalledTimes(1);
+    expect(agentService.updatePolicy.mock.calls[0][1]).not.toHaveProperty('allowed');
+    expect(agentService.policies.deck[0]).toMatchObject({ allowed: true, checkInterval: 60000, metadata: { policyVersion: 2 } });
+  });
+
+  test('collapses duplicates left by earlier versions into one policy', async () => {
+    const [steam] = definitions();
+    agentService = createAgentService({ deck: [{ ...steam, allowed: true }, steam, steam] });
+    provisioner = new PolicyProvisioner(agentService);
+
+    const result = await provisioner.provision('deck', [steam]);
+
+    expect(result.policies.steam).toEqual({ action: 'replaced', version: 1, allowed: true });
+    expect(agentService.policies.deck).toHaveLength(1);
+    expect(agentService.policies.deck[0].allowed).toBe(true);
+  });
+
+  test('creates its own policy next to another plugin\'s policy with the same process name', async () => {
+    const [steam] = definitions();
+    const other = { processName: 'steam', allowed: true, metadata: { plugin: '@allow2/allow2automate-launcher' } };
+    agentService = createAgentService({ deck: [other] });
+    provisioner = new PolicyProvisioner(agentService);
+
+    const result = await provisioner.provision('deck', [steam]);
+
+    expect(result.policies.steam).toEqual({ action: 'created', version: 1, allowed: false });
+    expect(agentService.updatePolicy).not.toHaveBeenCalled();
+    expect(agentService.deletePolicy).not.toHaveBeenCalled();
+    expect(agentService.policies.deck[0]).toEqual(other);
+  });
+
+  test('puts back other plugins\' policies when collapsing its duplicates', async () => {
+    const [steam] = definitions();
+    const other = { processName: 'steam', allowed: true, metadata: { plugin: '@allow2/allow2automate-launcher' } };
+    agentService = createAgentService({ deck: [other, steam, steam] });
+    provisioner = new PolicyProvisioner(agentService);
+
+    const result = await provisioner.provision('deck', [steam]);
+
+    expect(result.policies.steam).toEqual({ action: 'replaced', version: 1, allowed: false });
+    expect(agentService.policies.deck).toHaveLength(2);
+    expect(agentService.policies.deck[0]).toEqual(other);
+    expect(agentService.policies.deck[1].metadata.plugin).toBe(PLUGIN);
+  });
+
+  test('removes its own policies without a definition and leaves other plugins alone', async () => {
+    agentService = createAgentService({
+      deck: [
+        { processName: 'hl2_linux', metadata: { plugin: PLUGIN, appId: '440' } },
+        { processName: 'minecraft', metadata: { plugin: '@allow2/allow2automate-minecraft' } }
+      ]
+    });
+    provisioner = new PolicyProvisioner(agentService);
+
+    const result = await provisioner.provision('deck', definitions());
+
+    expect(result.removed).toEqual(['hl2_linux']);
+    expect(agentService.policies.deck.map(policy => policy.processName)).toEqual(['minecraft', 'steam', 'portal2_linux']);
+  });
+
+  test('provisionPolicy only touches the given policy', async () => {
+    agentService = createAgentService({ deck: [{ processName: 'hl2_linux', metadata: { plugin: PLUGIN } }] });
+    provisioner = new PolicyProvisioner(agentService);
+    const [, portal] = definitions();
+
+    expect(await provisioner.provisionPolicy('deck', portal)).toEqual({ action: 'created', version: 1, allowed: false });
+    expect(await provisioner.provisionPolicy('deck', portal)).toEqual({ action: 'unchanged', version: 1, allowed: false });
+    expect(agentService.policies.deck).toHaveLength(2);
+  });
+
+  test('propagates agent service errors', async () => {
+    agentService.listPolicies.mockRejectedValue(new Error('Agent offline'));
+
+    await expect(provisioner.provision('deck', definitions())).rejects.toThrow('Agent offline');
+  });
+
+  test('listOwn returns this plugin\'s policies by process name', async () => {
+    agentService = createAgentService({
+      deck: [
+        { processName: 'steam', allowed: true, metadata: { plugin: 'other-plugin' } },
+        { processName: 'steam', allowed: false, metadata: { plugin: PLUGIN } },
+        { processName: 'hl2_linux', metadata: { plugin: 'other-plugin' } }
+      ]
+    });
+    provisioner = new PolicyProvisioner(agentService);
+
+    const own = await provisioner.listOwn('deck');
+
+    expect([...own.keys()]).toEqual(['steam']);
+    expect(own.get('steam').allowed).toBe(false);
+  });
+
+  describe('without listPolicies', () => {
+    beforeEach(() => {
+      delete agentService.listPolicies;
+    });
+
+    test('creates every policy', async () => {
+      const result = await provisioner.provision('deck', definitions());
+
+      expect(agentService.createPolicy).toHaveBeenCalledTimes(2);
+      expect(result.policies.steam).toEqual({ action: 'created', version: 1, allowed: false });
+      expect(result.removed).toEqual([]);
+      expect(agentService.policies.deck[0].metadata).toMatchObject({ policyVersion: 1, definitionHash: expect.any(String) });
+    });
+
+    test('updates policies the agent already has, leaving allowed alone', async () => {
+      agentService.createPolicy.mockRejectedValueOnce(new Error('Policy exists'));
+      const [, portal] = definitions();
+
+      expect(await provisioner.provisionPolicy('deck', portal)).toEqual({ action: 'updated', version: 1, allowed: null });
+      expect(agentService.updatePolicy).toHaveBeenCalledWith('deck', expect.not.objectContaining({ allowed: expect.anything() }));
+      expect(agentService.updatePolicy.mock.calls[0][1]).toMatchObject({ processName: 'portal2_linux', metadata: { verdict: 'quota' } });
+    });
+
+    test('listOwn cannot say what the agent has', async () => {
+      await expect(provisioner.listOwn('deck')).resolves.toBeNull();
+    });
+  });
+
+  describe('hashDefinition', () => {
+    test('ignores runtime state, version and key order', () => {
+      const [steam] = definitions();
+      const reordered = {
+        metadata: { platform: 'linux', category: 'gaming', plugin: PLUGIN, policyVersion: 7, definitionHash: 'x' },
+        actions: { onDetected: 'check-quota' },
+        checkInterval: 30000,
+        allowed: true,
+        allowedUntil: 123,
+        processAlternatives: ['steam', 'steamwebhelper', 'reaper'],
+        processName: 'steam'
+      };
+
+      expect(PolicyProvisioner.hashDefinition(reordered)).toBe(PolicyProvisioner.hashDefinition(steam));
+    });
+
+    test('changes with the definition', () => {
+      const [steam] = definitions();
+
+      expect(PolicyProvisioner.hashDefinition({ ...steam, processAlternatives: ['steam'] }))
+        .not.toBe(PolicyProvisioner.hashDefinition(steam));
+    });
+  });
+});
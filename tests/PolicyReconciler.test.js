@@ -0,0 +1,209 @@
+import { jest } from '@jest/globals';
+import PolicyReconciler from '../src/PolicyReconciler.js';
+
+const NOW = Date.UTC(2025, 5, 2, 12);
+
+describe('PolicyReconciler', () => {
+  let apply;
+  let online;
+  let reconciler;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    apply = jest.fn().mockResolvedValue();
+    online = true;
+    reconciler = new PolicyReconciler({
+      apply,
+      isOnline: async () => online,
+      baseDelay: 1000,
+      maxDelay: 60000,
+      maxAttempts: 3
+    });
+  });
+
+  afterEach(() => {
+    reconciler.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('merges desired updates per policy', () => {
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: true, allowedUntil: 5 }], null, NOW);
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }, { processName: 'portal2', allowed: false }], null, NOW);
+
+    expect(reconciler.queue.deck.desired).toEqual({
+      steam: { processName: 'steam', allowed: false, allowedUntil: 5 },
+      portal2: { processName: 'portal2', allowed: false }
+    });
+    expect(reconciler.queue.deck.nextAttemptAt).toBe(NOW + 1000);
+  });
+
+  test('removes the entry once the agent converges', async () => {
+    const changes = [];
+    reconciler.on('change', agentId => changes.push(agentId));
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], 'Agent offline', NOW);
+
+    await expect(reconciler.reconcile('deck', NOW)).resolves.toBe(true);
+
+    expect(apply).toHaveBeenCalledWith('deck', { steam: { processName: 'steam', allowed: false } });
+    expect(reconciler.queue).toEqual({});
+    expect(changes).toEqual(['deck', 'deck']);
+  });
+
+  test('backs off exponentially and gives up after maxAttempts', async () => {
+    apply.mockRejectedValue(new Error('Agent rejected policy'));
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], null, NOW);
+
+    await reconciler.reconcile('deck', NOW);
+    expect(reconciler.queue.deck).toMatchObject({ status: 'pending', attempts: 1, nextAttemptAt: NOW + 2000 });
+
+    await reconciler.reconcile('deck', NOW);
+    expect(reconciler.queue.deck.nextAttemptAt).toBe(NOW + 4000);
+
+    await reconciler.reconcile('deck', NOW);
+    expect(reconciler.queue.deck).toMatchObject({
+      status: 'failed',
+      attempts: 3,
+      nextAttemptAt: null,
+      lastError: 'Agent rejected policy'
+    });
+  });
+
+  test('caps the delay at maxDelay', () => {
+    expect(reconciler.getDelay(10)).toBe(60000);
+  });
+
+  test('waits for offline agents without using up attempts', async () => {
+    online = false;
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], null, NOW);
+
+    await expect(reconciler.reconcile('deck', NOW)).resolves.toBe(false);
+
+    expect(apply).not.toHaveBeenCalled();
+    expect(reconciler.queue.deck).toMatchObject({ attempts: 0, offline: true, lastError: 'Agent offline', nextAttemptAt: NOW + 60000 });
+  });
+
+  test('agentSeen converges agents that were offline but not ones on backoff', async () => {
+    online = false;
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], null, NOW);
+    await reconciler.reconcile('deck', NOW);
+
+    online = true;
+    reconciler.agentSeen('deck');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(reconciler.queue.deck).toBeUndefined();
+
+    apply.mockRejectedValue(new Error('Agent rejected policy'));
+    reconciler.setDesired('desktop', [{ processName: 'steam', allowed: false }], null, NOW);
+    await reconciler.reconcile('desktop', NOW);
+    apply.mockClear();
+
+    reconciler.agentSeen('desktop');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(apply).not.toHaveBeenCalled();
+  });
+
+  test('a manual retry resets a failed entry', async () => {
+    apply.mockRejectedValueOnce(new Error('no')).mockRejectedValueOnce(new Error('no')).mockRejectedValueOnce(new Error('no'));
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], null, NOW);
+    for (let i = 0; i < 3; i++) {
+      await reconciler.reconcile('deck', NOW);
+    }
+    expect(reconciler.queue.deck.status).toBe('failed');
+
+    await expect(reconciler.reconcile('deck', NOW)).resolves.toBe(true);
+    expect(reconciler.queue.deck).toBeUndefined();
+  });
+
+  test('keeps desired state queued while the agent was being converged', async () => {
+    apply.mockImplementation(async () => {
+      reconciler.setDesired('deck', [{ processName: 'steam', allowed: true }], null, NOW);
+    });
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], null, NOW);
+
+    await reconciler.reconcile('deck', NOW);
+
+    expect(reconciler.queue.deck.desired.steam.allowed).toBe(true);
+  });
+
+  test('resolve drops applied policies', () => {
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }, { processName: 'portal2', allowed: false }], null, NOW);
+
+    reconciler.resolve('deck', ['steam']);
+    expect(Object.keys(reconciler.queue.deck.desired)).toEqual(['portal2']);
+
+    reconciler.resolve('deck');
+    expect(reconciler.queue.deck).toBeUndefined();
+  });
+
+  test('retries due entries on a timer once started', async () => {
+    jest.useFakeTimers();
+    try {
+      reconciler.start();
+      reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }]);
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(apply).toHaveBeenCalledTimes(1);
+      expect(reconciler.queue).toEqual({});
+    } finally {
+      reconciler.stop();
+      jest.useRealTimers();
+    }
+  });
+
+  test('lists entries for display', () => {
+    reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], 'Agent offline', NOW);
+
+    expect(reconciler.list()).toEqual([expect.objectContaining({
+      agentId: 'deck',
+      status: 'pending',
+      lastError: 'Agent offline',
+      policies: [{ processName: 'steam', allowed: false }]
+    })]);
+  });
+
+  describe('with the agent\'s policies', () => {
+    test('passes what the agent holds to apply', async () => {
+      const policies = new Map([['steam', { processName: 'steam', allowed: true }]]);
+      const getPolicies = jest.fn().mockResolvedValue(policies);
+      reconciler = new PolicyReconciler({ apply, getPolicies, baseDelay: 1000 });
+      reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], null, NOW);
+
+      await expect(reconciler.reconcile('deck', NOW)).resolves.toBe(true);
+
+      expect(getPolicies).toHaveBeenCalledWith('deck');
+      expect(apply).toHaveBeenCalledWith('deck', { steam: { processName: 'steam', allowed: false } }, policies);
+    });
+
+    test('counts an agent that cannot list its policies as an attempt', async () => {
+      reconciler = new PolicyReconciler({ apply, getPolicies: jest.fn().mockRejectedValue(new Error('Agent busy')), baseDelay: 1000 });
+      reconciler.setDesired('deck', [{ processName: 'steam', allowed: false }], null, NOW);
+
+      await expect(reconciler.reconcile('deck', NOW)).resolves.toBe(false);
+
+      expect(apply).not.toHaveBeenCalled();
+      expect(reconciler.queue.deck).toMatchObject({ attempts: 1, lastError: 'Agent busy' });
+    });
+
+    test('isApplied compares every field of the update with the agent\'s policy', () => {
+      const policy = {
+        processName: 'portal2',
+        allowed: false,
+        actions: { onViolation: 'kill-process', onDetected: 'enforce' },
+        metadata: { plugin: '@allow2/allow2automate-steam', verdict: 'block' }
+      };
+      const update = {
+        processName: 'portal2',
+        allowed: false,
+        allowedUntil: null,
+        actions: { onDetected: 'enforce', onViolation: 'kill-process' },
+        metadata: { verdict: 'block' }
+      };
+
+      expect(PolicyReconciler.isApplied(policy, update)).toBe(true);
+      expect(PolicyReconciler.isApplied({ ...policy, allowed: true }, update)).toBe(false);
+      expect(PolicyReconciler.isApplied({ ...policy, metadata: { verdict: 'quota' } }, update)).toBe(false);
+      expect(PolicyReconciler.isApplied(undefined, update)).toBe(false);
+    });
+  });
+});
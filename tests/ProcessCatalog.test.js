@@ -0,0 +1,151 @@
+import ProcessCatalog from '../src/ProcessCatalog.js';
+import catalogData from '../src/steam-processes.json';
+
+describe('ProcessCatalog', () => {
+  let catalog;
+
+  beforeEach(() => {
+    catalog = new ProcessCatalog();
+  });
+
+  test('carries the catalog version', () => {
+    expect(catalog.version).toBe(catalogData.version);
+  });
+
+  test('every built-in entry is valid', () => {
+    for (const entry of catalogData.entries) {
+      expect(() => ProcessCatalog.validateEntry(entry)).not.toThrow();
+    }
+  });
+
+  describe('getProcessNames', () => {
+    test('lists the client first for each platform', () => {
+      expect(catalog.getProcessNames('win32')).toEqual(['Steam.exe', 'steamwebhelper.exe', 'gameoverlayui.exe']);
+      expect(catalog.getProcessNames('darwin')).toEqual(['steam_osx', 'Steam.app', 'steamwebhelper']);
+      expect(catalog.getProcessNames('linux')).toEqual(['steam', 'steam.sh', 'steamwebhelper', 'reaper']);
+    });
+
+    test('falls back to Windows for unknown platforms', () => {
+      expect(catalog.getProcessNames('freebsd')).toEqual(catalog.getProcessNames('win32'));
+    });
+
+    test('includes custom entries but keeps the built-in client first', () => {
+      catalog.setCustomEntries([
+        { id: 'custom-1', label: 'Launcher', platforms: ['linux'], role: 'client', processName: 'steam-launcher', match: [{ type: 'exact', value: 'steam-launcher' }] }
+      ]);
+
+      expect(catalog.getProcessNames('linux')).toEqual(['steam', 'steam-launcher', 'steam.sh', 'steamwebhelper', 'reaper']);
+      expect(catalog.getProcessNames('win32')).not.toContain('steam-launcher');
+    });
+  });
+
+  describe('match', () => {
+    test('matches Windows names in any case', () => {
+      expect(catalog.match({ processName: 'steam.EXE' }, 'win32').id).toBe('windows-client');
+      expect(catalog.match({ processPath: 'C:\\Program Files (x86)\\Steam\\steamwebhelper.exe' }, 'win32').id).toBe('windows-webhelper');
+    });
+
+    test('exact rules are case sensitive', () => {
+      expect(catalog.match({ processName: 'Steam' }, 'linux')).toBeNull();
+      expect(catalog.match({ processName: 'steam' }, 'linux').id).toBe('linux-client');
+    });
+
+    test('matches ubuntu12_32/steam by path', () => {
+      const entry = catalog.match({ processName: 'steam-runtime', processPath: '/home/kid/.local/share/Steam/ubuntu12_32/steam' }, 'linux');
+
+      expect(entry.id).toBe('linux-client');
+    });
+
+    test('matches steam.sh run through a shell', () => {
+      const entry = catalog.match({ processName: 'bash', commandLine: '/bin/bash /home/kid/.local/share/Steam/steam.sh -silent' }, 'linux');
+
+      expect(entry.id).toBe('linux-launcher-script');
+    });
+
+    test('matches the Flatpak and Snap variants', () => {
+      expect(catalog.match({ processName: 'flatpak', commandLine: ['flatpak', 'run', 'com.valvesoftware.Steam'] }, 'linux').id).toBe('linux-flatpak');
+      expect(catalog.match({
+        processName: 'steam',
+        processPath: '/home/kid/.var/app/com.valvesoftware.Steam/.local/share/Steam/ubuntu12_32/steam'
+      }, 'linux').id).toBe('linux-flatpak');
+      expect(catalog.match({ processName: 'steam', processPath: '/snap/steam/189/usr/lib/steam/bin_steam.sh' }, 'linux').id).toBe('linux-snap');
+    });
+
+    test('matches the Steam Deck Game Mode session and client', () => {
+      expect(catalog.match({ processName: 'gamescope-session-plus' }, 'linux')).toMatchObject({ role: 'session', enforce: false });
+      expect(catalog.match({ processName: 'steam', commandLine: 'steam -steamdeck -steamos3 -gamepadui' }, 'linux').id).toBe('steamdeck-gamepadui');
+    });
+
+    test('only matches entries for the agent platform', () => {
+      expect(catalog.match({ processName: 'reaper' }, 'win32')).toBeNull();
+      expect(catalog.match({ processName: 'steam_osx' }, 'linux')).toBeNull();
+    });
+
+    test('does not match unrelated processes', () => {
+      expect(catalog.match({ processName: 'steamy-notes' }, 'linux')).toBeNull();
+      expect(catalog.match({}, 'linux')).toBeNull();
+    });
+
+    test('checks custom entries first', () => {
+      catalog.setCustomEntries([
+        { id: 'custom-1', label: 'School Steam', platforms: ['win32'], role: 'client', match: [{ type: 'path-glob', value: 'D:/Games/**/steam.exe' }] }
+      ]);
+
+      expect(catalog.match({ processName: 'Steam.exe', processPath: 'd:\\games\\Steam\\steam.exe' }, 'win32')).toMatchObject({ id: 'custom-1', custom: true });
+    });
+  });
+
+  describe('getRules', () => {
+    test('includes rules of blocked entries only', () => {
+      const rules = catalog.getRules('linux');
+
+      expect(rules).toContainEqual({ id: 'linux-flatpak', type: 'argument', value: 'com.valvesoftware.Steam' });
+      expect(rules.some(rule => rule.id === 'steamdeck-gamescope-session')).toBe(false);
+    });
+  });
+
+  describe('validateEntry', () => {
+    test('takes the process name from a name rule', () => {
+      const entry = ProcessCatalog.validateEntry({ label: ' Launcher ', platforms: ['linux'], match: [{ type: 'exact', value: 'steam-launcher' }] });
+
+      expect(entry).toEqual({
+        label: 'Launcher',
+        platforms: ['linux'],
+        role: 'client',
+        processName: 'steam-launcher',
+        match: [{ type: 'exact', value: 'steam-launcher' }]
+      });
+    });
+
+    test('glob-only entries have no process name', () => {
+      const entry = ProcessCatalog.validateEntry({ label: 'Portable', match: [{ type: 'path-glob', value: '**/PortableSteam/**' }] });
+
+      expect(entry.processName).toBeUndefined();
+      expect(entry.platforms).toEqual(['win32', 'darwin', 'linux']);
+    });
+
+    test.each([
+      [{ match: [{ type: 'exact', value: 'x' }] }, 'label'],
+      [{ label: 'x', platforms: ['amiga'], match: [{ type: 'exact', value: 'x' }] }, 'Platforms'],
+      [{ label: 'x', match: [] }, 'match rule'],
+      [{ label: 'x', match: [{ type: 'regex', value: 'x' }] }, 'Unknown match type'],
+      [{ label: 'x', match: [{ type: 'exact', value: ' ' }] }, 'value'],
+      [{ label: 'x', role: 'game', match: [{ type: 'exact', value: 'x' }] }, 'Unknown process role']
+    ])('rejects %j', (entry, message) => {
+      expect(() => ProcessCatalog.validateEntry(entry)).toThrow(message);
+    });
+  });
+
+  describe('globToRegExp', () => {
+    test('* stays within a path segment and ** crosses them', () => {
+      expect(ProcessCatalog.globToRegExp('/opt/*/steam').test('/opt/a/steam')).toBe(true);
+      expect(ProcessCatalog.globToRegExp('/opt/*/steam').test('/opt/a/b/steam')).toBe(false);
+      expect(ProcessCatalog.globToRegExp('/opt/**/steam').test('/opt/a/b/steam')).toBe(true);
+      expect(ProcessCatalog.globToRegExp('**/steam.sh').test('steam.sh')).toBe(true);
+    });
+
+    test('escapes regular expression characters', () => {
+      expect(ProcessCatalog.globToRegExp('steam.exe').test('steamXexe')).toBe(false);
+    });
+  });
+});
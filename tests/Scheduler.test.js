@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import Scheduler from '../src/Scheduler.js';
+
+const SCHOOL_NIGHTS = { type: 'block', days: [0, 1, 2, 3, 4], start: '20:00', end: '24:00' };
+const WEEKENDS = { type: 'allow', days: [0, 6], start: '09:00', end: '18:00' };
+
+const at = (iso) => new Date(iso).getTime();
+
+describe('Scheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new Scheduler({
+      schedules: {
+        'child-1': { timezone: 'Australia/Sydney', windows: [SCHOOL_NIGHTS, WEEKENDS] }
+      }
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  describe('isAllowed', () => {
+    test('blocks school nights after 8pm local time', () => {
+      // Monday 3 March 2025, Sydney is UTC+11
+      expect(scheduler.isAllowed('child-1', at('2025-03-03T08:59:00Z'))).toBe(true);
+      expect(scheduler.isAllowed('child-1', at('2025-03-03T09:00:00Z'))).toBe(false);
+      expect(scheduler.isAllowed('child-1', at('2025-03-03T12:59:00Z'))).toBe(false);
+      // Tuesday 00:00
+      expect(scheduler.isAllowed('child-1', at('2025-03-03T13:00:00Z'))).toBe(true);
+      // Friday 21:00
+      expect(scheduler.isAllowed('child-1', at('2025-03-07T10:00:00Z'))).toBe(true);
+    });
+
+    test('only allows weekends inside the allow window', () => {
+      // Saturday 8 March 2025
+      expect(scheduler.isAllowed('child-1', at('2025-03-07T21:59:00Z'))).toBe(false);
+      expect(scheduler.isAllowed('child-1', at('2025-03-07T22:00:00Z'))).toBe(true);
+      expect(scheduler.isAllowed('child-1', at('2025-03-08T06:59:00Z'))).toBe(true);
+      expect(scheduler.isAllowed('child-1', at('2025-03-08T07:00:00Z'))).toBe(false);
+    });
+
+    test('runs overnight windows into the next day', () => {
+      scheduler.setSchedule('child-2', {
+        timezone: 'Europe/London',
+        windows: [{ type: 'block', days: [1], start: '21:00', end: '07:00' }]
+      });
+
+      // Monday 3 March 2025, London is UTC+0
+      expect(scheduler.isAllowed('child-2', at('2025-03-03T20:59:00Z'))).toBe(true);
+      expect(scheduler.isAllowed('child-2', at('2025-03-03T21:00:00Z'))).toBe(false);
+      expect(scheduler.isAllowed('child-2', at('2025-03-04T06:59:00Z'))).toBe(false);
+      expect(scheduler.isAllowed('child-2', at('2025-03-04T07:00:00Z'))).toBe(true);
+      // Tuesday night is not blocked
+      expect(scheduler.isAllowed('child-2', at('2025-03-04T22:00:00Z'))).toBe(true);
+    });
+
+    test('evaluates each child in their own timezone', () => {
+      scheduler.setSchedule('child-2', { timezone: 'America/New_York', windows: [SCHOOL_NIGHTS] });
+
+      // 21:00 Monday in Sydney is 05:00 Monday in New York
+      const instant = at('2025-03-03T10:00:00Z');
+      expect(scheduler.isAllowed('child-1', instant)).toBe(false);
+      expect(scheduler.isAllowed('child-2', instant)).toBe(true);
+    });
+
+    test('allows children without a schedule', () => {
+      expect(scheduler.isAllowed('unknown', at('2025-03-03T10:00:00Z'))).toBe(true);
+    });
+  });
+
+  describe('nextChange', () => {
+    test('finds the next change in local time', () => {
+      expect(scheduler.nextChange('child-1', at('2025-03-03T01:00:00Z'))).toBe(at('2025-03-03T09:00:00Z'));
+      expect(scheduler.nextChange('child-1', at('2025-03-03T09:00:00Z'))).toBe(at('2025-03-03T13:00:00Z'));
+    });
+
+    test('skips boundaries that do not change the result', () => {
+      // Friday evening: midnight starts Saturday, which is blocked until 9am
+      expect(scheduler.nextChange('child-1', at('2025-03-07T10:00:00Z'))).toBe(at('2025-03-07T13:00:00Z'));
+      expect(scheduler.nextChange('child-1', at('2025-03-07T13:00:00Z'))).toBe(at('2025-03-07T22:00:00Z'));
+    });
+
+    test('follows the end of daylight saving time', () => {
+      // Sydney leaves DST at 3am on Sunday 6 April 2025; the 6pm end of the weekend window is UTC+10
+      expect(scheduler.nextChange('child-1', at('2025-04-06T00:00:00Z'))).toBe(at('2025-04-06T08:00:00Z'));
+    });
+
+    test('follows the start of daylight saving time', () => {
+      // Sydney enters DST at 2am on Sunday 5 October 2025; the 6pm end of the weekend window is UTC+11
+      expect(scheduler.nextChange('child-1', at('2025-10-04T23:00:00Z'))).toBe(at('2025-10-05T07:00:00Z'));
+    });
+
+    test('starts windows inside a skipped hour when the clock jumps', () => {
+      scheduler.setSchedule('child-2', {
+        timezone: 'Australia/Sydney',
+        windows: [{ type: 'block', days: [0], start: '02:30', end: '04:00' }]
+      });
+
+      // 2:00 to 3:00 does not exist on 5 October 2025, so 2:30 is reached at 3:00 AEDT
+      expect(scheduler.nextChange('child-2', at('2025-10-04T15:00:00Z'))).toBe(at('2025-10-04T16:00:00Z'));
+      expect(scheduler.nextChange('child-2', at('2025-10-04T16:00:00Z'))).toBe(at('2025-10-04T17:00:00Z'));
+    });
+
+    test('returns null when the schedule never changes', () => {
+      scheduler.setSchedule('child-2', { timezone: 'UTC', windows: [] });
+
+      expect(scheduler.nextChange('child-2', at('2025-03-03T00:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('with a fake clock', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      // Monday 3 March 2025, 19:00 in Sydney
+      jest.setSystemTime(at('2025-03-03T08:00:00Z'));
+    });
+
+    test('emits changes as they happen', () => {
+      const changes = [];
+      scheduler.on('change', (childId, allowed) => changes.push([childId, allowed, new Date().toISOString()]));
+      scheduler.start();
+
+      jest.advanceTimersByTime(60 * 60000);
+      expect(changes).toEqual([['child-1', false, '2025-03-03T09:00:00.000Z']]);
+
+      jest.advanceTimersByTime(4 * 60 * 60000);
+      expect(changes).toEqual([
+        ['child-1', false, '2025-03-03T09:00:00.000Z'],
+        ['child-1', true, '2025-03-03T13:00:00.000Z']
+      ]);
+    });
+
+    test('does not emit the initial state', () => {
+      const changes = [];
+      scheduler.on('change', (...args) => changes.push(args));
+      scheduler.start();
+
+      jest.advanceTimersByTime(30 * 60000);
+      expect(changes).toEqual([]);
+    });
+
+    test('emits when a schedule change takes effect immediately', () => {
+      const changes = [];
+      scheduler.on('change', (...args) => changes.push(args));
+      scheduler.start();
+
+      scheduler.setSchedule('child-1', {
+        timezone: 'Australia/Sydney',
+        windows: [{ type: 'block', days: [1], start: '18:00', end: '22:00' }]
+      });
+      scheduler.setSchedule('child-1', null);
+
+      expect(changes).toEqual([['child-1', false], ['child-1', true]]);
+    });
+
+    test('emits when a new schedule blocks straight away', () => {
+      const changes = [];
+      scheduler.on('change', (...args) => changes.push(args));
+      scheduler.start();
+
+      scheduler.setSchedule('child-2', { timezone: 'UTC', windows: [{ type: 'block', days: [1], start: '07:00', end: '09:00' }] });
+      expect(changes).toEqual([['child-2', false]]);
+
+      jest.advanceTimersByTime(60 * 60000);
+      expect(changes).toEqual([['child-2', false], ['child-1', false], ['child-2', true]]);
+    });
+
+    test('stops emitting when stopped', () => {
+      const changes = [];
+      scheduler.on('change', (...args) => changes.push(args));
+      scheduler.start();
+      scheduler.stop();
+
+      jest.advanceTimersByTime(24 * 60 * 60000);
+      expect(changes).toEqual([]);
+    });
+  });
+
+  describe('validate', () => {
+    test('rejects invalid schedules', () => {
+      expect(() => Scheduler.validate({ timezone: 'Mars/Olympus', windows: [] })).toThrow(/Invalid timezone/);
+      expect(() => Scheduler.validate({ timezone: 'UTC', windows: [{ ...WEEKENDS, type: 'maybe' }] })).toThrow(/invalid type/);
+      expect(() => Scheduler.validate({ timezone: 'UTC', windows: [{ ...WEEKENDS, days: [7] }] })).toThrow(/days/);
+      expect(() => Scheduler.validate({ timezone: 'UTC', windows: [{ ...WEEKENDS, start: '25:00' }] })).toThrow(/HH:MM/);
+      expect(() => Scheduler.validate({ timezone: 'UTC', windows: [{ ...WEEKENDS, end: '09:00' }] })).toThrow(/same/);
+    });
+
+    test('normalizes days', () => {
+      expect(Scheduler.validate({ timezone: 'UTC', windows: [{ ...WEEKENDS, days: [6, 0, 6] }] }).windows[0].days)
+        .toEqual([0, 6]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import SchemaValidator from '../src/SchemaValidator.js';
+
+const schema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 10, pattern: '^[a-z]*$' },
+    age: { type: 'integer', minimum: 0, maximum: 120 },
+    role: { enum: ['parent', 'child'] },
+    tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } },
+    note: { type: ['string', 'null'] }
+  },
+  additionalProperties: false
+};
+
+describe('SchemaValidator', () => {
+  test('accepts a valid value', () => {
+    expect(SchemaValidator.validate(schema, { name: 'sam', age: 9, role: 'child', tags: ['a'], note: null })).toEqual([]);
+  });
+
+  test.each([
+    [{}, 'value.name is required'],
+    [{ name: '' }, 'value.name must be at least 1 characters'],
+    [{ name: 'abcdefghijk' }, 'value.name must be at most 10 characters'],
+    [{ name: 'Sam' }, 'value.name must match ^[a-z]*$'],
+    [{ name: 'sam', age: 9.5 }, 'value.age must be integer'],
+    [{ name: 'sam', age: -1 }, 'value.age must be at least 0'],
+    [{ name: 'sam', age: 121 }, 'value.age must be at most 120'],
+    [{ name: 'sam', role: 'admin' }, 'value.role must be one of "parent", "child"'],
+    [{ name: 'sam', tags: [] }, 'value.tags must have at least 1 items'],
+    [{ name: 'sam', tags: ['a', 'b', 'c'] }, 'value.tags must have at most 2 items'],
+    [{ name: 'sam', tags: [1] }, 'value.tags[0] must be string'],
+    [{ name: 'sam', note: 3 }, 'value.note must be string or null'],
+    [{ name: 'sam', extra: true }, 'value.extra is not allowed'],
+    [[], 'value must be object']
+  ])('rejects %j', (value, message) => {
+    expect(SchemaValidator.validate(schema, value)).toEqual([message]);
+  });
+
+  test('reports every problem', () => {
+    expect(SchemaValidator.validate(schema, { age: 'nine', extra: 1 }, 'params')).toEqual([
+      'params.name is required',
+      'params.age must be integer',
+      'params.extra is not allowed'
+    ]);
+  });
+
+  test('checks additional properties against a schema', () => {
+    const map = { type: 'object', additionalProperties: { type: 'boolean' } };
+
+    expect(SchemaValidator.validate(map, { a: true, b: 'no' })).toEqual(['value.b must be boolean']);
+  });
+
+  test('ignores properties that are undefined', () => {
+    expect(SchemaValidator.validate(schema, { name: 'sam', age: undefined })).toEqual([]);
+  });
+
+  test('accepts anything without a schema', () => {
+    expect(SchemaValidator.validate(undefined, 42)).toEqual([]);
+  });
+});
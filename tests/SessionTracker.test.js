@@ -0,0 +1,201 @@
+import SessionTracker from '../src/SessionTracker.js';
+
+const MINUTE = 60000;
+
+describe('SessionTracker', () => {
+  let tracker;
+  let closed;
+
+  const observe = (appId, processName, minute, agentId = 'agent-1') => {
+    tracker.observe({ agentId, appId, processName, childId: 'child-1', timestamp: minute * MINUTE });
+  };
+
+  const stop = (appId, processName, minute, agentId = 'agent-1') => {
+    tracker.stop({ agentId, appId, processName, timestamp: minute * MINUTE });
+  };
+
+  const durations = () => closed.map(session => [session.appId, session.duration / MINUTE, session.reason]);
+
+  beforeEach(() => {
+    tracker = new SessionTracker({ staleAfter: 2 * MINUTE });
+    closed = [];
+    tracker.on('sessionClosed', session => closed.push(session));
+  });
+
+  test('pairs start and stop observations into a session', () => {
+    observe('steam', 'Steam.exe', 0);
+    observe('steam', 'Steam.exe', 1);
+    stop('steam', 'Steam.exe', 2);
+
+    expect(durations()).toEqual([
+      ['steam', 2, 'stopped'],
+      ['*', 2, 'stopped']
+    ]);
+  });
+
+  test('keeps the client session open until its last process exits', () => {
+    observe('steam', 'Steam.exe', 0);
+    observe('steam', 'steamwebhelper.exe', 0);
+    stop('steam', 'steamwebhelper.exe', 1);
+
+    expect(closed).toEqual([]);
+
+    stop('steam', 'Steam.exe', 3);
+    expect(durations()).toEqual([
+      ['steam', 3, 'stopped'],
+      ['*', 3, 'stopped']
+    ]);
+  });
+
+  test('tracks a game alongside the client without double counting the total', () => {
+    observe('steam', 'Steam.exe', 0);
+    observe('620', 'portal2.exe', 1);
+    stop('620', 'portal2.exe', 3);
+    stop('steam', 'Steam.exe', 4);
+
+    expect(durations()).toEqual([
+      ['620', 2, 'stopped'],
+      ['steam', 4, 'stopped'],
+      ['*', 4, 'stopped']
+    ]);
+  });
+
+  test('tracks agents independently', () => {
+    observe('steam', 'Steam.exe', 0, 'agent-1');
+    observe('steam', 'steam', 0, 'agent-2');
+    stop('steam', 'steam', 1, 'agent-2');
+
+    expect(closed.map(session => session.agentId)).toEqual(['agent-2', 'agent-2']);
+    expect(Object.keys(tracker.openSessions)).toEqual(['agent-1:steam', 'agent-1:*']);
+  });
+
+  test('does not count time after the last observation of an offline agent', () => {
+    observe('steam', 'Steam.exe', 0);
+    observe('steam', 'Steam.exe', 1);
+
+    tracker.expireStale(10 * MINUTE);
+
+    expect(durations()).toEqual([
+      ['steam', 1, 'stale'],
+      ['*', 1, 'stale']
+    ]);
+  });
+
+  test('splits a session when observations stop for longer than staleAfter', () => {
+    observe('steam', 'Steam.exe', 0);
+    observe('steam', 'Steam.exe', 1);
+    observe('steam', 'Steam.exe', 10);
+    stop('steam', 'Steam.exe', 12);
+
+    expect(durations().filter(([appId]) => appId === 'steam')).toEqual([
+      ['steam', 1, 'stale'],
+      ['steam', 2, 'stopped']
+    ]);
+  });
+
+  test('bridges the gap when buffered observations show the process kept running', () => {
+    observe('steam', 'Steam.exe', 0);
+    observe('steam', 'Steam.exe', 1);
+    tracker.expireStale(5 * MINUTE);
+
+    // Agent reconnects and replays what it saw while offline
+    observe('steam', 'Steam.exe', 2);
+    observe('steam', 'Steam.exe', 3);
+    stop('steam', 'Steam.exe', 4);
+
+    const steamSessions = closed.filter(session => session.appId === 'steam');
+    expect(steamSessions.reduce((total, session) => total + session.duration, 0)).toBe(4 * MINUTE);
+  });
+
+  test('ignores observations older than the session', () => {
+    observe('steam', 'Steam.exe', 5);
+    observe('steam', 'Steam.exe', 3);
+    stop('steam', 'Steam.exe', 6);
+
+    expect(closed[0].duration).toBe(MINUTE);
+  });
+
+  test('closes an agent\'s sessions when it restarts', () => {
+    observe('steam', 'Steam.exe', 0);
+    observe('620', 'portal2.exe', 2);
+
+    tracker.closeAgent('agent-1', 'restarted');
+
+    expect(durations()).toEqual([
+      ['steam', 0, 'restarted'],
+      ['*', 2, 'restarted'],
+      ['620', 0, 'restarted']
+    ]);
+    expect(tracker.openSessions).toEqual({});
+  });
+
+  test('restores open sessions from persisted state', () => {
+    observe('steam', 'Steam.exe', 0);
+    observe('steam', 'Steam.exe', 1);
+
+    const restored = new SessionTracker({
+      staleAfter: 2 * MINUTE,
+      openSessions: JSON.parse(JSON.stringify(tracker.toJSON()))
+    });
+    restored.on('sessionClosed', session => closed.push(session));
+    restored.stop({ agentId: 'agent-1', appId: 'steam', processName: 'Steam.exe', timestamp: 2 * MINUTE });
+
+    expect(durations()).toEqual([
+      ['steam', 2, 'stopped'],
+      ['*', 2, 'stopped']
+    ]);
+  });
+
+  describe('takeUnreported', () => {
+    test('hands out the time of running sessions once', () => {
+      observe('steam', 'Steam.exe', 0);
+      observe('steam', 'Steam.exe', 2);
+      observe('steam', 'Steam.exe', 3);
+
+      expect(tracker.takeUnreported().map(period => [period.appId, period.startedAt / MINUTE, period.endedAt / MINUTE])).toEqual([
+        ['steam', 0, 3],
+        ['*', 0, 3]
+      ]);
+      expect(tracker.takeUnreported()).toEqual([]);
+
+      observe('steam', 'Steam.exe', 4);
+      expect(tracker.takeUnreported()[0]).toEqual({
+        agentId: 'agent-1',
+        appId: 'steam',
+        childId: 'child-1',
+        startedAt: 3 * MINUTE,
+        endedAt: 4 * MINUTE,
+        duration: MINUTE
+      });
+    });
+
+    test('leaves sessions with less than the minimum for later', () => {
+      observe('steam', 'Steam.exe', 0);
+      observe('steam', 'Steam.exe', 1);
+
+      expect(tracker.takeUnreported(2 * MINUTE)).toEqual([]);
+
+      observe('steam', 'Steam.exe', 2);
+      expect(tracker.takeUnreported(2 * MINUTE).map(period => period.duration / MINUTE)).toEqual([2, 2]);
+    });
+
+    test('marks where the untaken time of a closed session starts', () => {
+      observe('steam', 'Steam.exe', 0);
+      observe('steam', 'Steam.exe', 2);
+      observe('steam', 'Steam.exe', 3);
+      tracker.takeUnreported();
+      stop('steam', 'Steam.exe', 5);
+
+      expect(closed.map(session => [session.duration / MINUTE, session.reportedUntil / MINUTE])).toEqual([[5, 3], [5, 3]]);
+    });
+
+    test('treats restored sessions without a watermark as not taken', () => {
+      tracker = new SessionTracker({
+        staleAfter: 2 * MINUTE,
+        openSessions: { 'agent-1:*': { agentId: 'agent-1', appId: '*', childId: 'child-1', startedAt: 0, lastSeenAt: 2 * MINUTE, processes: [] } }
+      });
+
+      expect(tracker.takeUnreported().map(period => period.duration / MINUTE)).toEqual([2]);
+    });
+  });
+});
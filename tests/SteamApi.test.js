@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import SteamApi from '../src/SteamApi.js';
+
+const createContext = () => ({
+  sendToRenderer: jest.fn()
+});
+
+describe('SteamApi', () => {
+  let context;
+  let handlers;
+  let api;
+
+  beforeEach(() => {
+    context = createContext();
+    handlers = {
+      enableSteamMonitoring: jest.fn(async ({ agentId }) => ({ agents: agentId ? [agentId] : ['a1', 'a2'] })),
+      updateSteamPolicy: jest.fn(async () => ({ agents: ['a1'] })),
+      getSteamStatus: jest.fn(async () => ({ agentCount: 2 })),
+      requestSteamOverride: jest.fn(async ({ childId, minutes }) => ({ request: { childId, minutes, status: 'pending' } }))
+    };
+    api = new SteamApi(context, handlers);
+  });
+
+  test('describes the actions and triggers in the manifest', () => {
+    const { actions, triggers } = api.describe();
+
+    expect(actions.map(action => action.id)).toEqual(['enableSteamMonitoring', 'updateSteamPolicy', 'getSteamStatus', 'requestSteamOverride']);
+    expect(triggers.map(trigger => trigger.id)).toEqual(['steamViolation', 'steamDetected', 'steamTamper']);
+    expect(actions[0]).toEqual({
+      id: 'enableSteamMonitoring',
+      name: 'Enable Steam Monitoring',
+      description: 'Start monitoring Steam on agent devices',
+      params: expect.objectContaining({ type: 'object' })
+    });
+  });
+
+  describe('actions', () => {
+    test('runs the handler with the params', async () => {
+      await expect(api.invoke('enableSteamMonitoring', { agentId: 'a1' })).resolves.toEqual({ agents: ['a1'] });
+      expect(handlers.enableSteamMonitoring).toHaveBeenCalledWith({ agentId: 'a1' });
+    });
+
+    test('defaults to no params', async () => {
+      await expect(api.invoke('getSteamStatus')).resolves.toEqual({ agentCount: 2 });
+      expect(handlers.getSteamStatus).toHaveBeenCalledWith({});
+    });
+
+    test.each([
+      ['enableSteamMonitoring', { agentId: '' }, 'params.agentId must be at least 1 characters'],
+      ['enableSteamMonitoring', { agent: 'a1' }, 'params.agent is not allowed'],
+      ['updateSteamPolicy', { refreshInventory: 'yes' }, 'params.refreshInventory must be boolean'],
+      ['updateSteamPolicy', { settings: { checkInterval: 500 } }, 'params.settings.checkInterval must be at least 1000'],
+      ['updateSteamPolicy', { settings: { warningMinutes: 2.5 } }, 'params.settings.warningMinutes must be integer'],
+      ['getSteamStatus', null, 'params must be object'],
+      ['requestSteamOverride', { childId: 'c1' }, 'params.minutes is required'],
+      ['requestSteamOverride', { childId: 'c1', minutes: 300 }, 'params.minutes must be at most 240'],
+      ['requestSteamOverride', { childId: 'c1', minutes: 30, reason: 'x'.repeat(201) }, 'params.reason must be at most 200 characters']
+    ])('rejects %s params %j', async (id, params, message) => {
+      const error = await api.invoke(id, params).catch(e => e);
+
+      expect(error).toMatchObject({ code: 'INVALID_PARAMS', errors: [message] });
+      expect(handlers[id]).not.toHaveBeenCalled();
+    });
+
+    test('posts a request for extra time', async () => {
+      await expect(api.invoke('requestSteamOverride', { childId: 'c1', minutes: 30, reason: 'Finishing a match' }))
+        .resolves.toEqual({ request: { childId: 'c1', minutes: 30, status: 'pending' } });
+    });
+
+    test('rejects an unknown action', async () => {
+      await expect(api.invoke('deleteSteam')).rejects.toMatchObject({ code: 'UNKNOWN_ACTION' });
+    });
+
+    test('reports an action without a handler as not available', async () => {
+      api = new SteamApi(context, {});
+
+      await expect(api.invoke('getSteamStatus', {})).rejects.toMatchObject({ code: 'NOT_AVAILABLE' });
+    });
+
+    test('passes on errors from the handler', async () => {
+      handlers.updateSteamPolicy.mockRejectedValue(new Error('Unknown agent: a9'));
+
+      await expect(api.invoke('updateSteamPolicy', { agentId: 'a9' })).rejects.toThrow('Unknown agent: a9');
+    });
+  });
+
+  describe('triggers', () => {
+    const detected = { agentId: 'a1', processName: 'Steam.exe', catalogEntry: 'windows-client', timestamp: 1741608000000 };
+
+    test('delivers to subscribers and the renderer', () => {
+      const listener = jest.fn();
+      api.subscribe('steamDetected', listener);
+
+      api.raise('steamDetected', detected);
+
+      expect(listener).toHaveBeenCalledWith(detected, 'steamDetected');
+      expect(context.sendToRenderer).toHaveBeenCalledWith('steamDetected', detected);
+    });
+
+    test('can leave the renderer out', () => {
+      const listener = jest.fn();
+      api.subscribe('steamViolation', listener);
+
+      api.raise('steamViolation', { stage: 'kill', timestamp: 1741608000000 }, { renderer: false });
+
+      expect(listener).toHaveBeenCalled();
+      expect(context.sendToRenderer).not.toHaveBeenCalled();
+    });
+
+    test('stops delivering once unsubscribed', () => {
+      const listener = jest.fn();
+      const unsubscribe = api.subscribe('steamDetected', listener);
+
+      unsubscribe();
+      api.raise('steamDetected', detected);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('keeps delivering when a subscriber throws', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const listener = jest.fn();
+      api.subscribe('steamTamper', () => {
+        throw new Error('broken automation');
+      });
+      api.subscribe('steamTamper', listener);
+
+      api.raise('steamTamper', { tamperType: 'heartbeatGap', severity: 'medium', message: 'No heartbeat', timestamp: 1 });
+
+      expect(listener).toHaveBeenCalled();
+      expect(error).toHaveBeenCalled();
+      error.mockRestore();
+    });
+
+    test('warns about a payload that does not match its schema', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      api.raise('steamTamper', { tamperType: 'hacked', severity: 'high', message: 'x', timestamp: 1 });
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('payload.tamperType must be one of'));
+      expect(context.sendToRenderer).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    test('rejects subscribing to an unknown trigger', () => {
+      expect(() => api.subscribe('steamExploded', jest.fn())).toThrow('Unknown trigger: steamExploded');
+    });
+
+    test('works without a renderer', () => {
+      api = new SteamApi({}, handlers);
+
+      expect(() => api.raise('steamDetected', detected)).not.toThrow();
+    });
+  });
+});
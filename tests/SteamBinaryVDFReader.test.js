@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import SteamBinaryVDFReader from '../src/SteamBinaryVDFReader.js';
+import SteamVDFParser from '../src/SteamVDFParser.js';
+import fs from 'fs';
+import path from 'path';
+
+const fixtures = path.join(process.cwd(), 'tests', 'fixtures', 'binary');
+const readFixture = (name) => fs.readFileSync(path.join(fixtures, name));
+
+describe('SteamBinaryVDFReader', () => {
+  describe('type tags', () => {
+    let types;
+
+    beforeAll(() => {
+      types = new SteamBinaryVDFReader(readFixture('all-types.vdf')).readDocument().types;
+    });
+
+    test('decodes 0x01 UTF-8 strings', () => {
+      expect(types.string).toBe('hello wörld');
+    });
+
+    test('decodes 0x02 signed int32', () => {
+      expect(types.int32).toBe(-42);
+    });
+
+    test('decodes 0x03 float32', () => {
+      expect(types.float32).toBeCloseTo(1.5);
+    });
+
+    test('decodes 0x04 pointer and 0x06 color as int32', () => {
+      expect(types.pointer).toBe(4096);
+      expect(types.color).toBe(0x00ff8040);
+    });
+
+    test('decodes 0x05 UTF-16LE wide strings', () => {
+      expect(types.widestring).toBe('Grüße');
+    });
+
+    test('decodes 0x07 uint64 and 0x0A int64 as lossless strings', () => {
+      expect(types.uint64).toBe('76561198012345678');
+      expect(types.int64).toBe('-9007199254740993');
+    });
+
+    test('decodes 0x00 nested maps closed by 0x08', () => {
+      expect(types.nested).toEqual({ inner: 'value' });
+    });
+  });
+
+  test('rejects unknown type tags', () => {
+    const buffer = Buffer.from([0x09, 0x6b, 0x00, 0x08]);
+    expect(() => new SteamBinaryVDFReader(buffer).readDocument()).toThrow(/Unknown binary VDF type 0x9/);
+  });
+
+  test('rejects truncated input', () => {
+    const buffer = Buffer.from([0x02, 0x6b, 0x00, 0x01, 0x02]);
+    expect(() => new SteamBinaryVDFReader(buffer).readDocument()).toThrow(/Unexpected end/);
+  });
+
+  test('decodes shortcuts.vdf', () => {
+    const { shortcuts } = new SteamBinaryVDFReader(readFixture('shortcuts.vdf')).readDocument();
+
+    expect(Object.keys(shortcuts)).toEqual(['0', '1']);
+    expect(shortcuts['0']).toMatchObject({
+      appid: -1213915563,
+      AppName: 'RetroArch',
+      Exe: '"C:\\RetroArch-Win64\\retroarch.exe"',
+      LaunchOptions: '-L cores\\snes9x_libretro.dll',
+      tags: { 0: 'Emulators', 1: 'favorite' }
+    });
+    expect(shortcuts['1'].tags).toEqual({});
+  });
+
+  describe.each([
+    ['appinfo-v27.vdf', 0x27],
+    ['appinfo-v28.vdf', 0x28],
+    ['appinfo-v29.vdf', 0x29]
+  ])('readAppInfo(%s)', (fixture, version) => {
+    test('decodes the header and every app entry', () => {
+      const appInfo = SteamBinaryVDFReader.readAppInfo(readFixture(fixture));
+
+      expect(appInfo.version).toBe(version);
+      expect(appInfo.universe).toBe(1);
+      expect(Object.keys(appInfo.apps)).toEqual(['620', '730', '504230']);
+      expect(appInfo.apps[620]).toMatchObject({
+        appId: '620',
+        changeNumber: 1620,
+        data: {
+          appid: 620,
+          common: {
+            name: 'Portal 2',
+            ratings: { pegi: { rating: '12' } }
+          }
+        }
+      });
+      expect(appInfo.apps[730].data.common.content_descriptors).toEqual({ 0: '2', 1: '5' });
+    });
+
+    test('only decodes the requested apps', () => {
+      const appInfo = SteamBinaryVDFReader.readAppInfo(readFixture(fixture), { appIds: ['504230'] });
+
+      expect(Object.keys(appInfo.apps)).toEqual(['504230']);
+      expect(appInfo.apps[504230].data.common.name).toBe('Celeste');
+    });
+  });
+
+  test('rejects unsupported appinfo versions', () => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeUInt32LE(0x07564426, 0);
+    expect(() => SteamBinaryVDFReader.readAppInfo(buffer)).toThrow(/Unsupported appinfo.vdf version/);
+  });
+});
+
+describe('SteamVDFParser binary files', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new SteamVDFParser();
+  });
+
+  test('parseBinaryFile caches until the file changes', () => {
+    const filePath = path.join(fixtures, 'shortcuts.vdf');
+    const readSpy = jest.spyOn(fs, 'readFileSync');
+
+    const first = parser.parseBinaryFile(filePath);
+    const second = parser.parseBinaryFile(filePath);
+
+    expect(second).toBe(first);
+    expect(readSpy).toHaveBeenCalledTimes(1);
+
+    parser.parseBinaryFile(filePath, false);
+    expect(readSpy).toHaveBeenCalledTimes(2);
+
+    readSpy.mockRestore();
+  });
+
+  test('getShortcuts normalises shortcut entries', () => {
+    const shortcuts = parser.getShortcuts(path.join(fixtures, 'shortcuts.vdf'));
+
+    expect(shortcuts[0]).toEqual({
+      appId: '3081051733',
+      appName: 'RetroArch',
+      exe: 'C:\\RetroArch-Win64\\retroarch.exe',
+      startDir: 'C:\\RetroArch-Win64\\',
+      launchOptions: '-L cores\\snes9x_libretro.dll',
+      tags: ['Emulators', 'favorite'],
+      hidden: false,
+      lastPlayTime: 1700000000
+    });
+    expect(shortcuts[1].exe).toBe('/usr/bin/minecraft-launcher');
+  });
+
+  test('parseAppInfoFile caches per requested app set', () => {
+    const filePath = path.join(fixtures, 'appinfo-v29.vdf');
+
+    const portal = parser.parseAppInfoFile(filePath, ['620']);
+    const celeste = parser.parseAppInfoFile(filePath, ['504230']);
+
+    expect(Object.keys(portal.apps)).toEqual(['620']);
+    expect(Object.keys(celeste.apps)).toEqual(['504230']);
+  });
+
+  test('getContentRatings reads ratings from appinfo.vdf', () => {
+    const ratings = parser.getContentRatings(path.join(fixtures, 'appinfo-v28.vdf'), ['730', '504230']);
+
+    expect(ratings).toEqual({
+      730: { ratings: { pegi: { rating: '18', age: 18, descriptors: [] } }, descriptors: [2, 5] },
+      504230: { ratings: {}, descriptors: [] }
+    });
+  });
+
+  test('getContentRatings returns nothing for a missing appinfo.vdf', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(parser.getContentRatings(path.join(fixtures, 'missing.vdf'), ['730'])).toEqual({});
+    error.mockRestore();
+  });
+});
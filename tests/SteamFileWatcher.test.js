@@ -0,0 +1,237 @@
+import { jest } from '@jest/globals';
+import SteamFileWatcher from '../src/SteamFileWatcher.js';
+import SteamMonitor from '../src/SteamMonitor.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const fixtures = path.join(process.cwd(), 'tests', 'fixtures', 'vdf');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await sleep(20);
+  }
+};
+
+// Write like Steam does: a temporary file renamed over the original
+const writeAtomic = (filePath, content) => {
+  fs.writeFileSync(`${filePath}.tmp`, content);
+  fs.renameSync(`${filePath}.tmp`, filePath);
+};
+
+describe('SteamFileWatcher', () => {
+  let tempDir;
+  let watcher;
+  let changes;
+
+  const record = (filePath, exists) => changes.push([path.basename(filePath), exists]);
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steam-watch-'));
+    watcher = new SteamFileWatcher({ debounce: 50, pollInterval: 50 });
+    changes = [];
+  });
+
+  afterEach(() => {
+    watcher.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('debounces bursts of writes into one change', async () => {
+    const filePath = path.join(tempDir, 'localconfig.vdf');
+    fs.writeFileSync(filePath, '"a" {}');
+    watcher.watch(tempDir, name => name === 'localconfig.vdf', record);
+
+    for (let i = 0; i < 5; i++) {
+      fs.appendFileSync(filePath, `\n// ${i}`);
+    }
+
+    await waitFor(() => changes.length > 0);
+    await sleep(150);
+    expect(changes).toEqual([['localconfig.vdf', true]]);
+  });
+
+  test('keeps watching after a file is replaced by rename', async () => {
+    const filePath = path.join(tempDir, 'loginusers.vdf');
+    fs.writeFileSync(filePath, 'one');
+    watcher.watch(tempDir, name => name === 'loginusers.vdf', record);
+
+    writeAtomic(filePath, 'two');
+    await waitFor(() => changes.length === 1);
+
+    writeAtomic(filePath, 'three');
+    await waitFor(() => changes.length === 2);
+
+    expect(changes).toEqual([['loginusers.vdf', true], ['loginusers.vdf', true]]);
+  });
+
+  test('ignores files the matcher does not select', async () => {
+    watcher.watch(tempDir, name => name.endsWith('.acf'), record);
+
+    fs.writeFileSync(path.join(tempDir, 'other.txt'), 'x');
+    fs.writeFileSync(path.join(tempDir, 'appmanifest_620.acf'), 'x');
+
+    await waitFor(() => changes.length > 0);
+    await sleep(100);
+    expect(changes).toEqual([['appmanifest_620.acf', true]]);
+  });
+
+  test('reports deletions', async () => {
+    const filePath = path.join(tempDir, 'appmanifest_620.acf');
+    fs.writeFileSync(filePath, 'x');
+    watcher.watch(tempDir, name => name.endsWith('.acf'), record);
+
+    fs.unlinkSync(filePath);
+
+    await waitFor(() => changes.length > 0);
+    expect(changes).toEqual([['appmanifest_620.acf', false]]);
+  });
+
+  test('recovers when the directory is deleted and recreated', async () => {
+    const dirPath = path.join(tempDir, 'steamapps');
+    fs.mkdirSync(dirPath);
+    fs.writeFileSync(path.join(dirPath, 'appmanifest_620.acf'), 'x');
+    watcher.watch(dirPath, name => name.endsWith('.acf'), record);
+
+    fs.rmSync(dirPath, { recursive: true });
+    await waitFor(() => changes.some(([, exists]) => !exists));
+
+    fs.mkdirSync(dirPath);
+    fs.writeFileSync(path.join(dirPath, 'appmanifest_440.acf'), 'x');
+    await waitFor(() => changes.some(([name]) => name === 'appmanifest_440.acf'));
+
+    fs.writeFileSync(path.join(dirPath, 'appmanifest_570.acf'), 'x');
+    await waitFor(() => changes.some(([name]) => name === 'appmanifest_570.acf'));
+
+    expect(changes[0]).toEqual(['appmanifest_620.acf', false]);
+  });
+
+  test('waits for a directory that does not exist yet', async () => {
+    const dirPath = path.join(tempDir, 'userdata');
+    watcher.watch(dirPath, name => /^\d+$/.test(name), record);
+
+    fs.mkdirSync(path.join(dirPath, '52079950'), { recursive: true });
+
+    await waitFor(() => changes.length > 0);
+    expect(changes).toEqual([['52079950', true]]);
+  });
+
+  test('stops reporting when closed', async () => {
+    watcher.watch(tempDir, () => true, record);
+    fs.writeFileSync(path.join(tempDir, 'a.vdf'), 'x');
+    watcher.close();
+
+    await sleep(150);
+    expect(changes).toEqual([]);
+  });
+});
+
+describe('SteamMonitor file watching', () => {
+  let root;
+  let monitor;
+  let events;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'steam-root-'));
+    fs.mkdirSync(path.join(root, 'config'));
+    fs.mkdirSync(path.join(root, 'steamapps'));
+    fs.mkdirSync(path.join(root, 'userdata', '52079950', 'config'), { recursive: true });
+    fs.copyFileSync(path.join(fixtures, 'loginusers.vdf'), path.join(root, 'config', 'loginusers.vdf'));
+    fs.copyFileSync(path.join(fixtures, 'localconfig.vdf'), path.join(root, 'userdata', '52079950', 'config', 'localconfig.vdf'));
+    fs.copyFileSync(path.join(fixtures, 'appmanifest_620.acf'), path.join(root, 'steamapps', 'appmanifest_620.acf'));
+
+    monitor = new SteamMonitor();
+    monitor.steamPaths = {
+      root,
+      config: path.join(root, 'config'),
+      userdata: path.join(root, 'userdata'),
+      steamapps: path.join(root, 'steamapps'),
+      libraryfolders: path.join(root, 'steamapps', 'libraryfolders.vdf')
+    };
+
+    events = [];
+    for (const event of ['gameInstalled', 'gameUninstalled', 'accountAdded', 'accountRemoved', 'parentalChanged', 'librariesChanged']) {
+      monitor.on(event, (data) => events.push([event, data]));
+    }
+
+    monitor.startWatching({ debounce: 50, pollInterval: 50 });
+  });
+
+  afterEach(() => {
+    monitor.cleanup();
+    fs.rmSync(root, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('emits gameInstalled and gameUninstalled', async () => {
+    const manifest = fs.readFileSync(path.join(fixtures, 'appmanifest_620.acf'), 'utf8')
+      .replace('"620"', '"440"')
+      .replace('Portal 2', 'Team Fortress 2');
+
+    writeAtomic(path.join(root, 'steamapps', 'appmanifest_440.acf'), manifest);
+    await waitFor(() => events.length > 0);
+    expect(events.map(([event, game]) => [event, game.appId, game.name])).toEqual([
+      ['gameInstalled', '440', 'Team Fortress 2']
+    ]);
+
+    fs.unlinkSync(path.join(root, 'steamapps', 'appmanifest_620.acf'));
+    await waitFor(() => events.length > 1);
+    expect(events[1][0]).toBe('gameUninstalled');
+    expect(events[1][1].appId).toBe('620');
+  });
+
+  test('emits parentalChanged when Family View is turned off', async () => {
+    const configPath = path.join(root, 'userdata', '52079950', 'config', 'localconfig.vdf');
+    const config = fs.readFileSync(configPath, 'utf8').replace(/"settings"\t\t"[0-9a-f]+"/, '"settings"\t\t"4800"');
+
+    writeAtomic(configPath, config);
+    await waitFor(() => events.length > 0);
+
+    expect(events[0][0]).toBe('parentalChanged');
+    expect(events[0][1].steamId64).toBe('76561198012345678');
+    expect(events[0][1].familyView.enabled).toBe(false);
+  });
+
+  test('emits accountAdded for a new userdata directory', async () => {
+    fs.mkdirSync(path.join(root, 'userdata', '12345', 'config'), { recursive: true });
+
+    await waitFor(() => events.some(([event]) => event === 'accountAdded'));
+    expect(events.find(([event]) => event === 'accountAdded')[1].accountId).toBe('12345');
+  });
+
+  test('emits librariesChanged and watches new libraries', async () => {
+    const library = path.join(root, 'second');
+    fs.mkdirSync(path.join(library, 'steamapps'), { recursive: true });
+
+    writeAtomic(monitor.steamPaths.libraryfolders, `"libraryfolders"
+{
+\t"0"
+\t{
+\t\t"path"\t\t"${root}"
+\t}
+\t"1"
+\t{
+\t\t"path"\t\t"${library}"
+\t}
+}
+`);
+    await waitFor(() => events.some(([event]) => event === 'librariesChanged'));
+
+    fs.copyFileSync(path.join(fixtures, 'appmanifest_620.acf'), path.join(library, 'steamapps', 'appmanifest_620.acf'));
+    fs.unlinkSync(path.join(root, 'steamapps', 'appmanifest_620.acf'));
+    await sleep(300);
+
+    // Moving a game between libraries is neither an install nor an uninstall
+    expect(events.filter(([event]) => event.startsWith('game'))).toEqual([]);
+    expect(monitor.installedGames[0].libraryPath).toBe(library);
+  });
+});
@@ -0,0 +1,19 @@
+import SteamID from '../src/SteamID.js';
+
+describe('SteamID', () => {
+  test('converts SteamID64 to account ID and SteamID3', () => {
+    expect(SteamID.toAccountId('76561198012345678')).toBe('52079950');
+    expect(SteamID.toSteamId3('76561198012345678')).toBe('[U:1:52079950]');
+  });
+
+  test('converts SteamID3 and account IDs back to SteamID64', () => {
+    expect(SteamID.fromSteamId3('[U:1:52079950]')).toBe('76561198012345678');
+    expect(SteamID.fromSteamId3('52079950')).toBe('76561198012345678');
+    expect(SteamID.fromAccountId(22202)).toBe('76561197960287930');
+  });
+
+  test('rejects invalid identifiers', () => {
+    expect(() => SteamID.toAccountId('12345')).toThrow(/Invalid SteamID64/);
+    expect(() => SteamID.fromSteamId3('[G:1:4]')).toThrow(/Invalid account ID/);
+  });
+});
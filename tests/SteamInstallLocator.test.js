@@ -0,0 +1,175 @@
+import SteamInstallLocator from '../src/SteamInstallLocator.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Lay out a Steam install: config/loginusers.vdf, steamapps/, userdata/ and the client
+const createInstall = (root, { clientFile = 'steam.sh', signedIn = true } = {}) => {
+  fs.mkdirSync(path.join(root, 'config'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'steamapps'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'userdata'), { recursive: true });
+  fs.writeFileSync(path.join(root, clientFile), '');
+  if (signedIn) {
+    fs.writeFileSync(path.join(root, 'config', 'loginusers.vdf'), '"users" {}');
+  }
+  return root;
+};
+
+const link = (target, linkPath) => {
+  fs.mkdirSync(path.dirname(linkPath), { recursive: true });
+  fs.symlinkSync(target, linkPath);
+};
+
+describe('SteamInstallLocator', () => {
+  let home;
+
+  beforeEach(() => {
+    home = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'steam-home-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  const locate = (options = {}) => new SteamInstallLocator({ platform: 'linux', homeDir: home, env: {}, ...options }).locate();
+
+  describe('linux', () => {
+    test('follows ~/.steam/root to ~/.local/share/Steam and merges the sources', () => {
+      const root = createInstall(path.join(home, '.local', 'share', 'Steam'));
+      link(root, path.join(home, '.steam', 'root'));
+      link(root, path.join(home, '.steam', 'steam'));
+
+      const installs = locate();
+
+      expect(installs).toHaveLength(1);
+      expect(installs[0]).toMatchObject({
+        realPath: root,
+        source: 'steam-root-link',
+        sources: ['steam-root-link', 'steam-link', 'xdg-data'],
+        variant: 'native',
+        confidence: 1
+      });
+    });
+
+    test('finds Flatpak and Snap installs', () => {
+      const flatpak = createInstall(path.join(home, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam'));
+      const snap = createInstall(path.join(home, 'snap', 'steam', 'common', '.local', 'share', 'Steam'), { signedIn: false });
+
+      const installs = locate();
+
+      expect(installs.map(install => [install.realPath, install.variant])).toEqual([
+        [flatpak, 'flatpak'],
+        [snap, 'snap']
+      ]);
+      expect(installs[0].confidence).toBeGreaterThan(installs[1].confidence);
+    });
+
+    test('honours XDG_DATA_HOME', () => {
+      const root = createInstall(path.join(home, 'data', 'Steam'));
+
+      expect(locate({ env: { XDG_DATA_HOME: path.join(home, 'data') } })[0].realPath).toBe(root);
+    });
+
+    test('scores an empty leftover directory below a real install', () => {
+      fs.mkdirSync(path.join(home, '.local', 'share', 'Steam'), { recursive: true });
+      const flatpak = createInstall(path.join(home, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam'));
+
+      const installs = locate();
+
+      expect(installs[0].realPath).toBe(flatpak);
+      expect(installs[1]).toMatchObject({
+        source: 'xdg-data',
+        confidence: 0.3,
+        markers: { config: false, steamapps: false, loginUsers: false, userdata: false, client: false }
+      });
+    });
+
+    test('ignores dangling links and returns nothing without an install', () => {
+      link(path.join(home, 'gone'), path.join(home, '.steam', 'root'));
+
+      expect(locate()).toEqual([]);
+    });
+
+    test('defaults to ~/.steam/steam', () => {
+      const locator = new SteamInstallLocator({ platform: 'linux', homeDir: home, env: {} });
+
+      expect(locator.getDefaultRoot()).toBe(path.join(home, '.steam', 'steam'));
+    });
+  });
+
+  describe('win32', () => {
+    test('prefers the registry SteamPath over Program Files', () => {
+      const custom = createInstall(path.join(home, 'Games', 'Steam'), { clientFile: 'Steam.exe' });
+      createInstall(path.join(home, 'Program Files (x86)', 'Steam'), { clientFile: 'Steam.exe', signedIn: false });
+
+      const installs = locate({
+        platform: 'win32',
+        env: { 'ProgramFiles(x86)': path.join(home, 'Program Files (x86)') },
+        registry: `\r\nHKEY_CURRENT_USER\\Software\\Valve\\Steam\r\n    SteamPath    REG_SZ    ${custom}\r\n`
+      });
+
+      expect(installs.map(install => install.source)).toEqual(['registry', 'windows-default']);
+      expect(installs[0]).toMatchObject({ realPath: custom, confidence: 1 });
+    });
+
+    test('reads registry exports and agent-reported objects', () => {
+      const root = createInstall(path.join(home, 'Steam'), { clientFile: 'Steam.exe' });
+
+      const exported = locate({
+        platform: 'win32',
+        registry: `\uFEFFWindows Registry Editor Version 5.00\r\n\r\n[HKEY_LOCAL_MACHINE\\SOFTWARE\\WOW6432Node\\Valve\\Steam]\r\n"InstallPath"="${root}"\r\n`
+      });
+      expect(exported[0]).toMatchObject({ realPath: root, source: 'registry-install-path' });
+
+      const reported = locate({ platform: 'win32', registry: { 'HKCU\\Software\\Valve\\Steam': { SteamPath: root } } });
+      expect(reported[0]).toMatchObject({ realPath: root, source: 'registry' });
+    });
+  });
+
+  test('darwin looks in Application Support', () => {
+    const root = createInstall(path.join(home, 'Library', 'Application Support', 'Steam'), { clientFile: 'Steam.AppBundle' });
+
+    expect(locate({ platform: 'darwin' })[0]).toMatchObject({ realPath: root, source: 'macos-default', confidence: 1 });
+  });
+
+  describe('parseRegistry', () => {
+    test('parses reg query output', () => {
+      const output = [
+        '',
+        'HKEY_CURRENT_USER\\Software\\Valve\\Steam',
+        '    SteamPath    REG_SZ    c:/program files (x86)/steam',
+        '    ActiveProcess    REG_DWORD    0x0',
+        ''
+      ].join('\r\n');
+
+      expect(SteamInstallLocator.parseRegistry(output)).toEqual({
+        SteamPath: 'c:/program files (x86)/steam',
+        ActiveProcess: '0x0'
+      });
+    });
+
+    test('unescapes .reg export strings', () => {
+      const exported = '[HKEY_CURRENT_USER\\Software\\Valve\\Steam]\n"SteamExe"="D:\\\\Games\\\\Steam\\\\steam.exe"\n"Language"="english"';
+
+      expect(SteamInstallLocator.parseRegistry(exported)).toEqual({
+        SteamExe: 'D:\\Games\\Steam\\steam.exe',
+        Language: 'english'
+      });
+    });
+
+    test('returns nothing for an empty result', () => {
+      expect(SteamInstallLocator.parseRegistry(null)).toEqual({});
+      expect(SteamInstallLocator.parseRegistry('ERROR: The system was unable to find the specified registry key or value.')).toEqual({});
+    });
+  });
+
+  test('pathsForRoot lists the paths the plugin reads', () => {
+    expect(SteamInstallLocator.pathsForRoot('/steam')).toEqual({
+      root: '/steam',
+      config: path.join('/steam', 'config'),
+      userdata: path.join('/steam', 'userdata'),
+      steamapps: path.join('/steam', 'steamapps'),
+      libraryfolders: path.join('/steam', 'steamapps', 'libraryfolders.vdf')
+    });
+  });
+});
@@ -0,0 +1,227 @@
+import SteamInventory from '../src/SteamInventory.js';
+import SteamMonitor from '../src/SteamMonitor.js';
+import MockAgentService, { fixture } from './helpers/MockAgentService.js';
+
+const agents = () => ({
+  'linux-pc': {
+    platform: 'linux',
+    homeDir: '/home/kid',
+    mounts: { '/home/kid': fixture('linux', 'home') }
+  },
+  'windows-pc': {
+    platform: 'win32',
+    homeDir: 'C:\\Users\\kid',
+    // Steam writes SteamPath in lower case with forward slashes
+    registry: '\r\nHKEY_CURRENT_USER\\Software\\Valve\\Steam\r\n    SteamPath    REG_SZ    c:/program files (x86)/steam\r\n',
+    mounts: { 'C:\\': fixture('windows', 'C'), 'D:\\': fixture('windows', 'D') }
+  },
+  'empty-pc': {
+    platform: 'linux',
+    homeDir: '/home/nobody',
+    mounts: {}
+  },
+  'offline-pc': {
+    platform: 'win32',
+    online: false,
+    mounts: {}
+  }
+});
+
+describe('SteamInventory', () => {
+  let agentService;
+  let inventory;
+
+  beforeEach(() => {
+    agentService = new MockAgentService(agents());
+    inventory = new SteamInventory(agentService);
+  });
+
+  describe('linux agent', () => {
+    test('follows ~/.steam/root to the install', async () => {
+      const result = await inventory.get('linux-pc');
+
+      expect(result).toMatchObject({ agentId: 'linux-pc', platform: 'linux', installed: true });
+      expect(result.paths.root).toBe('/home/kid/.local/share/Steam');
+      expect(result.installs[0]).toMatchObject({
+        sources: ['steam-root-link', 'steam-link', 'xdg-data'],
+        confidence: 1
+      });
+    });
+
+    test('lists every library and the games installed in them', async () => {
+      const result = await inventory.get('linux-pc');
+
+      expect(result.libraries.map(library => library.steamapps)).toEqual([
+        '/home/kid/.local/share/Steam/steamapps',
+        '/home/kid/SteamLibrary/steamapps'
+      ]);
+      expect(result.games.map(game => [game.appId, game.installPath])).toEqual([
+        ['620', '/home/kid/.local/share/Steam/steamapps/common/Portal 2'],
+        ['440', '/home/kid/SteamLibrary/steamapps/common/Team Fortress 2']
+      ]);
+      expect(result.games[0].files.map(file => file.name)).toContain('portal2_linux');
+      expect(result.games[1].files).toBeNull();
+    });
+
+    test('reads accounts with their Family View settings', async () => {
+      const result = await inventory.get('linux-pc');
+
+      expect(result.accounts.map(account => account.accountName)).toEqual(['speedykid', 'parent_account']);
+      expect(result.accounts[0]).toMatchObject({ accountId: '52079950', personaName: 'Speedy "Gonzales" Kid' });
+      expect(result.accounts[0].familyView).toMatchObject({ enabled: true });
+      expect(result.accounts[1].familyView).toBeNull();
+    });
+
+    test('reads library collections from localconfig.vdf', async () => {
+      const result = await inventory.get('linux-pc');
+
+      expect(result.collections).toEqual([
+        { id: 'uc-7Fj2kQx9PzLm', name: 'Homework', appIds: ['620'], steamId3: '52079950' },
+        { id: 'favorite', name: 'Favorites', appIds: ['620'], steamId3: '52079950' }
+      ]);
+    });
+  });
+
+  describe('windows agent', () => {
+    test('uses the registry and resolves libraries on other drives', async () => {
+      const result = await inventory.get('windows-pc');
+
+      expect(result.installs[0]).toMatchObject({
+        realPath: 'C:\\Program Files (x86)\\Steam',
+        sources: ['registry', 'windows-default']
+      });
+      expect(result.games.map(game => [game.appId, game.installPath])).toEqual([
+        ['620', 'C:\\Program Files (x86)\\Steam\\steamapps\\common\\Portal 2'],
+        ['730', 'D:\\SteamLibrary\\steamapps\\common\\Counter-Strike Global Offensive']
+      ]);
+    });
+
+    test('parses each account\'s non-Steam shortcuts', async () => {
+      const result = await inventory.get('windows-pc');
+
+      expect(result.shortcuts.map(shortcut => shortcut.appName)).toEqual(['RetroArch', 'Minecraft Launcher']);
+      expect(result.shortcuts[0]).toMatchObject({ exe: 'C:\\RetroArch-Win64\\retroarch.exe', steamId3: '52079950' });
+    });
+
+    test('prefers collections in cloud storage and leaves out deleted and dynamic ones', async () => {
+      const result = await inventory.get('windows-pc');
+
+      expect(result.collections).toEqual([
+        { id: 'uc-Qm3vTb8NwK1e', name: 'Shooters', appIds: ['730'], steamId3: '52079950' },
+        { id: 'uc-Xr5sTn2cVb7q', name: 'Co-op', appIds: ['620'], steamId3: '52079950' }
+      ]);
+    });
+
+    test('carries on without the registry', async () => {
+      agentService.agents['windows-pc'].registry = undefined;
+
+      const result = await inventory.get('windows-pc');
+
+      expect(result.installs[0]).toMatchObject({ source: 'windows-default' });
+      expect(result.installed).toBe(true);
+    });
+  });
+
+  test('reports an agent without Steam as not installed', async () => {
+    const result = await inventory.get('empty-pc');
+
+    expect(result).toMatchObject({ installed: false, installs: [], games: [], accounts: [] });
+  });
+
+  test('fails when the agent cannot answer', async () => {
+    await expect(inventory.get('offline-pc')).rejects.toThrow('offline');
+    expect(inventory.peek('offline-pc')).toBeNull();
+  });
+
+  test('fails when the agent service does not support requests', async () => {
+    inventory = new SteamInventory({ listAgents: async () => [] });
+
+    await expect(inventory.get('linux-pc')).rejects.toThrow('does not support requests');
+  });
+
+  describe('caching', () => {
+    test('reuses an inventory until it is refreshed', async () => {
+      const first = await inventory.get('linux-pc');
+      const second = await inventory.get('linux-pc');
+
+      expect(second).toBe(first);
+      expect(agentService.countRequests('system.info')).toBe(1);
+
+      await inventory.get('linux-pc', { refresh: true });
+      expect(agentService.countRequests('system.info')).toBe(2);
+    });
+
+    test('collects again once maxAge has passed', async () => {
+      inventory = new SteamInventory(agentService, { maxAge: 0 });
+
+      await inventory.get('linux-pc');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await inventory.get('linux-pc');
+
+      expect(agentService.countRequests('system.info')).toBe(2);
+    });
+
+    test('shares one collection between concurrent callers', async () => {
+      const [first, second] = await Promise.all([inventory.get('linux-pc'), inventory.get('linux-pc')]);
+
+      expect(second).toBe(first);
+      expect(agentService.countRequests('system.info')).toBe(1);
+    });
+
+    test('keeps inventories per agent', async () => {
+      await inventory.get('linux-pc');
+      inventory.invalidate('windows-pc');
+
+      expect(inventory.peek('linux-pc')).not.toBeNull();
+      expect(inventory.peek('windows-pc')).toBeNull();
+
+      inventory.invalidate('linux-pc');
+      expect(inventory.peek('linux-pc')).toBeNull();
+    });
+  });
+
+  describe('SteamMonitor', () => {
+    let steamMonitor;
+
+    beforeEach(() => {
+      steamMonitor = new SteamMonitor({}, agentService);
+    });
+
+    test('isSteamInstalled asks the agent', async () => {
+      await expect(steamMonitor.isSteamInstalled('linux-pc')).resolves.toBe(true);
+      await expect(steamMonitor.isSteamInstalled('empty-pc')).resolves.toBe(false);
+      await expect(steamMonitor.isSteamInstalled('offline-pc')).resolves.toBe(false);
+    });
+
+    test('generates policies for the games on the agent', async () => {
+      const linux = await steamMonitor.getAgentInventory('linux-pc');
+      const policies = steamMonitor.generatePolicies('linux', {}, {}, linux);
+
+      // Team Fortress 2 has no install directory, so nothing to block
+      expect(policies.map(policy => policy.processName)).toEqual(['steam', 'portal2_linux']);
+      expect(policies[1]).toMatchObject({
+        processPath: '/home/kid/.local/share/Steam/steamapps/common/Portal 2/portal2_linux',
+        processAlternatives: ['portal2.sh']
+      });
+    });
+
+    test('generates policies for Windows games and shortcuts', async () => {
+      const windows = await steamMonitor.getAgentInventory('windows-pc');
+      const policies = steamMonitor.generatePolicies('win32', {}, {}, windows);
+
+      expect(policies.map(policy => policy.processName)).toEqual(['Steam.exe', 'portal2.exe', 'cs2.exe', 'retroarch.exe', 'minecraft-launcher']);
+      expect(policies[2].processPath).toBe('D:\\SteamLibrary\\steamapps\\common\\Counter-Strike Global Offensive\\game\\bin\\win64\\cs2.exe');
+    });
+
+    test('identifies games from the reporting agent\'s inventory', async () => {
+      await steamMonitor.getAgentInventory('windows-pc');
+
+      const game = steamMonitor.identifyGame({
+        processName: 'cs2.exe',
+        processPath: 'D:\\SteamLibrary\\steamapps\\common\\Counter-Strike Global Offensive\\game\\bin\\win64\\cs2.exe'
+      }, 'windows-pc');
+
+      expect(game).toMatchObject({ appId: '730' });
+    });
+  });
+});
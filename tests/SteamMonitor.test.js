@@ -1,5 +1,5 @@
 import { jest } from '@jest/globals';
-import { SteamMonitor } from '../src/SteamMonitor.js';
+import SteamMonitor from '../src/SteamMonitor.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -22,7 +22,81 @@ describe('SteamMonitor', () => {
     });
   });
 
+  describe('resolveGameExecutable', () => {
+    const common = 'C:\\Steam\\steamapps\\common';
+    const file = (dir, name, size = 1000, mode) => ({ path: `${common}\\${dir}\\${name}`, name, type: 'file', size, mode });
+
+    test('prefers the executable named like the game over larger ones', () => {
+      const game = {
+        appId: '620',
+        name: 'Portal 2',
+        installDir: 'Portal 2',
+        installPath: `${common}\\Portal 2`,
+        files: [
+          file('Portal 2', 'launcher.exe', 90000),
+          file('Portal 2', 'portal2.exe', 2000),
+          file('Portal 2', 'readme.txt', 500000)
+        ]
+      };
+
+      expect(steamMonitor.resolveGameExecutable(game, 'win32')).toEqual({
+        processName: 'portal2.exe',
+        executablePath: `${common}\\Portal 2\\portal2.exe`,
+        alternatives: ['launcher.exe']
+      });
+    });
+
+    test('falls back to the largest executable and skips redistributables', () => {
+      const game = {
+        appId: '730',
+        name: 'Counter-Strike 2',
+        installDir: 'Counter-Strike Global Offensive',
+        installPath: `${common}\\Counter-Strike Global Offensive`,
+        files: [
+          file('Counter-Strike Global Offensive', 'vc_redist.x64.exe', 900000),
+          file('Counter-Strike Global Offensive\\game\\bin\\win64', 'cs2.exe', 5000),
+          file('Counter-Strike Global Offensive\\game\\bin\\win64', 'crashhandler.exe', 100)
+        ]
+      };
+
+      const executable = steamMonitor.resolveGameExecutable(game, 'win32');
+
+      expect(executable.processName).toBe('cs2.exe');
+      expect(executable.executablePath).toBe(`${common}\\Counter-Strike Global Offensive\\game\\bin\\win64\\cs2.exe`);
+      expect(executable.alternatives).toEqual(['crashhandler.exe']);
+    });
+
+    test('only counts files with the executable bit outside Windows', () => {
+      const game = {
+        appId: '620',
+        name: 'Portal 2',
+        installDir: 'Portal 2',
+        installPath: '/steamapps/common/Portal 2',
+        files: [
+          { path: '/steamapps/common/Portal 2/portal2_linux', name: 'portal2_linux', type: 'file', size: 10, mode: 0o100755 },
+          { path: '/steamapps/common/Portal 2/portal2.cfg', name: 'portal2.cfg', type: 'file', size: 10, mode: 0o100755 },
+          { path: '/steamapps/common/Portal 2/data.bin', name: 'data.bin', type: 'file', size: 99, mode: 0o100644 }
+        ]
+      };
+
+      expect(steamMonitor.resolveGameExecutable(game, 'linux').processName).toBe('portal2_linux');
+    });
+
+    test('returns null without an executable', () => {
+      expect(steamMonitor.resolveGameExecutable({ installPath: `${common}\\Empty`, files: [] }, 'win32')).toBeNull();
+      expect(steamMonitor.resolveGameExecutable({ installPath: null }, 'win32')).toBeNull();
+    });
+  });
+
   describe('generatePolicies', () => {
+    const game = (appId, name, exe) => ({
+      appId,
+      name,
+      installDir: name,
+      installPath: `C:\\Steam\\steamapps\\common\\${name}`,
+      files: [{ path: `C:\\Steam\\steamapps\\common\\${name}\\${exe}`, name: exe, type: 'file', size: 1000 }]
+    });
+
     test('generates policies for Steam games', () => {
       steamMonitor.installedGames = [
         { appid: '440', name: 'Team Fortress 2', installdir: 'Team Fortress 2' }
@@ -33,5 +107,112 @@ describe('SteamMonitor', () => {
       expect(policies.length).toBeGreaterThan(0);
       expect(policies.some(p => p.processName === 'Steam.exe')).toBe(true);
     });
+
+    test('maps each verdict to the policy', () => {
+      const inventory = {
+        games: [game('620', 'Portal 2', 'portal2.exe'), game('730', 'Counter-Strike 2', 'cs2.exe'), game('440', 'Team Fortress 2', 'tf.exe')],
+        shortcuts: []
+      };
+
+      const policies = steamMonitor.generatePolicies('win32', { 620: 'allow', 730: 'block' }, {}, inventory);
+
+      expect(policies.slice(1).map(policy => [policy.metadata.appId, policy.allowed, policy.actions.onDetected, policy.metadata.verdict])).toEqual([
+        ['620', true, 'enforce', 'allow'],
+        ['730', false, 'enforce', 'block'],
+        ['440', false, 'check-quota', 'quota']
+      ]);
+      expect(policies[1].actions).toMatchObject({ onViolation: 'kill-process', stages: expect.any(Array) });
+    });
+
+    test('reports a game whose executable has the same name as another game\'s', () => {
+      const conflict = jest.fn();
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      steamMonitor.on('policyConflict', conflict);
+      const inventory = {
+        games: [game('240', 'Counter-Strike Source', 'hl2.exe'), game('220', 'Half-Life 2', 'HL2.exe')],
+        shortcuts: []
+      };
+
+      const policies = steamMonitor.generatePolicies('win32', {}, {}, inventory);
+
+      expect(policies.map(policy => policy.processName)).toEqual(['Steam.exe', 'hl2.exe']);
+      expect(conflict).toHaveBeenCalledWith({
+        processName: 'HL2.exe',
+        appId: '220',
+        gameName: 'Half-Life 2',
+        conflictsWith: { appId: '240', gameName: 'Counter-Strike Source' }
+      });
+      warn.mockRestore();
+    });
+
+    test('reports a shortcut that runs as Steam', () => {
+      const conflict = jest.fn();
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      steamMonitor.on('policyConflict', conflict);
+      const inventory = {
+        games: [],
+        shortcuts: [{ appId: '3000000001', appName: 'Big Picture', exe: 'C:\\Steam\\steam.exe', launchOptions: '', tags: [] }]
+      };
+
+      expect(steamMonitor.generatePolicies('win32', {}, {}, inventory)).toHaveLength(1);
+      expect(conflict).toHaveBeenCalledWith(expect.objectContaining({ appId: '3000000001', conflictsWith: { appId: null, gameName: 'Steam' } }));
+      warn.mockRestore();
+    });
+  });
+
+  describe('getViolationActions', () => {
+    const stagesOf = (actions) => actions.stages.map(stage => stage.stage);
+
+    test('warns, gives a grace period and then kills by default', () => {
+      const actions = steamMonitor.getViolationActions('Portal 2');
+
+      expect(actions.onViolation).toBe('kill-process');
+      expect(actions.stages).toEqual([
+        { stage: 'warning', action: 'notify', before: 5 * 60000, message: 'Portal 2 will close in 5 minutes. Time to save your game.' },
+        { stage: 'final-warning', action: 'notify', before: 60000, message: 'Portal 2 will close in 1 minute. Save your game now.' },
+        { stage: 'grace', action: 'notify', after: 0, duration: 60000, message: 'Time is up. Portal 2 will close in 60 seconds.' },
+        { stage: 'kill', action: 'kill-process', after: 60000 }
+      ]);
+    });
+
+    test('leaves out warnings set to 0 minutes', () => {
+      const actions = steamMonitor.getViolationActions('Steam', { warningMinutes: 0, finalWarningMinutes: 0 });
+
+      expect(stagesOf(actions)).toEqual(['grace', 'kill']);
+    });
+
+    test.each([
+      [2, 2],
+      [1, 3]
+    ])('skips a first warning at %i minutes when the final warning is at %i', (warningMinutes, finalWarningMinutes) => {
+      const actions = steamMonitor.getViolationActions('Steam', { warningMinutes, finalWarningMinutes });
+
+      expect(stagesOf(actions)).toEqual(['final-warning', 'grace', 'kill']);
+      expect(actions.stages[0].before).toBe(finalWarningMinutes * 60000);
+    });
+
+    test('only notifies when processes are not killed', () => {
+      const actions = steamMonitor.getViolationActions('Steam', { killOnViolation: false, gracePeriodSeconds: 30 });
+
+      expect(actions.onViolation).toBe('notify-only');
+      expect(stagesOf(actions)).toEqual(['warning', 'final-warning', 'expired']);
+      expect(actions.stages[2]).toEqual({ stage: 'expired', action: 'notify-only', after: 0, message: 'Time is up for Steam.' });
+    });
+
+    test('kills once the grace period is over', () => {
+      const actions = steamMonitor.getViolationActions('Steam', { gracePeriodSeconds: 90 });
+
+      expect(actions.stages.slice(-2)).toEqual([
+        { stage: 'grace', action: 'notify', after: 0, duration: 90000, message: 'Time is up. Steam will close in 90 seconds.' },
+        { stage: 'kill', action: 'kill-process', after: 90000 }
+      ]);
+    });
+
+    test('kills straight away without a grace period', () => {
+      const actions = steamMonitor.getViolationActions('Steam', { gracePeriodSeconds: 0 });
+
+      expect(actions.stages.slice(-1)).toEqual([{ stage: 'kill', action: 'kill-process', after: 0 }]);
+      expect(stagesOf(actions)).not.toContain('grace');
+    });
   });
 });
@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import SteamParentalSettings from '../src/SteamParentalSettings.js';
+import SteamVDFParser from '../src/SteamVDFParser.js';
+import path from 'path';
+
+const fixtures = path.join(process.cwd(), 'tests', 'fixtures', 'vdf');
+
+describe('SteamParentalSettings', () => {
+  describe('decode', () => {
+    let settings;
+
+    beforeAll(() => {
+      settings = new SteamVDFParser().getParentalSettings(path.join(fixtures, 'localconfig.vdf'));
+    });
+
+    test('reads whether Family View is enabled', () => {
+      expect(settings.enabled).toBe(true);
+      expect(settings.hasPin).toBe(true);
+      expect(settings.steamId64).toBe('76561198012345678');
+    });
+
+    test('maps enabled feature bits', () => {
+      expect(settings.enabledFeatures).toBe(0x12);
+      expect(settings.features).toEqual({
+        store: true,
+        community: false,
+        profile: false,
+        friends: true,
+        chat: true,
+        library: false
+      });
+      expect(settings.allGames).toBe(false);
+    });
+
+    test('applies custom app list entries over the base list', () => {
+      expect(settings.appListBaseId).toBe(1);
+      expect(settings.appListDescription).toBe('Default');
+      expect(settings.allowedApps).toEqual([440, 620]);
+    });
+
+    test('does not expose the recovery email or password hash', () => {
+      expect(JSON.stringify(settings)).not.toMatch(/parent@example\.com|aabbccdd/);
+    });
+  });
+
+  test('treats a disabled or empty message as everything allowed', () => {
+    const disabled = SteamParentalSettings.decode('4800');
+
+    expect(disabled.enabled).toBe(false);
+    expect(Object.values(disabled.features).every(Boolean)).toBe(true);
+    expect(SteamParentalSettings.decode('').enabled).toBe(false);
+  });
+
+  test('skips unknown fields of every wire type', () => {
+    // field 20 fixed32, field 21 varint, then is_enabled
+    expect(SteamParentalSettings.decode('a50101000000a801054801').enabled).toBe(true);
+  });
+
+  test('rejects malformed messages', () => {
+    expect(() => SteamParentalSettings.decode('zz')).toThrow(/hex/);
+    expect(() => SteamParentalSettings.decode('1a05ab')).toThrow(/Truncated/);
+    expect(() => SteamParentalSettings.decode('4b')).toThrow(/wire type/);
+  });
+
+  test('getParentalSettings returns null when the settings cannot be read', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(new SteamVDFParser().getParentalSettings(path.join(fixtures, 'loginusers.vdf'))).toBeNull();
+    expect(new SteamVDFParser().getParentalSettings(path.join(fixtures, 'missing.vdf'))).toBeNull();
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import SteamVDFDocument from '../src/SteamVDFDocument.js';
+import SteamVDFParser from '../src/SteamVDFParser.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const fixtures = path.join(process.cwd(), 'tests', 'fixtures', 'vdf');
+const readFixture = (name) => fs.readFileSync(path.join(fixtures, name), 'utf8');
+
+describe('SteamVDFDocument', () => {
+  describe('golden files', () => {
+    const files = fs.readdirSync(fixtures);
+
+    test.each(files)('parse -> serialize is lossless for %s', (name) => {
+      const text = readFixture(name);
+      expect(SteamVDFDocument.parse(text).toString()).toBe(text);
+    });
+
+    test.each(files)('toObject matches simple-vdf for %s', (name) => {
+      const text = readFixture(name);
+      if (name === 'comments.vdf') {
+        // simple-vdf cannot read conditionals or inline blocks
+        return;
+      }
+
+      const unescapeAll = (value) => typeof value === 'string'
+        ? SteamVDFDocument.unescape(value)
+        : Object.fromEntries(Object.entries(value).map(([k, v]) => [k, unescapeAll(v)]));
+
+      expect(SteamVDFDocument.parse(text).toObject()).toEqual(unescapeAll(new SteamVDFParser().parseContent(text)));
+    });
+  });
+
+  describe('get', () => {
+    test('resolves escape sequences', () => {
+      const document = SteamVDFDocument.parse(readFixture('comments.vdf'));
+
+      expect(document.get(['Settings', 'Escapes'])).toBe('tab\there\nnewline \\\\server\\share "quoted"');
+    });
+
+    test('matches keys case-insensitively', () => {
+      const document = SteamVDFDocument.parse(readFixture('localconfig.vdf'));
+
+      expect(document.get(['userlocalconfigstore', 'FRIENDS', 'personaname'])).toBe('Speedy "Gonzales" Kid');
+    });
+
+    test('returns blocks as plain objects', () => {
+      const document = SteamVDFDocument.parse(readFixture('comments.vdf'));
+
+      expect(document.get(['Settings', 'Nested'])).toEqual({ Inline: '1' });
+      expect(document.get(['Settings', 'Missing'])).toBeUndefined();
+    });
+  });
+
+  describe('set', () => {
+    test('only changes the edited value', () => {
+      const text = readFixture('localconfig.vdf');
+      const document = SteamVDFDocument.parse(text);
+
+      document.set(['UserLocalConfigStore', 'system', 'EnableGameOverlay'], '0');
+
+      expect(document.toString()).toBe(text.replace('"EnableGameOverlay"\t\t"1"', '"EnableGameOverlay"\t\t"0"'));
+    });
+
+    test('keeps the original key case', () => {
+      const text = readFixture('comments.vdf');
+      const document = SteamVDFDocument.parse(text);
+
+      document.set(['settings', 'autolaunch'], 1);
+
+      expect(document.toString()).toBe(text.replace('AutoLaunch    "0"', 'AutoLaunch    "1"'));
+    });
+
+    test('escapes new values', () => {
+      const document = SteamVDFDocument.parse(readFixture('localconfig.vdf'));
+
+      document.set(['UserLocalConfigStore', 'friends', 'PersonaName'], 'A "new" \\ name');
+
+      expect(document.toString()).toContain('"PersonaName"\t\t"A \\"new\\" \\\\ name"');
+      expect(SteamVDFDocument.parse(document.toString()).get(['UserLocalConfigStore', 'friends', 'PersonaName']))
+        .toBe('A "new" \\ name');
+    });
+
+    test('appends new keys using the block indentation', () => {
+      const document = SteamVDFDocument.parse(readFixture('localconfig.vdf'));
+
+      document.set(['UserLocalConfigStore', 'system', 'NewSetting'], '1');
+
+      expect(document.toString()).toContain('\t\t"JumplistSettings"\t\t"16383"\n\t\t"NewSetting"\t\t"1"\n\t}');
+    });
+
+    test('creates missing blocks', () => {
+      const document = SteamVDFDocument.parse(readFixture('localconfig.vdf'));
+
+      document.set(['UserLocalConfigStore', 'parental', 'extra', 'enabled'], '1');
+
+      const reparsed = SteamVDFDocument.parse(document.toString());
+      expect(reparsed.get(['UserLocalConfigStore', 'parental'])).toEqual({
+        settings: '094ead1a030100100110011a0744656661756c74220508ec041001220608a6e31e10012a0608a6e31e10002a0508b803100130043a0801020304050607084208aabbccddeeff0011480150125a12706172656e74406578616d706c652e636f6d',
+        signature: 'deadbeef',
+        extra: { enabled: '1' }
+      });
+      expect(document.toString()).toContain('\t\t"extra"\n\t\t{\n\t\t\t"enabled"\t\t"1"\n\t\t}\n\t}');
+    });
+
+    test('keeps CRLF line endings', () => {
+      const document = SteamVDFDocument.parse(readFixture('libraryfolders-legacy.vdf'));
+
+      document.set(['LibraryFolders', '3'], 'F:\\Steam');
+
+      expect(document.toString()).toContain('"2"\t\t"E:\\\\Games\\\\Steam"\r\n\t"3"\t\t"F:\\\\Steam"\r\n}');
+    });
+
+    test('refuses to overwrite a block with a value', () => {
+      const document = SteamVDFDocument.parse(readFixture('localconfig.vdf'));
+
+      expect(() => document.set(['UserLocalConfigStore', 'friends'], '1')).toThrow(/is a block/);
+    });
+  });
+
+  describe('remove', () => {
+    test('removes the entry and its line', () => {
+      const text = readFixture('localconfig.vdf');
+      const document = SteamVDFDocument.parse(text);
+
+      expect(document.remove(['UserLocalConfigStore', 'system', 'JumplistSettings'])).toBe(true);
+      expect(document.toString()).toBe(text.replace('\t\t"JumplistSettings"\t\t"16383"\n', ''));
+    });
+
+    test('removes whole blocks', () => {
+      const text = readFixture('localconfig.vdf');
+      const document = SteamVDFDocument.parse(text);
+
+      document.remove(['UserLocalConfigStore', 'Broadcast']);
+
+      expect(document.toString()).toBe(text.replace('\t"Broadcast"\n\t{\n\t\t"Permissions"\t\t"1"\n\t}\n', ''));
+      expect(document.remove(['UserLocalConfigStore', 'Broadcast'])).toBe(false);
+    });
+  });
+
+  test('reports syntax errors with line numbers', () => {
+    expect(() => SteamVDFDocument.parse('"a"\n{\n"b"\n}')).toThrow(/line 4/);
+    expect(() => SteamVDFDocument.parse('"a"\n{\n"b" "c"\n')).toThrow(/missing "}"/);
+  });
+});
+
+describe('SteamVDFParser.writeFile', () => {
+  let parser;
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    parser = new SteamVDFParser();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steam-vdf-'));
+    filePath = path.join(tempDir, 'localconfig.vdf');
+    fs.writeFileSync(filePath, readFixture('localconfig.vdf'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('writes atomically and keeps a backup', () => {
+    const original = fs.readFileSync(filePath, 'utf8');
+
+    const { backupPath } = parser.updateFile(filePath, (document) => {
+      document.set(['UserLocalConfigStore', 'system', 'EnableGameOverlay'], '0');
+    }, { isSteamRunning: () => false });
+
+    expect(fs.readFileSync(backupPath, 'utf8')).toBe(original);
+    expect(parser.parseFile(filePath).UserLocalConfigStore.system.EnableGameOverlay).toBe('0');
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['localconfig.vdf', 'localconfig.vdf.bak']);
+  });
+
+  test('invalidates the parse cache', () => {
+    expect(parser.parseFile(filePath).UserLocalConfigStore.system.EnableGameOverlay).toBe('1');
+
+    parser.updateFile(filePath, (document) => {
+      document.set(['UserLocalConfigStore', 'system', 'EnableGameOverlay'], '0');
+    }, { isSteamRunning: false });
+
+    expect(parser.parseFile(filePath).UserLocalConfigStore.system.EnableGameOverlay).toBe('0');
+  });
+
+  test('refuses to write while Steam is running', () => {
+    const original = fs.readFileSync(filePath, 'utf8');
+
+    expect(() => parser.writeFile(filePath, 'changed', { isSteamRunning: () => true }))
+      .toThrow(expect.objectContaining({ code: 'STEAM_RUNNING' }));
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(original);
+  });
+
+  test('refuses to write when the running check fails', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const check = () => {
+      throw new Error('tasklist not found');
+    };
+
+    expect(() => parser.writeFile(filePath, 'changed', { isSteamRunning: check }))
+      .toThrow(expect.objectContaining({ code: 'STEAM_RUNNING' }));
+    console.error.mockRestore();
+  });
+
+  test('requires a running check', () => {
+    expect(() => parser.writeFile(filePath, 'changed')).toThrow(/isSteamRunning/);
+  });
+});
@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+import SteamVDFParser from '../src/SteamVDFParser.js';
+import path from 'path';
+
+const fixtures = path.join(process.cwd(), 'tests', 'fixtures');
+
+describe('SteamVDFParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new SteamVDFParser();
+  });
+
+  describe('getLibraryFolders', () => {
+    test('reads the current format with labels and apps', () => {
+      const libraries = parser.extractLibraryFolders(parser.parseFile(path.join(fixtures, 'vdf', 'libraryfolders.vdf')), path.win32);
+
+      expect(libraries).toEqual([
+        { path: 'C:\\Program Files (x86)\\Steam', label: '', steamapps: 'C:\\Program Files (x86)\\Steam\\steamapps', apps: ['620', '228980'] },
+        { path: 'D:\\SteamLibrary', label: 'Games Drive', steamapps: 'D:\\SteamLibrary\\steamapps', apps: ['730'] }
+      ]);
+    });
+
+    test('reads the legacy format of numbered paths and skips the other keys', () => {
+      const libraries = parser.getLibraryFolders(path.join(fixtures, 'vdf', 'libraryfolders-legacy.vdf'));
+
+      expect(libraries.map(library => [library.path, library.label, library.apps])).toEqual([
+        ['D:\\SteamLibrary', '', []],
+        ['E:\\Games\\Steam', '', []]
+      ]);
+      expect(libraries[0].steamapps).toBe(path.join('D:\\SteamLibrary', 'steamapps'));
+    });
+
+    test('returns no libraries for a missing file', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(parser.getLibraryFolders(path.join(fixtures, 'vdf', 'missing.vdf'))).toEqual([]);
+      error.mockRestore();
+    });
+  });
+
+  describe('getInstalledGames', () => {
+    const home = path.join(fixtures, 'agents', 'linux', 'home');
+    const libraries = [
+      path.join(home, '.local', 'share', 'Steam', 'steamapps'),
+      path.join(home, 'SteamLibrary', 'steamapps')
+    ];
+
+    test('lists the games of every library with their install paths', () => {
+      const games = parser.getInstalledGames(libraries);
+
+      expect(games.map(game => [game.appId, game.name, game.installPath, game.libraryPath])).toEqual([
+        ['620', 'Portal 2', path.join(libraries[0], 'common', 'Portal 2'), path.join(home, '.local', 'share', 'Steam')],
+        ['440', 'Team Fortress 2', path.join(libraries[1], 'common', 'Team Fortress 2'), path.join(home, 'SteamLibrary')]
+      ]);
+    });
+
+    test('lists a game found in two libraries once', () => {
+      expect(parser.getInstalledGames([...libraries, libraries[0]]).map(game => game.appId)).toEqual(['620', '440']);
+    });
+
+    test('carries on past a library that cannot be read', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(parser.getInstalledGames([path.join(home, 'missing', 'steamapps'), libraries[1]]).map(game => game.appId)).toEqual(['440']);
+      error.mockRestore();
+    });
+  });
+});
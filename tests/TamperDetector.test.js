@@ -0,0 +1,267 @@
+import TamperDetector from '../src/TamperDetector.js';
+import ProcessCatalog from '../src/ProcessCatalog.js';
+
+const MINUTE = 60000;
+const WINDOWS = { platform: 'win32', installRoots: ['C:\\Program Files (x86)\\Steam'] };
+
+const familyView = (overrides = {}) => ({
+  enabled: true,
+  features: { store: false, community: false, profile: true, friends: true, chat: true, library: false },
+  allowedApps: [620],
+  ...overrides
+});
+
+const account = settings => ({ steamId64: '76561198012345678', accountName: 'speedykid', familyView: settings });
+
+describe('TamperDetector', () => {
+  let now;
+  let detector;
+  let findings;
+
+  beforeEach(() => {
+    now = Date.UTC(2025, 2, 10, 12, 0, 0);
+    detector = new TamperDetector({ catalog: new ProcessCatalog(), heartbeatTimeout: 5 * MINUTE, now: () => now });
+    findings = [];
+    detector.on('tamper', finding => findings.push(finding));
+  });
+
+  describe('renamed Steam', () => {
+    test('recognises Steam from its version info', () => {
+      detector.inspectProcess({
+        agentId: 'a1',
+        processName: 'homework.exe',
+        processPath: 'C:\\Program Files (x86)\\Steam\\homework.exe',
+        signature: { originalName: 'steam.exe', product: 'Steam' }
+      }, WINDOWS);
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({
+        type: 'renamedBinary',
+        severity: 'high',
+        processName: 'homework.exe',
+        hints: ['originalName', 'product', 'path'],
+        confidence: 1,
+        portable: false
+      });
+    });
+
+    test('recognises the parent steamwebhelper reports', () => {
+      detector.inspectProcess({
+        agentId: 'a1',
+        processName: 'steamwebhelper.exe',
+        processPath: 'C:\\Program Files (x86)\\Steam\\bin\\cef\\cef.win7x64\\steamwebhelper.exe',
+        parentName: 'notes.exe',
+        parentPath: 'C:\\Program Files (x86)\\Steam\\notes.exe',
+        parentPid: 4242
+      }, WINDOWS);
+
+      expect(findings[0]).toMatchObject({ type: 'renamedBinary', processName: 'notes.exe', pid: 4242, hints: ['parent'] });
+
+      // Its own reports are then recognised as Steam
+      expect(detector.recognise({ agentId: 'a1', processName: 'notes.exe', processPath: 'C:\\Program Files (x86)\\Steam\\notes.exe' }, WINDOWS))
+        .toMatchObject({ hints: ['parent'] });
+    });
+
+    test('recognises a process running steamwebhelper', () => {
+      detector.inspectProcess({ agentId: 'a1', processName: 'calc', childNames: ['steamwebhelper'] }, { platform: 'linux' });
+
+      expect(findings[0]).toMatchObject({ type: 'renamedBinary', hints: ['children'] });
+    });
+
+    test('does not flag a helper started by the client', () => {
+      detector.inspectProcess({ agentId: 'a1', processName: 'steamwebhelper.exe', parentName: 'Steam.exe' }, WINDOWS);
+
+      expect(findings).toEqual([]);
+    });
+
+    test('needs more than the path to call a process Steam', () => {
+      detector.inspectProcess({
+        agentId: 'a1',
+        processName: 'steamerrorreporter.exe',
+        processPath: 'C:\\Program Files (x86)\\Steam\\steamerrorreporter.exe'
+      }, WINDOWS);
+
+      expect(findings).toEqual([]);
+    });
+
+    test('does not take a game in steamapps for Steam', () => {
+      expect(detector.recognise({
+        agentId: 'a1',
+        processName: 'game.exe',
+        processPath: 'C:\\Program Files (x86)\\Steam\\steamapps\\common\\Game\\game.exe',
+        signature: { product: 'Steam' }
+      }, WINDOWS)).toBeNull();
+    });
+
+    test('flags each renamed process once', () => {
+      const report = { agentId: 'a1', processName: 'homework.exe', signature: { originalName: 'Steam.exe' } };
+      detector.inspectProcess(report, WINDOWS);
+      detector.inspectProcess(report, WINDOWS);
+
+      expect(findings).toHaveLength(1);
+    });
+  });
+
+  describe('portable copies', () => {
+    test('flags the Windows client running outside every install', () => {
+      detector.inspectProcess({ agentId: 'a1', processName: 'Steam.exe', processPath: 'E:\\USB\\Steam\\Steam.exe' }, WINDOWS);
+
+      expect(findings[0]).toMatchObject({ type: 'portableCopy', severity: 'medium', processPath: 'E:\\USB\\Steam\\Steam.exe' });
+    });
+
+    test('matches install paths ignoring case', () => {
+      detector.inspectProcess({ agentId: 'a1', processName: 'steam.exe', processPath: 'c:\\program files (x86)\\steam\\steam.exe' }, WINDOWS);
+
+      expect(findings).toEqual([]);
+    });
+
+    test('trusts a copy the parent added to the process catalog', () => {
+      detector.catalog.setCustomEntries([
+        { id: 'custom-1', label: 'Portable Steam', role: 'client', match: [{ type: 'path-glob', value: 'E:/USB/Steam/**' }] }
+      ]);
+      detector.inspectProcess({ agentId: 'a1', processName: 'Steam.exe', processPath: 'E:\\USB\\Steam\\Steam.exe' }, WINDOWS);
+
+      expect(findings).toEqual([]);
+    });
+
+    test('is not checked without an inventory', () => {
+      detector.inspectProcess({ agentId: 'a1', processName: 'Steam.exe', processPath: 'E:\\USB\\Steam\\Steam.exe' }, { platform: 'win32' });
+
+      expect(findings).toEqual([]);
+    });
+
+    test('marks a renamed copy as portable', () => {
+      detector.inspectProcess({
+        agentId: 'a1',
+        processName: 'notsteam.exe',
+        processPath: 'E:\\USB\\notsteam.exe',
+        signature: { originalName: 'steam.exe' }
+      }, WINDOWS);
+
+      expect(findings[0]).toMatchObject({ type: 'renamedBinary', portable: true });
+    });
+  });
+
+  describe('heartbeats', () => {
+    test('flags an agent whose heartbeats stop without a disconnect', () => {
+      detector.heartbeat('a1');
+      now += 6 * MINUTE;
+      detector.checkHeartbeats();
+
+      expect(findings).toEqual([expect.objectContaining({ type: 'heartbeatGap', severity: 'medium', agentId: 'a1', gap: 6 * MINUTE })]);
+    });
+
+    test('flags a gap once, and again after heartbeats resume and stop', () => {
+      detector.heartbeat('a1');
+      now += 6 * MINUTE;
+      detector.checkHeartbeats();
+      now += MINUTE;
+      detector.checkHeartbeats();
+      expect(findings).toHaveLength(1);
+
+      detector.heartbeat('a1');
+      now += 6 * MINUTE;
+      detector.checkHeartbeats();
+      expect(findings).toHaveLength(2);
+    });
+
+    test('counts other reports as heartbeats', () => {
+      detector.heartbeat('a1');
+      now += 4 * MINUTE;
+      detector.seen('a1');
+      now += 4 * MINUTE;
+      detector.checkHeartbeats();
+
+      expect(findings).toEqual([]);
+    });
+
+    test('only watches agents that send heartbeats', () => {
+      detector.seen('a2');
+      now += 60 * MINUTE;
+      detector.checkHeartbeats();
+
+      expect(findings).toEqual([]);
+    });
+
+    test('uses a heartbeat timeout changed while running', () => {
+      detector.start();
+      detector.configure({ heartbeatTimeout: 10 * MINUTE, checkInterval: 2 * MINUTE });
+      detector.heartbeat('a1');
+
+      now += 6 * MINUTE;
+      detector.checkHeartbeats();
+      expect(findings).toEqual([]);
+
+      now += 5 * MINUTE;
+      detector.checkHeartbeats();
+      expect(findings).toEqual([expect.objectContaining({ type: 'heartbeatGap', gap: 11 * MINUTE })]);
+      expect(detector.checkInterval).toBe(2 * MINUTE);
+      expect(detector.timer).not.toBeNull();
+      detector.stop();
+    });
+
+    test('does not flag an agent that disconnected', () => {
+      detector.heartbeat('a1');
+      detector.disconnected('a1');
+      now += 60 * MINUTE;
+      detector.checkHeartbeats();
+
+      expect(findings).toEqual([]);
+    });
+  });
+
+  describe('Family View', () => {
+    test('records the first settings seen without a finding', () => {
+      expect(detector.inspectParental(account(familyView()))).toBeNull();
+      expect(detector.parental['76561198012345678']).toMatchObject({ enabled: true, history: [expect.any(String)] });
+    });
+
+    test('flags Family View being turned off', () => {
+      detector.inspectParental(account(familyView()));
+      detector.inspectParental(account({ enabled: false }));
+
+      expect(findings[0]).toMatchObject({
+        type: 'familyViewDisabled',
+        severity: 'high',
+        steamId64: '76561198012345678',
+        message: 'Family View was turned off for speedykid'
+      });
+    });
+
+    test('flags settings restored to a version that allows more', () => {
+      detector.inspectParental(account(familyView({ allowedApps: [620, 570] })));
+      detector.inspectParental(account(familyView()));
+      expect(findings).toEqual([]);
+
+      detector.inspectParental(account(familyView({ allowedApps: [570, 620] })));
+      expect(findings[0]).toMatchObject({ type: 'parentalRollback', severity: 'high' });
+    });
+
+    test('flags a restored stricter version as low severity', () => {
+      detector.inspectParental(account(familyView()));
+      detector.inspectParental(account(familyView({ features: { ...familyView().features, store: true } })));
+      detector.inspectParental(account(familyView()));
+
+      expect(findings[0]).toMatchObject({ type: 'parentalRollback', severity: 'low' });
+    });
+
+    test('keeps each device\'s settings apart', () => {
+      detector.inspectParental(account(familyView()), 'a1');
+      detector.inspectParental(account(familyView({ allowedApps: [] })), 'a2');
+      detector.inspectParental(account(familyView()), 'a1');
+
+      expect(findings).toEqual([]);
+      expect(Object.keys(detector.parental)).toEqual(['a1:76561198012345678', 'a2:76561198012345678']);
+    });
+
+    test('upgrades records from before versions were kept', () => {
+      detector.parental['76561198012345678'] = { enabled: true, changedAt: now - MINUTE };
+
+      expect(detector.inspectParental(account(familyView()))).toBeNull();
+      expect(detector.parental['76561198012345678'].fingerprint).toEqual(expect.any(String));
+
+      detector.parental['76561198012345678'] = { enabled: true, changedAt: now - MINUTE };
+      expect(detector.inspectParental(account(null))).toMatchObject({ type: 'familyViewDisabled' });
+    });
+  });
+});
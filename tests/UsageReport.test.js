@@ -0,0 +1,133 @@
+import UsageReport from '../src/UsageReport.js';
+
+const MINUTE = 60000;
+const at = (day, hours, minutes = 0) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date, hours, minutes).getTime();
+};
+
+const usage = {
+  '2025-03-09': { total: 90 * MINUTE, apps: { '570': 90 * MINUTE } },
+  '2025-03-10': { total: 60 * MINUTE, apps: { '620': 45 * MINUTE, '570': 15 * MINUTE } },
+  '2025-03-12': { total: 30 * MINUTE, apps: { '620': 30 * MINUTE } },
+  '2025-03-20': { total: 10 * MINUTE, apps: { '620': 10 * MINUTE } }
+};
+
+const session = (childId, appId, startedAt, duration) => ({
+  childId,
+  agentId: 'a1',
+  appId,
+  startedAt,
+  endedAt: startedAt + duration,
+  duration,
+  reason: 'exited'
+});
+
+const sessions = [
+  session('c1', '620', at('2025-03-10', 16), 45 * MINUTE),
+  session('c1', '*', at('2025-03-10', 16), 60 * MINUTE),
+  session('c1', '570', at('2025-03-10', 17), 15 * MINUTE),
+  session('c1', '620', at('2025-03-12', 9), 30 * MINUTE),
+  session('c1', '570', at('2025-03-09', 10), 90 * MINUTE),
+  session('c2', '620', at('2025-03-11', 10), 20 * MINUTE)
+];
+
+const violations = [
+  { childId: 'c1', agentId: 'a1', appId: '620', stage: 'warning', action: 'warned', timestamp: at('2025-03-10', 16, 40) },
+  { childId: 'c1', agentId: 'a1', appId: '620', stage: 'kill', action: 'killed', timestamp: at('2025-03-10', 16, 45) },
+  { childId: 'c2', agentId: 'a2', appId: '620', stage: 'kill', action: 'killed', timestamp: at('2025-03-11', 10) },
+  // Recorded before violations carried a childId
+  { agentId: 'a1', appId: '570', stage: 'kill', action: 'killed', timestamp: at('2025-03-11', 12) },
+  { agentId: 'a1', gameName: 'Family View', stage: 'tamper', action: 'flagged', timestamp: at('2025-03-13', 8) }
+];
+
+const build = (options = {}) => UsageReport.build({
+  childId: 'c1',
+  childName: 'Sam',
+  from: '2025-03-10',
+  to: '2025-03-16',
+  usage,
+  sessions,
+  violations,
+  agentIds: ['a1'],
+  gameNames: { '620': 'Portal 2', '570': 'Dota 2' },
+  agentNames: { a1: 'gaming-pc' },
+  ...options
+});
+
+describe('UsageReport', () => {
+  describe('build', () => {
+    test('covers only the days in the range', () => {
+      const report = build();
+
+      expect(report.days.map(day => day.day)).toEqual(['2025-03-10', '2025-03-12']);
+      expect(report.summary).toMatchObject({ playtime: 90 * MINUTE, daysPlayed: 2 });
+    });
+
+    test('totals playtime and sessions per game, most played first', () => {
+      expect(build().games).toEqual([
+        { appId: '620', gameName: 'Portal 2', playtime: 75 * MINUTE, sessions: 2 },
+        { appId: '570', gameName: 'Dota 2', playtime: 15 * MINUTE, sessions: 1 }
+      ]);
+    });
+
+    test('lists the child\'s game sessions without the any-game totals', () => {
+      const report = build();
+
+      expect(report.sessions.map(s => s.appId)).toEqual(['620', '570', '620']);
+      expect(report.sessions[0]).toMatchObject({ hostname: 'gaming-pc', gameName: 'Portal 2' });
+      expect(report.summary.sessions).toBe(3);
+    });
+
+    test('counts blocks and warnings, including ones from the child\'s devices without a childId', () => {
+      const report = build();
+
+      expect(report.violations.map(v => v.stage)).toEqual(['warning', 'kill', 'kill', 'tamper']);
+      expect(report.violations[3]).toMatchObject({ gameName: 'Family View', appId: null });
+      expect(report.summary).toMatchObject({ blocks: 2, warnings: 1, notifications: 0, tampering: 1 });
+    });
+
+    test('names unknown games by app ID', () => {
+      expect(build({ gameNames: {} }).games.map(game => game.gameName)).toEqual(['App 620', 'App 570']);
+    });
+
+    test('reports a range without any activity', () => {
+      const report = build({ from: '2025-04-01', to: '2025-04-07' });
+
+      expect(report.summary).toEqual({
+        playtime: 0, daysPlayed: 0, sessions: 0, blocks: 0, warnings: 0, notifications: 0, tampering: 0
+      });
+    });
+
+    test.each([
+      [{ childId: '' }, 'childId is required'],
+      [{ from: '10/03/2025' }, 'Invalid day'],
+      [{ to: undefined }, 'Invalid day'],
+      [{ from: '2025-03-16', to: '2025-03-10' }, 'must end on or after']
+    ])('rejects %j', (options, message) => {
+      expect(() => build(options)).toThrow(message);
+    });
+  });
+
+  describe('toCSV', () => {
+    test('writes a section per table', () => {
+      const lines = UsageReport.toCSV(build()).split('\r\n');
+
+      expect(lines[0]).toBe('Steam report,Sam,2025-03-10,2025-03-16');
+      expect(lines).toContain('Daily playtime');
+      expect(lines).toContain('2025-03-10,60');
+      expect(lines).toContain('620,Portal 2,75,2');
+      expect(lines).toContain('2025-03-10 16:45,gaming-pc,620,Portal 2,kill,killed,');
+    });
+
+    test('quotes fields with commas and quotes', () => {
+      expect(UsageReport.escapeCSV('Sam "the kid", Jr')).toBe('"Sam ""the kid"", Jr"');
+    });
+
+    test('stops spreadsheets running text as a formula', () => {
+      expect(UsageReport.escapeCSV('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(UsageReport.escapeCSV('@SUM(A1)')).toBe('\'@SUM(A1)');
+      expect(UsageReport.escapeCSV(-5)).toBe('-5');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import { jest } from '@jest/globals';
+import ViolationStore from '../src/ViolationStore.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2025, 2, 10, 12, 0, 0);
+
+describe('ViolationStore', () => {
+  let directory;
+  let now;
+  let store;
+
+  beforeEach(() => {
+    directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'steam-violations-')), 'violations');
+    now = START;
+    store = new ViolationStore({ directory, now: () => now });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(directory), { recursive: true, force: true });
+  });
+
+  const record = (violation, at = now) => {
+    now = at;
+    return store.append({ timestamp: at, ...violation });
+  };
+
+  test('appends one JSON line per violation to a file per day', () => {
+    record({ agentId: 'a1', stage: 'kill' });
+    record({ agentId: 'a1', stage: 'warning' }, START + DAY);
+
+    expect(fs.readdirSync(directory).sort()).toEqual(['violations-2025-03-10.jsonl', 'violations-2025-03-11.jsonl']);
+    expect(fs.readFileSync(path.join(directory, 'violations-2025-03-10.jsonl'), 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+
+  test('records the action taken for each stage', () => {
+    expect(record({ stage: 'final-warning' }).action).toBe('warned');
+    expect(record({ stage: 'kill' }).action).toBe('killed');
+    expect(record({ stage: 'expired' }).action).toBe('notified');
+    expect(record({ stage: 'tamper' }).action).toBe('flagged');
+  });
+
+  test('returns the newest first and survives being reopened', () => {
+    record({ gameName: 'Portal 2' }, START);
+    record({ gameName: 'Dota 2' }, START + 1000);
+
+    const reopened = new ViolationStore({ directory, now: () => now });
+
+    expect(reopened.query().violations.map(violation => violation.gameName)).toEqual(['Dota 2', 'Portal 2']);
+  });
+
+  test('skips a line cut short by a crash', () => {
+    record({ gameName: 'Portal 2' });
+    fs.appendFileSync(path.join(directory, 'violations-2025-03-10.jsonl'), '{"gameName":"Dot');
+
+    expect(store.query().violations.map(violation => violation.gameName)).toEqual(['Portal 2']);
+  });
+
+  describe('query', () => {
+    beforeEach(() => {
+      record({ childId: 'c1', agentId: 'a1', appId: '620', stage: 'warning' }, START);
+      record({ childId: 'c1', agentId: 'a2', appId: 'steam', stage: 'kill' }, START + 1000);
+      record({ childId: 'c2', agentId: 'a3', appId: '620', stage: 'kill' }, START + DAY);
+      record({ childId: 'c2', agentId: 'a3', appId: '570', stage: 'expired' }, START + 2 * DAY);
+    });
+
+    const appIds = result => result.violations.map(violation => violation.appId);
+
+    test.each([
+      [{ childId: 'c1' }, ['steam', '620']],
+      [{ agentId: 'a3' }, ['570', '620']],
+      [{ appId: 620 }, ['620', '620']],
+      [{ action: 'killed' }, ['620', 'steam']],
+      [{ action: ['warned', 'notified'] }, ['570', '620']],
+      [{ from: START + 1000, to: START + DAY }, ['620', 'steam']],
+      [{ childId: 'c2', action: 'killed' }, ['620']]
+    ])('filters by %j', (filters, expected) => {
+      expect(appIds(store.query(filters))).toEqual(expected);
+    });
+
+    test('only reads the days a time range covers', () => {
+      const readFileSync = jest.spyOn(fs, 'readFileSync');
+
+      expect(appIds(store.query({ from: START + DAY - 1000, to: START + DAY, limit: 1 }))).toEqual(['620']);
+      expect(readFileSync.mock.calls.map(([file]) => path.basename(file))).toEqual(['violations-2025-03-11.jsonl']);
+
+      readFileSync.mockRestore();
+    });
+
+    test('files a violation reported late under the day it happened', () => {
+      record({ appId: '440', stage: 'kill', timestamp: START - DAY }, START + 3 * DAY);
+
+      expect(appIds(store.query({ from: START - DAY, to: START - 1 }))).toEqual(['440']);
+      expect(fs.readdirSync(directory)).toContain('violations-2025-03-09.jsonl');
+    });
+
+    test('pages through the results with a cursor', () => {
+      const first = store.query({ limit: 3 });
+      expect(first.total).toBe(4);
+      expect(appIds(first)).toEqual(['570', '620', 'steam']);
+
+      const second = store.query({ limit: 3, cursor: first.nextCursor });
+      expect(appIds(second)).toEqual(['620']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('keeps its place when violations are added between pages', () => {
+      const first = store.query({ limit: 2 });
+      record({ appId: '440', stage: 'kill' }, START + 3 * DAY);
+
+      expect(appIds(store.query({ limit: 2, cursor: first.nextCursor }))).toEqual(['steam', '620']);
+    });
+
+    test('orders violations recorded at the same time by when they were recorded', () => {
+      const a = record({ appId: 'x' }, START + 5 * DAY);
+      const b = record({ appId: 'y' }, START + 5 * DAY);
+
+      const page = store.query({ limit: 1 });
+      expect(page.violations[0].id).toBe(b.id);
+      expect(store.query({ limit: 1, cursor: page.nextCursor }).violations[0].id).toBe(a.id);
+    });
+
+    test('rejects an invalid cursor', () => {
+      expect(() => store.query({ cursor: 'nope' })).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('retention', () => {
+    test('removes days older than the retention period', () => {
+      store = new ViolationStore({ directory, retentionDays: 7, now: () => now });
+      record({ appId: 'old' }, START);
+      record({ appId: 'kept' }, START + 3 * DAY);
+
+      record({ appId: 'new' }, START + 9 * DAY);
+
+      expect(store.query().violations.map(violation => violation.appId)).toEqual(['new', 'kept']);
+    });
+
+    test('applies a shorter retention period straight away', () => {
+      record({ appId: 'old' }, START);
+      record({ appId: 'new' }, START + 5 * DAY);
+
+      store.setRetentionDays(2);
+
+      expect(store.query().violations.map(violation => violation.appId)).toEqual(['new']);
+    });
+  });
+
+  test('imports an old log in time order', () => {
+    store.import([
+      { appId: 'b', timestamp: START - 1000 },
+      { appId: 'a', timestamp: START - 2000 }
+    ]);
+
+    expect(store.query().violations.map(violation => violation.appId)).toEqual(['b', 'a']);
+  });
+
+  test('files imported violations under the day they happened and drops those past retention', () => {
+    store = new ViolationStore({ directory, retentionDays: 30, now: () => now });
+
+    expect(store.import([
+      { appId: 'old', timestamp: START - 40 * DAY },
+      { appId: 'recent', timestamp: START - 2 * DAY },
+      { appId: 'today', timestamp: START }
+    ])).toBe(3);
+
+    expect(fs.readdirSync(directory).sort()).toEqual(['violations-2025-03-08.jsonl', 'violations-2025-03-10.jsonl']);
+    expect(store.query().violations.map(violation => violation.appId)).toEqual(['today', 'recent']);
+  });
+
+  test('clear removes everything', () => {
+    record({ appId: '620' });
+    store.clear();
+
+    expect(store.query()).toEqual({ violations: [], total: 0, nextCursor: null });
+  });
+
+  test('queries an empty store before anything is recorded', () => {
+    expect(store.query().total).toBe(0);
+  });
+});
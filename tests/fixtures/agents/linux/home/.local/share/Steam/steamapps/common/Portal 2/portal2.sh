@@ -0,0 +1,2 @@
+#!/bin/sh
+exec ./portal2_linux "$@"
@@ -0,0 +1,202 @@
+import EventEmitter from 'events';
+import fs from 'fs';
+import path from 'path';
+
+const FIXTURES = path.join(process.cwd(), 'tests', 'fixtures', 'agents');
+
+export const fixture = (...segments) => path.join(FIXTURES, ...segments);
+
+/**
+ * Agent service whose agents answer inventory requests from fixture directories
+ *
+ * Each agent maps paths on its device to directories here through mounts,
+ * e.g. { '/home/kid': fixture('linux', 'home') } or { 'C:\\': fixture('windows', 'C') }.
+ * Windows paths are matched ignoring case, as on a real Windows agent.
+ * Policies are kept per agent, keyed by process name like the real service,
+ * and agent events are emitted with emit().
+ */
+export default class MockAgentService extends EventEmitter {
+  /**
+   * @param {Object} agents - agentId -> { platform, homeDir, env, mounts, registry, hostname, online }
+   */
+  constructor(agents) {
+    super();
+    this.agents = agents;
+    this.requests = [];
+    this.policies = {};
+  }
+
+  async listAgents() {
+    return Object.entries(this.agents).map(([id, agent]) => this.describe(id, agent));
+  }
+
+  async getAgent(agentId) {
+    const agent = this.agents[agentId];
+    return agent ? this.describe(agentId, agent) : null;
+  }
+
+  describe(id, agent) {
+    return { id, hostname: agent.hostname || id, platform: agent.platform, online: agent.online !== false };
+  }
+
+  async request(agentId, method, params = {}) {
+    this.requests.push({ agentId, method, params });
+
+    const agent = this.agents[agentId];
+    if (!agent) {
+      throw new Error(`Unknown agent: ${agentId}`);
+    }
+    if (agent.online === false) {
+      throw new Error(`Agent ${agentId} is offline`);
+    }
+
+    switch (method) {
+      case 'system.info':
+        return { platform: agent.platform, homeDir: agent.homeDir, env: agent.env || {} };
+      case 'registry.query':
+        if (agent.registry === undefined) {
+          throw new Error('Registry is not available');
+        }
+        return agent.registry;
+      case 'fs.stat':
+        return this.forEachPath(agent, params.paths, hostPath => this.stat(agent, hostPath));
+      case 'fs.readFiles':
+        return this.forEachPath(agent, params.paths, hostPath => fs.readFileSync(hostPath, params.encoding || 'utf8'));
+      case 'fs.list':
+        return this.forEachPath(agent, params.paths, (hostPath, agentPath) => this.list(agent, hostPath, agentPath, params.depth || 0));
+      default:
+        throw new Error(`Unsupported request: ${method}`);
+    }
+  }
+
+  async listPolicies(agentId) {
+    return JSON.parse(JSON.stringify(this.policies[agentId] || []));
+  }
+
+  async createPolicy(agentId, policy) {
+    this.policies[agentId] = this.policies[agentId] || [];
+    this.policies[agentId].push(JSON.parse(JSON.stringify(policy)));
+  }
+
+  async updatePolicy(agentId, update) {
+    for (const policy of this.policies[agentId] || []) {
+      if (policy.processName === update.processName) {
+        Object.assign(policy, JSON.parse(JSON.stringify({ ...update, metadata: { ...policy.metadata, ...update.metadata } })));
+      }
+    }
+  }
+
+  async deletePolicy(agentId, processName) {
+    this.policies[agentId] = (this.policies[agentId] || []).filter(policy => policy.processName !== processName);
+  }
+
+  getPolicy(agentId, processName) {
+    return (this.policies[agentId] || []).find(policy => policy.processName === processName) || null;
+  }
+
+  countRequests(method) {
+    return this.requests.filter(request => request.method === method).length;
+  }
+
+  forEachPath(agent, paths, read) {
+    const results = {};
+    for (const agentPath of paths) {
+      const hostPath = this.toHost(agent, agentPath);
+      try {
+        results[agentPath] = hostPath ? read(hostPath, agentPath) : null;
+      } catch (error) {
+        results[agentPath] = null;
+      }
+    }
+    return results;
+  }
+
+  stat(agent, hostPath) {
+    let stats;
+    try {
+      stats = fs.statSync(hostPath);
+    } catch (error) {
+      return { exists: false };
+    }
+
+    return {
+      exists: true,
+      type: stats.isDirectory() ? 'directory' : 'file',
+      realPath: this.toAgent(agent, fs.realpathSync(hostPath)),
+      size: stats.size,
+      mode: stats.mode
+    };
+  }
+
+  list(agent, hostPath, agentPath, depth) {
+    const pathModule = this.pathModule(agent);
+    const entries = [];
+
+    const scan = (hostDir, agentDir, level) => {
+      for (const entry of fs.readdirSync(hostDir, { withFileTypes: true })) {
+        const hostEntry = path.join(hostDir, entry.name);
+        const agentEntry = pathModule.join(agentDir, entry.name);
+        const stats = fs.statSync(hostEntry);
+
+        if (stats.isDirectory()) {
+          entries.push({ path: agentEntry, name: entry.name, type: 'directory' });
+          if (level < depth) {
+            scan(hostEntry, agentEntry, level + 1);
+          }
+        } else {
+          entries.push({ path: agentEntry, name: entry.name, type: 'file', size: stats.size, mode: stats.mode });
+        }
+      }
+    };
+
+    scan(hostPath, agentPath, 0);
+    return entries;
+  }
+
+  pathModule(agent) {
+    return agent.platform === 'win32' ? path.win32 : path.posix;
+  }
+
+  toHost(agent, agentPath) {
+    const pathModule = this.pathModule(agent);
+    const normalised = pathModule.normalize(agentPath);
+    const compare = value => agent.platform === 'win32' ? value.toLowerCase() : value;
+
+    const mount = Object.keys(agent.mounts)
+      .sort((a, b) => b.length - a.length)
+      .find(prefix => compare(normalised).startsWith(compare(pathModule.normalize(prefix))));
+    if (!mount) {
+      return null;
+    }
+
+    const relative = normalised.slice(pathModule.normalize(mount).length).split(/[\\/]+/).filter(Boolean);
+    if (agent.platform !== 'win32') {
+      return path.join(agent.mounts[mount], ...relative);
+    }
+
+    // Find each segment's real case, as Windows would
+    let hostPath = agent.mounts[mount];
+    for (const segment of relative) {
+      let names;
+      try {
+        names = fs.readdirSync(hostPath);
+      } catch (error) {
+        return path.join(hostPath, segment);
+      }
+      hostPath = path.join(hostPath, names.find(name => name.toLowerCase() === segment.toLowerCase()) || segment);
+    }
+    return hostPath;
+  }
+
+  toAgent(agent, hostPath) {
+    const pathModule = this.pathModule(agent);
+
+    for (const [mount, hostRoot] of Object.entries(agent.mounts)) {
+      const realRoot = fs.realpathSync(hostRoot);
+      if (hostPath === realRoot || hostPath.startsWith(realRoot + path.sep)) {
+        return pathModule.join(mount, ...path.relative(realRoot, hostPath).split(path.sep).filter(Boolean));
+      }
+    }
+    return null;
+  }
+}
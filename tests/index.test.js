@@ -0,0 +1,192 @@
+import { jest } from '@jest/globals';
+import EventEmitter from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MockAgentService, { fixture } from './helpers/MockAgentService.js';
+import { plugin } from '../src/index.js';
+import pkg from '../package.json';
+
+jest.mock('../src/components/TabContent', () => () => null);
+jest.mock('../src/components/SteamStatus', () => () => null);
+
+const agents = () => ({
+  deck: {
+    platform: 'linux',
+    hostname: 'steam-deck',
+    homeDir: '/home/kid',
+    mounts: { '/home/kid': fixture('linux', 'home') }
+  }
+});
+
+// Plugin context with IPC handlers that can be invoked like the renderer does
+const createContext = (agentService, dataDir) => {
+  const handlers = {};
+  const allow2 = new EventEmitter();
+  allow2.getState = jest.fn(async () => ({ quota: 60, paused: false }));
+
+  return {
+    services: { agent: agentService },
+    ipcMain: { handle: (channel, handler) => { handlers[channel] = handler; } },
+    invoke: (channel, args) => handlers[channel]({}, args),
+    configurationUpdate: jest.fn(),
+    statusUpdate: jest.fn(),
+    sendToRenderer: jest.fn(),
+    logActivity: jest.fn(),
+    allow2,
+    dataDir
+  };
+};
+
+describe('plugin', () => {
+  let dataDir;
+  let agentService;
+  let context;
+  let steam;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steam-plugin-'));
+    agentService = new MockAgentService(agents());
+    context = createContext(agentService, dataDir);
+    steam = plugin(context);
+    await steam.onLoad(null);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => steam.onUnload(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('provisions the agent\'s own games from its inventory', () => {
+    expect(agentService.getPolicy('deck', 'steam')).toMatchObject({ actions: { onDetected: 'check-quota' } });
+    expect(agentService.getPolicy('deck', 'portal2_linux')).toMatchObject({ metadata: { appId: '620', gameName: 'Portal 2' } });
+  });
+
+  describe('violations', () => {
+    test('records violations from agents listed at load but never discovered', async () => {
+      const listener = jest.fn();
+      steam.subscribe('steamViolation', listener);
+
+      agentService.emit('violation', { agentId: 'deck', processName: 'Steam.exe', stage: 'kill', hostname: 'steam-deck', timestamp: Date.now() });
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        agentId: 'deck',
+        childId: null,
+        appId: 'steam',
+        gameName: 'Steam',
+        stage: 'kill'
+      }), 'steamViolation');
+
+      const [, { violations }] = await context.invoke('steam:getViolations', { limit: 10 });
+      expect(violations).toEqual([expect.objectContaining({ agentId: 'deck', processName: 'Steam.exe' })]);
+    });
+  });
+
+  describe('actions and triggers', () => {
+    test('describes the actions and triggers in the manifest', () => {
+      const { actions, triggers } = steam.describeApi();
+      const { api: manifest } = pkg.allow2automate;
+
+      expect(actions.map(({ id, name, description }) => ({ id, name, description }))).toEqual(manifest.actions);
+      expect(triggers.map(({ id, name, description }) => ({ id, name, description }))).toEqual(manifest.triggers);
+    });
+
+    test('runs actions against the agents', async () => {
+      await expect(steam.invokeAction('getSteamStatus', {})).resolves.toMatchObject({ agentCount: 1, activeAgents: 1 });
+    });
+
+    test('rejects invalid params before running an action', async () => {
+      await expect(steam.invokeAction('enableSteamMonitoring', { agent: 'deck' }))
+        .rejects.toMatchObject({ code: 'INVALID_PARAMS', errors: ['params.agent is not allowed'] });
+    });
+
+    test('raises triggers from agent events to subscribers', async () => {
+      const discovered = new Promise(resolve => context.configurationUpdate.mockImplementation(state => state.agents.deck && resolve()));
+      agentService.emit('agentDiscovered', await agentService.getAgent('deck'));
+      await discovered;
+
+      const listener = jest.fn();
+      const unsubscribe = steam.subscribe('steamDetected', listener);
+
+      agentService.emit('processDetected', { agentId: 'deck', processName: 'steam', hostname: 'steam-deck', timestamp: 1741608000000 });
+      unsubscribe();
+      agentService.emit('processDetected', { agentId: 'deck', processName: 'steam', hostname: 'steam-deck', timestamp: 1741608060000 });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({
+        agentId: 'deck',
+        processName: 'steam',
+        catalogEntry: expect.any(String),
+        timestamp: 1741608000000
+      }, 'steamDetected');
+      expect(context.sendToRenderer).toHaveBeenCalledWith('steamDetected', expect.objectContaining({ agentId: 'deck' }));
+    });
+  });
+
+  describe('settings', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('a new check interval changes how long heartbeats may stop for', async () => {
+      // Reload with a fake clock so heartbeat gaps can be waited out
+      await new Promise(resolve => steam.onUnload(resolve));
+      jest.useFakeTimers({ now: Date.now() });
+      steam = plugin(context);
+      await steam.onLoad(null);
+
+      const listener = jest.fn();
+      steam.subscribe('steamTamper', listener);
+
+      const [error] = await context.invoke('steam:updateSettings', { settings: { checkInterval: 60000 } });
+      expect(error).toBeNull();
+
+      agentService.emit('heartbeat', 'deck');
+      jest.advanceTimersByTime(6 * 60000);
+      expect(listener).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(5 * 60000);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ tamperType: 'heartbeatGap', agentId: 'deck' }), 'steamTamper');
+    });
+  });
+
+  describe('agent inventories', () => {
+    test('lists the Steam accounts on agents\' devices', async () => {
+      const [error, { accounts }] = await context.invoke('steam:getSteamAccounts');
+
+      expect(error).toBeNull();
+      expect(accounts).toEqual(expect.arrayContaining([
+        expect.objectContaining({ steamId64: '76561198012345678', accountName: 'speedykid', agentIds: ['deck'], childId: null }),
+        expect.objectContaining({ steamId64: '76561197960287930', accountName: 'parent_account', agentIds: ['deck'] })
+      ]));
+    });
+
+    test('links an account that is only on a child\'s device', async () => {
+      const [error] = await context.invoke('steam:linkSteamAccount', { steamId64: '76561198012345678', childId: 'child-1' });
+      expect(error).toBeNull();
+
+      const [, { accounts }] = await context.invoke('steam:getSteamAccounts');
+      expect(accounts.find(account => account.accountName === 'speedykid').childId).toBe('child-1');
+      expect(context.allow2.getState).toHaveBeenCalledWith('child-1');
+    });
+
+    test('rejects accounts no device has', async () => {
+      const [error] = await context.invoke('steam:linkSteamAccount', { steamId64: '76561190000000000', childId: 'child-1' });
+
+      expect(error.message).toBe('Unknown Steam account: 76561190000000000');
+    });
+
+    test('lists the games installed on agents\' devices', async () => {
+      const [error, { games }] = await context.invoke('steam:getGames');
+
+      expect(error).toBeNull();
+      expect(games).toEqual(expect.arrayContaining([
+        expect.objectContaining({ appId: '620', name: 'Portal 2', agentIds: ['deck'], verdict: 'quota' }),
+        expect.objectContaining({ appId: '440', agentIds: ['deck'] })
+      ]));
+    });
+  });
+});